@@ -6,41 +6,106 @@
  */
 
 const BASE_URL = "https://api.dictionaryapi.dev/api/v2/entries/en";
+const PROVIDER = "dictionaryapi";
+
+const ENTRY_CACHE = { name: "dictionaryapi/entries", ttl: 24 * 60 * 60 * 1000 };
+
+// Fields read from the first entry of /entries/en/<word>
+const ENTRIES_SCHEMA = {
+  type: "array",
+  required: true,
+  minItems: 1,
+  items: {
+    type: "object",
+    properties: {
+      word: { type: "string", required: true },
+      phonetic: { type: "string", default: "N/A" },
+      meanings: {
+        type: "array",
+        required: true,
+        items: {
+          type: "object",
+          properties: {
+            partOfSpeech: { type: "string", required: true },
+            definitions: {
+              type: "array",
+              required: true,
+              minItems: 1,
+              items: {
+                type: "object",
+                properties: {
+                  definition: { type: "string", required: true },
+                  example: { type: "string", default: "No example available." }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const { request } = typeof require === "function"
+  ? require("../core/httpClient.js")
+  : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+  ? require("../core/config.js")
+  : window.UsefulAPIsConfig;
+
+const { ValidationError, NotFoundError, errorFromResponse } = typeof require === "function"
+  ? require("../core/errors.js")
+  : window.UsefulAPIsErrors;
+
+const { parseResponse } = typeof require === "function"
+  ? require("../core/schema.js")
+  : window.UsefulAPIsSchema;
+
+const { logger } = typeof require === "function"
+  ? require("../core/logger.js")
+  : window.UsefulAPIsLogger;
 
 /**
  * Get definition(s) for a given word.
  * @param {string} word - The word to look up.
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries).
  * @returns {Promise<Object>} The word's meaning, part of speech, and example.
  */
-async function getWordMeaning(word) {
+async function getWordMeaning(word, requestOptions = {}) {
   if (!word || typeof word !== "string") {
-    throw new Error("Please provide a valid word as a string.");
+    throw new ValidationError("Please provide a valid word as a string.");
   }
 
   try {
-    const response = await fetch(`${BASE_URL}/${word}`);
-    if (!response.ok) throw new Error("Word not found!");
-    const data = await response.json();
+    const response = await request(`${getBaseUrl(PROVIDER, BASE_URL)}/${word}`, { provider: PROVIDER, cache: ENTRY_CACHE, ...requestOptions });
+    if (response.status === 404) throw new NotFoundError("Word not found!", { provider: PROVIDER });
+    if (!response.ok) throw await errorFromResponse(response, { provider: PROVIDER, message: "Failed to look up word" });
+    const data = parseResponse(await response.json(), ENTRIES_SCHEMA, { provider: PROVIDER });
 
     const entry = data[0];
     const meanings = entry.meanings.map(m => ({
       partOfSpeech: m.partOfSpeech,
       definition: m.definitions[0].definition,
-      example: m.definitions[0].example || "No example available."
+      example: m.definitions[0].example
     }));
 
     return {
       word: entry.word,
-      phonetic: entry.phonetic || "N/A",
+      phonetic: entry.phonetic,
       meanings
     };
   } catch (error) {
-    console.error("Error fetching meaning:", error.message);
+    logger.error("Error fetching meaning:", error.message);
     throw error;
   }
 }
 
-// For Node.js compatibility
-if (typeof module !== "undefined") {
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
   module.exports = { getWordMeaning };
 }
+
+if (typeof window !== "undefined") {
+  window.DictionaryAPI = { getWordMeaning };
+}
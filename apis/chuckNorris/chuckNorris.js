@@ -1,29 +1,181 @@
 /**
  * Chuck Norris Jokes API
- * Fetches random Chuck Norris jokes from the Official Chuck Norris Database
- * 
+ * Fetches random Chuck Norris jokes from the Official Chuck Norris Database.
+ * syncJokeCorpus() snapshots the jokes into a local file; after useJokeCorpus()
+ * (or with a `corpus` option per call) every function answers from that
+ * snapshot without the network. Search results are ranked by relevance, online
+ * and offline (see jokeCorpus.js). With `safe`, jokes go through the content
+ * filter (see core/contentFilter.js): random calls re-fetch until a joke passes.
+ *
  * @author Useful-APIs Contributors
- * @version 1.0.0
+ * @version 2.0.0
  */
 
 const BASE_URL = "https://api.chucknorris.io/jokes";
+const PROVIDER = "chucknorris";
+
+// Random endpoints are never cached
+const JOKE_CACHE = { name: "chucknorris/joke", ttl: 24 * 60 * 60 * 1000 };
+const SEARCH_CACHE = { name: "chucknorris/search", ttl: 60 * 60 * 1000 };
+const CATEGORIES_CACHE = { name: "chucknorris/categories", ttl: 24 * 60 * 60 * 1000 };
+
+// chucknorris.io cannot list every joke: a sync unions searches for words nearly all jokes contain
+const SYNC_QUERIES = ["chuck", "norris", "the", "and", "you", "his", "was", "for", "can", "with"];
+
+// Joke sessions: the share for jokes without a category, and how sessions are stored
+const UNCATEGORIZED = "uncategorized";
+const SESSION_MAX_ATTEMPTS = 10;
+const SESSION_VERSION = 1;
+const SESSION_KEY_PREFIX = "chucknorris/session/";
+
+// Where the content filter finds a joke's text and categories
+const FILTER_FIELDS = { text: "value", categories: "categories" };
+
+const JOKE_SCHEMA = {
+    type: "object",
+    required: true,
+    properties: {
+        id: { type: "string", required: true },
+        value: { type: "string", required: true },
+        categories: { type: "array", default: [], items: { type: "string" } },
+        url: { type: "string" },
+        icon_url: { type: "string" }
+    }
+};
+
+const SEARCH_SCHEMA = {
+    type: "object",
+    properties: {
+        result: { type: "array", default: [], items: JOKE_SCHEMA }
+    }
+};
+
+const CATEGORIES_SCHEMA = { type: "array", required: true, items: { type: "string" } };
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { runBatch } = typeof require === "function"
+    ? require("../core/batch.js")
+    : window.UsefulAPIsBatch;
+
+const { ValidationError, NotFoundError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+const { loadJokeCorpus, rankJokes, CORPUS_VERSION } = typeof require === "function"
+    ? require("./jokeCorpus.js")
+    : window.ChuckNorrisCorpus;
+
+const { resolveContentFilter, findSafe, filterItems } = typeof require === "function"
+    ? require("../core/contentFilter.js")
+    : window.UsefulAPIsContentFilter;
+
+// Set by useJokeCorpus(): every call is answered from it
+let activeCorpus = null;
+// Snapshot files passed as `corpus`, indexed once
+const loadedFiles = new Map();
+
+function _toCorpus(source) {
+    if (source && typeof source.search === "function" && typeof source.getById === "function") return source;
+    if (typeof source === "string") {
+        if (!loadedFiles.has(source)) loadedFiles.set(source, loadJokeCorpus(source));
+        return loadedFiles.get(source);
+    }
+    return loadJokeCorpus(source);
+}
+
+// The corpus a call runs against: its `corpus` option (false: online), else the one in use
+function _corpus(options) {
+    if (!options || options.corpus === undefined || options.corpus === null) return activeCorpus;
+    return options.corpus === false ? null : _toCorpus(options.corpus);
+}
+
+// ["Dev", " explicit"] or "dev, explicit" => ["dev", "explicit"]
+function _categoryList(value, name) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    if (!list.every(category => typeof category === "string")) {
+        throw new ValidationError(`${name} must be an array of category names`);
+    }
+    return [...new Set(list.map(category => category.trim().toLowerCase()).filter(Boolean))];
+}
+
+// A random joke from `jokes` that passes the filter (masked), or null
+function _pickSafe(jokes, filter) {
+    const pool = [...jokes];
+    while (pool.length > 0) {
+        const [joke] = pool.splice(Math.floor(Math.random() * pool.length), 1);
+        const safe = filter.apply(joke, FILTER_FIELDS);
+        if (safe) return safe;
+    }
+    return null;
+}
+
+// Seen ids and per-category counts, from a toJSON() snapshot or a list of ids
+function _sessionState(saved) {
+    if (saved === undefined || saved === null) return { seen: new Set(), served: {} };
+    if (Array.isArray(saved)) return { seen: new Set(saved), served: {} };
+    if (typeof saved === "object" && Array.isArray(saved.seen)) {
+        return { seen: new Set(saved.seen), served: { ...(saved.served || {}) } };
+    }
+    throw new ValidationError("seen must be an array of joke ids or a session snapshot");
+}
+
+/**
+ * Answers every chuckNorris call from a local snapshot instead of api.chucknorris.io
+ * @param {Object|string|null} source - Corpus from syncJokeCorpus() or loadJokeCorpus(), snapshot document, (Node.js) snapshot file, or null to go back online
+ * @returns {Object|null} The corpus now in use
+ */
+function useJokeCorpus(source) {
+    activeCorpus = source === undefined || source === null ? null : _toCorpus(source);
+    return activeCorpus;
+}
 
 /**
  * Fetches a random Chuck Norris joke
+ * @param {Object} options - {
+ *     corpus: local snapshot to use (false: online),
+ *     safe: true for the configured content filter, or filter options (see core/contentFilter.js)
+ * } plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Joke object containing id, url, value
  */
-async function getRandomJoke() {
+async function getRandomJoke(options = {}) {
     try {
-    const response = await fetch(`${BASE_URL}/random`);
+    const filter = resolveContentFilter(options.safe);
+    const corpus = _corpus(options);
+    if (corpus) {
+        const joke = filter ? _pickSafe(corpus.toJSON().jokes, filter) : corpus.random();
+        if (!joke) throw new NotFoundError(filter ? "No joke in the corpus passes the content filter" : "The joke corpus is empty", { provider: PROVIDER });
+        return joke;
+    }
+    if (filter) {
+        return await findSafe(() => getRandomJoke({ ...options, safe: false }), filter, FILTER_FIELDS, { what: "joke", provider: PROVIDER });
+    }
+
+    // dedupe: false, so concurrent calls get different jokes
+    const response = await request(`${getBaseUrl(PROVIDER, BASE_URL)}/random`, { provider: PROVIDER, dedupe: false, ...pickRequestOptions(options) });
 
     if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw await errorFromResponse(response, { provider: PROVIDER });
     }
 
-    const data = await response.json();
-    return data;
+    return parseResponse(await response.json(), JOKE_SCHEMA, { provider: PROVIDER });
     } catch (error) {
-        console.error("Error fetching random joke:", error);
+        logger.error("Error fetching random joke:", error);
         throw error;
     }
 }
@@ -31,50 +183,77 @@ async function getRandomJoke() {
 /**
  * Fetches a joke by ID
  * @param {string} jokeId - The ID of the joke to fetch
+ * @param {Object} options - { corpus, safe } plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Joke object
  */
-async function getJokeById(jokeId) {
+async function getJokeById(jokeId, options = {}) {
     try {
         if (!jokeId || typeof jokeId !== "string") {
-        throw new Error("Joke ID must be a non-empty string");
+        throw new ValidationError("Joke ID must be a non-empty string");
         }
 
-        const response = await fetch(`${BASE_URL}/${jokeId}`);
+        const filter = resolveContentFilter(options.safe);
+        const corpus = _corpus(options);
+        let joke;
+        if (corpus) {
+        joke = corpus.getById(jokeId);
+        if (!joke) throw new NotFoundError(`Joke with id "${jokeId}" not found.`, { provider: PROVIDER });
+        } else {
+        const response = await request(`${getBaseUrl(PROVIDER, BASE_URL)}/${jokeId}`, { provider: PROVIDER, cache: JOKE_CACHE, ...pickRequestOptions(options) });
 
         if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw await errorFromResponse(response, { provider: PROVIDER });
+        }
+
+        joke = parseResponse(await response.json(), JOKE_SCHEMA, { provider: PROVIDER });
         }
 
-        const data = await response.json();
-        return data;
+        if (!filter) return joke;
+        const safe = filter.apply(joke, FILTER_FIELDS);
+        if (!safe) throw new NotFoundError(`Joke with id "${jokeId}" was withheld by the content filter.`, { provider: PROVIDER });
+        return safe;
     } catch (error) {
-        console.error("Error fetching joke by ID:", error);
+        logger.error("Error fetching joke by ID:", error);
         throw error;
     }
 }
 
 /**
- * Searches for jokes by keyword or phrase
+ * Searches for jokes by keyword or phrase. Results are ranked by relevance.
+ * Offline, a joke must contain every word of the query (or a word starting with it).
  * @param {string} query - Search term or phrase
- * @returns {Promise<Array>} Array of matching joke objects
+ * @param {Object} options - { limit: most results to return, corpus, safe: drop (or mask) the jokes the content filter flags } plus transport options (signal, timeout, retries)
+ * @returns {Promise<Array>} Array of matching joke objects, most relevant first
  */
-async function searchJokes(query) {
+async function searchJokes(query, options = {}) {
     try {
         if (!query || typeof query !== "string") {
-        throw new Error("Search query must be a non-empty string");
+        throw new ValidationError("Search query must be a non-empty string");
+        }
+        if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 1)) {
+        throw new ValidationError("Limit must be a positive integer");
+        }
+
+        const filter = resolveContentFilter(options.safe);
+        const corpus = _corpus(options);
+        if (corpus) {
+        if (!filter) return corpus.search(query, { limit: options.limit });
+        const results = filterItems(corpus.search(query), filter, FILTER_FIELDS);
+        return options.limit === undefined ? results : results.slice(0, options.limit);
         }
 
         const encodedQuery = encodeURIComponent(query);
-        const response = await fetch(`${BASE_URL}/search?query=${encodedQuery}`);
+        const response = await request(`${getBaseUrl(PROVIDER, BASE_URL)}/search?query=${encodedQuery}`, { provider: PROVIDER, cache: SEARCH_CACHE, ...pickRequestOptions(options) });
 
         if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw await errorFromResponse(response, { provider: PROVIDER });
         }
 
-        const data = await response.json();
-        return data.result || [];
+        const data = parseResponse(await response.json(), SEARCH_SCHEMA, { provider: PROVIDER });
+        const ranked = filter ? filterItems(rankJokes(data.result, query), filter, FILTER_FIELDS) : rankJokes(data.result, query);
+        return options.limit === undefined ? ranked : ranked.slice(0, options.limit);
     } catch (error) {
-        console.error("Error searching jokes:", error);
+        logger.error("Error searching jokes:", error);
         throw error;
     }
 }
@@ -82,42 +261,47 @@ async function searchJokes(query) {
 /**
  * Fetches multiple random jokes
  * @param {number} count - Number of jokes to fetch (max 10 per request)
- * @returns {Promise<Array>} Array of joke objects
+ * @param {Object} options - Batch options (concurrency, default 4; onProgress), corpus, safe, plus transport options (signal, timeout, retries)
+ * @returns {Promise<Array>} One entry per joke: { input: position, result: joke } or { input, error }
  */
-async function getRandomJokes(count = 5) {
+async function getRandomJokes(count = 5, options = {}) {
     try {
         if (count < 1 || count > 10) {
-        throw new Error("Count must be between 1 and 10");
+        throw new ValidationError("Count must be between 1 and 10");
         }
 
-        const jokes = [];
-        for (let i = 0; i < count; i++) {
-        const joke = await getRandomJoke();
-        jokes.push(joke);
-        }
-        return jokes;
+        const { concurrency, onProgress, ...requestOptions } = options;
+        const slots = Array.from({ length: count }, (_, i) => i);
+        return await runBatch(slots, () => getRandomJoke(requestOptions), { concurrency, onProgress, signal: requestOptions.signal });
     } catch (error) {
-        console.error("Error fetching random jokes:", error);
+        logger.error("Error fetching random jokes:", error);
         throw error;
     }
 }
 
 /**
  * Fetches all available joke categories
+ * @param {Object} options - { corpus, safe: leave out the categories the content filter denies } plus transport options (signal, timeout, retries)
  * @returns {Promise<Array>} Array of category strings
  */
-async function getCategories() {
+async function getCategories(options = {}) {
     try {
-        const response = await fetch(`${BASE_URL}/categories`);
+        const filter = resolveContentFilter(options.safe);
+        const allowed = categories => (filter ? categories.filter(category => !filter.isBlockedCategory(category)) : categories);
+        const corpus = _corpus(options);
+        if (corpus) {
+        return allowed([...corpus.categories]);
+        }
+
+        const response = await request(`${getBaseUrl(PROVIDER, BASE_URL)}/categories`, { provider: PROVIDER, cache: CATEGORIES_CACHE, ...pickRequestOptions(options) });
 
         if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw await errorFromResponse(response, { provider: PROVIDER });
         }
 
-        const data = await response.json();
-        return data;
+        return allowed(parseResponse(await response.json(), CATEGORIES_SCHEMA, { provider: PROVIDER }));
     } catch (error) {
-        console.error("Error fetching categories:", error);
+        logger.error("Error fetching categories:", error);
         throw error;
     }
 }
@@ -125,29 +309,315 @@ async function getCategories() {
 /**
  * Fetches a random joke from a specific category
  * @param {string} category - The category name
+ * @param {Object} options - { corpus, safe; a category the content filter denies is rejected } plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Joke object
  */
-async function getJokeByCategory(category) {
+async function getJokeByCategory(category, options = {}) {
     try {
         if (!category || typeof category !== "string") {
-        throw new Error("Category must be a non-empty string");
+        throw new ValidationError("Category must be a non-empty string");
+        }
+
+        const filter = resolveContentFilter(options.safe);
+        if (filter && filter.isBlockedCategory(category)) {
+        throw new ValidationError(`Category "${category}" is blocked by the content filter`);
+        }
+
+        const corpus = _corpus(options);
+        if (corpus) {
+        const wanted = category.toLowerCase();
+        const joke = filter
+            ? _pickSafe(corpus.toJSON().jokes.filter(item => item.categories.includes(wanted)), filter)
+            : corpus.random(category);
+        if (!joke) throw new NotFoundError(`No jokes for category "${category}" found.`, { provider: PROVIDER });
+        return joke;
+        }
+        if (filter) {
+        return await findSafe(() => getJokeByCategory(category, { ...options, safe: false }), filter, FILTER_FIELDS, { what: `"${category}" joke`, provider: PROVIDER });
         }
 
         const encodedCategory = encodeURIComponent(category.toLowerCase());
-        const response = await fetch(`${BASE_URL}/random?category=${encodedCategory}`);
+        const response = await request(`${getBaseUrl(PROVIDER, BASE_URL)}/random?category=${encodedCategory}`, { provider: PROVIDER, dedupe: false, ...pickRequestOptions(options) });
 
         if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw await errorFromResponse(response, { provider: PROVIDER });
         }
 
-        const data = await response.json();
-        return data;
+        return parseResponse(await response.json(), JOKE_SCHEMA, { provider: PROVIDER });
     } catch (error) {
-        console.error("Error fetching joke by category:", error);
+        logger.error("Error fetching joke by category:", error);
         throw error;
     }
     }
 
+/**
+ * Creates a joke session: it never serves the same joke twice until every
+ * category it draws from is used up. Each draw picks the category furthest
+ * behind its share (equal shares unless `weights` are given), so a few large
+ * categories do not crowd out the rest.
+ * Online, the API only hands out random jokes: a category counts as used up
+ * once `maxAttempts` draws in a row return jokes already served. With a corpus
+ * the pool is known and exhaustion is exact.
+ * @param {Object} options - {
+ *     categories: categories to draw from (default: all from getCategories()),
+ *     exclude: categories never served, e.g. ["explicit"]; a joke in any of them is skipped,
+ *     weights: { category: relative share } (default 1 each; 0 leaves a category out),
+ *     uncategorized: also draw jokes without a category, as the "uncategorized" share (default true),
+ *     seen: ids (or a session.toJSON() snapshot) already served,
+ *     store, key: persist the session under `key` in a cache store (see core/cache.js), e.g. one key per bot user,
+ *     maxAttempts: repeats in a row before a category counts as used up online (default 10),
+ *     onExhausted: "reset" to start over once everything was served (default), or "stop" to return null,
+ *     safe: serve only jokes the content filter passes (masked); its denied categories are excluded,
+ *     corpus
+ * } plus transport options (signal, timeout, retries)
+ * @returns {Promise<Object>} Session: { next(), take(count), stats(), toJSON(), save(), reset() }
+ */
+async function createJokeSession(options = {}) {
+    try {
+        const filter = resolveContentFilter(options.safe);
+        const exclude = [...new Set([..._categoryList(options.exclude, "exclude"), ...(filter ? filter.settings.denyCategories : [])])];
+        const weights = options.weights || {};
+        const maxAttempts = options.maxAttempts === undefined ? SESSION_MAX_ATTEMPTS : options.maxAttempts;
+        const onExhausted = options.onExhausted === undefined ? "reset" : options.onExhausted;
+
+        if (typeof weights !== "object" || Object.values(weights).some(weight => typeof weight !== "number" || !(weight >= 0))) {
+        throw new ValidationError("weights must map categories to numbers of 0 or more");
+        }
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new ValidationError("maxAttempts must be a positive integer");
+        }
+        if (onExhausted !== "reset" && onExhausted !== "stop") {
+        throw new ValidationError('onExhausted must be "reset" or "stop"');
+        }
+        if (options.store && (typeof options.store.get !== "function" || typeof options.store.set !== "function")) {
+        throw new ValidationError("store must implement get(key) and set(key, value, ttl)");
+        }
+        if (options.store && (typeof options.key !== "string" || options.key === "")) {
+        throw new ValidationError("A session with a store needs a key");
+        }
+
+        const requestOptions = { ...pickRequestOptions(options), corpus: options.corpus };
+        const corpus = _corpus(options);
+        const available = await getCategories(requestOptions);
+        const categories = options.categories === undefined ? available : _categoryList(options.categories, "categories");
+        const unknown = categories.filter(category => !available.includes(category));
+        if (unknown.length > 0) {
+        throw new ValidationError(`Unknown joke category: ${unknown.join(", ")} (use ${available.join(", ")})`);
+        }
+
+        const shares = [...categories, ...(options.uncategorized === false ? [] : [UNCATEGORIZED])]
+            .filter(category => !exclude.includes(category))
+            .map(category => ({ category, weight: weights[category] === undefined ? 1 : weights[category] }))
+            .filter(share => share.weight > 0);
+        if (shares.length === 0) {
+        throw new ValidationError("The session has no categories left to draw from");
+        }
+
+        const storeKey = options.store ? `${SESSION_KEY_PREFIX}${options.key}` : null;
+        const saved = options.seen !== undefined ? options.seen : (storeKey ? await options.store.get(storeKey) : undefined);
+        return _jokeSession({ ...requestOptions, corpus: false }, corpus, {
+            shares, exclude, filter, maxAttempts, onExhausted, store: options.store, storeKey, state: _sessionState(saved)
+        });
+    } catch (error) {
+        logger.error("Error creating a joke session:", error);
+        throw error;
+    }
+}
+
+function _jokeSession(requestOptions, corpus, { shares, exclude, filter, maxAttempts, onExhausted, store, storeKey, state }) {
+    // Categories found used up since the last reset
+    let exhausted = new Set();
+    // Draws run one at a time, so concurrent callers never get the same joke
+    let queue = Promise.resolve();
+
+    const enqueue = task => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const fits = (joke, category) => {
+        if (state.seen.has(joke.id) || joke.categories.some(name => exclude.includes(name))) return false;
+        if (filter && !filter.check(joke, FILTER_FIELDS).allowed) return false;
+        return category === UNCATEGORIZED ? joke.categories.length === 0 : joke.categories.includes(category);
+    };
+
+    const serve = joke => (filter ? filter.apply(joke, FILTER_FIELDS) : joke);
+
+    // The open share furthest behind its weight, ties broken at random
+    const pickShare = () => {
+        const open = shares.filter(share => !exhausted.has(share.category));
+        if (open.length === 0) return null;
+        const progress = share => ((state.served[share.category] || 0) + 1) / share.weight;
+        const lowest = Math.min(...open.map(progress));
+        const behind = open.filter(share => progress(share) === lowest);
+        return behind[Math.floor(Math.random() * behind.length)];
+    };
+
+    const drawFrom = async category => {
+        if (corpus) {
+            const pool = corpus.toJSON().jokes.filter(joke => fits(joke, category));
+            return pool.length > 0 ? serve(pool[Math.floor(Math.random() * pool.length)]) : null;
+        }
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const joke = category === UNCATEGORIZED
+                ? await getRandomJoke(requestOptions)
+                : await getJokeByCategory(category, requestOptions);
+            if (fits(joke, category)) return serve(joke);
+        }
+        return null;
+    };
+
+    const toJSON = () => ({ version: SESSION_VERSION, seen: [...state.seen], served: { ...state.served } });
+
+    const save = async () => {
+        if (store) await store.set(storeKey, toJSON(), 0);
+    };
+
+    const reset = () => {
+        state.seen.clear();
+        state.served = {};
+        exhausted = new Set();
+    };
+
+    const draw = async () => {
+        let restarted = false;
+        for (;;) {
+            const share = pickShare();
+            if (!share) {
+                if (onExhausted === "stop") return null;
+                // Nothing found right after starting over: no joke fits the session at all
+                if (restarted) throw new NotFoundError("No jokes match this session's categories", { provider: PROVIDER });
+                logger.info("Joke session served every joke it could find; starting over");
+                reset();
+                restarted = true;
+                continue;
+            }
+
+            const joke = await drawFrom(share.category);
+            if (!joke) {
+                exhausted.add(share.category);
+                continue;
+            }
+            state.seen.add(joke.id);
+            state.served[share.category] = (state.served[share.category] || 0) + 1;
+            await save();
+            return joke;
+        }
+    };
+
+    const session = {
+        /**
+         * Serves the next joke
+         * @returns {Promise<Object|null>} Joke object, or null once everything was served with onExhausted: "stop"
+         */
+        next() {
+            return enqueue(draw);
+        },
+
+        /**
+         * Serves several jokes, with no upper limit
+         * @param {number} count - Number of jokes
+         * @returns {Promise<Array>} Up to `count` jokes (fewer once everything was served with onExhausted: "stop")
+         */
+        async take(count) {
+            if (!Number.isInteger(count) || count < 1) {
+                throw new ValidationError("Count must be a positive integer");
+            }
+            const jokes = [];
+            while (jokes.length < count) {
+                const joke = await session.next();
+                if (!joke) break;
+                jokes.push(joke);
+            }
+            return jokes;
+        },
+
+        /**
+         * @returns {Object} { seen: jokes served, served: { category: jokes served }, exhausted: categories used up }
+         */
+        stats() {
+            return { seen: state.seen.size, served: { ...state.served }, exhausted: [...exhausted] };
+        },
+
+        /**
+         * @returns {Object} Snapshot to restore the session from, as `seen` or through a store
+         */
+        toJSON,
+
+        /**
+         * Writes the session to its store (every draw already does)
+         * @returns {Promise<void>}
+         */
+        save() {
+            return enqueue(save);
+        },
+
+        /**
+         * Forgets every joke served
+         * @returns {Promise<void>}
+         */
+        reset() {
+            return enqueue(() => {
+                reset();
+                return save();
+            });
+        }
+    };
+    return session;
+}
+
+/**
+ * Snapshots the chucknorris.io jokes into a local corpus for offline use.
+ * The API cannot list every joke, so the snapshot holds the categories plus the
+ * union of searches for words nearly every joke contains; add `queries` to widen it.
+ * @param {Object} options - {
+ *     file: where to save the snapshot (Node.js),
+ *     queries: search terms, 3+ characters each (default: SYNC_QUERIES),
+ *     concurrency: searches in flight (default 2), onProgress
+ * } plus transport options (signal, timeout, retries)
+ * @returns {Promise<Object>} The new corpus (see jokeCorpus.js); pass it to useJokeCorpus() to go offline
+ */
+async function syncJokeCorpus(options = {}) {
+    try {
+        const queries = options.queries === undefined ? SYNC_QUERIES : options.queries;
+        if (!Array.isArray(queries) || queries.length === 0 || !queries.every(query => typeof query === "string" && query.trim().length >= 3)) {
+        throw new ValidationError("queries must be a non-empty array of search terms of 3 or more characters");
+        }
+
+        // Always from upstream, and never from a stale cached search
+        const transport = { cache: false, ...pickRequestOptions(options), corpus: false };
+        const categories = await getCategories(transport);
+        const searches = await runBatch(queries, query => searchJokes(query.trim(), transport), {
+        concurrency: options.concurrency === undefined ? 2 : options.concurrency,
+        onProgress: options.onProgress,
+        signal: transport.signal
+        });
+
+        // A partial snapshot would look complete offline, so any failed search fails the sync
+        const failed = searches.find(entry => entry.error);
+        if (failed) throw failed.error;
+
+        const jokes = new Map();
+        for (const { result } of searches) {
+        for (const joke of result) jokes.set(joke.id, joke);
+        }
+
+        const corpus = loadJokeCorpus({
+        version: CORPUS_VERSION,
+        source: getBaseUrl(PROVIDER, BASE_URL),
+        syncedAt: new Date().toISOString(),
+        categories,
+        jokes: [...jokes.values()].sort((a, b) => a.id.localeCompare(b.id))
+        });
+        if (options.file) await corpus.save(options.file);
+        return corpus;
+    } catch (error) {
+        logger.error("Error syncing the joke corpus:", error);
+        throw error;
+    }
+}
+
 // Export for Node.js
 if (typeof module !== "undefined" && module.exports) {
     module.exports = {
@@ -157,6 +627,12 @@ if (typeof module !== "undefined" && module.exports) {
         getRandomJokes,
         getCategories,
         getJokeByCategory,
+        createJokeSession,
+        syncJokeCorpus,
+        useJokeCorpus,
+        loadJokeCorpus,
+        rankJokes,
+        SYNC_QUERIES,
     };
 }
 
@@ -169,5 +645,11 @@ if (typeof window !== "undefined") {
         getRandomJokes,
         getCategories,
         getJokeByCategory,
+        createJokeSession,
+        syncJokeCorpus,
+        useJokeCorpus,
+        loadJokeCorpus,
+        rankJokes,
+        SYNC_QUERIES,
     };
 }
@@ -0,0 +1,251 @@
+/**
+ * Chuck Norris Joke Corpus
+ * A local snapshot of the chucknorris.io jokes with a full-text index, so
+ * chuckNorris.js can answer every call offline (see syncJokeCorpus() and
+ * useJokeCorpus() there). Search ranks jokes by relevance (BM25, with a bonus
+ * for the exact phrase); each query word also matches longer words it starts,
+ * so "kick" finds "kicked" as upstream's substring search does.
+ *
+ * Snapshot file: { version, source, syncedAt, categories: [...], jokes: [{ id, value, categories, url, icon_url, ... }] }
+ *
+ * Usage:
+ *   const { loadJokeCorpus } = require("./jokeCorpus.js");
+ *   const corpus = loadJokeCorpus("data/jokes.json");
+ *   corpus.search("roundhouse kick", { limit: 5 });
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const CORPUS_VERSION = 1;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Prefix matches count for less than whole words
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+const PHRASE_BONUS = 1.5;
+
+const { ValidationError } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+function _normalize(text) {
+    return String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+// "Chuck Norris's résumé" => ["chuck", "norris", "s", "resume"]
+function _tokens(text) {
+    return _normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function _buildIndex(jokes) {
+    const postings = new Map();
+    const lengths = jokes.map((joke, doc) => {
+        const tokens = _tokens(joke.value);
+        for (const token of tokens) {
+            if (!postings.has(token)) postings.set(token, new Map());
+            const docs = postings.get(token);
+            docs.set(doc, (docs.get(doc) || 0) + 1);
+        }
+        return tokens.length;
+    });
+
+    return {
+        postings,
+        lengths,
+        // Sorted, so the words a prefix matches form one contiguous run
+        vocabulary: [...postings.keys()].sort(),
+        averageLength: lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1),
+        texts: jokes.map(joke => _tokens(joke.value).join(" "))
+    };
+}
+
+// Index words a query word matches: itself, and the words it starts
+function _matches(index, term) {
+    const matches = [];
+    if (index.postings.has(term)) matches.push([term, 1]);
+    if (term.length < MIN_PREFIX_LENGTH) return matches;
+
+    let low = 0;
+    let high = index.vocabulary.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (index.vocabulary[middle] < term) low = middle + 1;
+        else high = middle;
+    }
+    for (let i = low; i < index.vocabulary.length && index.vocabulary[i].startsWith(term); i++) {
+        if (index.vocabulary[i] !== term) matches.push([index.vocabulary[i], PREFIX_WEIGHT]);
+    }
+    return matches;
+}
+
+/*
+ * Scores documents against a query. With `every`, only documents matching all
+ * query words are kept. Returns Map(doc => score).
+ */
+function _score(index, query, every) {
+    const terms = [...new Set(_tokens(query))];
+    const total = index.lengths.length;
+    let scores = null;
+
+    for (const term of terms) {
+        const termScores = new Map();
+        for (const [word, weight] of _matches(index, term)) {
+            const docs = index.postings.get(word);
+            const idf = Math.log(1 + (total - docs.size + 0.5) / (docs.size + 0.5));
+            for (const [doc, frequency] of docs) {
+                const norm = K1 * (1 - B + B * index.lengths[doc] / index.averageLength);
+                const score = weight * idf * frequency * (K1 + 1) / (frequency + norm);
+                termScores.set(doc, Math.max(termScores.get(doc) || 0, score));
+            }
+        }
+
+        if (scores === null) {
+            scores = termScores;
+        } else if (every) {
+            const merged = new Map();
+            for (const [doc, score] of scores) {
+                if (termScores.has(doc)) merged.set(doc, score + termScores.get(doc));
+            }
+            scores = merged;
+        } else {
+            for (const [doc, score] of termScores) scores.set(doc, (scores.get(doc) || 0) + score);
+        }
+    }
+
+    scores = scores || new Map();
+    const phrase = terms.length > 1 ? _tokens(query).join(" ") : null;
+    if (phrase) {
+        for (const [doc, score] of scores) {
+            if (index.texts[doc].includes(phrase)) scores.set(doc, score * PHRASE_BONUS);
+        }
+    }
+    return scores;
+}
+
+function _validJoke(joke) {
+    return joke && typeof joke === "object" && typeof joke.id === "string" && typeof joke.value === "string";
+}
+
+function _readDocument(source) {
+    if (typeof source === "string") {
+        if (typeof require !== "function") {
+            throw new Error("Loading a joke corpus from a file is only available in Node.js");
+        }
+        return JSON.parse(require("fs").readFileSync(source, "utf8"));
+    }
+    return source;
+}
+
+/**
+ * Loads a joke snapshot and indexes it for search
+ * @param {Object|Array|string} source - Snapshot document, array of jokes or (Node.js) path to a snapshot file
+ * @returns {Object} Corpus: {
+ *     size, categories, syncedAt, source,
+ *     getById(id) => joke or null,
+ *     random(category) => joke or null,
+ *     search(query, { limit }) => jokes matching every query word, most relevant first,
+ *     toJSON() => snapshot document,
+ *     save(file) => Promise (Node.js)
+ * }
+ */
+function loadJokeCorpus(source) {
+    const document = _readDocument(source);
+    const jokes = Array.isArray(document) ? document : document && document.jokes;
+    if (!Array.isArray(jokes) || !jokes.every(_validJoke)) {
+        throw new ValidationError("A joke corpus must be an array of { id, value } jokes or a snapshot with a `jokes` array");
+    }
+    if (document.version !== undefined && document.version > CORPUS_VERSION) {
+        throw new ValidationError(`Joke corpus version ${document.version} is newer than this library supports (${CORPUS_VERSION})`);
+    }
+
+    const list = jokes.map(joke => ({ ...joke, categories: Array.isArray(joke.categories) ? joke.categories : [] }));
+    const byId = new Map(list.map(joke => [joke.id, joke]));
+    const categories = [...new Set([
+        ...(Array.isArray(document.categories) ? document.categories : []),
+        ...list.flatMap(joke => joke.categories)
+    ])].sort();
+    const index = _buildIndex(list);
+    const syncedAt = document.syncedAt || null;
+    const origin = document.source || null;
+
+    const pick = items => (items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null);
+
+    return {
+        size: list.length,
+        categories,
+        syncedAt,
+        source: origin,
+
+        getById(id) {
+            return byId.get(id) || null;
+        },
+
+        random(category) {
+            if (category === undefined || category === null) return pick(list);
+            const wanted = String(category).toLowerCase();
+            return pick(list.filter(joke => joke.categories.includes(wanted)));
+        },
+
+        search(query, options = {}) {
+            const ranked = [..._score(index, query, true)]
+                .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+                .map(([doc]) => list[doc]);
+            return options.limit === undefined ? ranked : ranked.slice(0, options.limit);
+        },
+
+        toJSON() {
+            return { version: CORPUS_VERSION, source: origin, syncedAt, categories, jokes: list };
+        },
+
+        /**
+         * Writes the snapshot as JSON (Node.js only)
+         * @param {string} file - Destination path; missing directories are created
+         * @returns {Promise<void>}
+         */
+        async save(file) {
+            if (typeof require !== "function") {
+                throw new Error("Saving a joke corpus is only available in Node.js");
+            }
+            const fs = require("fs").promises;
+            const path = require("path");
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, `${JSON.stringify(this.toJSON())}\n`);
+        }
+    };
+}
+
+/**
+ * Orders jokes by relevance to a query, e.g. upstream search results.
+ * Jokes matching no query word are kept, after the others, in their original order.
+ * @param {Array<Object>} jokes - Jokes with a `value`
+ * @param {string} query - Search query
+ * @returns {Array<Object>} The same jokes, most relevant first
+ */
+function rankJokes(jokes, query) {
+    const scores = _score(_buildIndex(jokes), query, false);
+    return jokes
+        .map((joke, doc) => [joke, scores.get(doc) || 0, doc])
+        .sort((a, b) => b[1] - a[1] || a[2] - b[2])
+        .map(([joke]) => joke);
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        loadJokeCorpus,
+        rankJokes,
+        CORPUS_VERSION
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.ChuckNorrisCorpus = {
+        loadJokeCorpus,
+        rankJokes,
+        CORPUS_VERSION
+    };
+}
@@ -1,12 +1,42 @@
-import randomcolor from "randomcolor";
+/**
+ * Color Palette Generator
+ * Generates random or theme-based color palettes. Runs locally, no API required.
+ *
+ * Notes:
+ * - Node: requires randomcolor (npm i randomcolor).
+ * - Browser: include randomColor.js before this file (exposes window.randomColor).
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.1
+ */
+
+const { UsefulAPIError } = typeof require === "function"
+  ? require("../core/errors.js")
+  : window.UsefulAPIsErrors;
+
+function _randomColor() {
+  if (typeof window !== "undefined" && typeof window.randomColor === "function") {
+    return window.randomColor;
+  }
+
+  // lazy require so the module loads even when randomcolor is not installed
+  try {
+    return require("randomcolor");
+  } catch (err) {
+    throw new UsefulAPIError(
+      "randomcolor is not installed. In Node.js install it with: npm install randomcolor",
+      { code: "DEPENDENCY_MISSING", cause: err }
+    );
+  }
+}
 
 /**
  * Generates a color palette.
  * @param {string} theme - pastel | vibrant | dark | neon | random
  * @returns {string[]} - Array of color HEX codes
  */
-export function generatePalette(theme = "random") {
-  return randomcolor({
+function generatePalette(theme = "random") {
+  return _randomColor()({
     count: 5,
     luminosity: theme === "dark" ? "dark" : "bright",
     hue:
@@ -20,4 +50,11 @@ export function generatePalette(theme = "random") {
   });
 }
 
-console.log(generatePalette("pastel"));
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { generatePalette };
+}
+
+if (typeof window !== "undefined") {
+  window.ColorPaletteAPI = { generatePalette };
+}
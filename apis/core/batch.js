@@ -0,0 +1,154 @@
+/**
+ * Batch Runner
+ * Runs one async call per item with a bounded number in flight. Every item gets
+ * its own entry in the result - a failing item never fails the whole batch -
+ * and progress is reported as items settle. Aborting the signal stops the batch.
+ *
+ * Usage:
+ *   const { runBatch } = require("../core/batch.js");
+ *   const results = await runBatch(ips, ip => getLocation(ip), {
+ *       concurrency: 3,
+ *       onProgress: ({ completed, total }) => console.log(`${completed}/${total}`)
+ *   });
+ *   // [{ input: "8.8.8.8", result: {...} }, { input: "bad", error: ValidationError }]
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+
+const { ValidationError } = typeof require === "function"
+    ? require("./errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("./logger.js")
+    : window.UsefulAPIsLogger;
+
+function _abortReason(signal) {
+    if (signal.reason !== undefined) return signal.reason;
+    const error = new Error("The batch was aborted");
+    error.name = "AbortError";
+    return error;
+}
+
+/**
+ * Runs `worker` over every item, at most `concurrency` at a time
+ * @param {Array} items - Inputs
+ * @param {Function} worker - (item, index, signal) => result or Promise
+ * @param {Object} options - {
+ *     concurrency: calls in flight (default 4),
+ *     signal: AbortSignal that cancels the batch,
+ *     onProgress: ({ completed, total, succeeded, failed, index, input, result, error }) => void, called as each item settles
+ * }
+ * @returns {Promise<Array>} One entry per item, in input order: { input, result } or { input, error }
+ * @throws {ValidationError} On invalid arguments; rejects with the abort reason when the signal aborts
+ */
+async function runBatch(items, worker, options = {}) {
+    if (!Array.isArray(items)) {
+        throw new ValidationError("items must be an array");
+    }
+    if (typeof worker !== "function") {
+        throw new ValidationError("worker must be a function");
+    }
+
+    const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : options.concurrency;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new ValidationError("concurrency must be a positive integer");
+    }
+
+    const { signal, onProgress } = options;
+    if (onProgress !== undefined && typeof onProgress !== "function") {
+        throw new ValidationError("onProgress must be a function");
+    }
+    if (signal && signal.aborted) throw _abortReason(signal);
+
+    return new Promise((resolve, reject) => {
+        const results = new Array(items.length);
+        const counts = { completed: 0, succeeded: 0, failed: 0 };
+        let next = 0;
+        let settled = false;
+
+        const onAbort = () => finish(() => reject(_abortReason(signal)));
+
+        function finish(settle) {
+            if (settled) return;
+            settled = true;
+            if (signal) signal.removeEventListener("abort", onAbort);
+            settle();
+        }
+
+        function report(index, entry) {
+            if (!onProgress) return;
+            try {
+                onProgress({ ...counts, total: items.length, index, ...entry });
+            } catch (error) {
+                // a failing callback must never break the batch
+                logger.error("Batch progress callback error:", error);
+            }
+        }
+
+        function settle(index, entry) {
+            if (settled) return;
+
+            results[index] = entry;
+            counts.completed++;
+            if ("error" in entry) counts.failed++;
+            else counts.succeeded++;
+            report(index, entry);
+
+            if (counts.completed === items.length) finish(() => resolve(results));
+            else launch();
+        }
+
+        function launch() {
+            if (settled || next >= items.length) return;
+
+            const index = next++;
+            const input = items[index];
+            Promise.resolve()
+                .then(() => worker(input, index, signal))
+                .then(
+                    result => settle(index, { input, result }),
+                    error => settle(index, { input, error })
+                );
+        }
+
+        if (items.length === 0) {
+            finish(() => resolve(results));
+            return;
+        }
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        for (let i = 0; i < Math.min(concurrency, items.length); i++) launch();
+    });
+}
+
+/**
+ * Collects the results of the items that succeeded
+ * @param {Array} entries - runBatch() output
+ * @returns {Array} Results, in input order
+ * @throws {Error} The first item's error when every item failed
+ */
+function batchResults(entries) {
+    const succeeded = entries.filter(entry => !("error" in entry));
+    if (succeeded.length === 0 && entries.length > 0) throw entries[0].error;
+    return succeeded.map(entry => entry.result);
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        runBatch,
+        batchResults,
+        DEFAULT_CONCURRENCY
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsBatch = {
+        runBatch,
+        batchResults,
+        DEFAULT_CONCURRENCY
+    };
+}
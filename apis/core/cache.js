@@ -0,0 +1,274 @@
+/**
+ * Response Cache
+ * Pluggable TTL cache used by the shared HTTP client. Ships an in-memory LRU
+ * backend (Node.js and Browser) and a file-system backend (Node.js only).
+ *
+ * Caching is opt-in: nothing is stored until a backend is configured.
+ *
+ * Usage:
+ *   const { configureCache, createMemoryCache } = require("../core/cache.js");
+ *   configureCache({
+ *       store: createMemoryCache({ maxEntries: 1000 }),
+ *       ttl: { "exchangerate-api/latest": 60 * 60 * 1000 }
+ *   });
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+let cacheConfig = { store: null, ttl: {}, enabled: true };
+
+/**
+ * Creates an in-memory LRU cache backend
+ * @param {Object} options - { maxEntries }
+ * @returns {Object} Cache store with get, set, delete, clear and size
+ */
+function createMemoryCache(options = {}) {
+    const maxEntries = Math.max(1, Number(options.maxEntries) || DEFAULT_MAX_ENTRIES);
+    const entries = new Map();
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+
+            if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+
+            // Re-insert to mark as most recently used
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        set(key, value, ttl) {
+            const expiresAt = ttl > 0 ? Date.now() + ttl : null;
+            entries.delete(key);
+            entries.set(key, { value, expiresAt });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        delete(key) {
+            return entries.delete(key);
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Creates a file-system cache backend (Node.js only).
+ * Each entry is a JSON file named after a hash of its key.
+ * @param {Object} options - { directory } (default: <os tmpdir>/useful-apis-cache)
+ * @returns {Object} Cache store with async get, set, delete, clear and size
+ */
+function createFileCache(options = {}) {
+    if (typeof require !== "function") {
+        throw new Error("File cache is only available in Node.js");
+    }
+
+    const fs = require("fs").promises;
+    const path = require("path");
+    const os = require("os");
+    const crypto = require("crypto");
+
+    const directory = options.directory || path.join(os.tmpdir(), "useful-apis-cache");
+    const fileFor = (key) => path.join(directory, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+    return {
+        async get(key) {
+            let entry;
+            try {
+                entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+            } catch (error) {
+                return undefined;
+            }
+
+            if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+                await fs.unlink(fileFor(key)).catch(() => {});
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, ttl) {
+            const expiresAt = ttl > 0 ? Date.now() + ttl : null;
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(fileFor(key), JSON.stringify({ expiresAt, value }));
+        },
+
+        async delete(key) {
+            try {
+                await fs.unlink(fileFor(key));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        async clear() {
+            const files = await fs.readdir(directory).catch(() => []);
+            await Promise.all(files
+                .filter(file => file.endsWith(".json"))
+                .map(file => fs.unlink(path.join(directory, file)).catch(() => {})));
+        },
+
+        async size() {
+            const files = await fs.readdir(directory).catch(() => []);
+            return files.filter(file => file.endsWith(".json")).length;
+        }
+    };
+}
+
+/**
+ * Configures the cache shared by every API module
+ * @param {Object} options - { store, ttl: { [endpointName]: ms }, enabled }
+ * @returns {Object} The resulting cache configuration
+ */
+function configureCache(options = {}) {
+    if (!options || typeof options !== "object") {
+        throw new Error("options must be an object");
+    }
+
+    if (options.store && (typeof options.store.get !== "function" || typeof options.store.set !== "function")) {
+        throw new Error("store must implement get(key) and set(key, value, ttl)");
+    }
+
+    cacheConfig = {
+        store: options.store !== undefined ? options.store : cacheConfig.store,
+        ttl: { ...cacheConfig.ttl, ...(options.ttl || {}) },
+        enabled: options.enabled !== undefined ? Boolean(options.enabled) : cacheConfig.enabled
+    };
+    return getCacheConfig();
+}
+
+/**
+ * Gets a copy of the current cache configuration
+ * @returns {Object} { store, ttl, enabled }
+ */
+function getCacheConfig() {
+    return { ...cacheConfig, ttl: { ...cacheConfig.ttl } };
+}
+
+/**
+ * Removes the configured backend and TTL overrides (disables caching)
+ */
+function resetCache() {
+    cacheConfig = { store: null, ttl: {}, enabled: true };
+}
+
+/**
+ * Clears every entry in the configured backend
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+    if (cacheConfig.store && typeof cacheConfig.store.clear === "function") {
+        await cacheConfig.store.clear();
+    }
+}
+
+/**
+ * Resolves the TTL for a named endpoint, preferring user overrides
+ * @param {string} name - Endpoint name (e.g. 'open-meteo/geocoding')
+ * @param {number} fallback - Module default TTL in milliseconds
+ * @returns {number} TTL in milliseconds
+ */
+function resolveTtl(name, fallback) {
+    if (name && cacheConfig.ttl[name] !== undefined) return cacheConfig.ttl[name];
+    return fallback;
+}
+
+/**
+ * Builds a cache key from a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string} Cache key
+ */
+function cacheKey(method, url) {
+    return `${(method || "GET").toUpperCase()} ${url}`;
+}
+
+/**
+ * Reads a value from the configured backend
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} Cached value or undefined
+ */
+async function readCache(key) {
+    if (!cacheConfig.enabled || !cacheConfig.store) return undefined;
+    try {
+        return await cacheConfig.store.get(key);
+    } catch (error) {
+        // A broken backend must never break the request itself
+        return undefined;
+    }
+}
+
+/**
+ * Writes a value to the configured backend
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serialisable value
+ * @param {number} ttl - Time to live in milliseconds
+ * @returns {Promise<void>}
+ */
+async function writeCache(key, value, ttl) {
+    if (!cacheConfig.enabled || !cacheConfig.store || !(ttl > 0)) return;
+    try {
+        await cacheConfig.store.set(key, value, ttl);
+    } catch (error) {
+        // ignore - caching is best effort
+    }
+}
+
+/**
+ * Whether a backend is configured and enabled
+ * @returns {boolean}
+ */
+function isCacheEnabled() {
+    return Boolean(cacheConfig.enabled && cacheConfig.store);
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createMemoryCache,
+        createFileCache,
+        configureCache,
+        getCacheConfig,
+        resetCache,
+        clearCache,
+        resolveTtl,
+        cacheKey,
+        readCache,
+        writeCache,
+        isCacheEnabled
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsCache = {
+        createMemoryCache,
+        createFileCache,
+        configureCache,
+        getCacheConfig,
+        resetCache,
+        clearCache,
+        resolveTtl,
+        cacheKey,
+        readCache,
+        writeCache,
+        isCacheEnabled
+    };
+}
@@ -0,0 +1,202 @@
+/**
+ * Configuration
+ * Resolves API keys and provider base URLs for every module, so keys no longer
+ * have to be threaded through each call. Values are looked up in order:
+ *
+ *   1. the key passed to the function (or the client's keys)
+ *   2. the object installed with setConfig({ keys, baseUrls })
+ *   3. environment variables (OMDB_API_KEY, ..., USEFUL_APIS_<PROVIDER>_URL)
+ *   4. the JSON file named by setConfig({ file }) or $USEFUL_APIS_CONFIG
+ *
+ * Every key handed out is remembered, and redact() masks those values (and
+ * credential query parameters) in error messages and log output.
+ *
+ * Usage:
+ *   const { setConfig, getApiKey } = require("../core/config.js");
+ *   setConfig({ keys: { omdb: "..." }, baseUrls: { omdb: "http://localhost:4000" } });
+ *   await search("Inception"); // key and base URL come from the config
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+// Key name => environment variables checked, in order
+const ENV_KEYS = {
+    omdb: ["OMDB_API_KEY"],
+    newsapi: ["NEWSAPI_KEY", "NEWS_API_KEY"],
+    finnhub: ["FINNHUB_API_KEY"],
+    googleMaps: ["GOOGLE_MAPS_API_KEY"],
+    openRouteService: ["OPENROUTESERVICE_API_KEY", "ORS_API_KEY"],
+    huggingface: ["HUGGINGFACE_API_KEY", "HF_API_KEY"]
+};
+
+// Query parameters that carry credentials in the providers used in this repo
+const CREDENTIAL_PARAMS = ["apikey", "api_key", "key", "token", "access_token"];
+
+const REDACTED = "REDACTED";
+
+// Shorter values are too likely to appear in ordinary text to be masked safely
+const MIN_SECRET_LENGTH = 6;
+
+const CREDENTIAL_PATTERN = new RegExp(`([?&](?:${CREDENTIAL_PARAMS.join("|")})=)[^&#\\s"']+`, "gi");
+
+let injected = {};
+const secrets = new Set();
+const fileCache = new Map();
+
+function _env() {
+    if (injected.env) return injected.env;
+    return typeof process !== "undefined" && process.env ? process.env : {};
+}
+
+/**
+ * Reads a JSON config file ({ keys, baseUrls, ... }). Node.js only.
+ * @param {string} file - Path to the file
+ * @returns {Object} Parsed config
+ * @throws {Error} When the file cannot be read or parsed
+ */
+function loadConfigFile(file) {
+    try {
+        const fs = require("fs");
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Cannot load config ${file}: ${error.message}`);
+    }
+}
+
+function _fileConfig() {
+    const file = injected.file || _env().USEFUL_APIS_CONFIG;
+    if (!file || typeof require !== "function") return {};
+
+    if (!fileCache.has(file)) fileCache.set(file, loadConfigFile(file));
+    return fileCache.get(file);
+}
+
+/**
+ * Names the environment variable that overrides a provider's base URL
+ * @param {string} provider - Provider name, e.g. 'open-meteo'
+ * @returns {string} e.g. 'USEFUL_APIS_OPEN_METEO_URL'
+ */
+function baseUrlVariable(provider) {
+    return `USEFUL_APIS_${provider.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_URL`;
+}
+
+/**
+ * Installs the injected configuration, replacing the previous one
+ * @param {Object|null} options - {
+ *     keys: { omdb, newsapi, finnhub, googleMaps, openRouteService, huggingface },
+ *     baseUrls: { <provider>: url } e.g. { omdb: "http://localhost:4000" },
+ *     file: JSON config file (default $USEFUL_APIS_CONFIG),
+ *     env: environment variables to read instead of process.env
+ * } - or null to clear it
+ */
+function setConfig(options) {
+    if (options === null || options === undefined) {
+        injected = {};
+        return;
+    }
+    if (typeof options !== "object") {
+        throw new Error("config must be an object with keys, baseUrls, file or env, or null");
+    }
+
+    const unknown = Object.keys(options.keys || {}).filter(name => !ENV_KEYS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown API key name(s): ${unknown.join(", ")}. Expected one of: ${Object.keys(ENV_KEYS).join(", ")}`);
+    }
+
+    injected = {
+        keys: { ...(options.keys || {}) },
+        baseUrls: { ...(options.baseUrls || {}) },
+        file: options.file,
+        env: options.env
+    };
+    Object.values(injected.keys).forEach(registerSecret);
+}
+
+/**
+ * Resolves an API key
+ * @param {string} name - Key name (omdb, newsapi, finnhub, googleMaps, openRouteService, huggingface)
+ * @param {string} explicit - Key passed by the caller; wins when set
+ * @returns {string|null} The key, or null when none is configured
+ */
+function getApiKey(name, explicit) {
+    let key = explicit;
+
+    if (!key && injected.keys) key = injected.keys[name];
+    if (!key) {
+        const env = _env();
+        const variable = (ENV_KEYS[name] || []).find(candidate => env[candidate]);
+        if (variable) key = env[variable];
+    }
+    if (!key) key = (_fileConfig().keys || {})[name];
+
+    if (!key) return null;
+    registerSecret(key);
+    return key;
+}
+
+/**
+ * Resolves the base URL of a provider
+ * @param {string} provider - Provider name, as used on errors (omdb, newsapi, open-meteo, ...)
+ * @param {string} fallback - The module's default URL
+ * @returns {string} Configured URL without a trailing slash, or the fallback
+ */
+function getBaseUrl(provider, fallback) {
+    const url = (injected.baseUrls && injected.baseUrls[provider])
+        || _env()[baseUrlVariable(provider)]
+        || (_fileConfig().baseUrls || {})[provider];
+
+    return url ? url.replace(/\/+$/, "") : fallback;
+}
+
+/**
+ * Marks a value as secret so redact() masks it
+ * @param {string} value - Secret value (ignored when not a string or too short)
+ */
+function registerSecret(value) {
+    if (typeof value === "string" && value.length >= MIN_SECRET_LENGTH) secrets.add(value);
+}
+
+/**
+ * Masks known secrets and credential query parameters (?apikey=, &token=, ...)
+ * @param {*} value - Text to clean; anything else is returned unchanged
+ * @returns {*} Text with secrets replaced by "REDACTED"
+ */
+function redact(value) {
+    if (typeof value !== "string" || value === "") return value;
+
+    let text = value.replace(CREDENTIAL_PATTERN, `$1${REDACTED}`);
+    for (const secret of secrets) {
+        text = text.split(secret).join(REDACTED);
+        const encoded = encodeURIComponent(secret);
+        if (encoded !== secret) text = text.split(encoded).join(REDACTED);
+    }
+    return text;
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        ENV_KEYS,
+        setConfig,
+        getApiKey,
+        getBaseUrl,
+        baseUrlVariable,
+        loadConfigFile,
+        registerSecret,
+        redact
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsConfig = {
+        ENV_KEYS,
+        setConfig,
+        getApiKey,
+        getBaseUrl,
+        baseUrlVariable,
+        loadConfigFile,
+        registerSecret,
+        redact
+    };
+}
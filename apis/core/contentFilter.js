@@ -0,0 +1,269 @@
+/**
+ * Content Filter
+ * Keeps unwanted jokes and quotes out of the text-returning modules
+ * (chuckNorris, jokes, quoteGenerator). An item is rejected when one of its
+ * categories is on the deny-list, when the predicate hook returns false, or
+ * (with `profanity: "reject"`) when it contains a listed word; otherwise listed
+ * words are masked ("shit" => "s***"). Random calls re-fetch until an item
+ * passes; lists drop the items that fail.
+ *
+ * Filtering is per call: pass `safe: true` for the configured filter, or
+ * `safe: { ...filter options }` for a one-off one.
+ *
+ * Usage:
+ *   const { configureContentFilter } = require("../core/contentFilter.js");
+ *   configureContentFilter({ denyCategories: ["explicit", "political"], predicate: joke => joke.value.length < 200 });
+ *   const joke = await getRandomJoke({ safe: true });
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const DEFAULT_DENY_CATEGORIES = ["explicit", "political", "religion", "religious", "racist", "sexist", "nsfw", "dark"];
+
+// Matched as whole words, plus common endings ("-s", "-ed", "-ing", "-er"...)
+const DEFAULT_PROFANITY = [
+    "arse", "arsehole", "ass", "asshole", "bastard", "bitch", "bollocks", "bullshit", "cock", "crap", "cunt",
+    "damn", "dick", "dickhead", "fuck", "fucker", "goddamn", "motherfucker", "piss", "prick", "pussy",
+    "shit", "slut", "twat", "wanker", "whore"
+];
+
+const PROFANITY_MODES = ["mask", "reject", "off"];
+
+const DEFAULT_FILTER = {
+    denyCategories: DEFAULT_DENY_CATEGORIES,
+    words: DEFAULT_PROFANITY,
+    profanity: "mask",
+    maskChar: "*",
+    predicate: null,
+    maxAttempts: 10
+};
+
+const { ValidationError, NotFoundError } = typeof require === "function"
+    ? require("./errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("./logger.js")
+    : window.UsefulAPIsLogger;
+
+let filterConfig = { ...DEFAULT_FILTER };
+let defaultFilter = null;
+
+function _escape(word) {
+    return word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Checks and merges filter options over a base
+function _settings(options, base) {
+    if (!options || typeof options !== "object" || Array.isArray(options)) {
+        throw new ValidationError("Content filter options must be an object");
+    }
+    const settings = { ...base, ...options };
+
+    for (const name of ["denyCategories", "words"]) {
+        if (!Array.isArray(settings[name]) || !settings[name].every(value => typeof value === "string")) {
+            throw new ValidationError(`${name} must be an array of strings`);
+        }
+    }
+    if (!PROFANITY_MODES.includes(settings.profanity)) {
+        throw new ValidationError(`profanity must be one of: ${PROFANITY_MODES.join(", ")}`);
+    }
+    if (typeof settings.maskChar !== "string" || settings.maskChar.length !== 1) {
+        throw new ValidationError("maskChar must be a single character");
+    }
+    if (settings.predicate !== null && typeof settings.predicate !== "function") {
+        throw new ValidationError("predicate must be a function");
+    }
+    if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1) {
+        throw new ValidationError("maxAttempts must be a positive integer");
+    }
+
+    settings.denyCategories = [...new Set(settings.denyCategories.map(category => category.trim().toLowerCase()))];
+    settings.words = [...new Set(settings.words.map(word => word.trim().toLowerCase()).filter(Boolean))];
+    return settings;
+}
+
+function _fieldList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Creates a content filter
+ * @param {Object} options - {
+ *     denyCategories: categories to reject (default DEFAULT_DENY_CATEGORIES),
+ *     words: profanity list (default DEFAULT_PROFANITY),
+ *     profanity: "mask" (default) | "reject" | "off",
+ *     maskChar: replaces all but the first letter of a listed word (default "*"),
+ *     predicate: (item, { text, categories }) => false to reject an item,
+ *     maxAttempts: fetches before findSafe() gives up (default 10)
+ * } Unset options come from configureContentFilter()
+ * @returns {Object} Filter: { settings, isBlockedCategory(category), mask(text), check(item, fields), apply(item, fields) }
+ */
+function createContentFilter(options = {}) {
+    const settings = _settings(options, filterConfig);
+    const pattern = settings.words.length > 0
+        ? new RegExp(`\\b(?:${settings.words.map(_escape).join("|")})(?:s|es|ed|ing|er|ers|y)?\\b`, "gi")
+        : null;
+
+    const filter = {
+        settings,
+
+        isBlockedCategory(category) {
+            return typeof category === "string" && settings.denyCategories.includes(category.toLowerCase());
+        },
+
+        /**
+         * Masks the listed words of a text
+         * @param {string} text - Text
+         * @returns {string} Text with every letter but the first of each listed word masked
+         */
+        mask(text) {
+            if (!pattern || typeof text !== "string") return text;
+            return text.replace(pattern, word => word.charAt(0) + settings.maskChar.repeat(word.length - 1));
+        },
+
+        /**
+         * Decides whether an item passes
+         * @param {Object} item - Joke, quote...
+         * @param {Object} fields - { text: field or fields holding text, categories: field holding categories }
+         * @returns {Object} { allowed, reason: null | "category:<name>" | "profanity" | "predicate" }
+         */
+        check(item, fields) {
+            const categories = fields.categories && Array.isArray(item[fields.categories]) ? item[fields.categories] : [];
+            const blocked = categories.find(category => filter.isBlockedCategory(category));
+            if (blocked) return { allowed: false, reason: `category:${blocked.toLowerCase()}` };
+
+            const texts = _fieldList(fields.text).map(field => item[field]).filter(value => typeof value === "string");
+            if (settings.profanity === "reject" && pattern && texts.some(text => text.match(pattern))) {
+                return { allowed: false, reason: "profanity" };
+            }
+            if (settings.predicate && !settings.predicate(item, { text: texts.join("\n"), categories })) {
+                return { allowed: false, reason: "predicate" };
+            }
+            return { allowed: true, reason: null };
+        },
+
+        /**
+         * Filters one item
+         * @param {Object} item - Joke, quote...
+         * @param {Object} fields - Same as check()
+         * @returns {Object|null} A copy with listed words masked, or null when the item is rejected
+         */
+        apply(item, fields) {
+            const { allowed, reason } = filter.check(item, fields);
+            if (!allowed) {
+                logger.debug(`Content filter rejected an item (${reason})`);
+                return null;
+            }
+            if (settings.profanity !== "mask") return item;
+
+            const masked = { ...item };
+            for (const field of _fieldList(fields.text)) {
+                if (typeof masked[field] === "string") masked[field] = filter.mask(masked[field]);
+            }
+            return masked;
+        }
+    };
+    return filter;
+}
+
+/**
+ * Sets the options `safe: true` and createContentFilter() use
+ * @param {Object} options - Same as createContentFilter()
+ * @returns {Object} The resulting settings
+ */
+function configureContentFilter(options = {}) {
+    filterConfig = _settings(options, filterConfig);
+    defaultFilter = null;
+    return { ...filterConfig };
+}
+
+/**
+ * Gets the configured filter options
+ * @returns {Object} Settings
+ */
+function getContentFilterConfig() {
+    return { ...filterConfig };
+}
+
+/**
+ * Restores the default filter options
+ */
+function resetContentFilter() {
+    filterConfig = { ...DEFAULT_FILTER };
+    defaultFilter = null;
+}
+
+/**
+ * Resolves a call's `safe` option
+ * @param {boolean|Object} safe - true: the configured filter; filter options or a filter: that one; falsy: none
+ * @returns {Object|null} Filter, or null when the call is unfiltered
+ */
+function resolveContentFilter(safe) {
+    if (safe === undefined || safe === null || safe === false) return null;
+    if (safe === true) {
+        if (!defaultFilter) defaultFilter = createContentFilter();
+        return defaultFilter;
+    }
+    if (typeof safe === "object" && typeof safe.apply === "function" && typeof safe.check === "function") return safe;
+    if (typeof safe === "object") return createContentFilter(safe);
+    throw new ValidationError("safe must be true, false, filter options or a content filter");
+}
+
+/**
+ * Fetches items until one passes the filter
+ * @param {Function} fetchItem - async () => item
+ * @param {Object} filter - Filter from createContentFilter()
+ * @param {Object} fields - Same as check()
+ * @param {Object} options - { what: item name for the error (default "item"), provider }
+ * @returns {Promise<Object>} The first item that passes, masked
+ * @throws {NotFoundError} When none of `maxAttempts` items passes
+ */
+async function findSafe(fetchItem, filter, fields, options = {}) {
+    for (let attempt = 0; attempt < filter.settings.maxAttempts; attempt++) {
+        const item = filter.apply(await fetchItem(), fields);
+        if (item) return item;
+    }
+    throw new NotFoundError(`No ${options.what || "item"} passed the content filter in ${filter.settings.maxAttempts} attempts`, { provider: options.provider });
+}
+
+/**
+ * Drops the items that fail the filter and masks the rest
+ * @param {Array<Object>} items - Items
+ * @param {Object} filter - Filter from createContentFilter()
+ * @param {Object} fields - Same as check()
+ * @returns {Array<Object>} Items that pass, in order
+ */
+function filterItems(items, filter, fields) {
+    return items.map(item => filter.apply(item, fields)).filter(Boolean);
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createContentFilter,
+        configureContentFilter,
+        getContentFilterConfig,
+        resetContentFilter,
+        resolveContentFilter,
+        findSafe,
+        filterItems,
+        DEFAULT_DENY_CATEGORIES,
+        DEFAULT_PROFANITY
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsContentFilter = {
+        createContentFilter,
+        configureContentFilter,
+        getContentFilterConfig,
+        resetContentFilter,
+        resolveContentFilter,
+        findSafe,
+        filterItems,
+        DEFAULT_DENY_CATEGORIES,
+        DEFAULT_PROFANITY
+    };
+}
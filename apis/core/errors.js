@@ -0,0 +1,238 @@
+/**
+ * Errors
+ * Typed error hierarchy shared by every API module. Each error carries a
+ * machine-readable `code`, the HTTP `status` (when there is one), the upstream
+ * `provider` and whether the operation is worth `retryable`-ing.
+ *
+ *   UsefulAPIError
+ *   ├── ValidationError      INVALID_INPUT          bad arguments or rejected by upstream (400/422)
+ *   ├── AuthenticationError  AUTHENTICATION_FAILED  missing or invalid API key (401/403)
+ *   ├── NotFoundError        NOT_FOUND              resource does not exist (404, empty result)
+ *   ├── RateLimitError       RATE_LIMITED           quota exceeded (429) - retryable
+ *   ├── NetworkError         NETWORK_ERROR          DNS, connection reset, ... - retryable
+ *   │   └── TimeoutError     TIMEOUT                no response within the timeout - retryable
+ *   └── UpstreamError        UPSTREAM_ERROR         any other upstream failure (5xx retryable)
+ *       └── ResponseValidationError  INVALID_RESPONSE  upstream payload does not match its schema
+ *
+ * Usage:
+ *   try {
+ *       await getWordMeaning("asdfgh");
+ *   } catch (error) {
+ *       if (error instanceof NotFoundError) { ... }
+ *       if (error.retryable) { ... }
+ *   }
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+// Longest upstream body excerpt kept on an error
+const MAX_BODY_LENGTH = 500;
+
+const { redact } = typeof require === "function"
+    ? require("./config.js")
+    : window.UsefulAPIsConfig;
+
+class UsefulAPIError extends Error {
+    /**
+     * @param {string} message - Human readable message (API keys are redacted)
+     * @param {Object} options - { code, status, provider, retryable, cause, details }
+     */
+    constructor(message, options = {}) {
+        super(redact(message));
+        this.name = this.constructor.name;
+        this.code = options.code || "UNKNOWN_ERROR";
+        this.status = options.status !== undefined ? options.status : null;
+        this.provider = options.provider || null;
+        this.retryable = Boolean(options.retryable);
+        if (options.details !== undefined) this.details = options.details;
+        if (options.cause !== undefined) this.cause = options.cause;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            code: this.code,
+            status: this.status,
+            provider: this.provider,
+            retryable: this.retryable
+        };
+    }
+}
+
+class ValidationError extends UsefulAPIError {
+    constructor(message, options = {}) {
+        super(message, { code: "INVALID_INPUT", ...options, retryable: false });
+    }
+}
+
+class AuthenticationError extends UsefulAPIError {
+    constructor(message, options = {}) {
+        super(message, { code: "AUTHENTICATION_FAILED", ...options, retryable: false });
+    }
+}
+
+class NotFoundError extends UsefulAPIError {
+    constructor(message, options = {}) {
+        super(message, { code: "NOT_FOUND", status: 404, ...options, retryable: false });
+    }
+}
+
+class RateLimitError extends UsefulAPIError {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} options - UsefulAPIError options plus { retryAfter } in milliseconds
+     */
+    constructor(message, options = {}) {
+        super(message, { code: "RATE_LIMITED", status: 429, ...options, retryable: true });
+        this.retryAfter = options.retryAfter !== undefined ? options.retryAfter : null;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), retryAfter: this.retryAfter };
+    }
+}
+
+class NetworkError extends UsefulAPIError {
+    constructor(message, options = {}) {
+        super(message, { code: "NETWORK_ERROR", ...options, retryable: true });
+    }
+}
+
+class TimeoutError extends NetworkError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "TIMEOUT" });
+    }
+}
+
+class UpstreamError extends UsefulAPIError {
+    constructor(message, options = {}) {
+        const status = options.status !== undefined ? options.status : null;
+        super(message, {
+            code: "UPSTREAM_ERROR",
+            retryable: status !== null && status >= 500,
+            ...options
+        });
+    }
+}
+
+class ResponseValidationError extends UpstreamError {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} options - UpstreamError options plus { field } - path of the offending value, e.g. "articles[3].source.name"
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "INVALID_RESPONSE", retryable: false });
+        this.field = options.field || null;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), field: this.field };
+    }
+}
+
+/**
+ * Whether an error was caused by the caller aborting the request
+ * @param {*} error - Any thrown value
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+    return Boolean(error) && error.name === "AbortError";
+}
+
+function _retryAfterMs(response) {
+    const value = response.headers && response.headers.get("retry-after");
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Pulls a message out of the usual JSON error envelopes
+function _upstreamMessage(text) {
+    if (!text) return "";
+    try {
+        const body = JSON.parse(text);
+        const candidate = body.message || body.error || body.Error || body.status_message;
+        if (typeof candidate === "string") return candidate;
+        if (candidate && typeof candidate.message === "string") return candidate.message;
+    } catch (error) {
+        // not JSON - fall back to the raw text
+    }
+    return text.slice(0, MAX_BODY_LENGTH).trim();
+}
+
+/**
+ * Creates the matching typed error for a status code
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} options - { provider, retryAfter, details }
+ * @returns {UsefulAPIError} Typed error
+ */
+function errorFromStatus(status, message, options = {}) {
+    const base = { ...options, status };
+
+    if (status === 400 || status === 422) return new ValidationError(message, base);
+    if (status === 401 || status === 403) return new AuthenticationError(message, base);
+    if (status === 404) return new NotFoundError(message, base);
+    if (status === 429) return new RateLimitError(message, base);
+    if (status === 408 || status === 504) return new TimeoutError(message, base);
+    return new UpstreamError(message, base);
+}
+
+/**
+ * Creates the matching typed error for a non-OK fetch Response.
+ * The upstream body (JSON message or text excerpt) is kept in `details.body`.
+ * @param {Response} response - Non-OK response (its body is consumed)
+ * @param {Object} options - { provider, message }
+ * @returns {Promise<UsefulAPIError>} Typed error
+ */
+async function errorFromResponse(response, options = {}) {
+    const text = await response.text().catch(() => "");
+    const upstream = redact(_upstreamMessage(text));
+    const prefix = options.message || `${options.provider || "Upstream"} request failed`;
+    const message = `${prefix}: ${response.status}${response.statusText ? ` ${response.statusText}` : ""}${upstream ? ` - ${upstream}` : ""}`;
+
+    return errorFromStatus(response.status, message, {
+        provider: options.provider,
+        retryAfter: response.status === 429 ? _retryAfterMs(response) : undefined,
+        details: { body: upstream || null }
+    });
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        UsefulAPIError,
+        ValidationError,
+        AuthenticationError,
+        NotFoundError,
+        RateLimitError,
+        NetworkError,
+        TimeoutError,
+        UpstreamError,
+        ResponseValidationError,
+        isAbortError,
+        errorFromStatus,
+        errorFromResponse
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsErrors = {
+        UsefulAPIError,
+        ValidationError,
+        AuthenticationError,
+        NotFoundError,
+        RateLimitError,
+        NetworkError,
+        TimeoutError,
+        UpstreamError,
+        ResponseValidationError,
+        isAbortError,
+        errorFromStatus,
+        errorFromResponse
+    };
+}
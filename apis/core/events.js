@@ -0,0 +1,135 @@
+/**
+ * Request Events
+ * Observability hooks for the shared HTTP client. Every request made through
+ * httpClient.js reports "request:start", a "request:retry" per retried attempt,
+ * then either "request:end" (a response arrived - OK or not - or was served from
+ * the cache) or "request:error" (network failure, timeout or cancellation).
+ * Events carry the provider, endpoint, method, redacted URL, status, latency,
+ * cache hit flag, retry count, whether the call shared a request already in
+ * flight, and the caller's `trace` context.
+ * See observability.js for Prometheus and JSON log adapters.
+ *
+ * Usage:
+ *   const { onRequest } = require("../core/events.js");
+ *   const off = onRequest(event => {
+ *       if (event.type === "request:end") console.log(event.provider, event.status, event.duration);
+ *   });
+ *   off(); // stop listening
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const REQUEST_EVENTS = ["request:start", "request:retry", "request:end", "request:error"];
+
+const { redact } = typeof require === "function"
+    ? require("./config.js")
+    : window.UsefulAPIsConfig;
+
+const { logger } = typeof require === "function"
+    ? require("./logger.js")
+    : window.UsefulAPIsLogger;
+
+const listeners = new Set();
+let nextId = 1;
+
+// Handed out while nobody listens, so unobserved requests cost nothing
+const SILENT_TRACKER = Object.freeze({ retry() {}, end() {}, fail() {} });
+
+/**
+ * Registers a listener for every request event
+ * @param {Function} listener - (event) => void; event.type is one of REQUEST_EVENTS
+ * @returns {Function} Call it to remove the listener
+ */
+function onRequest(listener) {
+    if (typeof listener !== "function") {
+        throw new Error("listener must be a function");
+    }
+    listeners.add(listener);
+    return () => offRequest(listener);
+}
+
+/**
+ * Removes a listener registered with onRequest()
+ * @param {Function} listener - The registered listener
+ * @returns {boolean} True if it was registered
+ */
+function offRequest(listener) {
+    return listeners.delete(listener);
+}
+
+/**
+ * Removes every listener
+ */
+function clearRequestListeners() {
+    listeners.clear();
+}
+
+function _emit(event) {
+    for (const listener of [...listeners]) {
+        try {
+            listener(event);
+        } catch (error) {
+            // a failing listener must never break an API call
+            logger.error("Request event listener error:", error);
+        }
+    }
+}
+
+/**
+ * Starts tracking one logical request (retries included). Used by httpClient.js.
+ * @param {Object} details - { url, method, provider, endpoint, trace }
+ * @returns {Object} Tracker: retry({ status, error, delay }), end(status, cached, shared), fail(error, shared)
+ */
+function trackRequest(details) {
+    if (listeners.size === 0) return SILENT_TRACKER;
+
+    const base = {
+        id: nextId++,
+        provider: details.provider,
+        endpoint: details.endpoint,
+        method: details.method,
+        url: redact(details.url),
+        trace: details.trace
+    };
+    const started = Date.now();
+    let retries = 0;
+
+    _emit({ type: "request:start", ...base, timestamp: started });
+
+    return {
+        retry({ status = null, error = null, delay }) {
+            retries++;
+            _emit({ type: "request:retry", ...base, timestamp: Date.now(), retries, status, error, delay });
+        },
+        end(status, cached, shared = false) {
+            const now = Date.now();
+            _emit({ type: "request:end", ...base, timestamp: now, duration: now - started, status, cached, shared, retries });
+        },
+        fail(error, shared = false) {
+            const now = Date.now();
+            _emit({ type: "request:error", ...base, timestamp: now, duration: now - started, status: null, cached: false, shared, retries, error });
+        }
+    };
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        onRequest,
+        offRequest,
+        clearRequestListeners,
+        trackRequest,
+        REQUEST_EVENTS
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsEvents = {
+        onRequest,
+        offRequest,
+        clearRequestListeners,
+        trackRequest,
+        REQUEST_EVENTS
+    };
+}
@@ -0,0 +1,278 @@
+/**
+ * Fixtures
+ * Record/replay transports for the shared HTTP client. The recorder wraps a real
+ * fetch and captures every response; the replayer serves captured responses back
+ * without touching the network, so modules run deterministically in CI.
+ *
+ * Usage:
+ *   const { configure } = require("../core/httpClient.js");
+ *   const { createRecorder, createReplayer } = require("../core/fixtures.js");
+ *
+ *   // once, with network access
+ *   const recorder = createRecorder();
+ *   configure({ fetch: recorder.fetch });
+ *   await getCurrentWeather(51.5, -0.12);
+ *   await recorder.save("fixtures/weather.json");
+ *
+ *   // in tests / CI
+ *   configure({ fetch: createReplayer("fixtures/weather.json").fetch });
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const FIXTURE_VERSION = 1;
+
+// Query parameters that carry credentials in the providers used in this repo
+const DEFAULT_REDACT = ["apikey", "apiKey", "api_key", "key", "token", "access_token"];
+
+const REDACTED = "REDACTED";
+
+// Content types stored as readable text; everything else is base64
+const TEXT_CONTENT_TYPE = /json|text|xml|javascript|x-www-form-urlencoded/i;
+
+const { UsefulAPIError } = typeof require === "function"
+    ? require("./errors.js")
+    : window.UsefulAPIsErrors;
+
+function _createAbortError(message) {
+    const error = new Error(message);
+    error.name = "AbortError";
+    return error;
+}
+
+/**
+ * Masks credential query parameters in a URL
+ * @param {string} url - Request URL
+ * @param {string[]} params - Query parameter names to mask
+ * @returns {string} URL with the parameter values replaced by "REDACTED"
+ */
+function redactUrl(url, params = DEFAULT_REDACT) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+
+    let changed = false;
+    for (const name of params) {
+        if (parsed.searchParams.has(name)) {
+            parsed.searchParams.set(name, REDACTED);
+            changed = true;
+        }
+    }
+    return changed ? parsed.toString() : url;
+}
+
+function _requestUrl(input) {
+    return typeof input === "string" ? input : (input && input.url) || String(input);
+}
+
+// Fixtures identify a request by method, redacted URL and (string) body
+function _fixtureKey(method, url, body) {
+    return `${method} ${url}${body ? `\n${body}` : ""}`;
+}
+
+function _describeRequest(input, init, redact) {
+    const method = ((init && init.method) || "GET").toUpperCase();
+    const url = redactUrl(_requestUrl(input), redact);
+    const body = init && typeof init.body === "string" ? init.body : null;
+    return { method, url, body };
+}
+
+function _encodeBase64(bytes) {
+    if (typeof Buffer !== "undefined") return Buffer.from(bytes).toString("base64");
+    let binary = "";
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+function _decodeBase64(base64) {
+    if (typeof Buffer !== "undefined") return Buffer.from(base64, "base64");
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Normalises fixtures given as an array, a { version, entries } document or (Node.js) a file path
+ * @param {Array|Object|string} source - Fixture entries, fixture document or path to a JSON file
+ * @returns {Array} Fixture entries
+ */
+function loadFixtures(source) {
+    if (typeof source === "string") {
+        if (typeof require !== "function") {
+            throw new Error("Loading fixtures from a file is only available in Node.js");
+        }
+        source = JSON.parse(require("fs").readFileSync(source, "utf8"));
+    }
+
+    const entries = Array.isArray(source) ? source : source && source.entries;
+    if (!Array.isArray(entries)) {
+        throw new Error("fixtures must be an array of entries or an object with an `entries` array");
+    }
+    return entries;
+}
+
+/**
+ * Creates a recording transport that forwards to a real fetch and captures every response
+ * @param {Object} options - { fetch (default: global fetch), redact: query params to mask }
+ * @returns {Object} Recorder with fetch(input, init), entries(), toJSON(), save(file) and clear()
+ */
+function createRecorder(options = {}) {
+    const redact = options.redact || DEFAULT_REDACT;
+    const entries = [];
+
+    const target = () => {
+        const transport = options.fetch || (typeof fetch === "function" ? fetch : null);
+        if (!transport) throw new Error("No fetch implementation available to record from");
+        return transport;
+    };
+
+    return {
+        async fetch(input, init = {}) {
+            const response = await target()(input, init);
+            const bytes = new Uint8Array(await response.arrayBuffer());
+
+            const headers = {};
+            response.headers.forEach((value, key) => {
+                headers[key] = value;
+            });
+
+            const textual = TEXT_CONTENT_TYPE.test(headers["content-type"] || "");
+            entries.push({
+                request: _describeRequest(input, init, redact),
+                response: {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers,
+                    encoding: textual ? "utf8" : "base64",
+                    body: textual ? new TextDecoder().decode(bytes) : _encodeBase64(bytes)
+                }
+            });
+
+            // The original body has been read; hand back an identical copy
+            return new Response(bytes.length > 0 ? bytes : null, {
+                status: response.status,
+                statusText: response.statusText,
+                headers
+            });
+        },
+
+        entries() {
+            return entries.map(entry => JSON.parse(JSON.stringify(entry)));
+        },
+
+        toJSON() {
+            return { version: FIXTURE_VERSION, entries: this.entries() };
+        },
+
+        /**
+         * Writes the captured fixtures as JSON (Node.js only)
+         * @param {string} file - Destination path; missing directories are created
+         * @returns {Promise<void>}
+         */
+        async save(file) {
+            if (typeof require !== "function") {
+                throw new Error("Saving fixtures is only available in Node.js");
+            }
+            const fs = require("fs").promises;
+            const path = require("path");
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+        },
+
+        clear() {
+            entries.length = 0;
+        }
+    };
+}
+
+/**
+ * Creates a transport that serves recorded responses and never touches the network.
+ * Requests are matched on method, URL (credentials redacted) and body. Several
+ * recordings of the same request are served in order; the last one then repeats.
+ * An unmatched request rejects with a non-retryable UsefulAPIError (code FIXTURE_NOT_FOUND).
+ * @param {Array|Object|string} source - Fixture entries, fixture document or path to a JSON file
+ * @param {Object} options - { redact: query params to mask, must match the recorder's }
+ * @returns {Object} Replayer with fetch(input, init), unused() and reset()
+ */
+function createReplayer(source, options = {}) {
+    const redact = options.redact || DEFAULT_REDACT;
+    const recorded = new Map();
+    const served = new Map();
+
+    for (const entry of loadFixtures(source)) {
+        const { method = "GET", url, body = null } = entry.request || {};
+        const key = _fixtureKey(method.toUpperCase(), url, body);
+        if (!recorded.has(key)) recorded.set(key, []);
+        recorded.get(key).push(entry.response);
+    }
+
+    return {
+        async fetch(input, init = {}) {
+            if (init.signal && init.signal.aborted) {
+                throw init.signal.reason || _createAbortError("Request aborted");
+            }
+
+            const { method, url, body } = _describeRequest(input, init, redact);
+            const key = _fixtureKey(method, url, body);
+            const responses = recorded.get(key);
+
+            if (!responses) {
+                throw new UsefulAPIError(`No fixture recorded for ${method} ${url}`, {
+                    code: "FIXTURE_NOT_FOUND",
+                    details: { method, url, body }
+                });
+            }
+
+            const count = served.get(key) || 0;
+            served.set(key, count + 1);
+            const fixture = responses[Math.min(count, responses.length - 1)];
+
+            const payload = fixture.encoding === "base64"
+                ? _decodeBase64(fixture.body || "")
+                : fixture.body;
+            return new Response(payload === "" || payload === undefined ? null : payload, {
+                status: fixture.status,
+                statusText: fixture.statusText || "",
+                headers: fixture.headers || {}
+            });
+        },
+
+        /**
+         * Lists recorded requests that were never replayed
+         * @returns {string[]} "METHOD url" descriptions
+         */
+        unused() {
+            return [...recorded.keys()].filter(key => !served.has(key));
+        },
+
+        reset() {
+            served.clear();
+        }
+    };
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createRecorder,
+        createReplayer,
+        loadFixtures,
+        redactUrl,
+        DEFAULT_REDACT
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsFixtures = {
+        createRecorder,
+        createReplayer,
+        loadFixtures,
+        redactUrl,
+        DEFAULT_REDACT
+    };
+}
@@ -0,0 +1,573 @@
+/**
+ * HTTP Client
+ * Shared transport used by every API module. Wraps the native Fetch API with
+ * timeouts, AbortSignal cancellation and retries (exponential backoff with
+ * jitter, honouring Retry-After) on 429/5xx responses and network failures.
+ * Successful GET responses can be served from the shared cache (see cache.js),
+ * and requests tagged with a provider are paced by its rate limit (see rateLimiter.js).
+ * Concurrent identical GET requests share one upstream call ("single flight").
+ * Every request reports start/retry/end/error events to listeners (see events.js).
+ * Network failures and timeouts surface as NetworkError / TimeoutError (see errors.js).
+ * The underlying fetch implementation can be swapped out, e.g. for the fixture
+ * recorder/replayer in fixtures.js.
+ *
+ * Usage:
+ *   const { request, configure } = require("../core/httpClient.js");
+ *   configure({ timeout: 5000, retries: 3 });
+ *   const response = await request("https://api.example.com/data", { timeout: 2000 });
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const DEFAULT_CONFIG = {
+    timeout: 10000,
+    retries: 2,
+    retryOn: [408, 425, 429, 500, 502, 503, 504],
+    backoff: { base: 300, factor: 2, max: 10000, jitter: true },
+    maxRetryAfter: 60000,
+    dedupe: true,
+    fetch: null
+};
+
+// Keys that belong to the client rather than to fetch()
+const CLIENT_OPTION_KEYS = ["timeout", "retries", "retryOn", "backoff", "maxRetryAfter", "signal", "cache", "dedupe", "fetch", "trace"];
+
+// Set by the calling module, never picked from user options
+const MODULE_OPTION_KEYS = ["provider"];
+
+const { UsefulAPIError, NetworkError, TimeoutError, isAbortError } = typeof require === "function"
+    ? require("./errors.js")
+    : window.UsefulAPIsErrors;
+
+// The cache is optional in the browser: without cache.js nothing is cached
+const responseCache = typeof require === "function"
+    ? require("./cache.js")
+    : (typeof window !== "undefined" ? window.UsefulAPIsCache : null);
+
+// Likewise optional: without rateLimiter.js requests are never queued
+const rateLimiter = typeof require === "function"
+    ? require("./rateLimiter.js")
+    : (typeof window !== "undefined" ? window.UsefulAPIsRateLimiter : null);
+
+// Optional as well: without events.js no request events are reported
+const requestEvents = typeof require === "function"
+    ? require("./events.js")
+    : (typeof window !== "undefined" ? window.UsefulAPIsEvents : null);
+
+let config = _cloneConfig(DEFAULT_CONFIG);
+
+// Upstream requests in progress, by flight key (see _flightKey)
+const inFlight = new Map();
+// Numbers the transports requests go through, so a flight key tells them apart
+const transportIds = new WeakMap();
+let nextTransportId = 1;
+
+function _cloneConfig(source) {
+    return { ...source, retryOn: [...source.retryOn], backoff: { ...source.backoff } };
+}
+
+function _createAbortError(message) {
+    const error = new Error(message);
+    error.name = "AbortError";
+    return error;
+}
+
+/**
+ * Updates the defaults used by every request made through the client
+ * @param {Object} options - { timeout, retries, retryOn, backoff: { base, factor, max, jitter }, maxRetryAfter, dedupe, fetch }
+ * @returns {Object} The resulting configuration
+ */
+function configure(options = {}) {
+    if (!options || typeof options !== "object") {
+        throw new Error("options must be an object");
+    }
+
+    if (options.fetch !== undefined && options.fetch !== null && typeof options.fetch !== "function") {
+        throw new Error("fetch must be a function, or null to use the global fetch");
+    }
+
+    const next = _cloneConfig(config);
+    for (const key of Object.keys(options)) {
+        if (key === "backoff") {
+            next.backoff = { ...next.backoff, ...options.backoff };
+        } else if (key === "retryOn") {
+            next.retryOn = [...options.retryOn];
+        } else {
+            next[key] = options[key];
+        }
+    }
+    config = next;
+    return getConfig();
+}
+
+/**
+ * Gets a copy of the current client configuration
+ * @returns {Object} Current configuration
+ */
+function getConfig() {
+    return _cloneConfig(config);
+}
+
+/**
+ * Restores the built-in defaults
+ * @returns {Object} The default configuration
+ */
+function resetConfig() {
+    config = _cloneConfig(DEFAULT_CONFIG);
+    return getConfig();
+}
+
+/**
+ * Extracts the transport options (signal, timeout, retries, cache, dedupe, fetch, trace) from a module's options object
+ * @param {Object} options - Options object passed to a module function
+ * @returns {Object} Options understood by request()
+ */
+function pickRequestOptions(options = {}) {
+    const picked = {};
+    if (!options || typeof options !== "object") return picked;
+    for (const key of CLIENT_OPTION_KEYS) {
+        if (options[key] !== undefined) picked[key] = options[key];
+    }
+    return picked;
+}
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === "") return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * Computes the backoff delay for a retry attempt ("full jitter" strategy)
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} backoff - { base, factor, max, jitter }
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, backoff = config.backoff) {
+    const { base = 300, factor = 2, max = 10000, jitter = true } = backoff;
+    const ceiling = Math.min(max, base * Math.pow(factor, attempt));
+    return jitter ? Math.round(Math.random() * ceiling) : ceiling;
+}
+
+function _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason || _createAbortError("Request aborted"));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || _createAbortError("Request aborted"));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+// The configured transport, falling back to the global fetch at call time
+function _transport(override) {
+    const transport = override || (typeof fetch === "function" ? fetch : null);
+    if (!transport) {
+        throw new Error("No fetch implementation available. Use Node.js 18+ or configure({ fetch })");
+    }
+    return transport;
+}
+
+// Runs a single fetch attempt bound to the caller's signal and the timeout
+async function _attempt(url, init, timeout, signal, provider, transport) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    const timer = timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout)
+        : null;
+
+    try {
+        return await transport(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        // Typed errors raised by a custom transport (e.g. a missing fixture) pass through
+        if (error instanceof UsefulAPIError) throw error;
+        if (timedOut) {
+            throw new TimeoutError(`Request timed out after ${timeout}ms`, { provider, cause: error });
+        }
+        if ((signal && signal.aborted) || isAbortError(error)) throw error;
+        throw new NetworkError(`Network request failed: ${error.message}`, { provider, cause: error });
+    } finally {
+        if (timer) clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+    }
+}
+
+// Frees the connection of a response we are about to discard
+async function _discard(response) {
+    try {
+        if (response.body && typeof response.body.cancel === "function") {
+            await response.body.cancel();
+        }
+    } catch (error) {
+        // ignore - the response is being thrown away
+    }
+}
+
+function _encodeBody(buffer) {
+    if (typeof Buffer !== "undefined") return Buffer.from(buffer).toString("base64");
+    let binary = "";
+    const bytes = new Uint8Array(buffer);
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+function _decodeBody(base64) {
+    if (typeof Buffer !== "undefined") return Buffer.from(base64, "base64");
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// Reads a response into a plain, JSON-serialisable object
+async function _snapshot(response) {
+    const headers = {};
+    response.headers.forEach((value, key) => {
+        headers[key] = value;
+    });
+    return {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        body: _encodeBody(await response.arrayBuffer())
+    };
+}
+
+// Rebuilds a fresh Response from a snapshot; each caller gets its own body stream
+function _fromSnapshot(snapshot) {
+    return new Response(_decodeBody(snapshot.body), {
+        status: snapshot.status,
+        statusText: snapshot.statusText,
+        headers: snapshot.headers
+    });
+}
+
+// Works out whether and how a request should be cached
+function _cachePlan(url, init, cacheOption) {
+    if (!cacheOption || !responseCache || !responseCache.isCacheEnabled()) return null;
+
+    const method = (init.method || "GET").toUpperCase();
+    if (method !== "GET") return null;
+
+    const ttl = responseCache.resolveTtl(cacheOption.name, Number(cacheOption.ttl) || 0);
+    if (!(ttl > 0)) return null;
+
+    return { key: cacheOption.key || responseCache.cacheKey(method, url), ttl };
+}
+
+// Identical GET/HEAD requests through the same transport share a key. Requests
+// with a body, and calls made with `dedupe: false`, always go out on their own.
+function _flightKey(url, init, settings) {
+    if (!settings.dedupe) return null;
+
+    const method = (init.method || "GET").toUpperCase();
+    if (method !== "GET" && method !== "HEAD") return null;
+    if (init.body !== undefined && init.body !== null) return null;
+
+    // Calls only share a request sent through the same transport (a client's
+    // `transport`, a per-call `fetch`, or configure({ fetch }) / the global fetch)
+    const transport = settings.fetch || null;
+    if (transport && !transportIds.has(transport)) transportIds.set(transport, nextTransportId++);
+    const { headers, ...rest } = init;
+    return JSON.stringify([method, url, [...new Headers(headers || {})], rest, transport ? transportIds.get(transport) : 0]);
+}
+
+// Stores a successful response in the cache and returns its snapshot
+async function _store(response, plan) {
+    const snapshot = await _snapshot(response);
+    await responseCache.writeCache(plan.key, snapshot, plan.ttl);
+    return snapshot;
+}
+
+// Rebuilds a caller's Response from a shared snapshot. The body is parsed
+// once for every caller, and each json() call gets its own copy of the result.
+function _fromShared(shared) {
+    const response = _fromSnapshot(shared.snapshot);
+    response.json = async () => {
+        if (!shared.json) shared.json = _fromSnapshot(shared.snapshot).json();
+        const data = await shared.json;
+        return typeof structuredClone === "function" ? structuredClone(data) : JSON.parse(JSON.stringify(data));
+    };
+    return response;
+}
+
+// Settles with `promise`, or rejects as soon as the caller's signal aborts
+function _untilAborted(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason || _createAbortError("Request aborted"));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason || _createAbortError("Request aborted"));
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+    });
+}
+
+// Starts the upstream request for a flight. It runs on its own signal, which is
+// aborted only once every caller waiting on it has gone. The first response is
+// handed over as is when a single caller is left and nothing is cached; otherwise
+// it is read once into a snapshot that every caller rebuilds a Response from.
+function _startFlight(key, url, init, settings, backoff, plan) {
+    const controller = new AbortController();
+    const flight = { callers: new Set(), controller, settled: false };
+
+    // Retries are reported to the longest-waiting caller
+    const relay = {
+        retry(details) {
+            const first = flight.callers.values().next().value;
+            if (first) first.tracker.retry(details);
+        }
+    };
+
+    flight.promise = (async () => {
+        try {
+            const response = await _requestWithRetry(url, init, { ...settings, signal: controller.signal }, backoff, relay);
+            if (inFlight.get(key) === flight) inFlight.delete(key);
+
+            const store = plan && response.ok;
+            if (!store && flight.callers.size <= 1) return { response };
+
+            const snapshot = store ? await _store(response, plan) : await _snapshot(response);
+            return { snapshot };
+        } finally {
+            flight.settled = true;
+            if (inFlight.get(key) === flight) inFlight.delete(key);
+        }
+    })();
+    // Callers observe the outcome; an abandoned flight must not reject unhandled
+    flight.promise.catch(() => {});
+
+    inFlight.set(key, flight);
+    return flight;
+}
+
+// Waits for a flight on behalf of one caller, starting it if none is in progress
+async function _joinFlight(key, url, init, settings, backoff, plan, tracker) {
+    const existing = inFlight.get(key);
+    const flight = existing || _startFlight(key, url, init, settings, backoff, plan);
+    const caller = { tracker };
+    flight.callers.add(caller);
+
+    try {
+        const outcome = await _untilAborted(flight.promise, settings.signal);
+        return outcome.response || _fromShared(outcome);
+    } finally {
+        flight.callers.delete(caller);
+        if (flight.callers.size === 0 && !flight.settled) {
+            // Nobody is waiting anymore: cancel the upstream request
+            if (inFlight.get(key) === flight) inFlight.delete(key);
+            flight.controller.abort(_createAbortError("Request aborted"));
+        }
+    }
+}
+
+// Starts reporting events for a request. Requests without a provider are labelled
+// with the upstream host, and the endpoint is the cache name or else the URL path.
+function _track(url, init, settings) {
+    if (!requestEvents) return { retry() {}, end() {}, fail() {} };
+
+    let host = null;
+    let path = url;
+    try {
+        const parsed = new URL(url);
+        host = parsed.host;
+        path = parsed.pathname;
+    } catch (error) {
+        // relative or malformed URLs are reported as given
+    }
+
+    return requestEvents.trackRequest({
+        url,
+        method: (init.method || "GET").toUpperCase(),
+        provider: settings.provider || host,
+        endpoint: (settings.cache && settings.cache.name) || path,
+        trace: settings.trace
+    });
+}
+
+/**
+ * Performs an HTTP request with timeout, cancellation and retries.
+ * Resolves with the final Response (which may still be non-OK once retries
+ * are exhausted), so callers keep checking `response.ok` as with fetch().
+ * Rejects with NetworkError/TimeoutError, or the caller's AbortError when cancelled.
+ *
+ * Pass `cache: { name, ttl }` to let a successful GET response be reused for
+ * `ttl` milliseconds once a cache backend is configured; `name` identifies the
+ * endpoint so users can override its TTL. `cache: false` bypasses the cache.
+ *
+ * Pass `provider` (e.g. 'coingecko') to queue every attempt, retries included,
+ * behind that provider's rate limit. Cache hits never consume a token. Time in
+ * the queue counts against `timeout`: an attempt that would wait longer rejects
+ * at once with a RateLimitError whose `retryAfter` is the expected wait.
+ *
+ * While a GET request is in flight, identical calls (same URL, headers and
+ * fetch options) wait for it instead of sending their own. Every caller gets
+ * its own Response; the body is read once and `json()` parses it once, handing
+ * each caller a copy. A caller that aborts only stops waiting: the upstream
+ * request is cancelled when no caller is left. The first caller's timeout and
+ * retry settings apply to the shared request. Pass `dedupe: false` to opt out.
+ *
+ * Pass `fetch` to send this request through a custom transport instead of the
+ * configured one (see configure()). Only calls through the same transport share a request.
+ *
+ * Pass `trace` (any value, e.g. { requestId }) to have it attached to every
+ * request event reported for this call (see events.js).
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch() init plus { timeout, retries, retryOn, backoff, maxRetryAfter, signal, cache, dedupe, fetch, trace, provider }
+ * @returns {Promise<Response>} Fetch Response
+ */
+async function request(url, options = {}) {
+    const settings = { ...config, ...pickRequestOptions(options), provider: options.provider };
+    const backoff = { ...config.backoff, ...(options.backoff || {}) };
+
+    const init = {};
+    for (const key of Object.keys(options)) {
+        if (!CLIENT_OPTION_KEYS.includes(key) && !MODULE_OPTION_KEYS.includes(key)) init[key] = options[key];
+    }
+
+    const tracker = _track(url, init, settings);
+
+    const plan = _cachePlan(url, init, settings.cache);
+    if (plan) {
+        const cached = await responseCache.readCache(plan.key);
+        if (cached) {
+            tracker.end(cached.status, true);
+            return _fromSnapshot(cached);
+        }
+    }
+
+    const key = _flightKey(url, init, settings);
+    if (key) {
+        // Joining a request another caller started
+        const shared = inFlight.has(key);
+        let response;
+        try {
+            response = await _joinFlight(key, url, init, settings, backoff, plan, tracker);
+        } catch (error) {
+            tracker.fail(error, shared);
+            throw error;
+        }
+        tracker.end(response.status, false, shared);
+        return response;
+    }
+
+    let response;
+    try {
+        response = await _requestWithRetry(url, init, settings, backoff, tracker);
+    } catch (error) {
+        tracker.fail(error);
+        throw error;
+    }
+    tracker.end(response.status, false);
+
+    if (!plan || !response.ok) return response;
+    return _fromSnapshot(await _store(response, plan));
+}
+
+// The retry loop behind request()
+async function _requestWithRetry(url, init, settings, backoff, tracker) {
+    const { timeout, retries, retryOn, maxRetryAfter, signal, provider } = settings;
+    const maxAttempts = Math.max(0, Number(retries) || 0) + 1;
+    const transport = _transport(settings.fetch);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        if (signal && signal.aborted) {
+            throw signal.reason || _createAbortError("Request aborted");
+        }
+
+        const isLastAttempt = attempt === maxAttempts - 1;
+        let response;
+        let attemptTimeout = timeout;
+
+        if (rateLimiter && provider) {
+            // The queue wait counts against the timeout; a longer wait fails at once
+            const waited = await rateLimiter.schedule(provider, signal, timeout > 0 ? timeout : undefined);
+            if (timeout > 0) attemptTimeout = Math.max(1, timeout - waited);
+        }
+
+        try {
+            response = await _attempt(url, init, attemptTimeout, signal, provider, transport);
+        } catch (error) {
+            // Caller cancellations and non-retryable typed errors are never retried
+            if ((signal && signal.aborted) || isLastAttempt || error.retryable === false) throw error;
+            const delay = computeBackoff(attempt, backoff);
+            tracker.retry({ error, delay });
+            await _sleep(delay, signal);
+            continue;
+        }
+
+        if (isLastAttempt || !retryOn.includes(response.status)) {
+            return response;
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+        if (retryAfter !== null && retryAfter > maxRetryAfter) {
+            // Upstream asked us to back off longer than we are willing to wait
+            return response;
+        }
+
+        await _discard(response);
+        const delay = retryAfter !== null ? retryAfter : computeBackoff(attempt, backoff);
+        tracker.retry({ status: response.status, delay });
+        await _sleep(delay, signal);
+    }
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        request,
+        configure,
+        getConfig,
+        resetConfig,
+        pickRequestOptions,
+        parseRetryAfter,
+        computeBackoff
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsHttp = {
+        request,
+        configure,
+        getConfig,
+        resetConfig,
+        pickRequestOptions,
+        parseRetryAfter,
+        computeBackoff
+    };
+}
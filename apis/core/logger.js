@@ -0,0 +1,88 @@
+/**
+ * Logger
+ * Opt-in logging for every API module. Modules log through `logger`, which is
+ * silent until an implementation is installed with setLogger(). API keys are
+ * redacted from every message before it reaches the implementation.
+ *
+ * Usage:
+ *   const { setLogger } = require("../core/logger.js");
+ *   setLogger(console);                          // log everything to the console
+ *   setLogger({ error: (...args) => myLog(...args) }); // only errors, to your own sink
+ *   setLogger(null);                             // silence again
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+const { redact } = typeof require === "function"
+    ? require("./config.js")
+    : window.UsefulAPIsConfig;
+
+let current = null;
+
+/**
+ * Installs a logger. Any object with some of debug/info/warn/error works (console, pino, winston...).
+ * @param {Object|null} implementation - Logger implementation, or null to disable logging
+ */
+function setLogger(implementation) {
+    if (implementation !== null && typeof implementation !== "object") {
+        throw new Error("logger must be an object with debug/info/warn/error methods, or null");
+    }
+    current = implementation;
+}
+
+/**
+ * Gets the installed logger implementation
+ * @returns {Object|null}
+ */
+function getLogger() {
+    return current;
+}
+
+// Masks keys in strings and in the message and stack of plain errors
+function _scrub(arg) {
+    if (typeof arg === "string") return redact(arg);
+    if (!(arg instanceof Error)) return arg;
+
+    const message = redact(arg.message);
+    const stack = redact(arg.stack);
+    if (message === arg.message && stack === arg.stack) return arg;
+
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(arg)), arg);
+    Object.defineProperty(copy, "message", { value: message, writable: true, configurable: true });
+    Object.defineProperty(copy, "stack", { value: stack, writable: true, configurable: true });
+    return copy;
+}
+
+// Delegates to the installed implementation at call time; missing levels are ignored
+const logger = {};
+for (const level of LEVELS) {
+    logger[level] = (...args) => {
+        if (current && typeof current[level] === "function") {
+            try {
+                current[level](...args.map(_scrub));
+            } catch (error) {
+                // a failing logger must never break an API call
+            }
+        }
+    };
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        logger,
+        setLogger,
+        getLogger
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsLogger = {
+        logger,
+        setLogger,
+        getLogger
+    };
+}
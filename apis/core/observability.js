@@ -0,0 +1,242 @@
+/**
+ * Observability Adapters
+ * Ready-made request event listeners (see events.js): one keeps Prometheus-style
+ * counters, a latency histogram and an in-flight gauge and renders them in the
+ * text exposition format; the other writes one structured JSON line per request.
+ *
+ * Usage:
+ *   const { onRequest } = require("../core/events.js");
+ *   const { createPrometheusExporter, createJsonLogExporter } = require("../core/observability.js");
+ *
+ *   const metrics = createPrometheusExporter();
+ *   onRequest(metrics.handle);
+ *   // GET /metrics -> res.end(metrics.render())
+ *
+ *   onRequest(createJsonLogExporter({ write: line => process.stdout.write(line + "\n") }).handle);
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Upper bounds of the latency histogram, in seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const { redact } = typeof require === "function"
+    ? require("./config.js")
+    : window.UsefulAPIsConfig;
+
+function _escapeLabel(value) {
+    return String(value === null || value === undefined ? "" : value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, "\\\"")
+        .replace(/\n/g, "\\n");
+}
+
+function _labelString(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${_escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// A counter or gauge: one value per label set
+function _series() {
+    const values = new Map();
+    return {
+        add(labels, amount = 1) {
+            const key = _labelString(labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        lines(name) {
+            return [...values].map(([key, value]) => `${name}${key} ${value}`);
+        }
+    };
+}
+
+function _histogram(buckets) {
+    const values = new Map();
+    return {
+        observe(labels, value) {
+            const key = JSON.stringify(labels);
+            if (!values.has(key)) {
+                values.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = values.get(key);
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        lines(name) {
+            const lines = [];
+            for (const { labels, counts, sum, count } of values.values()) {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${_labelString({ ...labels, le: bound })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${_labelString({ ...labels, le: "+Inf" })} ${count}`);
+                lines.push(`${name}_sum${_labelString(labels)} ${sum}`);
+                lines.push(`${name}_count${_labelString(labels)} ${count}`);
+            }
+            return lines;
+        }
+    };
+}
+
+/**
+ * Creates a listener that aggregates request events into Prometheus metrics:
+ * requests_total{provider,endpoint,method,status} (status is "error" for failed calls),
+ * request_errors_total{provider,endpoint,method,code}, cache_hits_total,
+ * shared_requests_total, retries_total, requests_in_flight and
+ * request_duration_seconds (cache hits and shared requests excluded)
+ * @param {Object} options - { prefix: metric name prefix (default 'useful_apis'), buckets: histogram bounds in seconds }
+ * @returns {Object} { handle(event), render() => exposition text, reset(), contentType }
+ */
+function createPrometheusExporter(options = {}) {
+    const prefix = options.prefix === undefined ? "useful_apis" : options.prefix;
+    const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix)) {
+        throw new Error("prefix must be a valid Prometheus metric name");
+    }
+    if (buckets.some(bound => typeof bound !== "number" || !(bound > 0))) {
+        throw new Error("buckets must be positive numbers");
+    }
+
+    let metrics;
+    const reset = () => {
+        metrics = {
+            requests: _series(),
+            errors: _series(),
+            cacheHits: _series(),
+            shared: _series(),
+            retries: _series(),
+            inFlight: _series(),
+            duration: _histogram(buckets)
+        };
+    };
+    reset();
+
+    const definitions = [
+        ["requests_total", "counter", "Upstream requests, by final HTTP status", "requests"],
+        ["request_errors_total", "counter", "Upstream requests that failed without a response", "errors"],
+        ["cache_hits_total", "counter", "Requests served from the response cache", "cacheHits"],
+        ["shared_requests_total", "counter", "Requests that joined an identical request already in flight", "shared"],
+        ["retries_total", "counter", "Retried upstream attempts", "retries"],
+        ["requests_in_flight", "gauge", "Upstream requests in progress", "inFlight"],
+        ["request_duration_seconds", "histogram", "Upstream request latency, retries included", "duration"]
+    ];
+
+    function handle(event) {
+        const where = { provider: event.provider, endpoint: event.endpoint };
+        const labels = { ...where, method: event.method };
+
+        if (event.type === "request:start") {
+            metrics.inFlight.add({ provider: event.provider }, 1);
+            return;
+        }
+        if (event.type === "request:retry") {
+            metrics.retries.add(where);
+            return;
+        }
+        if (event.type !== "request:end" && event.type !== "request:error") return;
+
+        metrics.inFlight.add({ provider: event.provider }, -1);
+
+        if (event.type === "request:error") {
+            const error = event.error || {};
+            metrics.requests.add({ ...labels, status: "error" });
+            metrics.errors.add({ ...labels, code: error.code || error.name || "UNKNOWN_ERROR" });
+        } else {
+            metrics.requests.add({ ...labels, status: event.status });
+        }
+
+        if (event.cached) {
+            metrics.cacheHits.add(where);
+        } else if (event.shared) {
+            metrics.shared.add(where);
+        } else {
+            metrics.duration.observe(where, event.duration / 1000);
+        }
+    }
+
+    function render() {
+        const lines = [];
+        for (const [name, type, help, key] of definitions) {
+            const full = prefix ? `${prefix}_${name}` : name;
+            lines.push(`# HELP ${full} ${help}`);
+            lines.push(`# TYPE ${full} ${type}`);
+            lines.push(...metrics[key].lines(full));
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    return { handle, render, reset, contentType: PROMETHEUS_CONTENT_TYPE };
+}
+
+/**
+ * Creates a listener that writes request events as JSON lines:
+ * { time, event, id, provider, endpoint, method, url, status, durationMs, cached, shared, retries, trace, error }
+ * @param {Object} options - {
+ *     write: (line) => void sink (default: console.log),
+ *     events: event types to log (default: ['request:end', 'request:error'])
+ * }
+ * @returns {Object} { handle(event) }
+ */
+function createJsonLogExporter(options = {}) {
+    const write = options.write || (line => console.log(line));
+    const types = options.events || ["request:end", "request:error"];
+    if (typeof write !== "function") {
+        throw new Error("write must be a function");
+    }
+
+    function handle(event) {
+        if (!types.includes(event.type)) return;
+
+        const record = {
+            time: new Date(event.timestamp).toISOString(),
+            event: event.type,
+            id: event.id,
+            provider: event.provider,
+            endpoint: event.endpoint,
+            method: event.method,
+            url: event.url
+        };
+        if (event.status !== undefined) record.status = event.status;
+        if (event.duration !== undefined) record.durationMs = event.duration;
+        if (event.cached !== undefined) record.cached = event.cached;
+        if (event.shared !== undefined) record.shared = event.shared;
+        if (event.retries !== undefined) record.retries = event.retries;
+        if (event.delay !== undefined) record.delayMs = event.delay;
+        if (event.trace !== undefined) record.trace = event.trace;
+        if (event.error) {
+            record.error = {
+                name: event.error.name,
+                code: event.error.code,
+                message: redact(String(event.error.message))
+            };
+        }
+
+        write(JSON.stringify(record));
+    }
+
+    return { handle };
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createPrometheusExporter,
+        createJsonLogExporter,
+        PROMETHEUS_CONTENT_TYPE,
+        DEFAULT_BUCKETS
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsObservability = {
+        createPrometheusExporter,
+        createJsonLogExporter,
+        PROMETHEUS_CONTENT_TYPE,
+        DEFAULT_BUCKETS
+    };
+}
@@ -0,0 +1,316 @@
+/**
+ * Provider Registry
+ * Lets a capability (exchange rates, IP geolocation, URL shortening, QR images,
+ * translation, routing...) be served by an ordered list of interchangeable
+ * providers. Calls go to the first healthy provider that implements the method;
+ * when it fails on its side (network, timeout, rate limit, auth, 5xx, bad payload)
+ * the next one is tried. A provider that fails `failureThreshold` times in a row
+ * is benched for `cooldown` ms and only used again when every other one is down.
+ *
+ * Usage:
+ *   const { registerProvider, setProviderOrder, callWithFailover } = require("../core/providers.js");
+ *   registerProvider("exchange-rates", {
+ *       name: "my-rates",
+ *       getRates: async (base, requestOptions) => ({ base, date: "2024-01-01", rates: { EUR: 0.9 } })
+ *   });
+ *   setProviderOrder("exchange-rates", ["my-rates"]);
+ *   const rates = await callWithFailover("exchange-rates", "getRates", ["USD"]);
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const DEFAULT_HEALTH = {
+    failureThreshold: 3,
+    cooldown: 30 * 1000
+};
+
+const { ValidationError, NotFoundError, isAbortError } = typeof require === "function"
+    ? require("./errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("./logger.js")
+    : window.UsefulAPIsLogger;
+
+// capability => ordered provider list
+const registry = new Map();
+// "capability/name" => health record
+const health = new Map();
+let healthConfig = { ...DEFAULT_HEALTH };
+
+function _providers(capability) {
+    if (!registry.has(capability)) registry.set(capability, []);
+    return registry.get(capability);
+}
+
+function _health(capability, name) {
+    const key = `${capability}/${name}`;
+    if (!health.has(key)) {
+        health.set(key, { failures: 0, benchedUntil: 0, successes: 0, errors: 0, lastError: null });
+    }
+    return health.get(key);
+}
+
+function _isBenched(record) {
+    return record.benchedUntil > Date.now();
+}
+
+// "stop": the caller's fault, no other provider will do better
+// "skip": this provider does not have it, try the next one without penalty
+// "fail": the provider is at fault, count it and fail over
+function _outcome(error) {
+    if (isAbortError(error) || error instanceof ValidationError) return "stop";
+    if (error instanceof NotFoundError) return "skip";
+    return "fail";
+}
+
+/**
+ * Adds a provider to a capability, or replaces the one with the same name in place
+ * @param {string} capability - Capability name, e.g. 'exchange-rates'
+ * @param {Object} provider - { name, available?(context) => boolean, ...methods }
+ * @param {Object} options - { position: index in the list (default: last) }
+ * @returns {Object} The registered provider
+ */
+function registerProvider(capability, provider, options = {}) {
+    if (!capability || typeof capability !== "string") {
+        throw new Error("capability must be a non-empty string");
+    }
+    if (!provider || typeof provider !== "object" || !provider.name || typeof provider.name !== "string") {
+        throw new Error("provider must be an object with a name");
+    }
+    if (provider.available !== undefined && typeof provider.available !== "function") {
+        throw new Error("provider.available must be a function");
+    }
+
+    const list = _providers(capability);
+    const existing = list.findIndex(entry => entry.name === provider.name);
+    if (existing !== -1) {
+        list[existing] = provider;
+        return provider;
+    }
+
+    const position = options.position === undefined ? list.length : options.position;
+    if (!Number.isInteger(position) || position < 0) {
+        throw new Error("position must be a non-negative integer");
+    }
+    list.splice(Math.min(position, list.length), 0, provider);
+    return provider;
+}
+
+/**
+ * Removes a provider from a capability
+ * @param {string} capability - Capability name
+ * @param {string} name - Provider name
+ * @returns {boolean} True if it was registered
+ */
+function unregisterProvider(capability, name) {
+    const list = _providers(capability);
+    const index = list.findIndex(entry => entry.name === name);
+    if (index === -1) return false;
+    list.splice(index, 1);
+    health.delete(`${capability}/${name}`);
+    return true;
+}
+
+/**
+ * Gets the providers of a capability, in order
+ * @param {string} capability - Capability name
+ * @returns {Array<Object>} Registered providers
+ */
+function getProviders(capability) {
+    return [..._providers(capability)];
+}
+
+/**
+ * Moves the named providers to the front of a capability's list, in the given order
+ * @param {string} capability - Capability name
+ * @param {string[]} names - Provider names; unlisted providers keep their order after them
+ * @returns {string[]} The resulting order
+ */
+function setProviderOrder(capability, names) {
+    if (!Array.isArray(names)) {
+        throw new Error("names must be an array of provider names");
+    }
+    const list = _providers(capability);
+    const unknown = names.filter(name => !list.some(entry => entry.name === name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown ${capability} provider(s): ${unknown.join(", ")}`);
+    }
+
+    const ordered = names.map(name => list.find(entry => entry.name === name));
+    const rest = list.filter(entry => !names.includes(entry.name));
+    list.splice(0, list.length, ...ordered, ...rest);
+    return list.map(entry => entry.name);
+}
+
+/**
+ * Updates when providers are benched
+ * @param {Object} options - { failureThreshold: consecutive failures before benching (default 3), cooldown: ms benched (default 30000) }
+ * @returns {Object} The resulting settings
+ */
+function configureProviderHealth(options = {}) {
+    if (!options || typeof options !== "object") {
+        throw new Error("options must be an object");
+    }
+    const next = { ...healthConfig, ...options };
+    if (!Number.isInteger(next.failureThreshold) || next.failureThreshold < 1) {
+        throw new Error("failureThreshold must be a positive integer");
+    }
+    if (typeof next.cooldown !== "number" || next.cooldown < 0) {
+        throw new Error("cooldown must be a non-negative number");
+    }
+    healthConfig = next;
+    return { ...healthConfig };
+}
+
+/**
+ * Reports the health of a capability's providers
+ * @param {string} capability - Capability name
+ * @returns {Array<Object>} { name, healthy, failures, benchedUntil, successes, errors, lastError } per provider, in order
+ */
+function getProviderHealth(capability) {
+    return _providers(capability).map(({ name }) => {
+        const record = _health(capability, name);
+        return {
+            name,
+            healthy: !_isBenched(record),
+            failures: record.failures,
+            benchedUntil: _isBenched(record) ? record.benchedUntil : null,
+            successes: record.successes,
+            errors: record.errors,
+            lastError: record.lastError
+        };
+    });
+}
+
+/**
+ * Clears the health records of one capability, or of every capability
+ * @param {string} capability - Capability name (optional)
+ */
+function resetProviderHealth(capability) {
+    if (capability === undefined) {
+        health.clear();
+        return;
+    }
+    for (const key of [...health.keys()]) {
+        if (key.startsWith(`${capability}/`)) health.delete(key);
+    }
+}
+
+/**
+ * Lists the providers a call would try, in order: healthy ones first, benched ones last
+ * @param {string} capability - Capability name
+ * @param {string} method - Method the providers must implement
+ * @param {Object} options - { provider: name or names to restrict to (in that order), context: passed to available() }
+ * @returns {Array<Object>} Candidate providers
+ * @throws {ValidationError} When a requested provider is not registered
+ */
+function getAvailableProviders(capability, method, options = {}) {
+    const list = _providers(capability);
+    let candidates = list;
+
+    if (options.provider !== undefined && options.provider !== null) {
+        const names = Array.isArray(options.provider) ? options.provider : [options.provider];
+        const unknown = names.filter(name => !list.some(entry => entry.name === name));
+        if (unknown.length > 0) {
+            const known = list.map(entry => entry.name).join(", ") || "none";
+            throw new ValidationError(`Unknown ${capability} provider: ${unknown.join(", ")}. Expected one of: ${known}`);
+        }
+        candidates = names.map(name => list.find(entry => entry.name === name));
+    }
+
+    const usable = candidates.filter(provider => {
+        if (typeof provider[method] !== "function") return false;
+        if (!provider.available) return true;
+        try {
+            return Boolean(provider.available(options.context));
+        } catch (error) {
+            logger.error(`Provider ${provider.name} availability check failed:`, error);
+            return false;
+        }
+    });
+
+    const healthy = usable.filter(provider => !_isBenched(_health(capability, provider.name)));
+    const benched = usable.filter(provider => _isBenched(_health(capability, provider.name)));
+    return [...healthy, ...benched];
+}
+
+/**
+ * Calls `method` on the first available provider, failing over to the next on provider errors
+ * @param {string} capability - Capability name
+ * @param {string} method - Provider method to call
+ * @param {Array} args - Arguments for the method
+ * @param {Object} options - { provider: name or names to restrict to, context: passed to available() }
+ * @returns {Promise<*>} The first successful result
+ * @throws {ValidationError} When no provider can serve the call; otherwise the last provider's error
+ */
+async function callWithFailover(capability, method, args = [], options = {}) {
+    const candidates = getAvailableProviders(capability, method, options);
+    if (candidates.length === 0) {
+        throw new ValidationError(`No ${capability} provider available for ${method}()`);
+    }
+
+    let lastError = null;
+    for (let i = 0; i < candidates.length; i++) {
+        const provider = candidates[i];
+        const record = _health(capability, provider.name);
+
+        try {
+            const result = await provider[method](...args);
+            record.failures = 0;
+            record.benchedUntil = 0;
+            record.successes++;
+            return result;
+        } catch (error) {
+            const outcome = _outcome(error);
+            if (outcome === "stop") throw error;
+
+            if (outcome === "fail") {
+                record.failures++;
+                record.errors++;
+                record.lastError = String(error && error.message);
+                if (record.failures >= healthConfig.failureThreshold) {
+                    record.benchedUntil = Date.now() + healthConfig.cooldown;
+                }
+            }
+
+            lastError = error;
+            if (i < candidates.length - 1) {
+                logger.warn(`${capability} provider ${provider.name} failed, trying ${candidates[i + 1].name}:`, error);
+            }
+        }
+    }
+    throw lastError;
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        registerProvider,
+        unregisterProvider,
+        getProviders,
+        setProviderOrder,
+        configureProviderHealth,
+        getProviderHealth,
+        resetProviderHealth,
+        getAvailableProviders,
+        callWithFailover,
+        DEFAULT_HEALTH
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsProviders = {
+        registerProvider,
+        unregisterProvider,
+        getProviders,
+        setProviderOrder,
+        configureProviderHealth,
+        getProviderHealth,
+        resetProviderHealth,
+        getAvailableProviders,
+        callWithFailover,
+        DEFAULT_HEALTH
+    };
+}
@@ -0,0 +1,302 @@
+/**
+ * Rate Limiter
+ * Client-side token-bucket scheduler shared by every API module in the process.
+ * Requests tagged with a provider name are queued (FIFO) and released only when
+ * that provider's bucket has a token, so loops and pollers stay within quota.
+ * The default limits are the providers' published quotas, so they are skipped
+ * for a provider whose base URL is overridden (e.g. pointed at the mock server).
+ *
+ * Usage:
+ *   const { configureRateLimits, getRateLimitStats } = require("../core/rateLimiter.js");
+ *   configureRateLimits({ "ip-api": { limit: 45, interval: 60 * 1000 } });
+ *   console.log(getRateLimitStats("ip-api"));
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Published free-tier quotas of the providers used in this repo
+const DEFAULT_LIMITS = {
+    "coingecko": { limit: 30, interval: MINUTE },
+    "finnhub": { limit: 60, interval: MINUTE },
+    "ip-api": { limit: 45, interval: MINUTE },
+    "jokeapi": { limit: 120, interval: MINUTE },
+    "omdb": { limit: 1000, interval: DAY, burst: 10 },
+    "newsapi": { limit: 100, interval: DAY, burst: 10 },
+    "osrm": { limit: 1, interval: 1000 }
+};
+
+const { RateLimitError } = typeof require === "function"
+    ? require("./errors.js")
+    : window.UsefulAPIsErrors;
+
+// Optional: without config.js base URL overrides are not detected
+const baseUrls = typeof require === "function"
+    ? require("./config.js")
+    : (typeof window !== "undefined" ? window.UsefulAPIsConfig : null);
+
+let limitConfig = { ...DEFAULT_LIMITS };
+const limiters = new Map();
+// Providers whose limit was set with configureRateLimits() rather than taken from DEFAULT_LIMITS
+const configured = new Set();
+
+function _createAbortError(message) {
+    const error = new Error(message);
+    error.name = "AbortError";
+    return error;
+}
+
+/**
+ * Creates a token-bucket limiter
+ * @param {Object} options - { limit, interval, burst } - `limit` tokens per `interval` ms, bucket size `burst` (default: limit)
+ * @returns {Object} Limiter with acquire(signal), nextWait(), stats() and reset()
+ */
+function createRateLimiter(options = {}) {
+    const limit = Number(options.limit);
+    const interval = Number(options.interval);
+
+    if (!(limit > 0) || !(interval > 0)) {
+        throw new Error("limit and interval must be positive numbers");
+    }
+
+    const capacity = Math.max(1, Number(options.burst) || limit);
+    const refillPerMs = limit / interval;
+
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let timer = null;
+    const queue = [];
+    const totals = { scheduled: 0, delayed: 0, waitMs: 0, maxWaitMs: 0 };
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - lastRefill) * refillPerMs);
+        lastRefill = now;
+    };
+
+    const drain = () => {
+        refill();
+        while (queue.length > 0 && tokens >= 1) {
+            tokens -= 1;
+            const entry = queue.shift();
+            const waited = Date.now() - entry.enqueuedAt;
+
+            totals.scheduled++;
+            totals.waitMs += waited;
+            totals.maxWaitMs = Math.max(totals.maxWaitMs, waited);
+            if (waited > 0) totals.delayed++;
+
+            entry.cleanup();
+            entry.resolve(waited);
+        }
+
+        if (queue.length > 0 && !timer) {
+            const delay = Math.max(1, Math.ceil((1 - tokens) / refillPerMs));
+            timer = setTimeout(() => {
+                timer = null;
+                drain();
+            }, delay);
+        }
+    };
+
+    return {
+        /**
+         * Waits for a token
+         * @param {AbortSignal} signal - Optional signal that removes the caller from the queue
+         * @returns {Promise<number>} Milliseconds spent waiting
+         */
+        acquire(signal) {
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(signal.reason || _createAbortError("Request aborted"));
+                    return;
+                }
+
+                const entry = { resolve, reject, enqueuedAt: Date.now(), cleanup: () => {} };
+
+                if (signal) {
+                    const onAbort = () => {
+                        const index = queue.indexOf(entry);
+                        if (index !== -1) queue.splice(index, 1);
+                        reject(signal.reason || _createAbortError("Request aborted"));
+                    };
+                    signal.addEventListener("abort", onAbort, { once: true });
+                    entry.cleanup = () => signal.removeEventListener("abort", onAbort);
+                }
+
+                queue.push(entry);
+                drain();
+            });
+        },
+
+        /**
+         * Estimates how long a request queued now would wait for its token
+         * @returns {number} Milliseconds (0 when a token is free)
+         */
+        nextWait() {
+            refill();
+            const missing = queue.length + 1 - tokens;
+            return missing > 0 ? Math.ceil(missing / refillPerMs) : 0;
+        },
+
+        stats() {
+            refill();
+            return {
+                limit,
+                interval,
+                burst: capacity,
+                availableTokens: Math.floor(tokens),
+                queueDepth: queue.length,
+                scheduled: totals.scheduled,
+                delayed: totals.delayed,
+                totalWaitMs: totals.waitMs,
+                averageWaitMs: totals.scheduled ? Math.round(totals.waitMs / totals.scheduled) : 0,
+                maxWaitMs: totals.maxWaitMs
+            };
+        },
+
+        reset() {
+            if (timer) clearTimeout(timer);
+            timer = null;
+            while (queue.length > 0) {
+                const entry = queue.shift();
+                entry.cleanup();
+                entry.reject(_createAbortError("Rate limiter was reset"));
+            }
+            tokens = capacity;
+            lastRefill = Date.now();
+            totals.scheduled = totals.delayed = totals.waitMs = totals.maxWaitMs = 0;
+        }
+    };
+}
+
+/**
+ * Sets or replaces provider limits. Pass `null` for a provider to remove its limit.
+ * @param {Object} limits - { [provider]: { limit, interval, burst } | null }
+ * @returns {Object} The resulting provider limits
+ */
+function configureRateLimits(limits = {}) {
+    if (!limits || typeof limits !== "object") {
+        throw new Error("limits must be an object");
+    }
+
+    for (const [provider, options] of Object.entries(limits)) {
+        const existing = limiters.get(provider);
+        if (existing) existing.reset();
+        limiters.delete(provider);
+
+        configured.add(provider);
+        if (options === null || options === false) {
+            delete limitConfig[provider];
+        } else {
+            // Validate eagerly so misconfiguration fails here, not on the first request
+            createRateLimiter(options);
+            limitConfig[provider] = { ...options };
+        }
+    }
+    return getRateLimits();
+}
+
+/**
+ * Gets the configured provider limits
+ * @returns {Object} { [provider]: { limit, interval, burst } }
+ */
+function getRateLimits() {
+    const copy = {};
+    for (const [provider, options] of Object.entries(limitConfig)) copy[provider] = { ...options };
+    return copy;
+}
+
+/**
+ * Restores the default provider limits and drops every queue
+ */
+function resetRateLimits() {
+    for (const limiter of limiters.values()) limiter.reset();
+    limiters.clear();
+    configured.clear();
+    limitConfig = { ...DEFAULT_LIMITS };
+}
+
+// A published quota does not apply to a stand-in for the provider
+function _isOverridden(provider) {
+    return Boolean(baseUrls) && baseUrls.getBaseUrl(provider, null) !== null;
+}
+
+function _limiterFor(provider) {
+    if (!provider || !limitConfig[provider]) return null;
+    if (!configured.has(provider) && _isOverridden(provider)) return null;
+    if (!limiters.has(provider)) {
+        limiters.set(provider, createRateLimiter(limitConfig[provider]));
+    }
+    return limiters.get(provider);
+}
+
+/**
+ * Waits until a request to `provider` may be sent. Providers without a limit resolve immediately.
+ * @param {string} provider - Provider name (e.g. 'coingecko')
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @param {number} maxWait - Optional longest wait in ms; a longer one rejects at once with a RateLimitError
+ * @returns {Promise<number>} Milliseconds spent waiting
+ */
+async function schedule(provider, signal, maxWait) {
+    const limiter = _limiterFor(provider);
+    if (!limiter) return 0;
+
+    if (maxWait !== undefined && maxWait !== null) {
+        const wait = limiter.nextWait();
+        if (wait > maxWait) {
+            throw new RateLimitError(`Rate limit for ${provider} would delay the request by ${wait}ms (more than ${maxWait}ms)`, {
+                provider,
+                retryAfter: wait
+            });
+        }
+    }
+    return limiter.acquire(signal);
+}
+
+/**
+ * Gets queue depth and wait-time statistics
+ * @param {string} provider - Optional provider name; omit for every limited provider
+ * @returns {Object|null} Stats for one provider, or a map of provider => stats
+ */
+function getRateLimitStats(provider) {
+    if (provider) {
+        const limiter = _limiterFor(provider);
+        return limiter ? limiter.stats() : null;
+    }
+
+    const stats = {};
+    for (const name of Object.keys(limitConfig)) {
+        const limiter = _limiterFor(name);
+        if (limiter) stats[name] = limiter.stats();
+    }
+    return stats;
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createRateLimiter,
+        configureRateLimits,
+        getRateLimits,
+        resetRateLimits,
+        schedule,
+        getRateLimitStats,
+        DEFAULT_LIMITS
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsRateLimiter = {
+        createRateLimiter,
+        configureRateLimits,
+        getRateLimits,
+        resetRateLimits,
+        schedule,
+        getRateLimitStats,
+        DEFAULT_LIMITS
+    };
+}
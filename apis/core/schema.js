@@ -0,0 +1,150 @@
+/**
+ * Response Schemas
+ * Declarative checks for upstream JSON payloads. Each module describes the
+ * fields it reads; parseResponse() validates the payload against that
+ * description, fills in defaults and coerces loosely typed values (e.g. OMDB's
+ * numeric strings), and throws a ResponseValidationError naming the offending
+ * field instead of letting a provider change surface as a TypeError later on.
+ *
+ * Schemas use a small JSON-Schema subset:
+ *   type                  string | number | integer | boolean | object | array (omit for any)
+ *   required              true when the field must be present and not null
+ *   default               used when the field is missing or null
+ *   coerce                convert numeric strings ("1,234") to numbers, or numbers to strings
+ *   enum                  allowed values
+ *   minItems, items       arrays
+ *   properties            objects (unlisted properties are kept as they are)
+ *   additionalProperties  schema for every value of a map-like object
+ *
+ * Usage:
+ *   const { parseResponse } = require("../core/schema.js");
+ *   const QUOTE_SCHEMA = { type: "object", properties: { c: { type: "number", required: true } } };
+ *   const quote = parseResponse(await response.json(), QUOTE_SCHEMA, { provider: "finnhub" });
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const { ResponseValidationError } = typeof require === "function"
+    ? require("./errors.js")
+    : window.UsefulAPIsErrors;
+
+class SchemaMismatch {
+    constructor(field, problem) {
+        this.field = field;
+        this.problem = problem;
+    }
+}
+
+function _describe(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+function _join(path, key) {
+    if (typeof key === "number") return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function _coerce(value, schema) {
+    if (!schema.coerce) return value;
+
+    if ((schema.type === "number" || schema.type === "integer") && typeof value === "string" && value.trim() !== "") {
+        const number = Number(value.replace(/,/g, ""));
+        return Number.isNaN(number) ? value : number;
+    }
+    if (schema.type === "string" && typeof value === "number") return String(value);
+    return value;
+}
+
+function _check(value, schema, path) {
+    if (value === undefined || value === null) {
+        if (schema.default !== undefined) return schema.default;
+        if (schema.required) throw new SchemaMismatch(path, value === null ? "is null" : "is missing");
+        return value;
+    }
+
+    const input = _coerce(value, schema);
+
+    switch (schema.type) {
+        case "string":
+        case "boolean":
+            if (typeof input !== schema.type) throw new SchemaMismatch(path, `must be a ${schema.type} (got ${_describe(input)})`);
+            break;
+        case "number":
+        case "integer":
+            if (typeof input !== "number" || Number.isNaN(input)) throw new SchemaMismatch(path, `must be a number (got ${_describe(input)})`);
+            if (schema.type === "integer" && !Number.isInteger(input)) throw new SchemaMismatch(path, "must be an integer");
+            break;
+        case "array":
+            if (!Array.isArray(input)) throw new SchemaMismatch(path, `must be an array (got ${_describe(input)})`);
+            if (schema.minItems !== undefined && input.length < schema.minItems) {
+                throw new SchemaMismatch(path, schema.minItems === 1 ? "must not be empty" : `must have at least ${schema.minItems} items`);
+            }
+            return schema.items ? input.map((item, index) => _check(item, schema.items, _join(path, index))) : input;
+        case "object":
+            if (typeof input !== "object" || Array.isArray(input)) throw new SchemaMismatch(path, `must be an object (got ${_describe(input)})`);
+            return _checkObject(input, schema, path);
+        default:
+            break;
+    }
+
+    if (schema.enum && !schema.enum.includes(input)) {
+        throw new SchemaMismatch(path, `must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(input)})`);
+    }
+    return input;
+}
+
+function _checkObject(input, schema, path) {
+    const output = { ...input };
+
+    if (schema.additionalProperties) {
+        for (const [key, value] of Object.entries(input)) {
+            output[key] = _check(value, schema.additionalProperties, _join(path, key));
+        }
+    }
+
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+        const value = _check(input[key], property, _join(path, key));
+        if (value !== undefined) output[key] = value;
+    }
+    return output;
+}
+
+/**
+ * Validates and normalizes an upstream payload
+ * @param {*} data - Parsed JSON payload
+ * @param {Object} schema - Schema describing the fields the caller reads
+ * @param {Object} options - { provider, name } where name labels the payload in messages (default '<provider> response')
+ * @returns {*} Normalized copy of the payload (defaults applied, values coerced)
+ * @throws {ResponseValidationError} When the payload does not match; `field` holds the path, e.g. "articles[3].source.name"
+ */
+function parseResponse(data, schema, options = {}) {
+    try {
+        return _check(data, schema, "");
+    } catch (error) {
+        if (!(error instanceof SchemaMismatch)) throw error;
+
+        const name = options.name || `${options.provider || "Upstream"} response`;
+        const field = error.field || "(root)";
+        throw new ResponseValidationError(`Unexpected ${name}: ${field} ${error.problem}`, {
+            provider: options.provider,
+            field,
+            details: { field }
+        });
+    }
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        parseResponse
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsSchema = {
+        parseResponse
+    };
+}
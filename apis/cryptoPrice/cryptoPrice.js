@@ -13,16 +13,83 @@
  */
 
 const BASE_URL = "https://api.coingecko.com/api/v3";
+const PROVIDER = "coingecko";
 const DEFAULT_VS_CURRENCY = "usd";
 
+// Cache TTLs per endpoint (CoinGecko's free tier refreshes prices every ~60s)
+const CACHE_TTL = {
+  "/simple/price": 30 * 1000,
+  "/coins/markets": 60 * 1000,
+  "/history": 24 * 60 * 60 * 1000, // past dates never change
+  "/market_chart": 5 * 60 * 1000,
+  "/ohlc": 5 * 60 * 1000,
+};
+
+// Response shapes per endpoint (only the fields the helpers read are checked)
+const SERIES = { type: "array", items: { type: "array", minItems: 2, items: { type: "number" } } };
+const RESPONSE_SCHEMAS = {
+  "/simple/price": { type: "object", required: true, additionalProperties: { type: "object", additionalProperties: { type: "number" } } },
+  "/coins/markets": {
+    type: "array",
+    required: true,
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "string", required: true },
+        symbol: { type: "string" },
+        name: { type: "string" },
+        current_price: { type: "number" },
+      },
+    },
+  },
+  "/history": {
+    type: "object",
+    required: true,
+    properties: {
+      id: { type: "string", required: true },
+      market_data: { type: "object", additionalProperties: { type: "object" } },
+    },
+  },
+  "/market_chart": {
+    type: "object",
+    required: true,
+    properties: { prices: { ...SERIES, required: true }, market_caps: SERIES, total_volumes: SERIES },
+  },
+  "/ohlc": { type: "array", required: true, items: { type: "array", minItems: 5, items: { type: "number" } } },
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+  ? require("../core/httpClient.js")
+  : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+  ? require("../core/config.js")
+  : window.UsefulAPIsConfig;
+
+const { ValidationError, errorFromResponse } = typeof require === "function"
+  ? require("../core/errors.js")
+  : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+  ? require("../core/logger.js")
+  : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+  ? require("../core/schema.js")
+  : window.UsefulAPIsSchema;
+
 // small helper for fetch + error handling
-async function fetchJSON(path, params = {}) {
-  const url = new URL(`${BASE_URL}${path}`);
+async function fetchJSON(path, params = {}, requestOptions = {}) {
+  const url = new URL(`${getBaseUrl(PROVIDER, BASE_URL)}${path}`);
+  const endpoint = Object.keys(CACHE_TTL).find((suffix) => path.endsWith(suffix));
   Object.entries(params).forEach(([k, v]) => {
     if (v !== undefined && v !== null) url.searchParams.set(k, v);
   });
 
-  const res = await fetch(url.toString(), {
+  const res = await request(url.toString(), {
+    provider: PROVIDER,
+    cache: endpoint ? { name: `coingecko${endpoint}`, ttl: CACHE_TTL[endpoint] } : false,
+    ...pickRequestOptions(requestOptions),
     headers: {
       Accept: "application/json",
       "Content-Type": "application/json",
@@ -30,18 +97,18 @@ async function fetchJSON(path, params = {}) {
   });
 
   if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`CoinGecko API error: ${res.status} ${res.statusText} ${text}`);
+    throw await errorFromResponse(res, { provider: PROVIDER, message: "CoinGecko API error" });
   }
 
-  return res.json();
+  const data = await res.json();
+  return endpoint ? parseResponse(data, RESPONSE_SCHEMAS[endpoint], { provider: PROVIDER, name: `CoinGecko ${endpoint} response` }) : data;
 }
 
 /**
  * Get current simple prices for one or more coins.
  * @param {Array<string>|string} ids - coin id or array of ids (e.g. 'bitcoin','ethereum')
  * @param {string} vs_currency - fiat currency (default 'usd')
- * @param {Object} options - include24hrChange boolean
+ * @param {Object} options - include24hrChange boolean, plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} mapping id => { [vs_currency]: price, ... , last_updated_at, usd_24h_change }
  */
 async function getCurrentPrices(ids = ["bitcoin", "ethereum"], vs_currency = DEFAULT_VS_CURRENCY, options = { include_24hr_change: true }) {
@@ -53,16 +120,17 @@ async function getCurrentPrices(ids = ["bitcoin", "ethereum"], vs_currency = DEF
     include_24hr_change: options.include_24hr_change ? "true" : "false",
   };
 
-  return fetchJSON("/simple/price", params);
+  return fetchJSON("/simple/price", params, options);
 }
 
 /**
  * Get detailed market data for coins (markets endpoint).
  * @param {Array<string>|string} ids
  * @param {string} vs_currency
+ * @param {Object} requestOptions - transport options (signal, timeout, retries)
  * @returns {Promise<Array>} array of market objects
  */
-async function getMarketData(ids = ["bitcoin", "ethereum"], vs_currency = DEFAULT_VS_CURRENCY) {
+async function getMarketData(ids = ["bitcoin", "ethereum"], vs_currency = DEFAULT_VS_CURRENCY, requestOptions = {}) {
   const idParam = Array.isArray(ids) ? ids.join(",") : ids;
   const params = {
     vs_currency,
@@ -74,7 +142,7 @@ async function getMarketData(ids = ["bitcoin", "ethereum"], vs_currency = DEFAUL
     price_change_percentage: "1h,24h,7d",
   };
 
-  return fetchJSON("/coins/markets", params);
+  return fetchJSON("/coins/markets", params, requestOptions);
 }
 
 /**
@@ -82,12 +150,13 @@ async function getMarketData(ids = ["bitcoin", "ethereum"], vs_currency = DEFAUL
  * @param {string} id - coin id (e.g. 'bitcoin')
  * @param {string} date - formatted 'dd-mm-yyyy' (e.g. '30-12-2020')
  * @param {string} vs_currency
+ * @param {Object} requestOptions - transport options (signal, timeout, retries)
  * @returns {Promise<Object>} {market_data, community_data, ...}
  */
-async function getHistoricalPriceByDate(id, date, vs_currency = DEFAULT_VS_CURRENCY) {
-  if (!id || !date) throw new Error("id and date (dd-mm-yyyy) are required");
+async function getHistoricalPriceByDate(id, date, vs_currency = DEFAULT_VS_CURRENCY, requestOptions = {}) {
+  if (!id || !date) throw new ValidationError("id and date (dd-mm-yyyy) are required");
   const params = { date, localization: false };
-  const data = await fetchJSON(`/coins/${encodeURIComponent(id)}/history`, params);
+  const data = await fetchJSON(`/coins/${encodeURIComponent(id)}/history`, params, requestOptions);
   // market_data.prices are returned in a structured way; convert if needed
   return data;
 }
@@ -97,12 +166,13 @@ async function getHistoricalPriceByDate(id, date, vs_currency = DEFAULT_VS_CURRE
  * @param {string} id
  * @param {string} vs_currency
  * @param {number|string} days - e.g. 1, 7, 30, 'max'
+ * @param {Object} requestOptions - transport options (signal, timeout, retries)
  * @returns {Promise<Object>} {prices: [[timestamp, price], ...], market_caps, total_volumes}
  */
-async function getMarketChart(id, vs_currency = DEFAULT_VS_CURRENCY, days = 30) {
-  if (!id) throw new Error("id is required");
+async function getMarketChart(id, vs_currency = DEFAULT_VS_CURRENCY, days = 30, requestOptions = {}) {
+  if (!id) throw new ValidationError("id is required");
   const params = { vs_currency, days: String(days) };
-  return fetchJSON(`/coins/${encodeURIComponent(id)}/market_chart`, params);
+  return fetchJSON(`/coins/${encodeURIComponent(id)}/market_chart`, params, requestOptions);
 }
 
 /**
@@ -110,26 +180,28 @@ async function getMarketChart(id, vs_currency = DEFAULT_VS_CURRENCY, days = 30)
  * @param {string} id
  * @param {string} vs_currency
  * @param {number} days
+ * @param {Object} requestOptions - transport options (signal, timeout, retries)
  * @returns {Promise<Array>} [[time, open, high, low, close], ...]
  */
-async function getOHLC(id, vs_currency = DEFAULT_VS_CURRENCY, days = 30) {
-  if (!id) throw new Error("id is required");
+async function getOHLC(id, vs_currency = DEFAULT_VS_CURRENCY, days = 30, requestOptions = {}) {
+  if (!id) throw new ValidationError("id is required");
   const params = { vs_currency, days: String(days) };
-  return fetchJSON(`/coins/${encodeURIComponent(id)}/ohlc`, params);
+  return fetchJSON(`/coins/${encodeURIComponent(id)}/ohlc`, params, requestOptions);
 }
 
 /**
  * Calculate portfolio value.
  * @param {Array<{id:string, amount:number}>} portfolio
  * @param {string} vs_currency
+ * @param {Object} requestOptions - transport options (signal, timeout, retries)
  * @returns {Promise<{totalValue:number, breakdown: Array}>} total + per-asset breakdown
  */
-async function calculatePortfolioValue(portfolio = [], vs_currency = DEFAULT_VS_CURRENCY) {
-  if (!Array.isArray(portfolio)) throw new Error("portfolio must be an array");
+async function calculatePortfolioValue(portfolio = [], vs_currency = DEFAULT_VS_CURRENCY, requestOptions = {}) {
+  if (!Array.isArray(portfolio)) throw new ValidationError("portfolio must be an array");
   const ids = Array.from(new Set(portfolio.map(p => p.id).filter(Boolean)));
   if (ids.length === 0) return { totalValue: 0, breakdown: [] };
 
-  const prices = await getCurrentPrices(ids, vs_currency, { include_24hr_change: false });
+  const prices = await getCurrentPrices(ids, vs_currency, { ...requestOptions, include_24hr_change: false });
   let total = 0;
   const breakdown = portfolio.map((p) => {
     const priceObj = prices[p.id] || {};
@@ -165,7 +237,7 @@ const _alerts = new Map(); // alertId => { intervalId, id, targetPrice, directio
  * @returns {string} alertId
  */
 function subscribePriceAlert(id, targetPrice, direction = "above", intervalMs = 15000, vs_currency = DEFAULT_VS_CURRENCY, callback = () => {}) {
-  if (!id || typeof targetPrice !== "number") throw new Error("id and numeric targetPrice are required");
+  if (!id || typeof targetPrice !== "number") throw new ValidationError("id and numeric targetPrice are required");
   const alertId = `${id}:${Date.now()}:${Math.random().toString(36).slice(2,9)}`;
 
   const runner = async () => {
@@ -183,13 +255,13 @@ function subscribePriceAlert(id, targetPrice, direction = "above", intervalMs =
           triggeredAt: new Date().toISOString(),
           raw: prices,
         };
-        try { callback(payload); } catch (cbErr) { console.error("price alert callback error", cbErr); }
+        try { callback(payload); } catch (cbErr) { logger.error("price alert callback error", cbErr); }
         // auto-clear after trigger
         clearPriceAlert(alertId);
       }
     } catch (err) {
       // do not clear on error; just log
-      console.error(`Error polling price for ${id}:`, err);
+      logger.error(`Error polling price for ${id}:`, err);
     }
   };
 
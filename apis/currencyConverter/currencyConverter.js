@@ -1,45 +1,123 @@
 /**
  * Currency Converter API
- * Real-time currency conversion using ExchangeRate-API
+ * Real-time currency conversion using ExchangeRate-API, failing over to
+ * Frankfurter (ECB rates). Other sources can be registered for the
+ * "exchange-rates" capability (see core/providers.js).
  * 
  * @author Useful-APIs Contributors
  * @version 1.0.0
  */
 
 const BASE_URL = "https://api.exchangerate-api.com/v4/latest";
+const PROVIDER = "exchangerate-api";
+const FRANKFURTER_URL = "https://api.frankfurter.app";
+const FRANKFURTER_PROVIDER = "frankfurter";
+const CAPABILITY = "exchange-rates";
+
+// Rates are refreshed upstream roughly once a day
+const RATES_CACHE = { name: "exchangerate-api/latest", ttl: 10 * 60 * 1000 };
+const FRANKFURTER_CACHE = { name: "frankfurter/latest", ttl: 10 * 60 * 1000 };
+
+// Fields read from /latest/<base> (both providers use the same shape)
+const RATES_SCHEMA = {
+    type: "object",
+    properties: {
+        base: { type: "string", required: true },
+        date: { type: "string" },
+        rates: { type: "object", required: true, additionalProperties: { type: "number" } }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { ValidationError, NotFoundError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+const { registerProvider, callWithFailover } = typeof require === "function"
+    ? require("../core/providers.js")
+    : window.UsefulAPIsProviders;
+
+/*
+ * "exchange-rates" providers: getRates(base, requestOptions) resolves to
+ * { base, date, rates: { CODE: units of CODE per 1 base } }
+ */
+registerProvider(CAPABILITY, {
+    name: PROVIDER,
+    async getRates(base, requestOptions = {}) {
+        const response = await request(`${getBaseUrl(PROVIDER, BASE_URL)}/${base}`, { provider: PROVIDER, cache: RATES_CACHE, ...requestOptions });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: PROVIDER, message: `Failed to fetch exchange rates for ${base}` });
+        }
+
+        return parseResponse(await response.json(), RATES_SCHEMA, { provider: PROVIDER });
+    }
+});
+
+registerProvider(CAPABILITY, {
+    name: FRANKFURTER_PROVIDER,
+    async getRates(base, requestOptions = {}) {
+        const url = `${getBaseUrl(FRANKFURTER_PROVIDER, FRANKFURTER_URL)}/latest?from=${encodeURIComponent(base)}`;
+        const response = await request(url, { provider: FRANKFURTER_PROVIDER, cache: FRANKFURTER_CACHE, ...requestOptions });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: FRANKFURTER_PROVIDER, message: `Failed to fetch exchange rates for ${base}` });
+        }
+
+        const data = parseResponse(await response.json(), RATES_SCHEMA, { provider: FRANKFURTER_PROVIDER });
+        // Frankfurter leaves the base currency out of its rates
+        return { base: data.base, date: data.date, rates: { [data.base]: 1, ...data.rates } };
+    }
+});
+
+// Rates for a base currency from the first provider that answers;
+// requestOptions.provider picks a source by name
+function _fetchRates(base, requestOptions = {}) {
+    return callWithFailover(CAPABILITY, "getRates", [base, pickRequestOptions(requestOptions)], { provider: requestOptions.provider });
+}
 
 /**
  * Converts an amount from one currency to another
  * @param {number} amount - The amount to convert
  * @param {string} fromCurrency - Source currency code (e.g., 'USD', 'EUR', 'GBP')
  * @param {string} toCurrency - Target currency code (e.g., 'USD', 'EUR', 'GBP')
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: rates source name
  * @returns {Promise<Object>} Conversion result with rate and converted amount
  */
-async function convert(amount, fromCurrency, toCurrency) {
+async function convert(amount, fromCurrency, toCurrency, requestOptions = {}) {
     try {
         if (!amount || typeof amount !== "number" || amount <= 0) {
-            throw new Error("Amount must be a positive number");
+            throw new ValidationError("Amount must be a positive number");
         }
         if (!fromCurrency || typeof fromCurrency !== "string") {
-            throw new Error("fromCurrency must be a valid currency code");
+            throw new ValidationError("fromCurrency must be a valid currency code");
         }
         if (!toCurrency || typeof toCurrency !== "string") {
-            throw new Error("toCurrency must be a valid currency code");
+            throw new ValidationError("toCurrency must be a valid currency code");
         }
 
         const from = fromCurrency.toUpperCase();
         const to = toCurrency.toUpperCase();
 
-        const response = await fetch(`${BASE_URL}/${from}`);
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch exchange rates for ${from}`);
-        }
-
-        const data = await response.json();
+        const data = await _fetchRates(from, requestOptions);
 
-        if (!data.rates || !data.rates[to]) {
-            throw new Error(`Currency code ${to} not found`);
+        if (!data.rates[to]) {
+            throw new NotFoundError(`Currency code ${to} not found`);
         }
 
         const rate = data.rates[to];
@@ -54,7 +132,7 @@ async function convert(amount, fromCurrency, toCurrency) {
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        console.error("Error converting currency:", error);
+        logger.error("Error converting currency:", error);
         throw error;
     }
 }
@@ -62,22 +140,17 @@ async function convert(amount, fromCurrency, toCurrency) {
 /**
  * Gets exchange rates for all supported currencies from a base currency
  * @param {string} baseCurrency - Base currency code (e.g., 'USD')
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: rates source name
  * @returns {Promise<Object>} Exchange rates object with all supported currencies
  */
-async function getExchangeRates(baseCurrency) {
+async function getExchangeRates(baseCurrency, requestOptions = {}) {
     try {
         if (!baseCurrency || typeof baseCurrency !== "string") {
-            throw new Error("baseCurrency must be a valid currency code");
+            throw new ValidationError("baseCurrency must be a valid currency code");
         }
 
         const base = baseCurrency.toUpperCase();
-        const response = await fetch(`${BASE_URL}/${base}`);
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch exchange rates for ${base}`);
-        }
-
-        const data = await response.json();
+        const data = await _fetchRates(base, requestOptions);
 
         return {
             base: data.base,
@@ -86,7 +159,7 @@ async function getExchangeRates(baseCurrency) {
             supportedCurrencies: Object.keys(data.rates)
         };
     } catch (error) {
-        console.error("Error fetching exchange rates:", error);
+        logger.error("Error fetching exchange rates:", error);
         throw error;
     }
 }
@@ -95,35 +168,30 @@ async function getExchangeRates(baseCurrency) {
  * Gets the latest exchange rate between two specific currencies
  * @param {string} fromCurrency - Source currency code
  * @param {string} toCurrency - Target currency code
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: rates source name
  * @returns {Promise<number>} The exchange rate
  */
-async function getRate(fromCurrency, toCurrency) {
+async function getRate(fromCurrency, toCurrency, requestOptions = {}) {
     try {
         if (!fromCurrency || typeof fromCurrency !== "string") {
-            throw new Error("fromCurrency must be a valid currency code");
+            throw new ValidationError("fromCurrency must be a valid currency code");
         }
         if (!toCurrency || typeof toCurrency !== "string") {
-            throw new Error("toCurrency must be a valid currency code");
+            throw new ValidationError("toCurrency must be a valid currency code");
         }
 
         const from = fromCurrency.toUpperCase();
         const to = toCurrency.toUpperCase();
 
-        const response = await fetch(`${BASE_URL}/${from}`);
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch exchange rates for ${from}`);
-        }
-
-        const data = await response.json();
+        const data = await _fetchRates(from, requestOptions);
 
-        if (!data.rates || !data.rates[to]) {
-            throw new Error(`Currency code ${to} not found`);
+        if (!data.rates[to]) {
+            throw new NotFoundError(`Currency code ${to} not found`);
         }
 
         return data.rates[to];
     } catch (error) {
-        console.error("Error fetching rate:", error);
+        logger.error("Error fetching rate:", error);
         throw error;
     }
 }
@@ -133,33 +201,28 @@ async function getRate(fromCurrency, toCurrency) {
  * @param {number[]} amounts - Array of amounts to convert
  * @param {string} fromCurrency - Source currency code
  * @param {string} toCurrency - Target currency code
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: rates source name
  * @returns {Promise<Array>} Array of conversion results
  */
-async function convertMultiple(amounts, fromCurrency, toCurrency) {
+async function convertMultiple(amounts, fromCurrency, toCurrency, requestOptions = {}) {
     try {
         if (!Array.isArray(amounts) || amounts.length === 0) {
-            throw new Error("amounts must be a non-empty array");
+            throw new ValidationError("amounts must be a non-empty array");
         }
         if (!fromCurrency || typeof fromCurrency !== "string") {
-            throw new Error("fromCurrency must be a valid currency code");
+            throw new ValidationError("fromCurrency must be a valid currency code");
         }
         if (!toCurrency || typeof toCurrency !== "string") {
-            throw new Error("toCurrency must be a valid currency code");
+            throw new ValidationError("toCurrency must be a valid currency code");
         }
 
         const from = fromCurrency.toUpperCase();
         const to = toCurrency.toUpperCase();
 
-        const response = await fetch(`${BASE_URL}/${from}`);
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch exchange rates for ${from}`);
-        }
-
-        const data = await response.json();
+        const data = await _fetchRates(from, requestOptions);
 
-        if (!data.rates || !data.rates[to]) {
-            throw new Error(`Currency code ${to} not found`);
+        if (!data.rates[to]) {
+            throw new NotFoundError(`Currency code ${to} not found`);
         }
 
         const rate = data.rates[to];
@@ -171,7 +234,7 @@ async function convertMultiple(amounts, fromCurrency, toCurrency) {
 
         return results;
     } catch (error) {
-        console.error("Error converting multiple amounts:", error);
+        logger.error("Error converting multiple amounts:", error);
         throw error;
     }
 }
@@ -5,10 +5,13 @@
  * - Route optimization (Google Directions optimizeWaypoints / OSRM trip)
  * - Estimated travel time (using chosen provider)
  *
- * Provider selection:
- *  - If options.googleApiKey is provided, Google APIs will be used where applicable.
- *  - If options.openRouteServiceApiKey is provided, ORS endpoints will be used where applicable.
+ * Provider selection ("routing" capability, see core/providers.js):
+ *  - If a Google key is available (options.googleApiKey or GOOGLE_MAPS_API_KEY, see core/config.js),
+ *    Google APIs will be used where applicable.
+ *  - If an ORS key is available (options.openRouteServiceApiKey or OPENROUTESERVICE_API_KEY),
+ *    ORS endpoints will be used where applicable.
  *  - Otherwise the code will attempt to use the public OSRM demo server (no key).
+ *  - When a provider fails, the next one in that order is tried.
  *  - Falls back to simple haversine distance when external provider is unavailable.
  *
  * Point format:
@@ -25,11 +28,109 @@
  *  const optimized = await optimizeRoute(points);
  */
 
-const GOOGLE_DISTANCE_MATRIX_URL = "https://maps.googleapis.com/maps/api/distancematrix/json";
-const GOOGLE_DIRECTIONS_URL = "https://maps.googleapis.com/maps/api/directions/json";
+const GOOGLE_MAPS_BASE = "https://maps.googleapis.com/maps/api";
 const OSRM_BASE = "https://router.project-osrm.org"; // public demo; use responsibly
-const ORS_MATRIX_URL = "https://api.openrouteservice.org/v2/matrix";
-const ORS_DIRECTIONS_URL = "https://api.openrouteservice.org/v2/directions";
+const ORS_BASE = "https://api.openrouteservice.org/v2";
+const CAPABILITY = "routing";
+
+// Road networks change slowly; only GET lookups (Google/OSRM) are cacheable
+const ROUTING_CACHE = { name: "routing", ttl: 60 * 60 * 1000 };
+
+// Response shapes, checked once the provider status says OK
+const VALUE = { type: "object", properties: { value: { type: "number", required: true } } };
+const MATRIX = { type: "array", items: { type: "array", items: { type: "number" } } };
+const GOOGLE_MATRIX_SCHEMA = {
+    type: "object",
+    properties: {
+        rows: {
+            type: "array",
+            required: true,
+            items: {
+                type: "object",
+                properties: {
+                    elements: {
+                        type: "array",
+                        required: true,
+                        items: { type: "object", properties: { status: { type: "string", required: true }, distance: VALUE, duration: VALUE } }
+                    }
+                }
+            }
+        }
+    }
+};
+const GOOGLE_DIRECTIONS_SCHEMA = {
+    type: "object",
+    properties: {
+        routes: {
+            type: "array",
+            required: true,
+            minItems: 1,
+            items: {
+                type: "object",
+                properties: {
+                    waypoint_order: { type: "array", default: [], items: { type: "integer" } },
+                    legs: { type: "array", default: [], items: { type: "object", properties: { distance: VALUE, duration: VALUE } } }
+                }
+            }
+        }
+    }
+};
+const MATRIX_SCHEMA = { type: "object", properties: { distances: MATRIX, durations: MATRIX } };
+const OSRM_ROUTE_SCHEMA = {
+    type: "object",
+    properties: {
+        routes: {
+            type: "array",
+            default: [],
+            items: { type: "object", properties: { distance: { type: "number", required: true }, duration: { type: "number", required: true } } }
+        }
+    }
+};
+const OSRM_TRIP_SCHEMA = {
+    type: "object",
+    properties: {
+        trips: {
+            type: "array",
+            default: [],
+            items: { type: "object", properties: { distance: { type: "number", required: true }, duration: { type: "number", required: true } } }
+        },
+        waypoints: {
+            type: "array",
+            default: [],
+            items: {
+                type: "object",
+                properties: {
+                    waypoint_index: { type: "integer", required: true },
+                    location: { type: "array", required: true, minItems: 2, items: { type: "number" } }
+                }
+            }
+        }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getApiKey, getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { ValidationError, AuthenticationError, NotFoundError, RateLimitError, UpstreamError, isAbortError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+const { registerProvider, getAvailableProviders, callWithFailover } = typeof require === "function"
+    ? require("../core/providers.js")
+    : window.UsefulAPIsProviders;
 
 function _toPoint(p) {
     if (!p && p !== 0) return null;
@@ -47,7 +148,7 @@ function _toPoint(p) {
 function _validatePoint(p, name = "point") {
     const pt = _toPoint(p);
     if (!pt || Number.isNaN(pt.lat) || Number.isNaN(pt.lng)) {
-        throw new Error(`${name} must be an object {lat, lng} or [lat, lng] with numeric values`);
+        throw new ValidationError(`${name} must be an object {lat, lng} or [lat, lng] with numeric values`);
     }
     return pt;
 }
@@ -76,85 +177,293 @@ function _haversine(a, b) {
     return R * c;
 }
 
-// simple fetch wrapper
-async function _fetchJson(url, init = {}) {
-    const res = await fetch(url, init);
+// simple fetch wrapper; init.provider names the upstream for rate limiting,
+// options carries the caller's transport settings (signal, timeout, retries)
+async function _fetchJson(url, init = {}, options = {}) {
+    const res = await request(url, { cache: ROUTING_CACHE, ...pickRequestOptions(options), ...init });
     if (!res.ok) {
-        const text = await res.text().catch(() => "");
-        throw new Error(`HTTP ${res.status} ${res.statusText} - ${text}`);
+        throw await errorFromResponse(res, { provider: init.provider });
     }
     return res.json();
 }
 
+// Keys from the options, falling back to the configured ones
+function _keys(options) {
+    return {
+        google: getApiKey("googleMaps", options.googleApiKey),
+        ors: getApiKey("openRouteService", options.openRouteServiceApiKey)
+    };
+}
+
+// Maps a Google Maps API status (returned with HTTP 200) to a typed error
+function _googleError(status, label) {
+    const message = `${label}: ${status}`;
+    const options = { provider: "google-maps", details: { status } };
+    switch (status) {
+        case "REQUEST_DENIED":
+            return new AuthenticationError(message, options);
+        case "OVER_QUERY_LIMIT":
+        case "OVER_DAILY_LIMIT":
+            return new RateLimitError(message, options);
+        case "NOT_FOUND":
+        case "ZERO_RESULTS":
+            return new NotFoundError(message, options);
+        case "INVALID_REQUEST":
+        case "MAX_ELEMENTS_EXCEEDED":
+        case "MAX_DIMENSIONS_EXCEEDED":
+        case "MAX_WAYPOINTS_EXCEEDED":
+            return new ValidationError(message, options);
+        default:
+            return new UpstreamError(message, { ...options, retryable: status === "UNKNOWN_ERROR" });
+    }
+}
+
+// Maps an OSRM response code to a typed error
+function _osrmError(code, label) {
+    const message = `${label}: ${code}`;
+    const options = { provider: "osrm", details: { code } };
+    if (/^No(Route|Table|Trips|Segment|Match)$/.test(code)) return new NotFoundError(message, options);
+    if (/^Invalid|^TooBig$/.test(code)) return new ValidationError(message, options);
+    return new UpstreamError(message, options);
+}
+
+/*
+ * "routing" providers, tried in order: Google (with a key), OpenRouteService
+ * (with a key), then the public OSRM server. Each implements some of
+ *   distance(A, B, ctx) => { distance, duration?, unit }
+ *   matrix(points, ctx) => { distances, durations, unit }
+ *   optimize(points, ctx) => { waypoints, waypointsOrder, distance, duration, provider }
+ * where ctx is { keys, profile, roundtrip, options } and available(ctx) says whether it can be used.
+ */
+registerProvider(CAPABILITY, {
+    name: "google",
+    available: ctx => Boolean(ctx && ctx.keys.google),
+    async distance(A, B, ctx) {
+        const origins = _toGoogleLatLng(A);
+        const destinations = _toGoogleLatLng(B);
+        const url = `${getBaseUrl("google-maps", GOOGLE_MAPS_BASE)}/distancematrix/json?units=metric&origins=${encodeURIComponent(origins)}&destinations=${encodeURIComponent(destinations)}&key=${encodeURIComponent(ctx.keys.google)}`;
+        const body = await _fetchJson(url, { provider: "google-maps" }, ctx.options);
+        if (body.status !== "OK") throw _googleError(body.status, "Google API error");
+        const data = parseResponse(body, GOOGLE_MATRIX_SCHEMA, { provider: "google-maps", name: "Google Distance Matrix response" });
+        const cell = (data.rows[0] && data.rows[0].elements[0]) || {};
+        if (cell.status !== "OK") throw _googleError(cell.status || "NO_DATA", "Google element error");
+        return { distance: cell.distance.value, duration: cell.duration ? cell.duration.value : undefined, unit: "meters" };
+    },
+    async matrix(pts, ctx) {
+        const origins = pts.map(_toGoogleLatLng).map(encodeURIComponent).join("|");
+        const destinations = pts.map(_toGoogleLatLng).map(encodeURIComponent).join("|");
+        const url = `${getBaseUrl("google-maps", GOOGLE_MAPS_BASE)}/distancematrix/json?units=metric&origins=${origins}&destinations=${destinations}&key=${encodeURIComponent(ctx.keys.google)}`;
+        const body = await _fetchJson(url, { provider: "google-maps" }, ctx.options);
+        if (body.status !== "OK") throw _googleError(body.status, "Google API error");
+        const data = parseResponse(body, GOOGLE_MATRIX_SCHEMA, { provider: "google-maps", name: "Google Distance Matrix response" });
+        const distances = [];
+        const durations = [];
+        for (let r = 0; r < data.rows.length; r++) {
+            const row = data.rows[r];
+            const dRow = [];
+            const tRow = [];
+            for (let c = 0; c < row.elements.length; c++) {
+                const elem = row.elements[c];
+                if (elem && elem.status === "OK") {
+                    dRow.push(elem.distance.value);
+                    tRow.push(elem.duration ? elem.duration.value : null);
+                } else {
+                    dRow.push(null);
+                    tRow.push(null);
+                }
+            }
+            distances.push(dRow);
+            durations.push(tRow);
+        }
+        return { distances, durations, unit: "meters" };
+    },
+    // Google Directions with optimize:true (note: Google keeps origin/destination fixed if included; optimize true only reorders waypoints)
+    async optimize(pts, ctx) {
+        // For Google, treat first point as origin and last as destination if more than 2,
+        // otherwise it's origin->destination only.
+        const origin = _toGoogleLatLng(pts[0]);
+        const destination = pts.length > 2 ? _toGoogleLatLng(pts[pts.length - 1]) : _toGoogleLatLng(pts[1]);
+        const waypoints = pts.length > 2 ? pts.slice(1, pts.length - 1).map(_toGoogleLatLng).join("|") : "";
+        const waypointParam = waypoints ? `&waypoints=optimize:true|${encodeURIComponent(waypoints)}` : "";
+        const url = `${getBaseUrl("google-maps", GOOGLE_MAPS_BASE)}/directions/json?origin=${encodeURIComponent(origin)}&destination=${encodeURIComponent(destination)}${waypointParam}&key=${encodeURIComponent(ctx.keys.google)}`;
+        const body = await _fetchJson(url, { provider: "google-maps" }, ctx.options);
+        if (body.status !== "OK") throw _googleError(body.status, "Google Directions error");
+        const data = parseResponse(body, GOOGLE_DIRECTIONS_SCHEMA, { provider: "google-maps", name: "Google Directions response" });
+        const route = data.routes[0];
+        const waypointOrder = route.waypoint_order;
+        // Build reordered list: origin + waypoints in order + destination (when applicable)
+        const reordered = [];
+        reordered.push(pts[0]);
+        if (pts.length > 2) {
+            for (const idx of waypointOrder) {
+                reordered.push(pts[1 + idx]);
+            }
+            reordered.push(pts[pts.length - 1]);
+        } else {
+            // only two points
+            reordered.push(pts[1]);
+        }
+        const distance = route.legs.length ? route.legs.reduce((s, l) => s + (l.distance ? l.distance.value : 0), 0) : null;
+        const duration = route.legs.length ? route.legs.reduce((s, l) => s + (l.duration ? l.duration.value : 0), 0) : null;
+        return { waypoints: reordered, waypointsOrder: waypointOrder, distance, duration, provider: "google" };
+    }
+});
+
+// ORS route optimization exists (optimization endpoint) but may require paid tiers, so it only serves distances
+registerProvider(CAPABILITY, {
+    name: "ors",
+    available: ctx => Boolean(ctx && ctx.keys.ors),
+    async distance(A, B, ctx) {
+        // ORS matrix expects [lng,lat]
+        const locations = [[A.lng, A.lat], [B.lng, B.lat]];
+        const body = { locations, metrics: ["distance", "duration"] };
+        const resp = await _fetchJson(`${getBaseUrl("openrouteservice", ORS_BASE)}/matrix/foot-walking`, {
+            provider: "openrouteservice",
+            method: "POST",
+            headers: { "Authorization": ctx.keys.ors, "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+        }, ctx.options).catch(async (err) => {
+            // try driving profile if foot-walking fails
+            return _fetchJson(`${getBaseUrl("openrouteservice", ORS_BASE)}/matrix/${ctx.profile}`, {
+                provider: "openrouteservice",
+                method: "POST",
+                headers: { "Authorization": ctx.keys.ors, "Content-Type": "application/json" },
+                body: JSON.stringify(body),
+            }, ctx.options);
+        });
+        // resp.distances is matrix NxN in meters
+        parseResponse(resp, MATRIX_SCHEMA, { provider: "openrouteservice", name: "ORS matrix response" });
+        const dist = (resp.distances && resp.distances[0] && resp.distances[0][1]) || _haversine(A, B);
+        const dur = (resp.durations && resp.durations[0] && resp.durations[0][1]) || undefined;
+        return { distance: dist, duration: dur, unit: "meters" };
+    },
+    async matrix(pts, ctx) {
+        const locations = pts.map((p) => [p.lng, p.lat]);
+        const body = { locations, metrics: ["distance", "duration"] };
+        const url = `${getBaseUrl("openrouteservice", ORS_BASE)}/matrix/${ctx.profile}`;
+        const resp = await _fetchJson(url, {
+            provider: "openrouteservice",
+            method: "POST",
+            headers: { "Authorization": ctx.keys.ors, "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+        }, ctx.options);
+        // ORS returns distances (meters) and durations (seconds)
+        parseResponse(resp, MATRIX_SCHEMA, { provider: "openrouteservice", name: "ORS matrix response" });
+        return { distances: resp.distances || null, durations: resp.durations || null, unit: "meters" };
+    }
+});
+
+// OSRM public demo server (no key)
+registerProvider(CAPABILITY, {
+    name: "osrm",
+    async distance(A, B, ctx) {
+        const coords = `${_toOsrmCoord(A)};${_toOsrmCoord(B)}`;
+        const url = `${getBaseUrl("osrm", OSRM_BASE)}/route/v1/${ctx.profile}/${coords}?overview=false&alternatives=false&annotations=distance,duration`;
+        const body = await _fetchJson(url, { provider: "osrm" }, ctx.options);
+        if (body.code && body.code !== "Ok") throw _osrmError(body.code, "OSRM error");
+        const data = parseResponse(body, OSRM_ROUTE_SCHEMA, { provider: "osrm", name: "OSRM route response" });
+        const route = data.routes[0] || null;
+        if (!route) throw new NotFoundError("No route returned by OSRM", { provider: "osrm" });
+        return { distance: route.distance, duration: route.duration, unit: "meters" };
+    },
+    async matrix(pts, ctx) {
+        const coords = pts.map(_toOsrmCoord).join(";");
+        const url = `${getBaseUrl("osrm", OSRM_BASE)}/table/v1/${ctx.profile}/${coords}?annotations=distance,duration`;
+        const data = await _fetchJson(url, { provider: "osrm" }, ctx.options);
+        if (data.code && data.code !== "Ok") throw _osrmError(data.code, "OSRM table error");
+        parseResponse(data, MATRIX_SCHEMA, { provider: "osrm", name: "OSRM table response" });
+        // OSRM returns distances in meters and durations in seconds
+        return { distances: data.distances || null, durations: data.durations || null, unit: "meters" };
+    },
+    // OSRM trip service: optimizes route for a roundtrip by default; can pin source/destination via options.source/destination
+    async optimize(pts, ctx) {
+        // OSRM expects lon,lat list separated by ;
+        const coords = pts.map(_toOsrmCoord).join(";");
+        // Use source/target if provided (index of start/end) otherwise default roundtrip/off
+        // If user wants non-roundtrip, set roundtrip=false and set source=0&destination=last
+        const params = [];
+        if (ctx.roundtrip === false) {
+            params.push("roundtrip=false");
+            params.push("source=first");
+            params.push("destination=last");
+        }
+        params.push("overview=full");
+        const url = `${getBaseUrl("osrm", OSRM_BASE)}/trip/v1/${ctx.profile}/${coords}?${params.join("&")}`;
+        const body = await _fetchJson(url, { provider: "osrm" }, ctx.options);
+        if (body.code && body.code !== "Ok") throw _osrmError(body.code, "OSRM trip error");
+        const data = parseResponse(body, OSRM_TRIP_SCHEMA, { provider: "osrm", name: "OSRM trip response" });
+        const trip = data.trips && data.trips[0];
+        // Construct reordered points using data.waypoints order
+        const orderedPts = (trip && trip.legs) ? (() => {
+            // data.waypoints has 'hint' and 'name' but not directly index mapping; easier: trip.waypoint_indices may exist
+            // We'll derive via trip.geometry: but for simplicity return trip.waypoints order using data.waypoints[*].hint mapping
+            // Instead return pts reordered by data.waypoints sorted by waypoint_index property
+            if (data.waypoints && data.waypoints.length === pts.length) {
+                const sorted = data.waypoints.slice().sort((a, b) => a.waypoint_index - b.waypoint_index);
+                return sorted.map(w => {
+                    const [lon, lat] = w.location;
+                    return { lat: Number(lat), lng: Number(lon) };
+                });
+            }
+            return pts;
+        })() : pts;
+        const dist = trip ? trip.distance : null;
+        const dur = trip ? trip.duration : null;
+        return { waypoints: orderedPts, waypointsOrder: null, distance: dist, duration: dur, provider: "osrm" };
+    }
+});
+
+// What the providers need from the caller's options
+function _context(options) {
+    return {
+        keys: _keys(options),
+        profile: (options.profile || "driving").toString(),
+        roundtrip: options.roundtrip !== undefined ? Boolean(options.roundtrip) : false,
+        options
+    };
+}
+
+// options.provider narrowed to one registry name ('auto' tries them all in order)
+function _selection(options) {
+    const provider = options.provider || "auto";
+    if (provider === "auto") return undefined;
+    return provider === "openrouteservice" ? "ors" : provider;
+}
+
+// Runs `method` on the routing providers with failover; null when none can be used
+async function _route(method, args, options) {
+    const ctx = _context(options);
+    const selection = { provider: _selection(options), context: ctx };
+    if (getAvailableProviders(CAPABILITY, method, selection).length === 0) return null;
+    return callWithFailover(CAPABILITY, method, [...args, ctx], selection);
+}
+
 /**
  * Calculate straight-line or routing distance between two points.
  * options:
- *  - provider: 'google'|'ors'|'osrm'|'auto' (default 'auto')
+ *  - provider: 'google'|'ors'|'osrm'|'auto' or a registered routing provider (default 'auto')
  *  - googleApiKey, openRouteServiceApiKey
  *  - profile (for ORS/OSRM): driving|walking|cycling — default driving
+ *  - signal, timeout, retries: transport options forwarded to the HTTP client
  * @returns {Promise<{ distance: number, duration?: number, unit: 'meters' }>} distance in meters, optional duration seconds if provider returns it
  */
 async function calculateDistance(a, b, options = {}) {
     try {
         const A = _validatePoint(a, "point A");
         const B = _validatePoint(b, "point B");
-        const provider = options.provider || "auto";
-        const profile = (options.profile || "driving").toString();
-
-        // Google Distance Matrix if key present and chosen
-        if ((provider === "google" || provider === "auto") && options.googleApiKey) {
-            const origins = _toGoogleLatLng(A);
-            const destinations = _toGoogleLatLng(B);
-            const url = `${GOOGLE_DISTANCE_MATRIX_URL}?units=metric&origins=${encodeURIComponent(origins)}&destinations=${encodeURIComponent(destinations)}&key=${encodeURIComponent(options.googleApiKey)}`;
-            const data = await _fetchJson(url);
-            if (data.status !== "OK") throw new Error(`Google API error: ${data.status}`);
-            const cell = (data.rows && data.rows[0] && data.rows[0].elements && data.rows[0].elements[0]) || {};
-            if (cell.status !== "OK") throw new Error(`Google element error: ${cell.status || "no data"}`);
-            return { distance: cell.distance.value, duration: cell.duration ? cell.duration.value : undefined, unit: "meters" };
-        }
 
-        // OpenRouteService matrix (if key)
-        if ((provider === "ors" || provider === "openrouteservice" || provider === "auto") && options.openRouteServiceApiKey) {
-            // ORS matrix expects [lng,lat]
-            const locations = [[A.lng, A.lat], [B.lng, B.lat]];
-            const body = { locations, metrics: ["distance", "duration"] };
-            const resp = await _fetchJson(`${ORS_MATRIX_URL}/foot-walking`, {
-                method: "POST",
-                headers: { "Authorization": options.openRouteServiceApiKey, "Content-Type": "application/json" },
-                body: JSON.stringify(body),
-            }).catch(async (err) => {
-                // try driving profile if foot-walking fails
-                return _fetchJson(`${ORS_MATRIX_URL}/${profile}`, {
-                    method: "POST",
-                    headers: { "Authorization": options.openRouteServiceApiKey, "Content-Type": "application/json" },
-                    body: JSON.stringify(body),
-                });
-            });
-            // resp.distances is matrix NxN in meters
-            const dist = (resp.distances && resp.distances[0] && resp.distances[0][1]) || _haversine(A, B);
-            const dur = (resp.durations && resp.durations[0] && resp.durations[0][1]) || undefined;
-            return { distance: dist, duration: dur, unit: "meters" };
-        }
-
-        // OSRM route (no key, public demo)
-        if (provider === "osrm" || provider === "auto") {
-            try {
-                const coords = `${_toOsrmCoord(A)};${_toOsrmCoord(B)}`;
-                const url = `${OSRM_BASE}/route/v1/${profile}/${coords}?overview=false&alternatives=false&annotations=distance,duration`;
-                const data = await _fetchJson(url);
-                if (data.code && data.code !== "Ok") throw new Error(`OSRM error: ${data.code}`);
-                const route = (data.routes && data.routes[0]) || null;
-                if (!route) throw new Error("No route returned by OSRM");
-                return { distance: route.distance, duration: route.duration, unit: "meters" };
-            } catch (err) {
-                // fallthrough to haversine
-            }
+        try {
+            const result = await _route("distance", [A, B], options);
+            if (result) return result;
+        } catch (err) {
+            // invalid input and cancellation are reported; any provider failure falls through to haversine
+            if (err instanceof ValidationError || isAbortError(err)) throw err;
         }
 
         // Fallback: haversine straight-line distance
         return { distance: Math.round(_haversine(A, B)), unit: "meters" };
     } catch (error) {
-        console.error("Error in calculateDistance:", error);
+        logger.error("Error in calculateDistance:", error);
         throw error;
     }
 }
@@ -163,69 +472,17 @@ async function calculateDistance(a, b, options = {}) {
  * Get distance matrix for an array of points.
  * Returns { distances: NxN array (meters or null), durations: NxN array (seconds|null) }
  * options:
- *  - provider: 'google'|'ors'|'osrm'|'auto'
+ *  - provider: 'google'|'ors'|'osrm'|'auto' or a registered routing provider
  *  - googleApiKey, openRouteServiceApiKey
  *  - profile: driving|walking|cycling
  */
 async function getDistanceMatrix(points = [], options = {}) {
     try {
-        if (!Array.isArray(points) || points.length < 2) throw new Error("points must be an array with at least two entries");
+        if (!Array.isArray(points) || points.length < 2) throw new ValidationError("points must be an array with at least two entries");
         const pts = points.map((p, i) => _validatePoint(p, `points[${i}]`));
-        const provider = options.provider || "auto";
-        const profile = (options.profile || "driving").toString();
-
-        // Google Distance Matrix (batch)
-        if ((provider === "google" || provider === "auto") && options.googleApiKey) {
-            const origins = pts.map(_toGoogleLatLng).map(encodeURIComponent).join("|");
-            const destinations = pts.map(_toGoogleLatLng).map(encodeURIComponent).join("|");
-            const url = `${GOOGLE_DISTANCE_MATRIX_URL}?units=metric&origins=${origins}&destinations=${destinations}&key=${encodeURIComponent(options.googleApiKey)}`;
-            const data = await _fetchJson(url);
-            if (data.status !== "OK") throw new Error(`Google API error: ${data.status}`);
-            const distances = [];
-            const durations = [];
-            for (let r = 0; r < data.rows.length; r++) {
-                const row = data.rows[r];
-                const dRow = [];
-                const tRow = [];
-                for (let c = 0; c < row.elements.length; c++) {
-                    const elem = row.elements[c];
-                    if (elem && elem.status === "OK") {
-                        dRow.push(elem.distance.value);
-                        tRow.push(elem.duration ? elem.duration.value : null);
-                    } else {
-                        dRow.push(null);
-                        tRow.push(null);
-                    }
-                }
-                distances.push(dRow);
-                durations.push(tRow);
-            }
-            return { distances, durations, unit: "meters" };
-        }
-
-        // OpenRouteService matrix
-        if ((provider === "ors" || provider === "openrouteservice" || provider === "auto") && options.openRouteServiceApiKey) {
-            const locations = pts.map((p) => [p.lng, p.lat]);
-            const body = { locations, metrics: ["distance", "duration"] };
-            const url = `${ORS_MATRIX_URL}/${profile}`;
-            const resp = await _fetchJson(url, {
-                method: "POST",
-                headers: { "Authorization": options.openRouteServiceApiKey, "Content-Type": "application/json" },
-                body: JSON.stringify(body),
-            });
-            // ORS returns distances (meters) and durations (seconds)
-            return { distances: resp.distances || null, durations: resp.durations || null, unit: "meters" };
-        }
 
-        // OSRM table API
-        if (provider === "osrm" || provider === "auto") {
-            const coords = pts.map(_toOsrmCoord).join(";");
-            const url = `${OSRM_BASE}/table/v1/${profile}/${coords}?annotations=distance,duration`;
-            const data = await _fetchJson(url);
-            if (data.code && data.code !== "Ok") throw new Error(`OSRM table error: ${data.code}`);
-            // OSRM returns distances in meters and durations in seconds
-            return { distances: data.distances || null, durations: data.durations || null, unit: "meters" };
-        }
+        const result = await _route("matrix", [pts], options);
+        if (result) return result;
 
         // Fallback: compute haversine matrix
         const n = pts.length;
@@ -245,7 +502,7 @@ async function getDistanceMatrix(points = [], options = {}) {
         }
         return { distances, durations, unit: "meters" };
     } catch (error) {
-        console.error("Error in getDistanceMatrix:", error);
+        logger.error("Error in getDistanceMatrix:", error);
         throw error;
     }
 }
@@ -254,94 +511,19 @@ async function getDistanceMatrix(points = [], options = {}) {
  * Optimize a route (TSP) for given points.
  * Returns { waypoints: reorderedPoints, waypointsOrder: [indices], distance, duration, geometry? }
  * options:
- *  - provider: 'google'|'ors'|'osrm'|'auto'
+ *  - provider: 'google'|'osrm'|'auto' or a registered routing provider
  *  - googleApiKey, openRouteServiceApiKey
  *  - profile: driving|walking|cycling
  *  - roundtrip: boolean (OSRM trip supports roundtrip; Google optimizeWaypoints true optimizes intermediate waypoints)
  */
 async function optimizeRoute(points = [], options = {}) {
     try {
-        if (!Array.isArray(points) || points.length < 2) throw new Error("points must be an array with at least two entries");
+        if (!Array.isArray(points) || points.length < 2) throw new ValidationError("points must be an array with at least two entries");
         const pts = points.map((p, i) => _validatePoint(p, `points[${i}]`));
-        const provider = options.provider || "auto";
-        const profile = (options.profile || "driving").toString();
-        const roundtrip = options.roundtrip !== undefined ? Boolean(options.roundtrip) : false;
-
-        // Google Directions with optimize:true (note: Google keeps origin/destination fixed if included; optimize true only reorders waypoints)
-        if ((provider === "google" || provider === "auto") && options.googleApiKey) {
-            // For Google, treat first point as origin and last as destination if more than 2,
-            // otherwise it's origin->destination only.
-            const origin = _toGoogleLatLng(pts[0]);
-            const destination = pts.length > 2 ? _toGoogleLatLng(pts[pts.length - 1]) : _toGoogleLatLng(pts[1]);
-            const waypoints = pts.length > 2 ? pts.slice(1, pts.length - 1).map(_toGoogleLatLng).join("|") : "";
-            const waypointParam = waypoints ? `&waypoints=optimize:true|${encodeURIComponent(waypoints)}` : "";
-            const url = `${GOOGLE_DIRECTIONS_URL}?origin=${encodeURIComponent(origin)}&destination=${encodeURIComponent(destination)}${waypointParam}&key=${encodeURIComponent(options.googleApiKey)}`;
-            const data = await _fetchJson(url);
-            if (data.status !== "OK") throw new Error(`Google Directions error: ${data.status}`);
-            const route = data.routes && data.routes[0];
-            const waypointOrder = route && route.waypoint_order ? route.waypoint_order : [];
-            // Build reordered list: origin + waypoints in order + destination (when applicable)
-            const reordered = [];
-            reordered.push(pts[0]);
-            if (pts.length > 2) {
-                for (const idx of waypointOrder) {
-                    reordered.push(pts[1 + idx]);
-                }
-                reordered.push(pts[pts.length - 1]);
-            } else {
-                // only two points
-                reordered.push(pts[1]);
-            }
-            const distance = route.legs ? route.legs.reduce((s, l) => s + (l.distance ? l.distance.value : 0), 0) : null;
-            const duration = route.legs ? route.legs.reduce((s, l) => s + (l.duration ? l.duration.value : 0), 0) : null;
-            return { waypoints: reordered, waypointsOrder: waypointOrder, distance, duration, provider: "google" };
-        }
 
-        // OSRM trip service: optimizes route for a roundtrip by default; can pin source/destination via options.source/destination
-        if (provider === "osrm" || provider === "auto") {
-            // OSRM expects lon,lat list separated by ;
-            const coords = pts.map(_toOsrmCoord).join(";");
-            // Use source/target if provided (index of start/end) otherwise default roundtrip/off
-            // If user wants non-roundtrip, set roundtrip=false and set source=0&destination=last
-            const params = [];
-            if (roundtrip === false) {
-                params.push("roundtrip=false");
-                params.push("source=first");
-                params.push("destination=last");
-            }
-            params.push("overview=full");
-            const url = `${OSRM_BASE}/trip/v1/${profile}/${coords}?${params.join("&")}`;
-            const data = await _fetchJson(url);
-            if (data.code && data.code !== "Ok") throw new Error(`OSRM trip error: ${data.code}`);
-            const trip = data.trips && data.trips[0];
-            // data.waypoints contains mapping: waypoint.index is index in coordinates, waypoint.waypoint_index
-            const order = (trip && trip.geometry && data.waypoints) ? data.waypoints.map(w => w.waypoint_index) : null;
-            // Construct reordered points using data.waypoints order
-            let waypointOrder = [];
-            if (data.waypoints && data.waypoints.length) {
-                // OSRM's waypoints have .waypoint_index == position in routes (0..n-1)
-                const sorted = data.waypoints.slice().sort((a, b) => a.waypoint_index - b.waypoint_index);
-                waypointOrder = sorted.map(wp => wp.location); // actually location is [lon,lat] but we return indices as position order
-            }
-            const orderedPts = (trip && trip.legs) ? (() => {
-                // data.waypoints has 'hint' and 'name' but not directly index mapping; easier: trip.waypoint_indices may exist
-                // We'll derive via trip.geometry: but for simplicity return trip.waypoints order using data.waypoints[*].hint mapping
-                // Instead return pts reordered by data.waypoints sorted by waypoint_index property
-                if (data.waypoints && data.waypoints.length === pts.length) {
-                    const sorted = data.waypoints.slice().sort((a, b) => a.waypoint_index - b.waypoint_index);
-                    return sorted.map(w => {
-                        const [lon, lat] = w.location;
-                        return { lat: Number(lat), lng: Number(lon) };
-                    });
-                }
-                return pts;
-            })() : pts;
-            const dist = trip ? trip.distance : null;
-            const dur = trip ? trip.duration : null;
-            return { waypoints: orderedPts, waypointsOrder: null, distance: dist, duration: dur, provider: "osrm" };
-        }
+        const result = await _route("optimize", [pts], options);
+        if (result) return result;
 
-        // ORS route optimization / directions: ORS optimization endpoint exists (optimization) but may require paid tiers.
         // Fallback: simple nearest-neighbor reorder using haversine to produce a naive optimized order (not globally optimal)
         // Implementation: start at first point, greedily pick nearest unvisited.
         const naiveOrder = [0];
@@ -368,7 +550,7 @@ async function optimizeRoute(points = [], options = {}) {
         const ordered = naiveOrder.map(i => pts[i]);
         return { waypoints: ordered, waypointsOrder: naiveOrder, distance: null, duration: null, provider: "naive-haversine" };
     } catch (error) {
-        console.error("Error in optimizeRoute:", error);
+        logger.error("Error in optimizeRoute:", error);
         throw error;
     }
 }
@@ -382,7 +564,7 @@ async function getEstimatedTime(a, b, options = {}) {
         const res = await calculateDistance(a, b, options);
         return res.duration ?? null;
     } catch (error) {
-        console.error("Error in getEstimatedTime:", error);
+        logger.error("Error in getEstimatedTime:", error);
         throw error;
     }
 }
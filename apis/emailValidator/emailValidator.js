@@ -6,6 +6,10 @@
  * @version 1.0.0
  */
 
+const { ValidationError } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
 /**
  * Validates email format
  * @param {string} email - Email address to validate
@@ -153,7 +157,7 @@ function checkEmailTypos(email) {
  */
 function validateMultipleEmails(emails) {
     if (!Array.isArray(emails)) {
-        throw new Error('Input must be an array of emails');
+        throw new ValidationError('Input must be an array of emails');
     }
 
     return {
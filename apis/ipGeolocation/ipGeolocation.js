@@ -1,40 +1,111 @@
 /**
  * IP Geolocation API
- * Get location data from IP addresses using ip-api.com
+ * Get location data from IP addresses using ip-api.com, failing over to
+ * ipwho.is. Other sources can be registered for the "ip-geolocation"
+ * capability (see core/providers.js).
  * 
  * @author Useful-APIs Contributors
- * @version 1.0.0
+ * @version 2.0.0
  */
 
 const BASE_URL = "http://ip-api.com/json";
+const PROVIDER = "ip-api";
+const IPWHOIS_URL = "https://ipwho.is";
+const IPWHOIS_PROVIDER = "ipwho.is";
+const CAPABILITY = "ip-geolocation";
 
-/**
- * Gets geolocation data for an IP address
- * @param {string} ipAddress - IP address to geolocate (omit for your own IP)
- * @returns {Promise<Object>} Location data including country, city, coordinates
+const LOCATION_CACHE = { name: "ip-api/json", ttl: 60 * 60 * 1000 };
+const IPWHOIS_CACHE = { name: "ipwho.is/lookup", ttl: 60 * 60 * 1000 };
+
+// Fields read from a successful lookup
+const LOCATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        query: { type: 'string', required: true },
+        country: { type: 'string' },
+        countryCode: { type: 'string' },
+        city: { type: 'string' },
+        region: { type: 'string' },
+        zip: { type: 'string', coerce: true },
+        lat: { type: 'number', required: true },
+        lon: { type: 'number', required: true },
+        timezone: { type: 'string' },
+        isp: { type: 'string' },
+        org: { type: 'string' },
+        continent: { type: 'string' }
+    }
+};
+
+const IPWHOIS_SCHEMA = {
+    type: 'object',
+    properties: {
+        ip: { type: 'string', required: true },
+        country: { type: 'string' },
+        country_code: { type: 'string' },
+        city: { type: 'string' },
+        region: { type: 'string' },
+        postal: { type: 'string', coerce: true },
+        latitude: { type: 'number', required: true },
+        longitude: { type: 'number', required: true },
+        timezone: { type: 'object', properties: { id: { type: 'string' } } },
+        connection: { type: 'object', properties: { isp: { type: 'string' }, org: { type: 'string' } } },
+        continent: { type: 'string' }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { runBatch } = typeof require === "function"
+    ? require("../core/batch.js")
+    : window.UsefulAPIsBatch;
+
+const { ValidationError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+const { registerProvider, callWithFailover } = typeof require === "function"
+    ? require("../core/providers.js")
+    : window.UsefulAPIsProviders;
+
+/*
+ * "ip-geolocation" providers: lookup(ipAddress or null, requestOptions) resolves to
+ * { ip, country, countryCode, city, state, postal, latitude, longitude, timezone, isp, org, continent }
  */
-async function getLocation(ipAddress = null) {
-    try {
-        let url = BASE_URL;
-        if (ipAddress) {
-            if (typeof ipAddress !== 'string') {
-                throw new Error('IP address must be a string');
-            }
-            url += `?query=${encodeURIComponent(ipAddress)}`;
-        }
+registerProvider(CAPABILITY, {
+    name: PROVIDER,
+    async lookup(ipAddress, requestOptions = {}) {
+        let url = getBaseUrl(PROVIDER, BASE_URL);
+        if (ipAddress) url += `?query=${encodeURIComponent(ipAddress)}`;
 
-        const response = await fetch(url);
+        const response = await request(url, { provider: PROVIDER, cache: LOCATION_CACHE, ...requestOptions });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch geolocation data: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to fetch geolocation data' });
         }
 
-        const data = await response.json();
+        const body = await response.json();
 
-        if (data.status === 'fail') {
-            throw new Error(data.message || 'Geolocation lookup failed');
+        // ip-api reports lookup failures (invalid query, private/reserved range) with HTTP 200
+        if (body.status === 'fail') {
+            throw new ValidationError(body.message || 'Geolocation lookup failed', { provider: PROVIDER, details: { query: body.query } });
         }
 
+        const data = parseResponse(body, LOCATION_SCHEMA, { provider: PROVIDER });
+
         return {
             ip: data.query,
             country: data.country,
@@ -47,11 +118,69 @@ async function getLocation(ipAddress = null) {
             timezone: data.timezone,
             isp: data.isp,
             org: data.org,
-            continent: data.continent,
+            continent: data.continent
+        };
+    }
+});
+
+registerProvider(CAPABILITY, {
+    name: IPWHOIS_PROVIDER,
+    async lookup(ipAddress, requestOptions = {}) {
+        const url = `${getBaseUrl(IPWHOIS_PROVIDER, IPWHOIS_URL)}/${ipAddress ? encodeURIComponent(ipAddress) : ''}`;
+        const response = await request(url, { provider: IPWHOIS_PROVIDER, cache: IPWHOIS_CACHE, ...requestOptions });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: IPWHOIS_PROVIDER, message: 'Failed to fetch geolocation data' });
+        }
+
+        const body = await response.json();
+
+        // ipwho.is also answers 200 with success: false for invalid or reserved addresses
+        if (body.success === false) {
+            throw new ValidationError(body.message || 'Geolocation lookup failed', { provider: IPWHOIS_PROVIDER, details: { query: ipAddress } });
+        }
+
+        const data = parseResponse(body, IPWHOIS_SCHEMA, { provider: IPWHOIS_PROVIDER });
+        const timezone = data.timezone || {};
+        const connection = data.connection || {};
+
+        return {
+            ip: data.ip,
+            country: data.country,
+            countryCode: data.country_code,
+            city: data.city,
+            state: data.region,
+            postal: data.postal,
+            latitude: data.latitude,
+            longitude: data.longitude,
+            timezone: timezone.id,
+            isp: connection.isp,
+            org: connection.org,
+            continent: data.continent
+        };
+    }
+});
+
+/**
+ * Gets geolocation data for an IP address
+ * @param {string} ipAddress - IP address to geolocate (omit for your own IP)
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: lookup source name
+ * @returns {Promise<Object>} Location data including country, city, coordinates
+ */
+async function getLocation(ipAddress = null, requestOptions = {}) {
+    try {
+        if (ipAddress && typeof ipAddress !== 'string') {
+            throw new ValidationError('IP address must be a string');
+        }
+
+        const location = await callWithFailover(CAPABILITY, 'lookup', [ipAddress || null, pickRequestOptions(requestOptions)], { provider: requestOptions.provider });
+
+        return {
+            ...location,
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        console.error('Error fetching geolocation:', error);
+        logger.error('Error fetching geolocation:', error);
         throw error;
     }
 }
@@ -59,35 +188,33 @@ async function getLocation(ipAddress = null) {
 /**
  * Gets location data for multiple IP addresses
  * @param {string[]} ipAddresses - Array of IP addresses
- * @returns {Promise<Array>} Array of location data
+ * @param {Object} options - Batch options (concurrency, default 4; onProgress) plus transport options (signal, timeout, retries)
+ * @returns {Promise<Array>} One entry per IP, in order: { input, result } or { input, error }
  */
-async function getMultipleLocations(ipAddresses) {
+async function getMultipleLocations(ipAddresses, options = {}) {
     try {
         if (!Array.isArray(ipAddresses) || ipAddresses.length === 0) {
-            throw new Error('ipAddresses must be a non-empty array');
+            throw new ValidationError('ipAddresses must be a non-empty array');
         }
 
-        const results = [];
-        for (const ip of ipAddresses) {
-            const location = await getLocation(ip);
-            results.push(location);
-        }
-        return results;
+        const { concurrency, onProgress, ...requestOptions } = options;
+        return await runBatch(ipAddresses, ip => getLocation(ip, requestOptions), { concurrency, onProgress, signal: requestOptions.signal });
     } catch (error) {
-        console.error('Error fetching multiple locations:', error);
+        logger.error('Error fetching multiple locations:', error);
         throw error;
     }
 }
 
 /**
  * Gets your own IP address and location
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Your IP and location data
  */
-async function getMyLocation() {
+async function getMyLocation(requestOptions = {}) {
     try {
-        return await getLocation();
+        return await getLocation(null, requestOptions);
     } catch (error) {
-        console.error('Error fetching your location:', error);
+        logger.error('Error fetching your location:', error);
         throw error;
     }
 }
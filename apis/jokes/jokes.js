@@ -0,0 +1,561 @@
+/**
+ * Jokes API
+ * One joke client over several sources: chucknorris.io (through chuckNorris.js,
+ * so its offline corpus applies), JokeAPI, the Official Joke API,
+ * icanhazdadjoke and any local JSON corpus. Every source is a provider of the
+ * "jokes" capability (see core/providers.js): calls go to the first one that can
+ * answer and fail over to the next, and each joke comes back in one shape:
+ *
+ *   { id, text, categories, source }
+ *
+ * `source` is the provider the joke came from; pass it back as `provider` to
+ * fetch the same joke by id. With `safe`, jokes go through the content filter
+ * (see core/contentFilter.js); JokeAPI's flags ("nsfw", "political"...) count
+ * as categories, so the deny-list covers them.
+ *
+ * Usage:
+ *   const jokes = createJokeClient({ provider: ["jokeapi", "icanhazdadjoke"] });
+ *   const joke = await jokes.getRandom({ category: "programming" });
+ *
+ *   registerProvider("jokes", createLocalJokeProvider("data/jokes.json"), { position: 0 });
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const CAPABILITY = "jokes";
+
+const CHUCKNORRIS_PROVIDER = "chucknorris";
+const JOKEAPI_URL = "https://v2.jokeapi.dev";
+const JOKEAPI_PROVIDER = "jokeapi";
+const OFFICIAL_URL = "https://official-joke-api.appspot.com";
+const OFFICIAL_PROVIDER = "official-joke-api";
+const DADJOKE_URL = "https://icanhazdadjoke.com";
+const DADJOKE_PROVIDER = "icanhazdadjoke";
+const LOCAL_PROVIDER = "local";
+
+// Random endpoints are never cached
+const JOKEAPI_JOKE_CACHE = { name: "jokeapi/joke", ttl: 24 * 60 * 60 * 1000 };
+const JOKEAPI_SEARCH_CACHE = { name: "jokeapi/search", ttl: 60 * 60 * 1000 };
+const JOKEAPI_CATEGORIES_CACHE = { name: "jokeapi/categories", ttl: 24 * 60 * 60 * 1000 };
+const OFFICIAL_JOKE_CACHE = { name: "official-joke-api/joke", ttl: 24 * 60 * 60 * 1000 };
+const OFFICIAL_TYPES_CACHE = { name: "official-joke-api/types", ttl: 24 * 60 * 60 * 1000 };
+const DADJOKE_JOKE_CACHE = { name: "icanhazdadjoke/joke", ttl: 24 * 60 * 60 * 1000 };
+const DADJOKE_SEARCH_CACHE = { name: "icanhazdadjoke/search", ttl: 60 * 60 * 1000 };
+
+// Most results one upstream search returns
+const JOKEAPI_MAX_AMOUNT = 10;
+const DADJOKE_MAX_LIMIT = 30;
+const DEFAULT_SEARCH_LIMIT = 10;
+
+// Where the content filter finds a normalized joke's text and categories
+const FILTER_FIELDS = { text: "text", categories: "categories" };
+
+// JokeAPI error code for "No matching joke found"
+const JOKEAPI_NO_MATCH = 106;
+
+// icanhazdadjoke answers HTML unless asked for JSON, and asks clients to identify themselves
+const DADJOKE_HEADERS = {
+    Accept: "application/json",
+    "User-Agent": "Useful-APIs (https://github.com/im-vetri/Useful-APIs)"
+};
+
+const JOKEAPI_JOKE_SCHEMA = {
+    type: "object",
+    properties: {
+        id: { type: "number", required: true },
+        category: { type: "string", required: true },
+        type: { type: "string", required: true },
+        joke: { type: "string" },
+        setup: { type: "string" },
+        delivery: { type: "string" },
+        flags: { type: "object" }
+    }
+};
+
+const JOKEAPI_SEARCH_SCHEMA = {
+    type: "object",
+    properties: {
+        jokes: { type: "array", required: true, items: JOKEAPI_JOKE_SCHEMA }
+    }
+};
+
+const JOKEAPI_CATEGORIES_SCHEMA = {
+    type: "object",
+    properties: {
+        categories: { type: "array", required: true, items: { type: "string" } }
+    }
+};
+
+const OFFICIAL_JOKE_SCHEMA = {
+    type: "object",
+    required: true,
+    properties: {
+        id: { type: "number", required: true },
+        type: { type: "string" },
+        setup: { type: "string", required: true },
+        punchline: { type: "string", required: true }
+    }
+};
+
+const OFFICIAL_TYPES_SCHEMA = { type: "array", required: true, items: { type: "string" } };
+
+const DADJOKE_JOKE_SCHEMA = {
+    type: "object",
+    required: true,
+    properties: {
+        id: { type: "string", required: true },
+        joke: { type: "string", required: true }
+    }
+};
+
+const DADJOKE_SEARCH_SCHEMA = {
+    type: "object",
+    properties: {
+        results: { type: "array", default: [], items: DADJOKE_JOKE_SCHEMA }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { ValidationError, NotFoundError, UpstreamError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+const { registerProvider, callWithFailover } = typeof require === "function"
+    ? require("../core/providers.js")
+    : window.UsefulAPIsProviders;
+
+const chuckNorris = typeof require === "function"
+    ? require("../chuckNorris/chuckNorris.js")
+    : window.ChuckNorrisAPI;
+
+const { loadJokeCorpus } = typeof require === "function"
+    ? require("../chuckNorris/jokeCorpus.js")
+    : window.ChuckNorrisCorpus;
+
+const { resolveContentFilter, findSafe, filterItems } = typeof require === "function"
+    ? require("../core/contentFilter.js")
+    : window.UsefulAPIsContentFilter;
+
+/**
+ * Turns a joke from any supported source into { id, text, categories, source }.
+ * Understands chucknorris.io (`value`), JokeAPI (`joke`, or `setup` + `delivery`),
+ * the Official Joke API (`setup` + `punchline`, `type`), icanhazdadjoke (`joke`)
+ * and jokes already in this shape (`text`). Two-part jokes are joined with a newline.
+ * @param {Object} joke - Joke from a provider or a local corpus
+ * @param {string} source - Provider name
+ * @returns {Object|null} Normalized joke, or null when it has no text
+ */
+function normalizeJoke(joke, source) {
+    if (!joke || typeof joke !== "object") return null;
+
+    const ending = joke.delivery !== undefined ? joke.delivery : joke.punchline;
+    const text = [joke.text, joke.value, joke.joke].find(value => typeof value === "string" && value.trim() !== "")
+        || (typeof joke.setup === "string" && typeof ending === "string" ? `${joke.setup}\n${ending}` : null);
+    if (!text) return null;
+
+    const categories = Array.isArray(joke.categories) ? joke.categories
+        : [joke.category, joke.type].filter(value => typeof value === "string" && !["single", "twopart"].includes(value)).slice(0, 1);
+
+    return {
+        id: joke.id === undefined || joke.id === null ? null : String(joke.id),
+        text: text.trim(),
+        categories: [...new Set(categories.filter(category => typeof category === "string").map(category => category.toLowerCase()))],
+        source
+    };
+}
+
+function _limit(limit) {
+    if (limit === undefined) return DEFAULT_SEARCH_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new ValidationError("Limit must be a positive integer");
+    }
+    return limit;
+}
+
+// An empty search or category list is a NotFoundError, so the call moves on to the next provider
+function _found(items, provider, message) {
+    if (items.length === 0) throw new NotFoundError(message, { provider });
+    return items;
+}
+
+/*
+ * "jokes" providers:
+ *   random(category or null, requestOptions) => joke
+ *   getById(id, requestOptions) => joke
+ *   search(query, limit, requestOptions) => jokes, most relevant first
+ *   categories(requestOptions) => category names
+ * Jokes are normalized (see normalizeJoke). A category, id or search the
+ * provider does not have throws a NotFoundError, so the call moves on to the next one;
+ * so does a search or category list that comes back empty.
+ */
+
+registerProvider(CAPABILITY, {
+    name: CHUCKNORRIS_PROVIDER,
+    async random(category, requestOptions = {}) {
+        const joke = category
+            ? await chuckNorris.getJokeByCategory(category, requestOptions)
+            : await chuckNorris.getRandomJoke(requestOptions);
+        return normalizeJoke(joke, CHUCKNORRIS_PROVIDER);
+    },
+    async getById(id, requestOptions = {}) {
+        return normalizeJoke(await chuckNorris.getJokeById(id, requestOptions), CHUCKNORRIS_PROVIDER);
+    },
+    async search(query, limit, requestOptions = {}) {
+        // chucknorris.io only searches 3 to 120 characters
+        if (query.trim().length < 3) {
+            throw new NotFoundError("chucknorris.io only searches 3 characters or more", { provider: CHUCKNORRIS_PROVIDER });
+        }
+        const jokes = await chuckNorris.searchJokes(query.trim().slice(0, 120), { ...requestOptions, limit });
+        return _found(jokes.map(joke => normalizeJoke(joke, CHUCKNORRIS_PROVIDER)), CHUCKNORRIS_PROVIDER, `No jokes matching "${query}" found.`);
+    },
+    categories(requestOptions = {}) {
+        return chuckNorris.getCategories(requestOptions);
+    }
+});
+
+// JokeAPI reports failures in the body, with "No matching joke found" as code 106
+async function _jokeApi(path, requestOptions) {
+    const response = await request(`${getBaseUrl(JOKEAPI_PROVIDER, JOKEAPI_URL)}${path}`, { provider: JOKEAPI_PROVIDER, ...requestOptions });
+    if (!response.ok && response.status !== 400) {
+        throw await errorFromResponse(response, { provider: JOKEAPI_PROVIDER });
+    }
+
+    const body = await response.json();
+    if (body && body.error) {
+        const message = [body.message, ...(Array.isArray(body.causedBy) ? body.causedBy : [])].filter(Boolean).join(": ");
+        if (body.code === JOKEAPI_NO_MATCH) throw new NotFoundError(message || "No matching joke found", { provider: JOKEAPI_PROVIDER });
+        // Input is checked before the request, so any other error is JokeAPI's and the call moves on
+        throw new UpstreamError(message || "JokeAPI request failed", { provider: JOKEAPI_PROVIDER, status: response.status, details: { code: body.code } });
+    }
+    return body;
+}
+
+// The set flags ({ nsfw: true, ... }) become categories after the joke's own
+function _jokeApiJoke(body) {
+    const joke = parseResponse(body, JOKEAPI_JOKE_SCHEMA, { provider: JOKEAPI_PROVIDER });
+    const flags = joke.flags ? Object.keys(joke.flags).filter(flag => joke.flags[flag] === true) : [];
+    return normalizeJoke({ ...joke, categories: [joke.category, ...flags] }, JOKEAPI_PROVIDER);
+}
+
+const jokeApi = {
+    name: JOKEAPI_PROVIDER,
+    async random(category, requestOptions = {}) {
+        let path = "/joke/Any";
+        if (category) {
+            // JokeAPI capitalizes its categories ("Programming"); others belong to other providers
+            const categories = await jokeApi.categories(requestOptions);
+            if (!categories.includes(category.toLowerCase())) {
+                throw new NotFoundError(`No jokes for category "${category}" found.`, { provider: JOKEAPI_PROVIDER });
+            }
+            path = `/joke/${encodeURIComponent(category.charAt(0).toUpperCase() + category.slice(1).toLowerCase())}`;
+        }
+        return _jokeApiJoke(await _jokeApi(path, { dedupe: false, ...requestOptions }));
+    },
+    async getById(id, requestOptions = {}) {
+        if (!/^\d+$/.test(id)) {
+            throw new NotFoundError(`Joke with id "${id}" not found.`, { provider: JOKEAPI_PROVIDER });
+        }
+        return _jokeApiJoke(await _jokeApi(`/joke/Any?idRange=${id}-${id}`, { cache: JOKEAPI_JOKE_CACHE, ...requestOptions }));
+    },
+    async search(query, limit, requestOptions = {}) {
+        const amount = Math.min(limit, JOKEAPI_MAX_AMOUNT);
+        // No match is a NotFoundError (code 106)
+        const body = await _jokeApi(`/joke/Any?contains=${encodeURIComponent(query)}&amount=${amount}`, { cache: JOKEAPI_SEARCH_CACHE, ...requestOptions });
+        // One joke comes back bare, more as { amount, jokes }
+        const jokes = body.jokes === undefined ? [body] : parseResponse(body, JOKEAPI_SEARCH_SCHEMA, { provider: JOKEAPI_PROVIDER }).jokes;
+        return jokes.map(_jokeApiJoke);
+    },
+    async categories(requestOptions = {}) {
+        const body = await _jokeApi("/categories", { cache: JOKEAPI_CATEGORIES_CACHE, ...requestOptions });
+        const data = parseResponse(body, JOKEAPI_CATEGORIES_SCHEMA, { provider: JOKEAPI_PROVIDER });
+        // "Any" is a wildcard, not a category
+        return data.categories.filter(category => category !== "Any").map(category => category.toLowerCase());
+    }
+};
+registerProvider(CAPABILITY, jokeApi);
+
+async function _official(path, requestOptions) {
+    const response = await request(`${getBaseUrl(OFFICIAL_PROVIDER, OFFICIAL_URL)}${path}`, { provider: OFFICIAL_PROVIDER, ...requestOptions });
+    if (!response.ok) {
+        throw await errorFromResponse(response, { provider: OFFICIAL_PROVIDER });
+    }
+    return response.json();
+}
+
+// The Official Joke API has no search
+registerProvider(CAPABILITY, {
+    name: OFFICIAL_PROVIDER,
+    async random(category, requestOptions = {}) {
+        if (!category) {
+            const body = await _official("/random_joke", { dedupe: false, ...requestOptions });
+            return normalizeJoke(parseResponse(body, OFFICIAL_JOKE_SCHEMA, { provider: OFFICIAL_PROVIDER }), OFFICIAL_PROVIDER);
+        }
+
+        // An unknown type answers an empty list
+        const body = await _official(`/jokes/${encodeURIComponent(category.toLowerCase())}/random`, { dedupe: false, ...requestOptions });
+        const joke = Array.isArray(body) ? body[0] : body;
+        if (!joke) {
+            throw new NotFoundError(`No jokes for category "${category}" found.`, { provider: OFFICIAL_PROVIDER });
+        }
+        return normalizeJoke(parseResponse(joke, OFFICIAL_JOKE_SCHEMA, { provider: OFFICIAL_PROVIDER }), OFFICIAL_PROVIDER);
+    },
+    async getById(id, requestOptions = {}) {
+        if (!/^\d+$/.test(id)) {
+            throw new NotFoundError(`Joke with id "${id}" not found.`, { provider: OFFICIAL_PROVIDER });
+        }
+        const body = await _official(`/jokes/${id}`, { cache: OFFICIAL_JOKE_CACHE, ...requestOptions });
+        return normalizeJoke(parseResponse(body, OFFICIAL_JOKE_SCHEMA, { provider: OFFICIAL_PROVIDER }), OFFICIAL_PROVIDER);
+    },
+    async categories(requestOptions = {}) {
+        const body = await _official("/types", { cache: OFFICIAL_TYPES_CACHE, ...requestOptions });
+        const types = parseResponse(body, OFFICIAL_TYPES_SCHEMA, { provider: OFFICIAL_PROVIDER }).map(type => type.toLowerCase());
+        return _found(types, OFFICIAL_PROVIDER, "The Official Joke API lists no joke types");
+    }
+});
+
+async function _dadJoke(path, requestOptions) {
+    const response = await request(`${getBaseUrl(DADJOKE_PROVIDER, DADJOKE_URL)}${path}`, { provider: DADJOKE_PROVIDER, headers: DADJOKE_HEADERS, ...requestOptions });
+    if (!response.ok) {
+        throw await errorFromResponse(response, { provider: DADJOKE_PROVIDER });
+    }
+    return response.json();
+}
+
+// icanhazdadjoke has no categories
+registerProvider(CAPABILITY, {
+    name: DADJOKE_PROVIDER,
+    async random(category, requestOptions = {}) {
+        if (category) {
+            throw new NotFoundError(`No jokes for category "${category}" found.`, { provider: DADJOKE_PROVIDER });
+        }
+        const body = await _dadJoke("/", { dedupe: false, ...requestOptions });
+        return normalizeJoke(parseResponse(body, DADJOKE_JOKE_SCHEMA, { provider: DADJOKE_PROVIDER }), DADJOKE_PROVIDER);
+    },
+    async getById(id, requestOptions = {}) {
+        const body = await _dadJoke(`/j/${encodeURIComponent(id)}`, { cache: DADJOKE_JOKE_CACHE, ...requestOptions });
+        return normalizeJoke(parseResponse(body, DADJOKE_JOKE_SCHEMA, { provider: DADJOKE_PROVIDER }), DADJOKE_PROVIDER);
+    },
+    async search(query, limit, requestOptions = {}) {
+        const path = `/search?term=${encodeURIComponent(query)}&limit=${Math.min(limit, DADJOKE_MAX_LIMIT)}`;
+        const body = await _dadJoke(path, { cache: DADJOKE_SEARCH_CACHE, ...requestOptions });
+        const jokes = parseResponse(body, DADJOKE_SEARCH_SCHEMA, { provider: DADJOKE_PROVIDER }).results
+            .map(joke => normalizeJoke(joke, DADJOKE_PROVIDER));
+        return _found(jokes, DADJOKE_PROVIDER, `No jokes matching "${query}" found.`);
+    },
+    categories() {
+        throw new NotFoundError("icanhazdadjoke has no categories", { provider: DADJOKE_PROVIDER });
+    }
+});
+
+/**
+ * Creates a "jokes" provider serving a local JSON corpus, with ranked search (see chuckNorris/jokeCorpus.js).
+ * Register it to use it: registerProvider("jokes", createLocalJokeProvider(...), { position: 0 }).
+ * @param {Array|Object|string} source - Jokes in any shape normalizeJoke() understands, { jokes: [...] }, or (Node.js) a JSON file of either
+ * @param {Object} options - { name: provider name (default "local") }
+ * @returns {Object} Provider with random, getById, search and categories; jokes without an id are numbered from 1
+ */
+function createLocalJokeProvider(source, options = {}) {
+    const name = options.name === undefined ? LOCAL_PROVIDER : options.name;
+    if (typeof name !== "string" || name === "") {
+        throw new ValidationError("name must be a non-empty string");
+    }
+
+    let records = source;
+    if (typeof source === "string") {
+        if (typeof require !== "function") {
+            throw new Error("Loading jokes from a file is only available in Node.js");
+        }
+        records = JSON.parse(require("fs").readFileSync(source, "utf8"));
+    }
+    if (records && !Array.isArray(records) && Array.isArray(records.jokes)) records = records.jokes;
+    if (!Array.isArray(records)) {
+        throw new ValidationError("A local joke corpus must be an array of jokes or { jokes: [...] }");
+    }
+
+    const jokes = records.map((record, index) => {
+        const joke = normalizeJoke(record, name);
+        if (!joke) throw new ValidationError(`Joke ${index + 1} of the local corpus has no text`);
+        return { ...joke, id: joke.id === null ? String(index + 1) : joke.id };
+    });
+    const corpus = loadJokeCorpus(jokes.map(joke => ({ id: joke.id, value: joke.text, categories: joke.categories })));
+    const byId = new Map(jokes.map(joke => [joke.id, joke]));
+
+    return {
+        name,
+        async random(category) {
+            const found = corpus.random(category || undefined);
+            if (!found) {
+                throw new NotFoundError(category ? `No jokes for category "${category}" found.` : "The local joke corpus is empty", { provider: name });
+            }
+            return byId.get(found.id);
+        },
+        async getById(id) {
+            if (!byId.has(id)) throw new NotFoundError(`Joke with id "${id}" not found.`, { provider: name });
+            return byId.get(id);
+        },
+        async search(query, limit) {
+            return _found(corpus.search(query, { limit }).map(found => byId.get(found.id)), name, `No jokes matching "${query}" found.`);
+        },
+        async categories() {
+            return _found([...corpus.categories], name, "The local joke corpus has no categories");
+        }
+    };
+}
+
+/**
+ * Fetches a random joke
+ * @param {Object} options - {
+ *     category,
+ *     provider: name or names to try, in order,
+ *     safe: true for the configured content filter, or filter options; jokes it rejects are re-fetched
+ * } plus transport options (signal, timeout, retries)
+ * @returns {Promise<Object>} { id, text, categories, source }
+ */
+async function getRandom(options = {}) {
+    try {
+        if (options.category !== undefined && (typeof options.category !== "string" || options.category.trim() === "")) {
+            throw new ValidationError("Category must be a non-empty string");
+        }
+
+        const category = options.category ? options.category.trim() : null;
+        const filter = resolveContentFilter(options.safe);
+        if (filter && filter.isBlockedCategory(category)) {
+            throw new ValidationError(`Category "${category}" is blocked by the content filter`);
+        }
+
+        const fetchJoke = () => callWithFailover(CAPABILITY, "random", [category, pickRequestOptions(options)], { provider: options.provider });
+        if (filter) return await findSafe(fetchJoke, filter, FILTER_FIELDS, { what: "joke" });
+        return await fetchJoke();
+    } catch (error) {
+        logger.error("Error fetching random joke:", error);
+        throw error;
+    }
+}
+
+/**
+ * Fetches a joke by ID. IDs are only unique within a source: pass the joke's `source` as `provider`.
+ * @param {string|number} jokeId - The joke's id
+ * @param {Object} options - { provider, safe } plus transport options (signal, timeout, retries)
+ * @returns {Promise<Object>} { id, text, categories, source }
+ */
+async function getById(jokeId, options = {}) {
+    try {
+        if ((typeof jokeId !== "string" && typeof jokeId !== "number") || String(jokeId).trim() === "") {
+            throw new ValidationError("Joke ID must be a non-empty string or a number");
+        }
+
+        const filter = resolveContentFilter(options.safe);
+        const joke = await callWithFailover(CAPABILITY, "getById", [String(jokeId).trim(), pickRequestOptions(options)], { provider: options.provider });
+        if (!filter) return joke;
+
+        const safe = filter.apply(joke, FILTER_FIELDS);
+        if (!safe) throw new NotFoundError(`Joke with id "${jokeId}" was withheld by the content filter.`, { provider: joke.source });
+        return safe;
+    } catch (error) {
+        logger.error("Error fetching joke by ID:", error);
+        throw error;
+    }
+}
+
+/**
+ * Searches for jokes containing a keyword or phrase, at the first source that finds any
+ * @param {string} query - Search term or phrase
+ * @param {Object} options - { limit (default 10), provider, safe: drop (or mask) the jokes the content filter flags } plus transport options (signal, timeout, retries)
+ * @returns {Promise<Array>} Matching jokes, most relevant first where the source ranks them; empty when no source finds any
+ */
+async function search(query, options = {}) {
+    try {
+        if (!query || typeof query !== "string" || query.trim() === "") {
+            throw new ValidationError("Search query must be a non-empty string");
+        }
+
+        const limit = _limit(options.limit);
+        const filter = resolveContentFilter(options.safe);
+        const jokes = await callWithFailover(CAPABILITY, "search", [query.trim(), limit, pickRequestOptions(options)], { provider: options.provider });
+        return (filter ? filterItems(jokes, filter, FILTER_FIELDS) : jokes).slice(0, limit);
+    } catch (error) {
+        if (error instanceof NotFoundError) return [];
+        logger.error("Error searching jokes:", error);
+        throw error;
+    }
+}
+
+/**
+ * Lists the categories of the first source that has any
+ * @param {Object} options - { provider, safe: leave out the categories the content filter denies } plus transport options (signal, timeout, retries)
+ * @returns {Promise<Array>} Lowercase category names; empty when no source has categories
+ */
+async function categories(options = {}) {
+    try {
+        const filter = resolveContentFilter(options.safe);
+        const names = await callWithFailover(CAPABILITY, "categories", [pickRequestOptions(options)], { provider: options.provider });
+        return filter ? names.filter(name => !filter.isBlockedCategory(name)) : names;
+    } catch (error) {
+        if (error instanceof NotFoundError) return [];
+        logger.error("Error fetching joke categories:", error);
+        throw error;
+    }
+}
+
+/**
+ * Creates a joke client bound to some sources and transport options; each call may override them
+ * @param {Object} options - {
+ *     provider: name or names to try, in order (default: every registered provider),
+ *     safe: content filter for every call (see getRandom)
+ * } plus transport options (signal, timeout, retries)
+ * @returns {Object} { getRandom(options), getById(id, options), search(query, options), categories(options) }
+ */
+function createJokeClient(options = {}) {
+    const defaults = { ...pickRequestOptions(options), provider: options.provider, safe: options.safe };
+    const merged = callOptions => ({ ...defaults, ...(callOptions || {}) });
+
+    return {
+        getRandom: callOptions => getRandom(merged(callOptions)),
+        getById: (jokeId, callOptions) => getById(jokeId, merged(callOptions)),
+        search: (query, callOptions) => search(query, merged(callOptions)),
+        categories: callOptions => categories(merged(callOptions))
+    };
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        getRandom,
+        getById,
+        search,
+        categories,
+        createJokeClient,
+        createLocalJokeProvider,
+        normalizeJoke,
+        CAPABILITY
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.JokesAPI = {
+        getRandom,
+        getById,
+        search,
+        categories,
+        createJokeClient,
+        createLocalJokeProvider,
+        normalizeJoke,
+        CAPABILITY
+    };
+}
@@ -1,13 +1,90 @@
 /**
  * Language Translation API
- * Translates text between languages using LibreTranslate API
+ * Translates text between languages using LibreTranslate API, failing over
+ * to MyMemory for translations (MyMemory has no detection or language list)
  * Supports multiple language pairs and batch translation
+ * Other services (or LibreTranslate mirrors) can be registered for the
+ * "translation" capability and are used in order (see core/providers.js)
  * 
  * @author Useful-APIs Contributors
- * @version 1.0.0
+ * @version 2.0.0
  */
 
-const BASE_URL = "https://libretranslate.com/";
+const BASE_URL = "https://libretranslate.com";
+const PROVIDER = "libretranslate";
+const MYMEMORY_URL = "https://api.mymemory.translated.net";
+const MYMEMORY_PROVIDER = "mymemory";
+const CAPABILITY = "translation";
+
+const LANGUAGES_CACHE = { name: "libretranslate/languages", ttl: 24 * 60 * 60 * 1000 };
+
+// Response shapes per endpoint
+const DETECTION = {
+    type: 'object',
+    properties: {
+        language: { type: 'string', required: true },
+        confidence: { type: 'number' }
+    }
+};
+const MYMEMORY_SCHEMA = {
+    type: 'object',
+    properties: {
+        responseData: {
+            type: 'object',
+            required: true,
+            properties: { translatedText: { type: 'string', required: true } }
+        },
+        responseStatus: { type: 'number', coerce: true },
+        responseDetails: { type: 'string' }
+    }
+};
+const RESPONSE_SCHEMAS = {
+    translate: {
+        type: 'object',
+        required: true,
+        properties: {
+            translatedText: { type: 'string', required: true },
+            detectedLanguage: DETECTION
+        }
+    },
+    detect: { type: 'array', required: true, items: DETECTION },
+    languages: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', required: true },
+                name: { type: 'string', required: true },
+                targets: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { runBatch } = typeof require === "function"
+    ? require("../core/batch.js")
+    : window.UsefulAPIsBatch;
+
+const { ValidationError, UpstreamError, RateLimitError, UsefulAPIError, isAbortError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+const { registerProvider, callWithFailover } = typeof require === "function"
+    ? require("../core/providers.js")
+    : window.UsefulAPIsProviders;
 
 // Supported language codes
 const LANGUAGES = {
@@ -30,9 +107,10 @@ const LANGUAGES = {
  * @private
  */
 async function fetchTranslationAPI(endpoint, options = {}) {
-    const url = BASE_URL + endpoint;
+    const url = `${getBaseUrl(PROVIDER, BASE_URL)}/${endpoint}`;
     try {
-        const response = await fetch(url, {
+        const response = await request(url, {
+            provider: PROVIDER,
             ...options,
             headers: {
                 'Content-Type': 'application/json',
@@ -41,21 +119,78 @@ async function fetchTranslationAPI(endpoint, options = {}) {
         });
         
         if (!response.ok) {
-            throw new Error(`Translation API error: ${response.status} ${response.statusText}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Translation API error' });
         }
         
-        return response.json();
+        return parseResponse(await response.json(), RESPONSE_SCHEMAS[endpoint], { provider: PROVIDER, name: `LibreTranslate /${endpoint} response` });
     } catch (error) {
-        throw new Error(`Translation request failed: ${error.message}`);
+        if (error instanceof UsefulAPIError || isAbortError(error)) throw error;
+        throw new UpstreamError(`Translation request failed: ${error.message}`, { provider: PROVIDER, cause: error });
     }
 }
 
+/*
+ * "translation" providers implement any of:
+ *   translate(text, source, target, requestOptions) => { translatedText, detectedLanguage? }
+ *   detect(text, requestOptions) => [{ language, confidence }]
+ *   languages(requestOptions) => [{ code, name, targets? }]
+ * source is 'auto' when the caller did not give one
+ */
+registerProvider(CAPABILITY, {
+    name: PROVIDER,
+    translate(text, source, target, requestOptions = {}) {
+        return fetchTranslationAPI('translate', {
+            ...requestOptions,
+            method: 'POST',
+            body: JSON.stringify({ q: text, source, target })
+        });
+    },
+    detect(text, requestOptions = {}) {
+        return fetchTranslationAPI('detect', {
+            ...requestOptions,
+            method: 'POST',
+            body: JSON.stringify({ q: text })
+        });
+    },
+    languages(requestOptions = {}) {
+        return fetchTranslationAPI('languages', { cache: LANGUAGES_CACHE, ...requestOptions });
+    }
+});
+
+registerProvider(CAPABILITY, {
+    name: MYMEMORY_PROVIDER,
+    async translate(text, source, target, requestOptions = {}) {
+        // MyMemory takes a "source|target" pair and detects the source itself with "autodetect"
+        const langpair = `${source === 'auto' ? 'autodetect' : source}|${target}`;
+        const url = `${getBaseUrl(MYMEMORY_PROVIDER, MYMEMORY_URL)}/get?q=${encodeURIComponent(text)}&langpair=${encodeURIComponent(langpair)}`;
+        const response = await request(url, { provider: MYMEMORY_PROVIDER, ...requestOptions });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: MYMEMORY_PROVIDER, message: 'Translation API error' });
+        }
+
+        const data = parseResponse(await response.json(), MYMEMORY_SCHEMA, { provider: MYMEMORY_PROVIDER, name: 'MyMemory /get response' });
+
+        // MyMemory reports failures (bad language pair, daily quota used up) in the body, with HTTP 200
+        const status = data.responseStatus === undefined ? 200 : data.responseStatus;
+        if (status === 429) {
+            throw new RateLimitError(data.responseDetails || 'MyMemory quota exceeded', { provider: MYMEMORY_PROVIDER });
+        }
+        if (status !== 200) {
+            throw new UpstreamError(data.responseDetails || 'Translation API error', { provider: MYMEMORY_PROVIDER, status });
+        }
+
+        return { translatedText: data.responseData.translatedText };
+    }
+});
+
 /**
  * Get list of supported languages
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: translation service name
  * @returns {Promise<Array>} Array of language objects with code and name
  */
-async function getSupportedLanguages() {
-    return fetchTranslationAPI('languages');
+async function getSupportedLanguages(requestOptions = {}) {
+    return callWithFailover(CAPABILITY, 'languages', [pickRequestOptions(requestOptions)], { provider: requestOptions.provider });
 }
 
 /**
@@ -63,23 +198,15 @@ async function getSupportedLanguages() {
  * @param {string} text - Text to translate
  * @param {string} source - Source language code
  * @param {string} target - Target language code
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: translation service name
  * @returns {Promise<Object>} Translation result with detected language
  */
-async function translateText(text, source, target) {
+async function translateText(text, source, target, requestOptions = {}) {
     if (!text || !target) {
-        throw new Error('Text and target language are required');
+        throw new ValidationError('Text and target language are required');
     }
 
-    const payload = {
-        q: text,
-        source: source || 'auto',
-        target: target
-    };
-
-    return fetchTranslationAPI('translate', {
-        method: 'POST',
-        body: JSON.stringify(payload)
-    });
+    return callWithFailover(CAPABILITY, 'translate', [text, source || 'auto', target, pickRequestOptions(requestOptions)], { provider: requestOptions.provider });
 }
 
 /**
@@ -87,30 +214,30 @@ async function translateText(text, source, target) {
  * @param {Array<string>} texts - Array of texts to translate
  * @param {string} source - Source language code
  * @param {string} target - Target language code
- * @returns {Promise<Array>} Array of translation results
+ * @param {Object} options - Batch options (concurrency, default 4; onProgress) plus transport options (signal, timeout, retries)
+ * @returns {Promise<Array>} One entry per text, in order: { input, result } or { input, error }
  */
-async function batchTranslate(texts, source, target) {
+async function batchTranslate(texts, source, target, options = {}) {
     if (!Array.isArray(texts)) {
-        throw new Error('Texts must be an array');
+        throw new ValidationError('Texts must be an array');
     }
 
-    return Promise.all(texts.map(text => translateText(text, source, target)));
+    const { concurrency, onProgress, ...requestOptions } = options;
+    return runBatch(texts, text => translateText(text, source, target, requestOptions), { concurrency, onProgress, signal: requestOptions.signal });
 }
 
 /**
  * Detect language of text
  * @param {string} text - Text to analyze
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: translation service name
  * @returns {Promise<Object>} Detected language info
  */
-async function detectLanguage(text) {
+async function detectLanguage(text, requestOptions = {}) {
     if (!text) {
-        throw new Error('Text is required');
+        throw new ValidationError('Text is required');
     }
 
-    return fetchTranslationAPI('detect', {
-        method: 'POST',
-        body: JSON.stringify({ q: text })
-    });
+    return callWithFailover(CAPABILITY, 'detect', [text, pickRequestOptions(requestOptions)], { provider: requestOptions.provider });
 }
 
 /**
@@ -1,52 +1,132 @@
 /**
  * Movie/TV Database API
  * Search for movies and TV shows using OMDB API
+ * The API key defaults to the configured one (OMDB_API_KEY, see core/config.js)
  * 
  * @author Useful-APIs Contributors
  * @version 1.0.0
  */
 
 const BASE_URL = "https://www.omdbapi.com";
+const PROVIDER = "omdb";
+
+const SEARCH_CACHE = { name: "omdb/search", ttl: 60 * 60 * 1000 };
+const DETAILS_CACHE = { name: "omdb/details", ttl: 24 * 60 * 60 * 1000 };
+
+// Fields read from a successful search (s=). OMDB sends numbers as strings.
+const SEARCH_SCHEMA = {
+    type: 'object',
+    properties: {
+        totalResults: { type: 'integer', required: true, coerce: true },
+        Search: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    Title: { type: 'string', required: true },
+                    Year: { type: 'string', coerce: true },
+                    imdbID: { type: 'string', required: true },
+                    Type: { type: 'string' },
+                    Poster: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+// Fields read from a successful lookup (i=)
+const DETAILS_SCHEMA = {
+    type: 'object',
+    properties: {
+        Title: { type: 'string', required: true },
+        Year: { type: 'string', coerce: true },
+        Ratings: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    Source: { type: 'string', required: true },
+                    Value: { type: 'string', required: true }
+                }
+            }
+        },
+        Type: { type: 'string' }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getApiKey, getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { ValidationError, AuthenticationError, NotFoundError, RateLimitError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+// OMDB reports failures with HTTP 200 and { Response: "False", Error: "..." }
+function _omdbError(message, fallback) {
+    const text = message || fallback;
+    const options = { provider: PROVIDER, details: { body: message || null } };
+    if (/api key/i.test(text)) return new AuthenticationError(text, options);
+    if (/limit/i.test(text)) return new RateLimitError(text, options);
+    if (/not found/i.test(text)) return new NotFoundError(text, options);
+    return new ValidationError(text, options);
+}
 
 /**
  * Searches for movies/shows by title
  * @param {string} title - Movie or show title to search
- * @param {string} apiKey - OMDB API key
- * @param {Object} options - Search options (type, year, page)
+ * @param {string} apiKey - OMDB API key (default: the configured key)
+ * @param {Object} options - Search options (type, year, page) plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Search results
  */
 async function search(title, apiKey, options = {}) {
     try {
         if (!title || typeof title !== 'string') {
-            throw new Error('Title must be a non-empty string');
+            throw new ValidationError('Title must be a non-empty string');
         }
 
-        if (!apiKey) {
-            throw new Error('API key required. Get one at https://www.omdbapi.com/apikey.aspx');
+        const key = getApiKey('omdb', apiKey);
+        if (!key) {
+            throw new AuthenticationError('API key required. Pass one, set OMDB_API_KEY or use setConfig(). Get one at https://www.omdbapi.com/apikey.aspx', { provider: PROVIDER });
         }
 
         const { type = '', year = '', page = 1 } = options;
 
-        let url = `${BASE_URL}/?apikey=${apiKey}`;
+        let url = `${getBaseUrl(PROVIDER, BASE_URL)}/?apikey=${encodeURIComponent(key)}`;
         url += `&s=${encodeURIComponent(title)}`;
         url += `&type=${type}`;
         url += `&y=${year}`;
         url += `&page=${page}`;
 
-        const response = await fetch(url);
+        const response = await request(url, { provider: PROVIDER, cache: SEARCH_CACHE, ...pickRequestOptions(options) });
 
         if (!response.ok) {
-            throw new Error(`Failed to search: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to search' });
         }
 
-        const data = await response.json();
+        const body = await response.json();
 
-        if (data.Response === 'False') {
-            throw new Error(data.Error || 'No results found');
+        if (body.Response === 'False') {
+            throw _omdbError(body.Error, 'No results found');
         }
 
+        const data = parseResponse(body, SEARCH_SCHEMA, { provider: PROVIDER, name: 'OMDB search' });
         return {
-            totalResults: parseInt(data.totalResults),
+            totalResults: data.totalResults,
             results: data.Search.map(item => ({
                 title: item.Title,
                 year: item.Year,
@@ -56,7 +136,7 @@ async function search(title, apiKey, options = {}) {
             }))
         };
     } catch (error) {
-        console.error('Error searching movies:', error);
+        logger.error('Error searching movies:', error);
         throw error;
     }
 }
@@ -64,32 +144,35 @@ async function search(title, apiKey, options = {}) {
 /**
  * Gets detailed information about a movie/show
  * @param {string} id - IMDB ID (e.g., 'tt0111161')
- * @param {string} apiKey - OMDB API key
+ * @param {string} apiKey - OMDB API key (default: the configured key)
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Detailed movie information
  */
-async function getDetails(id, apiKey) {
+async function getDetails(id, apiKey, requestOptions = {}) {
     try {
         if (!id || typeof id !== 'string') {
-            throw new Error('IMDB ID must be provided');
+            throw new ValidationError('IMDB ID must be provided');
         }
 
-        if (!apiKey) {
-            throw new Error('API key required');
+        const key = getApiKey('omdb', apiKey);
+        if (!key) {
+            throw new AuthenticationError('API key required. Pass one, set OMDB_API_KEY or use setConfig()', { provider: PROVIDER });
         }
 
-        const url = `${BASE_URL}/?apikey=${apiKey}&i=${encodeURIComponent(id)}&type=full`;
-        const response = await fetch(url);
+        const url = `${getBaseUrl(PROVIDER, BASE_URL)}/?apikey=${encodeURIComponent(key)}&i=${encodeURIComponent(id)}&type=full`;
+        const response = await request(url, { provider: PROVIDER, cache: DETAILS_CACHE, ...requestOptions });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch details: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to fetch details' });
         }
 
-        const data = await response.json();
+        const body = await response.json();
 
-        if (data.Response === 'False') {
-            throw new Error(data.Error || 'Movie not found');
+        if (body.Response === 'False') {
+            throw _omdbError(body.Error, 'Movie not found');
         }
 
+        const data = parseResponse(body, DETAILS_SCHEMA, { provider: PROVIDER, name: 'OMDB details' });
         return {
             title: data.Title,
             year: data.Year,
@@ -112,7 +195,7 @@ async function getDetails(id, apiKey) {
             totalSeasons: data.totalSeasons
         };
     } catch (error) {
-        console.error('Error fetching movie details:', error);
+        logger.error('Error fetching movie details:', error);
         throw error;
     }
 }
@@ -120,7 +203,7 @@ async function getDetails(id, apiKey) {
 /**
  * Searches for movies only
  * @param {string} title - Movie title
- * @param {string} apiKey - OMDB API key
+ * @param {string} apiKey - OMDB API key (default: the configured key)
  * @param {Object} options - Search options
  * @returns {Promise<Object>} Movie search results
  */
@@ -131,7 +214,7 @@ async function searchMovies(title, apiKey, options = {}) {
 /**
  * Searches for TV series only
  * @param {string} title - Series title
- * @param {string} apiKey - OMDB API key
+ * @param {string} apiKey - OMDB API key (default: the configured key)
  * @param {Object} options - Search options
  * @returns {Promise<Object>} TV series search results
  */
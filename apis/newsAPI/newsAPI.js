@@ -1,34 +1,125 @@
 /**
  * News API
  * Get latest news articles from NewsAPI
+ * The API key defaults to the configured one (NEWSAPI_KEY, see core/config.js)
+ * and is sent in the X-Api-Key header, never in the URL.
  * 
  * @author Useful-APIs Contributors
  * @version 1.0.0
  */
 
 const BASE_URL = "https://newsapi.org/v2";
+const PROVIDER = "newsapi";
+
+const HEADLINES_CACHE = { name: "newsapi/top-headlines", ttl: 5 * 60 * 1000 };
+const EVERYTHING_CACHE = { name: "newsapi/everything", ttl: 15 * 60 * 1000 };
+
+// Fields read from /top-headlines and /everything
+const ARTICLES_SCHEMA = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', required: true },
+        totalResults: { type: 'integer', default: 0 },
+        articles: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    source: {
+                        type: 'object',
+                        required: true,
+                        properties: { name: { type: 'string', required: true } }
+                    },
+                    author: { type: 'string' },
+                    title: { type: 'string', required: true },
+                    description: { type: 'string' },
+                    url: { type: 'string', required: true },
+                    urlToImage: { type: 'string' },
+                    publishedAt: { type: 'string' },
+                    content: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getApiKey, getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { ValidationError, AuthenticationError, RateLimitError, UpstreamError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+// NewsAPI reports failures as { status: "error", code, message }
+function _newsError(data, fallback) {
+    const message = data.message || fallback;
+    const options = { provider: PROVIDER, details: { code: data.code || null } };
+    const code = data.code || '';
+    if (code.startsWith('apiKey')) return new AuthenticationError(message, options);
+    if (code === 'rateLimited') return new RateLimitError(message, options);
+    if (code.startsWith('parameter') || code.startsWith('sources')) return new ValidationError(message, options);
+    return new UpstreamError(message, options);
+}
+
+// Resolves the key and builds the auth header
+function _authHeaders(apiKey) {
+    const key = getApiKey('newsapi', apiKey);
+    if (!key) {
+        throw new AuthenticationError('API key required. Pass one, set NEWSAPI_KEY or use setConfig(). Get one at https://newsapi.org', { provider: PROVIDER });
+    }
+    return { 'X-Api-Key': key };
+}
+
+// Validates a successful payload and flattens its articles
+function _articles(data) {
+    const { status, totalResults, articles } = parseResponse(data, ARTICLES_SCHEMA, { provider: PROVIDER });
+    return {
+        status,
+        totalResults,
+        articles: articles.map(article => ({
+            source: article.source.name,
+            author: article.author,
+            title: article.title,
+            description: article.description,
+            url: article.url,
+            image: article.urlToImage,
+            published: article.publishedAt,
+            content: article.content
+        }))
+    };
+}
 
 /**
  * Gets top headlines by country
  * @param {string} country - Country code (e.g., 'us', 'gb', 'in')
- * @param {string} apiKey - NewsAPI key
- * @param {Object} options - Additional options (category, page, pageSize)
+ * @param {string} apiKey - NewsAPI key (default: the configured key)
+ * @param {Object} options - Additional options (category, page, pageSize) plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Headlines data
  */
 async function getTopHeadlines(country, apiKey, options = {}) {
     try {
         if (!country || typeof country !== 'string') {
-            throw new Error('Country code must be provided');
-        }
-
-        if (!apiKey) {
-            throw new Error('API key required. Get one at https://newsapi.org');
+            throw new ValidationError('Country code must be provided');
         }
 
+        const headers = _authHeaders(apiKey);
         const { category = '', page = 1, pageSize = 20 } = options;
 
-        let url = `${BASE_URL}/top-headlines?country=${encodeURIComponent(country.toLowerCase())}`;
-        url += `&apiKey=${apiKey}`;
+        let url = `${getBaseUrl(PROVIDER, BASE_URL)}/top-headlines?country=${encodeURIComponent(country.toLowerCase())}`;
         url += `&page=${page}`;
         url += `&pageSize=${Math.min(pageSize, 100)}`;
 
@@ -36,34 +127,21 @@ async function getTopHeadlines(country, apiKey, options = {}) {
             url += `&category=${encodeURIComponent(category)}`;
         }
 
-        const response = await fetch(url);
+        const response = await request(url, { provider: PROVIDER, cache: HEADLINES_CACHE, headers, ...pickRequestOptions(options) });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch headlines: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to fetch headlines' });
         }
 
         const data = await response.json();
 
         if (data.status === 'error') {
-            throw new Error(data.message || 'Failed to fetch headlines');
+            throw _newsError(data, 'Failed to fetch headlines');
         }
 
-        return {
-            status: data.status,
-            totalResults: data.totalResults,
-            articles: data.articles.map(article => ({
-                source: article.source.name,
-                author: article.author,
-                title: article.title,
-                description: article.description,
-                url: article.url,
-                image: article.urlToImage,
-                published: article.publishedAt,
-                content: article.content
-            }))
-        };
+        return _articles(data);
     } catch (error) {
-        console.error('Error fetching top headlines:', error);
+        logger.error('Error fetching top headlines:', error);
         throw error;
     }
 }
@@ -71,57 +149,40 @@ async function getTopHeadlines(country, apiKey, options = {}) {
 /**
  * Searches news articles by keyword
  * @param {string} query - Search query
- * @param {string} apiKey - NewsAPI key
- * @param {Object} options - Search options (sortBy, language, page, pageSize)
+ * @param {string} apiKey - NewsAPI key (default: the configured key)
+ * @param {Object} options - Search options (sortBy, language, page, pageSize) plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Search results
  */
 async function searchNews(query, apiKey, options = {}) {
     try {
         if (!query || typeof query !== 'string') {
-            throw new Error('Search query must be provided');
-        }
-
-        if (!apiKey) {
-            throw new Error('API key required');
+            throw new ValidationError('Search query must be provided');
         }
 
+        const headers = _authHeaders(apiKey);
         const { sortBy = 'publishedAt', language = 'en', page = 1, pageSize = 20 } = options;
 
-        let url = `${BASE_URL}/everything?q=${encodeURIComponent(query)}`;
-        url += `&apiKey=${apiKey}`;
+        let url = `${getBaseUrl(PROVIDER, BASE_URL)}/everything?q=${encodeURIComponent(query)}`;
         url += `&sortBy=${sortBy}`;
         url += `&language=${language}`;
         url += `&page=${page}`;
         url += `&pageSize=${Math.min(pageSize, 100)}`;
 
-        const response = await fetch(url);
+        const response = await request(url, { provider: PROVIDER, cache: EVERYTHING_CACHE, headers, ...pickRequestOptions(options) });
 
         if (!response.ok) {
-            throw new Error(`Failed to search news: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to search news' });
         }
 
         const data = await response.json();
 
         if (data.status === 'error') {
-            throw new Error(data.message || 'Search failed');
+            throw _newsError(data, 'Search failed');
         }
 
-        return {
-            status: data.status,
-            totalResults: data.totalResults,
-            articles: data.articles.map(article => ({
-                source: article.source.name,
-                author: article.author,
-                title: article.title,
-                description: article.description,
-                url: article.url,
-                image: article.urlToImage,
-                published: article.publishedAt,
-                content: article.content
-            }))
-        };
+        return _articles(data);
     } catch (error) {
-        console.error('Error searching news:', error);
+        logger.error('Error searching news:', error);
         throw error;
     }
 }
@@ -129,7 +190,7 @@ async function searchNews(query, apiKey, options = {}) {
 /**
  * Gets news by category
  * @param {string} category - Category (business, entertainment, health, science, sports, technology)
- * @param {string} apiKey - NewsAPI key
+ * @param {string} apiKey - NewsAPI key (default: the configured key)
  * @param {Object} options - Additional options
  * @returns {Promise<Object>} Category news
  */
@@ -137,7 +198,7 @@ async function getNewsByCategory(category, apiKey, options = {}) {
     const validCategories = ['business', 'entertainment', 'general', 'health', 'science', 'sports', 'technology'];
 
     if (!validCategories.includes(category)) {
-        throw new Error(`Category must be one of: ${validCategories.join(', ')}`);
+        throw new ValidationError(`Category must be one of: ${validCategories.join(', ')}`);
     }
 
     return getTopHeadlines('us', apiKey, { ...options, category });
@@ -11,6 +11,10 @@
  * - Browser: will attempt to use window.html2pdf or window.jspdf if available, otherwise will throw.
  */
 
+const { UsefulAPIError, ValidationError } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
 const DEFAULT_OPTIONS = {
     format: "A4",
     margin: { top: "20px", right: "20px", bottom: "20px", left: "20px" },
@@ -25,17 +29,18 @@ async function _requirePuppeteer() {
         // eslint-disable-next-line global-require
         return require("puppeteer");
     } catch (err) {
-        throw new Error(
-            "Puppeteer is not installed. In Node.js install it with: npm install puppeteer"
+        throw new UsefulAPIError(
+            "Puppeteer is not installed. In Node.js install it with: npm install puppeteer",
+            { code: "DEPENDENCY_MISSING", cause: err }
         );
     }
 }
 
 function _ensureHtml(input) {
-    if (!input && input !== "") throw new Error("HTML/text input is required");
+    if (!input && input !== "") throw new ValidationError("HTML/text input is required");
     // If plain text, wrap simple HTML
     if (typeof input === "string") return input;
-    throw new Error("Input must be HTML string or template output");
+    throw new ValidationError("Input must be HTML string or template output");
 }
 
 /**
@@ -46,7 +51,7 @@ function _ensureHtml(input) {
  * @returns {string}
  */
 function renderFromTemplate(template, data = {}) {
-    if (typeof template !== "string") throw new Error("template must be a string");
+    if (typeof template !== "string") throw new ValidationError("template must be a string");
     return template.replace(/{{\s*([\w.]+)\s*}}/g, (_, path) => {
         const parts = path.split(".");
         let val = data;
@@ -117,7 +122,7 @@ async function convertHtmlToPdf(htmlOrTemplate, data = null, options = {}) {
             });
         }
 
-        throw new Error("No client-side PDF library found. Include html2pdf or jsPDF in the page.");
+        throw new UsefulAPIError("No client-side PDF library found. Include html2pdf or jsPDF in the page.", { code: "DEPENDENCY_MISSING" });
     }
 
     // Node environment: use Puppeteer to render headless Chromium to PDF
@@ -151,7 +156,7 @@ async function convertHtmlToPdf(htmlOrTemplate, data = null, options = {}) {
  * returns Buffer (Node) or Blob (browser)
  */
 async function generateInvoice(invoiceData = {}, template = null, options = {}) {
-    if (!invoiceData || typeof invoiceData !== "object") throw new Error("invoiceData object is required");
+    if (!invoiceData || typeof invoiceData !== "object") throw new ValidationError("invoiceData object is required");
     const defaultTemplate = `
         <html>
         <head>
@@ -216,7 +221,7 @@ async function generateInvoice(invoiceData = {}, template = null, options = {})
  * template: HTML template string with {{placeholders}}
  */
 async function generateReport(reportData = {}, template = null, options = {}) {
-    if (!reportData || typeof reportData !== "object") throw new Error("reportData is required");
+    if (!reportData || typeof reportData !== "object") throw new ValidationError("reportData is required");
     const defaultTemplate = `
         <html><head><style>body{font-family:Arial;padding:24px}</style></head>
         <body>
@@ -235,7 +240,7 @@ async function generateReport(reportData = {}, template = null, options = {}) {
  * data: { recipientName, courseName, date, signatureUrl }
  */
 async function generateCertificate(data = {}, template = null, options = {}) {
-    if (!data || typeof data !== "object") throw new Error("data is required");
+    if (!data || typeof data !== "object") throw new ValidationError("data is required");
     const defaultTemplate = `
         <html><head><style>
         body{font-family:Georgia, serif;text-align:center;padding:60px;}
@@ -1,49 +1,126 @@
 /**
  * QR Code Generator API
- * Generate QR codes from text, URLs, and data using qrserver.com
+ * Generate QR codes from text, URLs, and data using qrserver.com, failing
+ * over to QuickChart (PNG and SVG). Other services can be registered for the
+ * "qr-code" capability (see core/providers.js).
  * 
  * @author Useful-APIs Contributors
- * @version 1.0.0
+ * @version 2.0.0
  */
 
 const BASE_URL = "https://api.qrserver.com/v1/create-qr-code";
-
-/**
- * Generates a QR code for text or URL
- * @param {string} data - Text or URL to encode
- * @param {Object} options - Options (size, format, errorCorrection, margin)
- * @returns {Promise<string>} QR code image URL or data
+const PROVIDER = "qrserver";
+const QUICKCHART_URL = "https://quickchart.io/qr";
+const QUICKCHART_PROVIDER = "quickchart";
+const CAPABILITY = "qr-code";
+
+// The same data and options always produce the same image
+const IMAGE_CACHE = { name: "qrserver/create-qr-code", ttl: 24 * 60 * 60 * 1000 };
+const QUICKCHART_CACHE = { name: "quickchart/qr", ttl: 24 * 60 * 60 * 1000 };
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { runBatch } = typeof require === "function"
+    ? require("../core/batch.js")
+    : window.UsefulAPIsBatch;
+
+const { ValidationError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { registerProvider, callWithFailover } = typeof require === "function"
+    ? require("../core/providers.js")
+    : window.UsefulAPIsProviders;
+
+/*
+ * "qr-code" providers: imageUrl(data, settings) returns the image URL and
+ * fetchImage(data, settings, requestOptions) resolves to { url, blob }, where
+ * settings is { size, format, errorCorrection, margin }. available(settings)
+ * tells whether the provider can render the requested format.
  */
-async function generateQRCode(data, options = {}) {
-    try {
-        if (!data || typeof data !== 'string') {
-            throw new Error('Data must be a non-empty string');
+function _qrProvider(name, cache, formats, buildUrl) {
+    return {
+        name,
+        available: settings => !formats || !settings || formats.includes(settings.format),
+        imageUrl: buildUrl,
+        async fetchImage(data, settings, requestOptions = {}) {
+            const url = buildUrl(data, settings);
+            const response = await request(url, { provider: name, cache, ...requestOptions });
+
+            if (!response.ok) {
+                throw await errorFromResponse(response, { provider: name, message: 'Failed to generate QR code' });
+            }
+
+            return { url, blob: await response.blob() };
         }
+    };
+}
 
-        const {
-            size = 200,
-            format = 'png',
-            errorCorrection = 'M',
-            margin = 0
-        } = options;
+// qrserver takes any format parameter as before; QuickChart only renders PNG and SVG
+registerProvider(CAPABILITY, _qrProvider(PROVIDER, IMAGE_CACHE, null, (data, settings) => {
+    let url = `${getBaseUrl(PROVIDER, BASE_URL)}/?size=${settings.size}x${settings.size}`;
+    url += `&data=${encodeURIComponent(data)}`;
+    url += `&format=${settings.format}`;
+    url += `&ecc=${settings.errorCorrection}`;
+    url += `&margin=${settings.margin}`;
+    return url;
+}));
+
+registerProvider(CAPABILITY, _qrProvider(QUICKCHART_PROVIDER, QUICKCHART_CACHE, ['png', 'svg'], (data, settings) => {
+    let url = `${getBaseUrl(QUICKCHART_PROVIDER, QUICKCHART_URL)}?size=${settings.size}`;
+    url += `&text=${encodeURIComponent(data)}`;
+    url += `&format=${settings.format}`;
+    url += `&ecLevel=${settings.errorCorrection}`;
+    url += `&margin=${settings.margin}`;
+    return url;
+}));
+
+// Validates the data and fills in the default image settings
+function _settings(data, options) {
+    if (!data || typeof data !== 'string') {
+        throw new ValidationError('Data must be a non-empty string');
+    }
 
-        if (size < 50 || size > 1000) {
-            throw new Error('Size must be between 50 and 1000');
-        }
+    const {
+        size = 200,
+        format = 'png',
+        errorCorrection = 'M',
+        margin = 0
+    } = options;
 
-        if (!['L', 'M', 'Q', 'H'].includes(errorCorrection)) {
-            throw new Error('Error correction must be L, M, Q, or H');
-        }
+    if (size < 50 || size > 1000) {
+        throw new ValidationError('Size must be between 50 and 1000');
+    }
 
-        let url = `${BASE_URL}/?size=${size}x${size}`;
-        url += `&data=${encodeURIComponent(data)}`;
-        url += `&format=${format}`;
-        url += `&ecc=${errorCorrection}`;
-        url += `&margin=${margin}`;
+    if (!['L', 'M', 'Q', 'H'].includes(errorCorrection)) {
+        throw new ValidationError('Error correction must be L, M, Q, or H');
+    }
 
-        return url;
+    return { size, format, errorCorrection, margin };
+}
+
+/**
+ * Generates a QR code for text or URL
+ * @param {string} data - Text or URL to encode
+ * @param {Object} options - Options (size, format, errorCorrection, margin, provider: image service name)
+ * @returns {Promise<string>} QR code image URL from the first healthy service that renders the format
+ */
+async function generateQRCode(data, options = {}) {
+    try {
+        const settings = _settings(data, options);
+        return await callWithFailover(CAPABILITY, 'imageUrl', [data, settings], { provider: options.provider, context: settings });
     } catch (error) {
-        console.error('Error generating QR code:', error);
+        logger.error('Error generating QR code:', error);
         throw error;
     }
 }
@@ -51,19 +128,16 @@ async function generateQRCode(data, options = {}) {
 /**
  * Generates QR code and returns base64 data
  * @param {string} data - Text or URL to encode
- * @param {Object} options - Options
+ * @param {Object} options - Options (as for generateQRCode), plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} QR code data with url and base64
  */
 async function generateQRCodeBase64(data, options = {}) {
     try {
-        const qrUrl = await generateQRCode(data, options);
-        const response = await fetch(qrUrl);
-
-        if (!response.ok) {
-            throw new Error('Failed to generate QR code');
-        }
-
-        const blob = await response.blob();
+        const settings = _settings(data, options);
+        const { url: qrUrl, blob } = await callWithFailover(CAPABILITY, 'fetchImage', [data, settings, pickRequestOptions(options)], {
+            provider: options.provider,
+            context: settings
+        });
         const reader = new FileReader();
 
         return new Promise((resolve, reject) => {
@@ -78,7 +152,7 @@ async function generateQRCodeBase64(data, options = {}) {
             reader.readAsDataURL(blob);
         });
     } catch (error) {
-        console.error('Error generating QR code base64:', error);
+        logger.error('Error generating QR code base64:', error);
         throw error;
     }
 }
@@ -86,26 +160,19 @@ async function generateQRCodeBase64(data, options = {}) {
 /**
  * Generates multiple QR codes
  * @param {string[]} dataArray - Array of text/URLs to encode
- * @param {Object} options - Options
- * @returns {Promise<Array>} Array of QR code URLs
+ * @param {Object} options - QR code options (size, format, errorCorrection, margin) plus batch options (concurrency, default 4; onProgress; signal)
+ * @returns {Promise<Array>} One entry per item, in order: { input, result: QR code URL } or { input, error }
  */
 async function generateMultipleQRCodes(dataArray, options = {}) {
     try {
         if (!Array.isArray(dataArray) || dataArray.length === 0) {
-            throw new Error('Data array must be non-empty');
+            throw new ValidationError('Data array must be non-empty');
         }
 
-        const results = [];
-        for (const data of dataArray) {
-            const url = await generateQRCode(data, options);
-            results.push({
-                data: data,
-                url: url
-            });
-        }
-        return results;
+        const { concurrency, onProgress, ...qrOptions } = options;
+        return await runBatch(dataArray, data => generateQRCode(data, qrOptions), { concurrency, onProgress, signal: qrOptions.signal });
     } catch (error) {
-        console.error('Error generating multiple QR codes:', error);
+        logger.error('Error generating multiple QR codes:', error);
         throw error;
     }
 }
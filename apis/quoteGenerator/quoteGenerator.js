@@ -8,18 +8,44 @@ const quotes = [
   { text: "Success is not in what you have, but who you are.", author: "Bo Bennett" }
 ];
 
-// Get a random quote
-async function getRandomQuote() {
-  const randomIndex = Math.floor(Math.random() * quotes.length);
-  return quotes[randomIndex];
+const { resolveContentFilter, filterItems } = typeof require === "function"
+  ? require("../core/contentFilter.js")
+  : window.UsefulAPIsContentFilter;
+
+const { NotFoundError } = typeof require === "function"
+  ? require("../core/errors.js")
+  : window.UsefulAPIsErrors;
+
+// Where the content filter finds a quote's text (quotes have no categories)
+const FILTER_FIELDS = { text: "text" };
+
+// Quotes the `safe` option lets through (all of them without it, or without options at all)
+function safeQuotes(list, options) {
+  const filter = resolveContentFilter((options || {}).safe);
+  return filter ? filterItems(list, filter, FILTER_FIELDS) : list;
+}
+
+// Get a random quote; with `safe`, only from the quotes the content filter passes
+async function getRandomQuote(options = {}) {
+  const pool = safeQuotes(quotes, options);
+  if (pool.length === 0) throw new NotFoundError("No quote passed the content filter");
+  const randomIndex = Math.floor(Math.random() * pool.length);
+  return pool[randomIndex];
 }
 
-// Search quotes by keyword or author
-async function searchQuotes(keyword) {
-  return quotes.filter(q =>
+// Search quotes by keyword or author; with `safe`, flagged quotes are dropped or masked
+async function searchQuotes(keyword, options = {}) {
+  return safeQuotes(quotes.filter(q =>
     q.text.toLowerCase().includes(keyword.toLowerCase()) ||
     q.author.toLowerCase().includes(keyword.toLowerCase())
-  );
+  ), options);
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { getRandomQuote, searchQuotes };
 }
 
-module.exports = { getRandomQuote, searchQuotes };
+if (typeof window !== "undefined") {
+  window.quoteAPI = { getRandomQuote, searchQuotes };
+}
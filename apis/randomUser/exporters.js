@@ -0,0 +1,363 @@
+/**
+ * Random User Exporters
+ * Turns user profiles (from randomUser.js or localUsers.js) into files a
+ * database can load: CSV, NDJSON, a JSON array, or SQL INSERT statements for
+ * Postgres, MySQL and SQLite. Nested fields are flattened through a column
+ * mapping (USER_COLUMNS by default). Users fetched with `normalize: true` are
+ * recognized and read through NORMALIZED_USER_COLUMNS, which has the same
+ * column names. streamExport() writes any number of users chunk by chunk, e.g.
+ * straight from streamRandomUsers().
+ *
+ * Usage:
+ *   const { exportUsers, streamExport } = require("./exporters.js");
+ *   const csv = exportUsers(users, "csv", { columns: ["first_name", "last_name", "email"] });
+ *
+ *   const { Readable } = require("stream");
+ *   Readable.from(streamExport(streamRandomUsers(50000, { seed: "db" }), "sql", { dialect: "mysql" }))
+ *       .pipe(fs.createWriteStream("users.sql"));
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const EXPORT_FORMATS = ["csv", "ndjson", "json", "sql"];
+const SQL_DIALECTS = ["postgres", "mysql", "sqlite"];
+const DEFAULT_BATCH_SIZE = 500;
+
+/*
+ * Column name => dotted path into a user, or (user) => value.
+ * Postcodes are text: some countries use letters, others leading zeros.
+ */
+const USER_COLUMNS = Object.freeze({
+    id: "login.uuid",
+    gender: "gender",
+    title: "name.title",
+    first_name: "name.first",
+    last_name: "name.last",
+    email: "email",
+    username: "login.username",
+    phone: "phone",
+    cell: "cell",
+    street: user => {
+        const street = user.location && user.location.street;
+        return street ? [street.number, street.name].filter(part => part !== undefined && part !== null).join(" ") : null;
+    },
+    city: "location.city",
+    state: "location.state",
+    country: "location.country",
+    postcode: user => {
+        const postcode = user.location && user.location.postcode;
+        return postcode === undefined || postcode === null ? null : String(postcode);
+    },
+    latitude: "location.coordinates.latitude",
+    longitude: "location.coordinates.longitude",
+    date_of_birth: "dob.date",
+    age: "dob.age",
+    registered_at: "registered.date",
+    nationality: "nat",
+    picture: "picture.large"
+});
+
+// The same columns, read from normalized profiles (see normalize.js)
+const NORMALIZED_USER_COLUMNS = Object.freeze({
+    id: "id",
+    gender: "gender",
+    title: "title",
+    first_name: "firstName",
+    last_name: "lastName",
+    email: "email",
+    username: "username",
+    phone: "phone",
+    cell: "cell",
+    street: "address.street",
+    city: "address.city",
+    state: "address.state",
+    country: "address.country",
+    postcode: "address.postcode",
+    latitude: "address.latitude",
+    longitude: "address.longitude",
+    date_of_birth: "birthDate",
+    age: "age",
+    registered_at: "registeredAt",
+    nationality: "nationality",
+    picture: "avatar.large"
+});
+
+const { ValidationError } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+function _path(user, path) {
+    let value = user;
+    for (const key of path.split(".")) {
+        if (value === null || value === undefined) return null;
+        value = value[key];
+    }
+    return value === undefined ? null : value;
+}
+
+// normalizeUser() output always has `fullName`; raw users never do
+function _isNormalized(user) {
+    return Boolean(user) && Object.prototype.hasOwnProperty.call(user, "fullName");
+}
+
+function _getter(name, source) {
+    if (typeof source === "function") return source;
+    if (typeof source === "string" && source) return user => _path(user, source);
+    throw new ValidationError(`Column ${name} must map to a dotted path or a function`);
+}
+
+// A built-in column reads raw users through USER_COLUMNS and normalized ones through NORMALIZED_USER_COLUMNS
+function _builtIn(name) {
+    if (!Object.prototype.hasOwnProperty.call(USER_COLUMNS, name)) {
+        throw new ValidationError(`Unknown column: ${name} (use one of ${Object.keys(USER_COLUMNS).join(", ")}, or map it to a path)`);
+    }
+    const raw = _getter(name, USER_COLUMNS[name]);
+    const normalized = _getter(name, NORMALIZED_USER_COLUMNS[name]);
+    return user => (_isNormalized(user) ? normalized(user) : raw(user));
+}
+
+// Normalizes `columns` (names from USER_COLUMNS, or { name: path | fn }) to [[name, getter]]
+function _columns(columns) {
+    if (columns === undefined) return Object.keys(USER_COLUMNS).map(name => [name, _builtIn(name)]);
+
+    const entries = Array.isArray(columns)
+        ? columns.map(name => [name, _builtIn(name)])
+        : Object.entries(columns && typeof columns === "object" ? columns : {}).map(([name, source]) => [name, _getter(name, source)]);
+
+    if (entries.length === 0) {
+        throw new ValidationError("columns must name at least one column");
+    }
+    return entries;
+}
+
+function _flatten(user, columns) {
+    const row = {};
+    for (const [name, getter] of columns) {
+        const value = getter(user);
+        // Anything still nested is kept as JSON
+        row[name] = value !== null && typeof value === "object" ? JSON.stringify(value) : (value === undefined ? null : value);
+    }
+    return row;
+}
+
+/**
+ * Flattens one user into a row
+ * @param {Object} user - User profile
+ * @param {Array<string>|Object} columns - Names from USER_COLUMNS (raw or normalized users), or { column: "dotted.path" | (user) => value } (default: USER_COLUMNS)
+ * @returns {Object} { column: value }; nested values become JSON strings
+ */
+function flattenUser(user, columns) {
+    return _flatten(user, _columns(columns));
+}
+
+// ---------------------------------------------------------------- formats
+
+function _csv(options) {
+    const columns = _columns(options.columns);
+    const delimiter = options.delimiter === undefined ? "," : options.delimiter;
+    const newline = options.newline === undefined ? "\n" : options.newline;
+    if (typeof delimiter !== "string" || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+        throw new ValidationError("delimiter must be a single character other than a quote or newline");
+    }
+
+    const cell = value => {
+        const text = value === null ? "" : String(value);
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+    };
+    const line = cells => cells.map(cell).join(delimiter) + newline;
+
+    return {
+        start: () => (options.header === false ? "" : line(columns.map(([name]) => name))),
+        write: users => users.map(user => line(Object.values(_flatten(user, columns)))).join(""),
+        end: () => ""
+    };
+}
+
+// Whole users by default; flat rows when columns are given
+function _ndjson(options) {
+    const columns = options.columns === undefined ? null : _columns(options.columns);
+    const record = user => (columns ? _flatten(user, columns) : user);
+
+    return {
+        start: () => "",
+        write: users => users.map(user => `${JSON.stringify(record(user))}\n`).join(""),
+        end: () => ""
+    };
+}
+
+function _json(options) {
+    const columns = options.columns === undefined ? null : _columns(options.columns);
+    const record = user => (columns ? _flatten(user, columns) : user);
+    let first = true;
+
+    return {
+        start: () => "[",
+        write: users => users.map(user => {
+            const separator = first ? "\n" : ",\n";
+            first = false;
+            return separator + JSON.stringify(record(user));
+        }).join(""),
+        end: () => (first ? "]\n" : "\n]\n")
+    };
+}
+
+const SQL_TYPES = {
+    postgres: { integer: "INTEGER", number: "DOUBLE PRECISION", boolean: "BOOLEAN", text: "TEXT" },
+    mysql: { integer: "INT", number: "DOUBLE", boolean: "BOOLEAN", text: "TEXT" },
+    sqlite: { integer: "INTEGER", number: "REAL", boolean: "INTEGER", text: "TEXT" }
+};
+
+function _sql(options) {
+    const columns = _columns(options.columns);
+    const dialect = options.dialect === undefined ? "postgres" : options.dialect;
+    const table = options.table === undefined ? "users" : options.table;
+    const batchSize = options.batchSize === undefined ? DEFAULT_BATCH_SIZE : options.batchSize;
+    const types = options.types || {};
+
+    if (!SQL_DIALECTS.includes(dialect)) {
+        throw new ValidationError(`Unsupported SQL dialect: ${dialect} (use ${SQL_DIALECTS.join(", ")})`);
+    }
+    if (typeof table !== "string" || table.trim() === "") {
+        throw new ValidationError("table must be a non-empty string");
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new ValidationError("batchSize must be a positive integer");
+    }
+
+    const quoteName = name => (dialect === "mysql"
+        ? `\`${String(name).replace(/`/g, "``")}\``
+        : `"${String(name).replace(/"/g, "\"\"")}"`);
+    // "schema.table" is quoted part by part
+    const tableName = table.split(".").map(quoteName).join(".");
+    const names = columns.map(([name]) => quoteName(name)).join(", ");
+
+    const literal = value => {
+        if (value === null) return "NULL";
+        if (typeof value === "number") return Number.isFinite(value) ? String(value) : "NULL";
+        if (typeof value === "boolean") return dialect === "sqlite" ? (value ? "1" : "0") : (value ? "TRUE" : "FALSE");
+        // MySQL treats backslashes in string literals as escapes
+        const text = dialect === "mysql" ? String(value).replace(/\\/g, "\\\\") : String(value);
+        return `'${text.replace(/'/g, "''")}'`;
+    };
+
+    // Types come from the first rows written; `types` overrides them
+    const typeOf = (name, rows) => {
+        if (types[name]) return types[name];
+        const values = rows.map(row => row[name]).filter(value => value !== null);
+        const sqlTypes = SQL_TYPES[dialect];
+        if (values.length === 0) return sqlTypes.text;
+        if (values.every(Number.isInteger)) return sqlTypes.integer;
+        if (values.every(value => typeof value === "number")) return sqlTypes.number;
+        if (values.every(value => typeof value === "boolean")) return sqlTypes.boolean;
+        return sqlTypes.text;
+    };
+    let created = !options.createTable;
+    const createTable = rows => {
+        created = true;
+        const definitions = columns.map(([name]) => `    ${quoteName(name)} ${typeOf(name, rows)}`).join(",\n");
+        return `CREATE TABLE IF NOT EXISTS ${tableName} (\n${definitions}\n);\n`;
+    };
+
+    return {
+        start: () => "",
+        write: users => {
+            if (users.length === 0) return "";
+            const rows = users.map(user => _flatten(user, columns));
+            let out = created ? "" : createTable(rows);
+            for (let i = 0; i < rows.length; i += batchSize) {
+                const values = rows.slice(i, i + batchSize)
+                    .map(row => `    (${columns.map(([name]) => literal(row[name])).join(", ")})`)
+                    .join(",\n");
+                out += `INSERT INTO ${tableName} (${names}) VALUES\n${values};\n`;
+            }
+            return out;
+        },
+        end: () => (created ? "" : createTable([]))
+    };
+}
+
+const FORMATTERS = { csv: _csv, ndjson: _ndjson, json: _json, sql: _sql };
+
+function _formatter(format, options) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new ValidationError(`Unsupported export format: ${format} (use ${EXPORT_FORMATS.join(", ")})`);
+    }
+    if (!options || typeof options !== "object") {
+        throw new ValidationError("options must be an object");
+    }
+    return FORMATTERS[format](options);
+}
+
+// An item of a stream may be a user, an array of users, or a { users } page
+function _users(item) {
+    if (Array.isArray(item)) return item;
+    if (item && Array.isArray(item.users)) return item.users;
+    if (item && Array.isArray(item.results)) return item.results;
+    return item === null || item === undefined ? [] : [item];
+}
+
+/**
+ * Exports users in one go
+ * @param {Array<Object>|Object} users - Users, or a getRandomUser()/generateRandomUser() response
+ * @param {string} format - 'csv', 'ndjson', 'json' or 'sql'
+ * @param {Object} options - {
+ *     columns: names from USER_COLUMNS or { column: path | fn } (default: USER_COLUMNS, read from raw or normalized users; ndjson/json write whole users unless given),
+ *     csv: header (default true), delimiter (default ','), newline (default '\n'),
+ *     sql: dialect 'postgres' | 'mysql' | 'sqlite' (default 'postgres'), table (default 'users'),
+ *          batchSize: rows per INSERT (default 500), createTable (default false), types: { column: SQL type }
+ * }
+ * @returns {string} The exported file contents
+ */
+function exportUsers(users, format, options = {}) {
+    const formatter = _formatter(format, options);
+    return formatter.start() + formatter.write(_users(users)) + formatter.end();
+}
+
+/**
+ * Exports users chunk by chunk, so large datasets never sit in memory as one string
+ * @param {Iterable|AsyncIterable} source - Users, arrays of users or { users } pages, e.g. streamRandomUsers()
+ * @param {string} format - 'csv', 'ndjson', 'json' or 'sql'
+ * @param {Object} options - Same as exportUsers()
+ * @returns {AsyncGenerator<string>} Output chunks; Readable.from() turns it into a Node stream
+ */
+async function* streamExport(source, format, options = {}) {
+    if (!source || typeof source === "string" || (typeof source[Symbol.asyncIterator] !== "function" && typeof source[Symbol.iterator] !== "function")) {
+        throw new ValidationError("source must be an iterable or async iterable of users");
+    }
+    const formatter = _formatter(format, options);
+
+    const start = formatter.start();
+    if (start) yield start;
+    for await (const item of source) {
+        const chunk = formatter.write(_users(item));
+        if (chunk) yield chunk;
+    }
+    const end = formatter.end();
+    if (end) yield end;
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        exportUsers,
+        streamExport,
+        flattenUser,
+        USER_COLUMNS,
+        NORMALIZED_USER_COLUMNS,
+        EXPORT_FORMATS,
+        SQL_DIALECTS
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.RandomUserExport = {
+        exportUsers,
+        streamExport,
+        flattenUser,
+        USER_COLUMNS,
+        NORMALIZED_USER_COLUMNS,
+        EXPORT_FORMATS,
+        SQL_DIALECTS
+    };
+}
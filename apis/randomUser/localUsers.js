@@ -0,0 +1,530 @@
+/**
+ * Local Random User Generator
+ * Generates user profiles offline, in the same shape as randomuser.me results,
+ * from bundled name and address dictionaries per nationality. Functions mirror
+ * randomUser.js (getRandomUser, getRandomUsers, getSingleUser) but run
+ * synchronously and never touch the network, so test databases can be seeded
+ * in CI. With a `seed` the same call always returns the same users. `inc`,
+ * `exc` and `normalize` work as they do online (see normalize.js).
+ *
+ * Usage:
+ *   const { generateRandomUsers } = require("./localUsers.js");
+ *   const users = generateRandomUsers(100, { nationality: "GB", seed: "fixtures" });
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const LOCAL_VERSION = "local-1.1";
+
+/*
+ * Per nationality: names, streets, cities as [city, state, latitude, longitude],
+ * and formats where "#" is a digit, "N" a non-zero digit and "A" a capital letter.
+ * These are randomuser.me's nationalities; `id: null` is a user without an ID, as there.
+ */
+const NATIONALITIES = {
+    AU: {
+        country: "Australia",
+        male: ["Jack", "William", "Thomas", "Charlie", "Lachlan", "Noah", "Oliver", "Cooper"],
+        female: ["Charlotte", "Ruby", "Zoe", "Chloe", "Isla", "Matilda", "Grace", "Mia"],
+        last: ["Smith", "Jones", "Williams", "Brown", "Wilson", "Taylor", "Nguyen", "Kelly", "Martin", "Walker"],
+        streets: ["George Street", "Pitt Street", "Queen Street", "Bridge Road", "Smith Street", "Beach Road"],
+        cities: [["Sydney", "New South Wales", -33.8688, 151.2093], ["Melbourne", "Victoria", -37.8136, 144.9631], ["Brisbane", "Queensland", -27.4698, 153.0251], ["Perth", "Western Australia", -31.9505, 115.8605], ["Adelaide", "South Australia", -34.9285, 138.6007], ["Hobart", "Tasmania", -42.8821, 147.3272]],
+        postcode: "N###",
+        phone: "0#-####-####",
+        cell: "04##-###-###",
+        id: { name: "TFN", format: "#########" },
+        timezone: { offset: "+10:00", description: "Eastern Australia, Guam, Vladivostok" }
+    },
+    BR: {
+        country: "Brazil",
+        male: ["Miguel", "Arthur", "Davi", "Gabriel", "Heitor", "Bernardo", "Rafael", "Lucas"],
+        female: ["Helena", "Alice", "Laura", "Valentina", "Manuela", "Sophia", "Isabela", "Luiza"],
+        last: ["Silva", "Santos", "Oliveira", "Souza", "Rodrigues", "Ferreira", "Alves", "Pereira", "Lima", "Gomes"],
+        streets: ["Rua São Paulo", "Rua Sete de Setembro", "Avenida Brasil", "Rua das Flores", "Rua Quinze de Novembro", "Avenida Paulista"],
+        cities: [["São Paulo", "São Paulo", -23.5505, -46.6333], ["Rio de Janeiro", "Rio de Janeiro", -22.9068, -43.1729], ["Salvador", "Bahia", -12.9777, -38.5016], ["Recife", "Pernambuco", -8.0476, -34.877], ["Curitiba", "Paraná", -25.4284, -49.2733], ["Manaus", "Amazonas", -3.119, -60.0217]],
+        postcode: "#####",
+        phone: "(##) ####-####",
+        cell: "(##) 9####-####",
+        id: { name: "CPF", format: "###.###.###-##" },
+        timezone: { offset: "-3:00", description: "Brazil, Buenos Aires, Georgetown" }
+    },
+    CA: {
+        country: "Canada",
+        male: ["Liam", "Noah", "William", "Benjamin", "Logan", "Félix", "Nathan", "Ethan"],
+        female: ["Olivia", "Emma", "Charlotte", "Amelia", "Chloé", "Léa", "Sophie", "Abigail"],
+        last: ["Smith", "Brown", "Tremblay", "Martin", "Roy", "Gagnon", "Lee", "Wilson", "Johnson", "Côté"],
+        streets: ["King Street", "Main Street", "Rue Sainte-Catherine", "Yonge Street", "Dundas Street", "Maple Avenue"],
+        cities: [["Toronto", "Ontario", 43.6532, -79.3832], ["Montréal", "Québec", 45.5017, -73.5673], ["Vancouver", "British Columbia", 49.2827, -123.1207], ["Calgary", "Alberta", 51.0447, -114.0719], ["Ottawa", "Ontario", 45.4215, -75.6972], ["Halifax", "Nova Scotia", 44.6488, -63.5752]],
+        postcode: "A#A #A#",
+        phone: "N##-###-####",
+        cell: "N##-###-####",
+        id: { name: "SIN", format: "### ### ###" },
+        timezone: { offset: "-5:00", description: "Eastern Time (US & Canada), Bogota, Lima" }
+    },
+    CH: {
+        country: "Switzerland",
+        male: ["Noah", "Luca", "Leon", "Matteo", "Elias", "Louis", "Gabriel", "Nico"],
+        female: ["Mia", "Emma", "Lina", "Elena", "Lara", "Chloé", "Laura", "Giulia"],
+        last: ["Müller", "Meier", "Schmid", "Keller", "Weber", "Huber", "Schneider", "Meyer", "Steiner", "Rochat"],
+        streets: ["Bahnhofstrasse", "Dorfstrasse", "Rue du Lac", "Kirchweg", "Via Cantonale", "Seestrasse"],
+        cities: [["Zürich", "Zürich", 47.3769, 8.5417], ["Genève", "Genève", 46.2044, 6.1432], ["Basel", "Basel-Stadt", 47.5596, 7.5886], ["Bern", "Bern", 46.948, 7.4474], ["Lausanne", "Vaud", 46.5197, 6.6323], ["Lugano", "Ticino", 46.0037, 8.9511]],
+        postcode: "N###",
+        phone: "0## ### ## ##",
+        cell: "07# ### ## ##",
+        id: { name: "AVS", format: "756.####.####.##" },
+        timezone: { offset: "+1:00", description: "Brussels, Copenhagen, Madrid, Paris" }
+    },
+    DE: {
+        country: "Germany",
+        male: ["Lukas", "Leon", "Finn", "Jonas", "Paul", "Felix", "Maximilian", "Elias"],
+        female: ["Hannah", "Lena", "Marie", "Anna", "Emilia", "Mia", "Sophie", "Lea"],
+        last: ["Müller", "Schmidt", "Schneider", "Fischer", "Weber", "Meyer", "Wagner", "Becker", "Schulz", "Hoffmann"],
+        streets: ["Hauptstraße", "Bahnhofstraße", "Gartenstraße", "Schulstraße", "Dorfstraße", "Lindenstraße"],
+        cities: [["Berlin", "Berlin", 52.52, 13.405], ["Hamburg", "Hamburg", 53.5511, 9.9937], ["München", "Bayern", 48.1351, 11.582], ["Köln", "Nordrhein-Westfalen", 50.9375, 6.9603], ["Leipzig", "Sachsen", 51.3397, 12.3731], ["Bremen", "Bremen", 53.0793, 8.8017]],
+        postcode: "#####",
+        phone: "0###-#######",
+        cell: "01##-#######",
+        id: { name: "SVNR", format: "## ###### A ###" },
+        timezone: { offset: "+1:00", description: "Brussels, Copenhagen, Madrid, Paris" }
+    },
+    DK: {
+        country: "Denmark",
+        male: ["William", "Noah", "Oscar", "Lucas", "Carl", "Magnus", "Frederik", "Emil"],
+        female: ["Ida", "Emma", "Alma", "Ella", "Freja", "Clara", "Karla", "Sofie"],
+        last: ["Nielsen", "Jensen", "Hansen", "Pedersen", "Andersen", "Christensen", "Larsen", "Sørensen", "Rasmussen", "Jørgensen"],
+        streets: ["Vestergade", "Østergade", "Nørregade", "Søndergade", "Skolevej", "Kirkevej"],
+        cities: [["København", "Hovedstaden", 55.6761, 12.5683], ["Aarhus", "Midtjylland", 56.1629, 10.2039], ["Odense", "Syddanmark", 55.4038, 10.4024], ["Aalborg", "Nordjylland", 57.0488, 9.9217], ["Esbjerg", "Syddanmark", 55.4765, 8.4594], ["Roskilde", "Sjælland", 55.6415, 12.0803]],
+        postcode: "N###",
+        phone: "########",
+        cell: "N#######",
+        id: { name: "CPR", format: "######-####" },
+        timezone: { offset: "+1:00", description: "Brussels, Copenhagen, Madrid, Paris" }
+    },
+    ES: {
+        country: "Spain",
+        male: ["Hugo", "Mateo", "Pablo", "Álvaro", "Daniel", "Adrián", "Manuel", "Javier"],
+        female: ["Lucía", "Sofía", "Martina", "Paula", "Carmen", "Julia", "Elena", "Irene"],
+        last: ["García", "Fernández", "González", "López", "Martínez", "Sánchez", "Pérez", "Romero", "Navarro", "Torres"],
+        streets: ["Calle Mayor", "Calle de Alcalá", "Avenida de la Constitución", "Calle Real", "Paseo de Gracia", "Calle del Sol"],
+        cities: [["Madrid", "Comunidad de Madrid", 40.4168, -3.7038], ["Barcelona", "Cataluña", 41.3874, 2.1686], ["Valencia", "Comunidad Valenciana", 39.4699, -0.3763], ["Sevilla", "Andalucía", 37.3891, -5.9845], ["Bilbao", "País Vasco", 43.263, -2.935], ["Málaga", "Andalucía", 36.7213, -4.4214]],
+        postcode: "#####",
+        phone: "9##-###-###",
+        cell: "6##-###-###",
+        id: { name: "DNI", format: "########-A" },
+        timezone: { offset: "+1:00", description: "Brussels, Copenhagen, Madrid, Paris" }
+    },
+    FI: {
+        country: "Finland",
+        male: ["Eino", "Väinö", "Onni", "Leo", "Elias", "Oliver", "Aleksi", "Juho"],
+        female: ["Aino", "Aada", "Sofia", "Eevi", "Olivia", "Lilja", "Helmi", "Venla"],
+        last: ["Korhonen", "Virtanen", "Mäkinen", "Nieminen", "Mäkelä", "Hämäläinen", "Laine", "Heikkinen", "Koskinen", "Järvinen"],
+        streets: ["Mannerheimintie", "Hämeenkatu", "Kauppakatu", "Koulukatu", "Rantatie", "Puistokatu"],
+        cities: [["Helsinki", "Uusimaa", 60.1699, 24.9384], ["Espoo", "Uusimaa", 60.2055, 24.6559], ["Tampere", "Pirkanmaa", 61.4978, 23.761], ["Turku", "Varsinais-Suomi", 60.4518, 22.2666], ["Oulu", "Pohjois-Pohjanmaa", 65.0121, 25.4651], ["Jyväskylä", "Keski-Suomi", 62.2426, 25.7473]],
+        postcode: "#####",
+        phone: "0#-###-###",
+        cell: "04#-###-##-##",
+        id: { name: "HETU", format: "######-###A" },
+        timezone: { offset: "+2:00", description: "Kaliningrad, South Africa" }
+    },
+    FR: {
+        country: "France",
+        male: ["Lucas", "Hugo", "Louis", "Jules", "Gabriel", "Arthur", "Nathan", "Théo"],
+        female: ["Léa", "Chloé", "Manon", "Camille", "Inès", "Jade", "Louise", "Zoé"],
+        last: ["Martin", "Bernard", "Dubois", "Thomas", "Robert", "Richard", "Petit", "Durand", "Moreau", "Lefèvre"],
+        streets: ["Rue de la République", "Rue Victor-Hugo", "Avenue Jean-Jaurès", "Rue Pasteur", "Place du Marché", "Rue de la Gare"],
+        cities: [["Paris", "Île-de-France", 48.8566, 2.3522], ["Lyon", "Rhône", 45.764, 4.8357], ["Marseille", "Bouches-du-Rhône", 43.2965, 5.3698], ["Nantes", "Loire-Atlantique", 47.2184, -1.5536], ["Lille", "Nord", 50.6292, 3.0573], ["Bordeaux", "Gironde", 44.8378, -0.5792]],
+        postcode: "N####",
+        phone: "0#-##-##-##-##",
+        cell: "06-##-##-##-##",
+        id: { name: "INSEE", format: "N##########" },
+        timezone: { offset: "+1:00", description: "Brussels, Copenhagen, Madrid, Paris" }
+    },
+    GB: {
+        country: "United Kingdom",
+        male: ["Oliver", "Harry", "George", "Jack", "Charlie", "Alfie", "Freddie", "Arthur"],
+        female: ["Amelia", "Isla", "Lily", "Grace", "Olivia", "Freya", "Poppy", "Evie"],
+        last: ["Taylor", "Wilson", "Evans", "Thomas", "Roberts", "Davies", "Walker", "Wright", "Hughes", "Green"],
+        streets: ["High Street", "Station Road", "Church Lane", "Victoria Road", "Park Road", "Mill Lane"],
+        cities: [["London", "Greater London", 51.5074, -0.1278], ["Leeds", "West Yorkshire", 53.8008, -1.5491], ["Bristol", "Bristol", 51.4545, -2.5879], ["Manchester", "Greater Manchester", 53.4808, -2.2426], ["York", "North Yorkshire", 53.959, -1.0815], ["Oxford", "Oxfordshire", 51.752, -1.2577]],
+        postcode: "A# #AA",
+        phone: "0##### ######",
+        cell: "07### ######",
+        id: { name: "NINO", format: "AA ## ## ## A" },
+        timezone: { offset: "0:00", description: "Western Europe Time, London, Lisbon, Casablanca" }
+    },
+    IE: {
+        country: "Ireland",
+        male: ["Jack", "Conor", "Seán", "Darragh", "Cian", "Oisín", "Patrick", "Liam"],
+        female: ["Grace", "Aoife", "Saoirse", "Emily", "Niamh", "Ciara", "Róisín", "Ava"],
+        last: ["Murphy", "Kelly", "O'Sullivan", "Walsh", "Byrne", "Ryan", "O'Brien", "Doyle", "McCarthy", "Kennedy"],
+        streets: ["Main Street", "Church Street", "Bridge Street", "Castle Street", "New Street", "Strand Road"],
+        cities: [["Dublin", "Leinster", 53.3498, -6.2603], ["Cork", "Munster", 51.8985, -8.4756], ["Galway", "Connacht", 53.2707, -9.0568], ["Limerick", "Munster", 52.6638, -8.6267], ["Waterford", "Munster", 52.2593, -7.1101], ["Sligo", "Connacht", 54.2766, -8.4761]],
+        postcode: "A## A#A#",
+        phone: "0##-###-####",
+        cell: "08#-###-####",
+        id: { name: "PPS", format: "#######A" },
+        timezone: { offset: "0:00", description: "Western Europe Time, London, Lisbon, Casablanca" }
+    },
+    IN: {
+        country: "India",
+        male: ["Aarav", "Vihaan", "Arjun", "Karthik", "Rohan", "Aditya", "Siddharth", "Vivek"],
+        female: ["Ananya", "Diya", "Priya", "Kavya", "Aadhya", "Isha", "Meera", "Sneha"],
+        last: ["Sharma", "Iyer", "Patel", "Reddy", "Nair", "Gupta", "Singh", "Kumar", "Menon", "Rao"],
+        streets: ["MG Road", "Station Road", "Nehru Nagar", "Gandhi Road", "Temple Street", "Lake View Road"],
+        cities: [["Chennai", "Tamil Nadu", 13.0827, 80.2707], ["Mumbai", "Maharashtra", 19.076, 72.8777], ["Bengaluru", "Karnataka", 12.9716, 77.5946], ["Jaipur", "Rajasthan", 26.9124, 75.7873], ["Kochi", "Kerala", 9.9312, 76.2673], ["Pune", "Maharashtra", 18.5204, 73.8567]],
+        postcode: "N#####",
+        phone: "0##########",
+        cell: "9#########",
+        id: { name: "UIDAI", format: "N### #### ####" },
+        timezone: { offset: "+5:30", description: "Bombay, Calcutta, Madras, New Delhi" }
+    },
+    IR: {
+        country: "Iran",
+        male: ["Amir", "Ali", "Mohammad", "Reza", "Hossein", "Mehdi", "Arash", "Kian"],
+        female: ["Fatemeh", "Zahra", "Maryam", "Sara", "Niloofar", "Parisa", "Yasmin", "Shirin"],
+        last: ["Mohammadi", "Hosseini", "Ahmadi", "Rezaei", "Karimi", "Moradi", "Jafari", "Rahimi", "Hashemi", "Sadeghi"],
+        streets: ["Valiasr", "Enghelab", "Azadi", "Ferdowsi", "Shariati", "Imam Khomeini"],
+        cities: [["Tehran", "Tehran", 35.6892, 51.389], ["Mashhad", "Razavi Khorasan", 36.2605, 59.6168], ["Isfahan", "Isfahan", 32.6546, 51.668], ["Shiraz", "Fars", 29.5918, 52.5837], ["Tabriz", "East Azerbaijan", 38.08, 46.2919], ["Rasht", "Gilan", 37.2808, 49.5832]],
+        postcode: "#####",
+        phone: "0##-########",
+        cell: "09##-###-####",
+        // randomuser.me gives Iranian users no ID
+        id: null,
+        timezone: { offset: "+3:30", description: "Tehran" }
+    },
+    MX: {
+        country: "Mexico",
+        male: ["Santiago", "Mateo", "Sebastián", "Leonardo", "Emiliano", "Diego", "José", "Alejandro"],
+        female: ["Sofía", "Valentina", "Regina", "Camila", "Ximena", "María José", "Renata", "Fernanda"],
+        last: ["Hernández", "García", "Martínez", "López", "González", "Rodríguez", "Pérez", "Sánchez", "Ramírez", "Flores"],
+        streets: ["Avenida Juárez", "Calle Hidalgo", "Calle Morelos", "Avenida Reforma", "Calle Zaragoza", "Calle Allende"],
+        cities: [["Ciudad de México", "Ciudad de México", 19.4326, -99.1332], ["Guadalajara", "Jalisco", 20.6597, -103.3496], ["Monterrey", "Nuevo León", 25.6866, -100.3161], ["Puebla", "Puebla", 19.0414, -98.2063], ["Mérida", "Yucatán", 20.9674, -89.5926], ["Oaxaca", "Oaxaca", 17.0732, -96.7266]],
+        postcode: "#####",
+        phone: "(6##) ### ####",
+        cell: "(6##) ### ####",
+        id: { name: "NSS", format: "## ## ## ####-#" },
+        timezone: { offset: "-6:00", description: "Central Time (US & Canada), Mexico City" }
+    },
+    NL: {
+        country: "Netherlands",
+        male: ["Daan", "Sem", "Lucas", "Levi", "Finn", "Milan", "Bram", "Jesse"],
+        female: ["Emma", "Julia", "Tess", "Sophie", "Zoë", "Mila", "Sara", "Fenna"],
+        last: ["de Jong", "Jansen", "de Vries", "van den Berg", "van Dijk", "Bakker", "Visser", "Smit", "Meijer", "de Boer"],
+        streets: ["Kerkstraat", "Dorpsstraat", "Schoolstraat", "Molenweg", "Stationsweg", "Julianastraat"],
+        cities: [["Amsterdam", "Noord-Holland", 52.3676, 4.9041], ["Rotterdam", "Zuid-Holland", 51.9244, 4.4777], ["Utrecht", "Utrecht", 52.0907, 5.1214], ["Eindhoven", "Noord-Brabant", 51.4416, 5.4697], ["Groningen", "Groningen", 53.2194, 6.5665], ["Leiden", "Zuid-Holland", 52.1601, 4.497]],
+        postcode: "N### AA",
+        phone: "(0##) #######",
+        cell: "(06) ########",
+        id: { name: "BSN", format: "########" },
+        timezone: { offset: "+1:00", description: "Brussels, Copenhagen, Madrid, Paris" }
+    },
+    NO: {
+        country: "Norway",
+        male: ["Jakob", "Emil", "Noah", "Oliver", "Filip", "Lukas", "Henrik", "Sander"],
+        female: ["Nora", "Emma", "Ella", "Maja", "Olivia", "Ingrid", "Sofie", "Sara"],
+        last: ["Hansen", "Johansen", "Olsen", "Larsen", "Andersen", "Pedersen", "Nilsen", "Kristiansen", "Jensen", "Berg"],
+        streets: ["Storgata", "Kirkegata", "Skolegata", "Strandveien", "Parkveien", "Dronningens gate"],
+        cities: [["Oslo", "Oslo", 59.9139, 10.7522], ["Bergen", "Vestland", 60.3913, 5.3221], ["Trondheim", "Trøndelag", 63.4305, 10.3951], ["Stavanger", "Rogaland", 58.97, 5.7331], ["Tromsø", "Troms", 69.6492, 18.9553], ["Drammen", "Buskerud", 59.7441, 10.2045]],
+        postcode: "####",
+        phone: "N#######",
+        cell: "4#######",
+        id: { name: "FN", format: "######-#####" },
+        timezone: { offset: "+1:00", description: "Brussels, Copenhagen, Madrid, Paris" }
+    },
+    NZ: {
+        country: "New Zealand",
+        male: ["Oliver", "Jack", "Noah", "Leo", "George", "Nikau", "Lucas", "Mason"],
+        female: ["Isla", "Charlotte", "Amelia", "Olivia", "Mia", "Aria", "Harper", "Ruby"],
+        last: ["Smith", "Wilson", "Williams", "Brown", "Taylor", "Jones", "Ngata", "Walker", "Thompson", "White"],
+        streets: ["Queen Street", "Victoria Street", "Cuba Street", "Great North Road", "Colombo Street", "Beach Road"],
+        cities: [["Auckland", "Auckland", -36.8485, 174.7633], ["Wellington", "Wellington", -41.2865, 174.7762], ["Christchurch", "Canterbury", -43.5321, 172.6362], ["Hamilton", "Waikato", -37.787, 175.2793], ["Dunedin", "Otago", -45.8788, 170.5028], ["Napier", "Hawke's Bay", -39.4928, 176.912]],
+        postcode: "####",
+        phone: "(###)-###-####",
+        cell: "(###)-###-####",
+        // randomuser.me gives New Zealand users no ID
+        id: null,
+        timezone: { offset: "+12:00", description: "Auckland, Wellington, Fiji, Kamchatka" }
+    },
+    RS: {
+        country: "Serbia",
+        male: ["Luka", "Stefan", "Nikola", "Marko", "Lazar", "Vuk", "Filip", "Dušan"],
+        female: ["Milica", "Ana", "Jovana", "Teodora", "Sara", "Marija", "Jelena", "Nevena"],
+        last: ["Jovanović", "Petrović", "Nikolić", "Marković", "Đorđević", "Stojanović", "Ilić", "Stanković", "Pavlović", "Milošević"],
+        streets: ["Knez Mihailova", "Bulevar oslobođenja", "Kralja Petra", "Njegoševa", "Cara Dušana", "Vojvode Stepe"],
+        cities: [["Beograd", "Beograd", 44.7866, 20.4489], ["Novi Sad", "Južnobački", 45.2671, 19.8335], ["Niš", "Nišavski", 43.3209, 21.8958], ["Kragujevac", "Šumadijski", 44.0128, 20.9114], ["Subotica", "Severnobački", 46.1003, 19.6658], ["Čačak", "Moravički", 43.8914, 20.3497]],
+        postcode: "#####",
+        phone: "0##-####-###",
+        cell: "06#-####-###",
+        id: { name: "SID", format: "#########" },
+        timezone: { offset: "+1:00", description: "Brussels, Copenhagen, Madrid, Paris" }
+    },
+    TR: {
+        country: "Turkey",
+        male: ["Yusuf", "Eymen", "Ömer", "Mustafa", "Emir", "Mehmet", "Ahmet", "Kerem"],
+        female: ["Zeynep", "Elif", "Defne", "Asel", "Azra", "Ecrin", "Nehir", "Eylül"],
+        last: ["Yılmaz", "Kaya", "Demir", "Şahin", "Çelik", "Yıldız", "Yıldırım", "Öztürk", "Aydın", "Özdemir"],
+        streets: ["Atatürk Caddesi", "Cumhuriyet Caddesi", "İstiklal Caddesi", "Okul Sokak", "Bağdat Caddesi", "Gazi Bulvarı"],
+        cities: [["İstanbul", "İstanbul", 41.0082, 28.9784], ["Ankara", "Ankara", 39.9334, 32.8597], ["İzmir", "İzmir", 38.4237, 27.1428], ["Bursa", "Bursa", 40.1885, 29.061], ["Antalya", "Antalya", 36.8969, 30.7133], ["Trabzon", "Trabzon", 41.0027, 39.7168]],
+        postcode: "#####",
+        phone: "(###)-###-####",
+        cell: "(5##)-###-####",
+        // randomuser.me gives Turkish users no ID
+        id: null,
+        timezone: { offset: "+3:00", description: "Baghdad, Riyadh, Moscow, St. Petersburg" }
+    },
+    UA: {
+        country: "Ukraine",
+        male: ["Oleksandr", "Andriy", "Dmytro", "Maksym", "Bohdan", "Taras", "Yaroslav", "Mykola"],
+        female: ["Olena", "Oksana", "Iryna", "Sofiia", "Anastasiia", "Yuliia", "Kateryna", "Daryna"],
+        last: ["Melnyk", "Shevchenko", "Bondarenko", "Kovalenko", "Boyko", "Tkachenko", "Kravchenko", "Oliynyk", "Shevchuk", "Koval"],
+        streets: ["Khreshchatyk", "Shevchenka", "Sadova", "Franka", "Lesi Ukrainky", "Soborna"],
+        cities: [["Kyiv", "Kyiv", 50.4501, 30.5234], ["Lviv", "Lviv", 49.8397, 24.0297], ["Odesa", "Odesa", 46.4825, 30.7233], ["Kharkiv", "Kharkiv", 49.9935, 36.2304], ["Dnipro", "Dnipropetrovsk", 48.4647, 35.0462], ["Poltava", "Poltava", 49.5883, 34.5514]],
+        postcode: "#####",
+        phone: "(0##) ###-####",
+        cell: "(09#) ###-####",
+        // randomuser.me gives Ukrainian users no ID
+        id: null,
+        timezone: { offset: "+2:00", description: "Kaliningrad, South Africa" }
+    },
+    US: {
+        country: "United States",
+        male: ["James", "Michael", "Ethan", "Noah", "Liam", "Daniel", "Henry", "Logan"],
+        female: ["Olivia", "Emma", "Ava", "Sophia", "Mia", "Harper", "Abigail", "Ella"],
+        last: ["Smith", "Johnson", "Williams", "Brown", "Jones", "Miller", "Davis", "Garcia", "Wilson", "Anderson"],
+        streets: ["Main Street", "Oak Avenue", "Maple Avenue", "Park Avenue", "Washington Street", "Cedar Lane"],
+        cities: [["Austin", "Texas", 30.2672, -97.7431], ["Denver", "Colorado", 39.7392, -104.9903], ["Seattle", "Washington", 47.6062, -122.3321], ["Boston", "Massachusetts", 42.3601, -71.0589], ["Chicago", "Illinois", 41.8781, -87.6298], ["Atlanta", "Georgia", 33.749, -84.388]],
+        postcode: "N####",
+        phone: "(N##) N##-####",
+        cell: "(N##) N##-####",
+        id: { name: "SSN", format: "N##-##-####" },
+        timezone: { offset: "-5:00", description: "Eastern Time (US & Canada), Bogota, Lima" }
+    }
+};
+
+const LOCAL_NATIONALITIES = Object.keys(NATIONALITIES);
+
+const TITLES = { male: ["Mr"], female: ["Ms", "Mrs", "Miss"] };
+const USERNAME_WORDS = [["happy", "silver", "brave", "quiet", "lucky", "tiny", "crazy", "golden"], ["fox", "owl", "tiger", "panda", "lion", "koala", "swan", "wolf"]];
+const PASSWORDS = ["sunshine", "trustno1", "dragon", "letmein", "qwerty", "monkey", "shadow", "password1"];
+const ALPHANUMERIC = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+// Seeded users are aged at this date unless `now` is given, so a seed gives the same users on any day
+const SEEDED_NOW = Date.UTC(2024, 0, 1);
+
+const { ValidationError } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { fieldSelection, selectFields, normalizeUser } = typeof require === "function"
+    ? require("./normalize.js")
+    : window.RandomUserNormalize;
+
+// FNV-1a: a small, stable string hash
+function _hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Seeded generator (mulberry32), so a seed reproduces the same users everywhere
+function _createRandom(seed) {
+    let state = _hash(seed);
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    next.pick = list => list[Math.floor(next() * list.length)];
+    next.chars = (alphabet, length) => Array.from({ length }, () => next.pick(alphabet)).join("");
+    return next;
+}
+
+// Fills a format: "#" digit, "N" non-zero digit, "A" capital letter
+function _format(random, format) {
+    return format.replace(/[#NA]/g, char => {
+        if (char === "#") return String(random.int(0, 9));
+        if (char === "N") return String(random.int(1, 9));
+        return String.fromCharCode(65 + random.int(0, 25));
+    });
+}
+
+function _ascii(value) {
+    return value.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-zA-Z]/g, "").toLowerCase();
+}
+
+function _date(random, fromYear, toYear) {
+    return new Date(Date.UTC(random.int(fromYear, toYear), random.int(0, 11), random.int(1, 28), random.int(0, 23), random.int(0, 59), random.int(0, 59)));
+}
+
+function _gender(gender) {
+    if (gender === undefined || gender === null || gender === "" || gender === "all") return null;
+    if (gender !== "male" && gender !== "female") {
+        throw new ValidationError("Gender must be 'male', 'female' or 'all'");
+    }
+    return gender;
+}
+
+// Accepts "US", "us,gb" or ["US", "GB"]
+function _nationalities(nationality) {
+    if (nationality === undefined || nationality === null || nationality === "") return LOCAL_NATIONALITIES;
+    const codes = (Array.isArray(nationality) ? nationality : String(nationality).split(","))
+        .map(code => String(code).trim().toUpperCase())
+        .filter(Boolean);
+    const unknown = codes.filter(code => !NATIONALITIES[code]);
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unsupported nationality: ${unknown.join(", ")} (supported: ${LOCAL_NATIONALITIES.join(", ")})`);
+    }
+    return codes;
+}
+
+// `number` is the user's position in its dataset, from 1; it keeps emails unique
+function _createUser(random, gender, nat, now, number) {
+    const people = NATIONALITIES[nat];
+    const first = random.pick(people[gender]);
+    const last = random.pick(people.last);
+    const [city, state, latitude, longitude] = random.pick(people.cities);
+    const postcode = _format(random, people.postcode);
+    const dob = _date(random, 1950, 2005);
+    const registered = _date(random, Math.max(2002, dob.getUTCFullYear() + 18), 2023);
+    const age = date => Math.max(0, Math.floor((now - date.getTime()) / YEAR_MS));
+    const portrait = `${gender === "male" ? "men" : "women"}/${random.int(0, 99)}.jpg`;
+
+    return {
+        gender,
+        name: { title: random.pick(TITLES[gender]), first, last },
+        location: {
+            street: { number: random.int(1, 9999), name: random.pick(people.streets) },
+            city,
+            state,
+            country: people.country,
+            // randomuser.me returns numeric postcodes as numbers
+            postcode: /^\d+$/.test(postcode) ? Number(postcode) : postcode,
+            coordinates: {
+                latitude: (latitude + (random() - 0.5) / 10).toFixed(4),
+                longitude: (longitude + (random() - 0.5) / 10).toFixed(4)
+            },
+            timezone: { ...people.timezone }
+        },
+        email: `${_ascii(first)}.${_ascii(last)}.${number}@example.com`,
+        login: {
+            uuid: `${random.chars("0123456789abcdef", 8)}-${random.chars("0123456789abcdef", 4)}-4${random.chars("0123456789abcdef", 3)}-${random.pick("89ab")}${random.chars("0123456789abcdef", 3)}-${random.chars("0123456789abcdef", 12)}`,
+            username: `${random.pick(USERNAME_WORDS[0])}${random.pick(USERNAME_WORDS[1])}${random.int(100, 999)}`,
+            password: random.pick(PASSWORDS),
+            salt: random.chars(ALPHANUMERIC, 8),
+            // Random hex of the right length, not real digests
+            md5: random.chars("0123456789abcdef", 32),
+            sha1: random.chars("0123456789abcdef", 40),
+            sha256: random.chars("0123456789abcdef", 64)
+        },
+        dob: { date: dob.toISOString(), age: age(dob) },
+        registered: { date: registered.toISOString(), age: age(registered) },
+        phone: _format(random, people.phone),
+        cell: _format(random, people.cell),
+        id: people.id ? { name: people.id.name, value: _format(random, people.id.format) } : { name: "", value: null },
+        picture: {
+            large: `https://randomuser.me/api/portraits/${portrait}`,
+            medium: `https://randomuser.me/api/portraits/med/${portrait}`,
+            thumbnail: `https://randomuser.me/api/portraits/thumb/${portrait}`
+        },
+        nat
+    };
+}
+
+/**
+ * Generates user profiles locally, shaped like getRandomUser()'s response
+ * @param {number} results - Number of users to generate (default: 1)
+ * @param {string} gender - Gender filter: 'male', 'female', or 'all' (default: 'all')
+ * @param {string|Array<string>} nationality - Nationality code(s), e.g. 'US', 'US,GB' or ['US', 'GB'] (see LOCAL_NATIONALITIES)
+ * @param {Object} options - {
+ *     seed: same seed, same users (default: a new random seed, returned in info.seed),
+ *     page: page of a seeded dataset (default 1),
+ *     inc / exc: fields to include / exclude, e.g. ['name', 'email'] or 'login,id',
+ *     normalize: return flat, typed profiles (see normalize.js),
+ *     now: date ages are computed at (default: 2024-01-01 with a seed, else the current time)
+ * }
+ * @returns {Object} { results: user profiles, info: { seed, results, page, version } }
+ */
+function generateRandomUser(results = 1, gender = "all", nationality = null, options = {}) {
+    if (!Number.isInteger(results) || results < 1) {
+        throw new ValidationError("Results must be a positive integer");
+    }
+    const page = options.page === undefined || options.page === null ? 1 : options.page;
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ValidationError("Page must be a positive integer");
+    }
+    if (options.seed !== undefined && options.seed !== null
+        && ((typeof options.seed !== "string" && typeof options.seed !== "number") || String(options.seed).trim() === "")) {
+        throw new ValidationError("Seed must be a non-empty string");
+    }
+
+    const filter = _gender(gender);
+    const nats = _nationalities(nationality);
+    const { fields } = fieldSelection(options);
+    const seeded = options.seed !== undefined && options.seed !== null;
+    const seed = seeded
+        ? String(options.seed)
+        : _createRandom(`${Math.random()}|${Date.now()}`).chars("0123456789abcdef", 16);
+    const now = options.now !== undefined ? new Date(options.now).getTime() : (seeded ? SEEDED_NOW : Date.now());
+    if (Number.isNaN(now)) {
+        throw new ValidationError("now must be a valid date");
+    }
+
+    // Users are drawn in order, so fewer results give a prefix of the same page
+    const random = _createRandom(`${seed}|${page}`);
+    // Fields are dropped after generating, so inc / exc never change who is generated.
+    // Users are numbered across pages of `results` users, so emails never repeat within a dataset.
+    const users = Array.from({ length: results }, (_, index) => {
+        const nat = random.pick(nats);
+        const number = (page - 1) * results + index + 1;
+        const user = selectFields(_createUser(random, filter || random.pick(["male", "female"]), nat, now, number), fields);
+        return options.normalize ? normalizeUser(user) : user;
+    });
+
+    return { results: users, info: { seed, results, page, version: LOCAL_VERSION } };
+}
+
+/**
+ * Generates multiple users locally, like getRandomUsers()
+ * @param {number} count - Number of users to generate
+ * @param {Object} filters - { gender, nationality, seed, page, inc, exc, normalize, now }
+ * @returns {Array<Object>} Array of user profiles
+ */
+function generateRandomUsers(count = 5, filters = {}) {
+    return generateRandomUser(count, filters.gender, filters.nationality, filters).results;
+}
+
+/**
+ * Generates a single user locally, like getSingleUser()
+ * @param {string} gender - Optional gender filter
+ * @param {Object} options - { nationality, seed, inc, exc, normalize, now }
+ * @returns {Object} Single user profile object
+ */
+function generateSingleUser(gender = null, options = {}) {
+    return generateRandomUser(1, gender, options.nationality, { ...options, page: undefined }).results[0];
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        generateRandomUser,
+        generateRandomUsers,
+        generateSingleUser,
+        LOCAL_NATIONALITIES
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.RandomUserLocal = {
+        generateRandomUser,
+        generateRandomUsers,
+        generateSingleUser,
+        LOCAL_NATIONALITIES
+    };
+}
@@ -0,0 +1,194 @@
+/**
+ * Random User Profiles
+ * Field selection and normalized output shared by randomUser.js and the
+ * offline generator in localUsers.js, so both sources return the same fields.
+ *
+ * fieldSelection() resolves randomuser.me's `inc` / `exc` options;
+ * normalizeUser() turns a raw user into a flat, typed profile:
+ *
+ *   {
+ *     id, gender, title, firstName, lastName, fullName, email, username,
+ *     birthDate: "1990-05-15", age, registeredAt: ISO date-time,
+ *     phone: "+15551234567", cell (E.164),
+ *     address: { street, streetNumber, streetName, city, state, postcode, country, countryCode, latitude, longitude, timezoneOffset },
+ *     avatar: { large, medium, thumbnail },
+ *     nationalId: { type, value },
+ *     nationality
+ *   }
+ *
+ * Every key is always present; fields left out with `inc` / `exc` are null.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+// Top-level fields of a randomuser.me result, in upstream order
+const USER_FIELDS = ["gender", "name", "location", "email", "login", "registered", "dob", "phone", "cell", "id", "picture", "nat"];
+
+// Country calling codes of the nationalities randomuser.me generates
+const CALLING_CODES = {
+    AU: "61", BR: "55", CA: "1", CH: "41", DE: "49", DK: "45", ES: "34", FI: "358", FR: "33", GB: "44", IE: "353",
+    IN: "91", IR: "98", MX: "52", NL: "31", NO: "47", NZ: "64", RS: "381", TR: "90", UA: "380", US: "1"
+};
+
+const { ValidationError } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+function _fieldList(value, name) {
+    if (value === undefined || value === null) return null;
+    const fields = (Array.isArray(value) ? value : String(value).split(","))
+        .map(field => String(field).trim().toLowerCase())
+        .filter(Boolean);
+    const unknown = fields.filter(field => !USER_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown ${name} field: ${unknown.join(", ")} (use ${USER_FIELDS.join(", ")})`);
+    }
+    if (fields.length === 0) {
+        throw new ValidationError(`${name} must name at least one field`);
+    }
+    return [...new Set(fields)];
+}
+
+/**
+ * Resolves the `inc` / `exc` options of a call
+ * Normalized profiles need `nat` for phone numbers and country codes, so it is
+ * always kept when `normalize` is set.
+ * @param {Object} options - { inc: fields to include, exc: fields to exclude (arrays or comma-separated), normalize }
+ * @returns {Object} { inc: fields or null, exc: fields or null, fields: the fields a result will hold }
+ */
+function fieldSelection(options = {}) {
+    let inc = _fieldList(options.inc, "inc");
+    let exc = _fieldList(options.exc, "exc");
+    if (inc && exc) {
+        throw new ValidationError("Use either inc or exc, not both");
+    }
+
+    if (options.normalize) {
+        if (inc && !inc.includes("nat")) inc = [...inc, "nat"];
+        if (exc) exc = exc.filter(field => field !== "nat");
+        if (exc && exc.length === 0) exc = null;
+    }
+
+    const fields = inc
+        ? USER_FIELDS.filter(field => inc.includes(field))
+        : USER_FIELDS.filter(field => !(exc || []).includes(field));
+    return { inc, exc, fields };
+}
+
+/**
+ * Keeps only the given top-level fields of a user, as randomuser.me does for `inc` / `exc`
+ * @param {Object} user - Raw user
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object} User with the other fields removed
+ */
+function selectFields(user, fields) {
+    return Object.fromEntries(Object.entries(user).filter(([field]) => fields.includes(field)));
+}
+
+function _number(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function _text(value) {
+    return value === undefined || value === null || value === "" ? null : String(value);
+}
+
+function _isoDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// Digits of a national number, prefixed with the country calling code
+function _e164(phone, nat) {
+    const code = CALLING_CODES[nat];
+    if (!phone || !code) return null;
+
+    let digits = String(phone).replace(/\D/g, "");
+    if (code === "1") {
+        if (digits.length === 11 && digits.startsWith("1")) digits = digits.slice(1);
+    } else {
+        // Drop the national trunk prefix
+        digits = digits.replace(/^0+/, "");
+    }
+    const number = code + digits;
+    return digits.length >= 4 && number.length <= 15 ? `+${number}` : null;
+}
+
+function _address(location, nat) {
+    if (!location) return null;
+    const street = location.street || {};
+    const coordinates = location.coordinates || {};
+    const streetNumber = _number(street.number);
+    const streetName = _text(street.name);
+
+    return {
+        street: [streetNumber, streetName].filter(part => part !== null).join(" ") || null,
+        streetNumber: Number.isInteger(streetNumber) ? streetNumber : null,
+        streetName,
+        city: _text(location.city),
+        state: _text(location.state),
+        postcode: _text(location.postcode),
+        country: _text(location.country),
+        countryCode: _text(nat),
+        latitude: _number(coordinates.latitude),
+        longitude: _number(coordinates.longitude),
+        timezoneOffset: location.timezone ? _text(location.timezone.offset) : null
+    };
+}
+
+/**
+ * Turns a raw randomuser.me user into a flat, typed profile (see the header for its fields)
+ * @param {Object} user - Raw user, from the API or the offline generator
+ * @returns {Object} Normalized profile; fields missing from `user` are null
+ */
+function normalizeUser(user) {
+    const name = user.name || null;
+    const first = name ? _text(name.first) : null;
+    const last = name ? _text(name.last) : null;
+    const birth = user.dob ? _isoDate(user.dob.date) : null;
+    const nat = _text(user.nat);
+
+    return {
+        id: user.login ? _text(user.login.uuid) : null,
+        gender: _text(user.gender),
+        title: name ? _text(name.title) : null,
+        firstName: first,
+        lastName: last,
+        fullName: name ? [first, last].filter(Boolean).join(" ") || null : null,
+        email: _text(user.email),
+        username: user.login ? _text(user.login.username) : null,
+        birthDate: birth ? birth.slice(0, 10) : null,
+        age: user.dob ? _number(user.dob.age) : null,
+        registeredAt: user.registered ? _isoDate(user.registered.date) : null,
+        phone: _e164(user.phone, nat),
+        cell: _e164(user.cell, nat),
+        address: _address(user.location, nat),
+        avatar: user.picture
+            ? { large: _text(user.picture.large), medium: _text(user.picture.medium), thumbnail: _text(user.picture.thumbnail) }
+            : null,
+        nationalId: user.id && user.id.value ? { type: _text(user.id.name), value: String(user.id.value) } : null,
+        nationality: nat
+    };
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        fieldSelection,
+        selectFields,
+        normalizeUser,
+        USER_FIELDS
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.RandomUserNormalize = {
+        fieldSelection,
+        selectFields,
+        normalizeUser,
+        USER_FIELDS
+    };
+}
@@ -1,28 +1,143 @@
 /**
  * Random User Generator API
- * Fetches random user profiles from the RandomUser API
- * 
+ * Fetches random user profiles from the RandomUser API. With a `seed` the same
+ * page always holds the same users, so fixtures stay stable across runs, and
+ * streamRandomUsers() pages through seeded datasets of any size. `inc` / `exc`
+ * select fields upstream, and `normalize: true` returns flat, typed profiles
+ * (see normalize.js) instead of the raw nested users. The offline
+ * generator in localUsers.js and the CSV/NDJSON/SQL exporters in exporters.js
+ * are re-exported here.
+ *
  * @author Useful-APIs Contributors
  * @version 1.0.0
  */
 
 const BASE_URL = "https://randomuser.me/api";
+const PROVIDER = "randomuser";
+const MAX_RESULTS = 5000;
+const DEFAULT_PAGE_SIZE = 1000;
+
+// A seeded page never changes
+const SEEDED_CACHE = { name: "randomuser/seeded", ttl: 24 * 60 * 60 * 1000 };
+
+// Fields callers rely on; the rest of each profile is passed through untouched
+const USERS_SCHEMA = {
+    type: "object",
+    properties: {
+        results: {
+            type: "array",
+            required: true,
+            minItems: 1,
+            items: {
+                type: "object",
+                properties: {
+                    gender: { type: "string" },
+                    name: {
+                        type: "object",
+                        required: true,
+                        properties: {
+                            first: { type: "string", required: true },
+                            last: { type: "string", required: true }
+                        }
+                    },
+                    email: { type: "string", required: true },
+                    nat: { type: "string" }
+                }
+            }
+        },
+        info: { type: "object" }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { ValidationError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+const { fieldSelection, normalizeUser, USER_FIELDS } = typeof require === "function"
+    ? require("./normalize.js")
+    : window.RandomUserNormalize;
+
+// Optional in the browser: without localUsers.js only the network functions exist
+const { generateRandomUser, generateRandomUsers, generateSingleUser, LOCAL_NATIONALITIES } = typeof require === "function"
+    ? require("./localUsers.js")
+    : (window.RandomUserLocal || {});
+
+// Likewise optional: exportUsers() and streamExport() need exporters.js
+const { exportUsers, streamExport, flattenUser, USER_COLUMNS, NORMALIZED_USER_COLUMNS } = typeof require === "function"
+    ? require("./exporters.js")
+    : (window.RandomUserExport || {});
+
+function _seed(seed) {
+    if (seed === undefined || seed === null) return null;
+    if ((typeof seed !== "string" && typeof seed !== "number") || String(seed).trim() === "") {
+        throw new ValidationError("Seed must be a non-empty string");
+    }
+    return String(seed);
+}
+
+// USERS_SCHEMA without the fields left out by inc / exc
+function _usersSchema(fields) {
+    if (fields.length === USER_FIELDS.length) return USERS_SCHEMA;
+    const results = USERS_SCHEMA.properties.results;
+    const properties = Object.fromEntries(Object.entries(results.items.properties).filter(([field]) => fields.includes(field)));
+    return {
+        ...USERS_SCHEMA,
+        properties: { ...USERS_SCHEMA.properties, results: { ...results, items: { ...results.items, properties } } }
+    };
+}
+
+function _page(page, seed) {
+    if (page === undefined || page === null) return 1;
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ValidationError("Page must be a positive integer");
+    }
+    if (page > 1 && !seed) {
+        throw new ValidationError("Page requires a seed: without one every page is random");
+    }
+    return page;
+}
 
 /**
  * Fetches a random user profile
  * @param {number} results - Number of users to fetch (default: 1, max: 5000)
  * @param {string} gender - Gender filter: 'male', 'female', or 'all' (default: 'all')
  * @param {string} nationality - Nationality code (e.g., 'US', 'FR', 'DE')
- * @returns {Promise<Object>} User profile data
+ * @param {Object} options - {
+ *     seed: same seed, same users,
+ *     page: page of a seeded dataset (default 1),
+ *     inc / exc: fields to include / exclude, e.g. ['name', 'email'] or 'login,id',
+ *     normalize: return flat, typed profiles (see normalize.js)
+ * } plus transport options (signal, timeout, retries)
+ * @returns {Promise<Object>} User profile data; info holds the seed and page
  */
-async function getRandomUser(results = 1, gender = "all", nationality = null) {
+async function getRandomUser(results = 1, gender = "all", nationality = null, options = {}) {
     try {
     // Validate input
-    if (results < 1 || results > 5000) {
-        throw new Error("Results must be between 1 and 5000");
+    if (results < 1 || results > MAX_RESULTS) {
+        throw new ValidationError(`Results must be between 1 and ${MAX_RESULTS}`);
     }
 
-    let url = `${BASE_URL}/?results=${results}`;
+    const seed = _seed(options.seed);
+    const page = _page(options.page, seed);
+    const selection = fieldSelection(options);
+
+    let url = `${getBaseUrl(PROVIDER, BASE_URL)}/?results=${results}`;
 
     if (gender && gender !== "all") {
         url += `&gender=${gender.toLowerCase()}`;
@@ -32,16 +147,28 @@ async function getRandomUser(results = 1, gender = "all", nationality = null) {
         url += `&nat=${nationality.toUpperCase()}`;
     }
 
-    const response = await fetch(url);
+    if (seed) {
+        url += `&seed=${encodeURIComponent(seed)}&page=${page}`;
+    }
+
+    if (selection.inc) {
+        url += `&inc=${selection.inc.join(",")}`;
+    } else if (selection.exc) {
+        url += `&exc=${selection.exc.join(",")}`;
+    }
+
+    // Seeded pages can be cached and shared; unseeded calls must each get new users
+    const transport = seed ? { cache: SEEDED_CACHE } : { dedupe: false };
+    const response = await request(url, { provider: PROVIDER, ...transport, ...pickRequestOptions(options) });
 
     if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw await errorFromResponse(response, { provider: PROVIDER });
     }
 
-    const data = await response.json();
-    return data;
+    const data = parseResponse(await response.json(), _usersSchema(selection.fields), { provider: PROVIDER });
+    return options.normalize ? { ...data, results: data.results.map(normalizeUser) } : data;
     } catch (error) {
-    console.error("Error fetching random user:", error);
+    logger.error("Error fetching random user:", error);
     throw error;
     }
 }
@@ -49,15 +176,15 @@ async function getRandomUser(results = 1, gender = "all", nationality = null) {
 /**
  * Fetches multiple random users
  * @param {number} count - Number of users to fetch
- * @param {Object} filters - Filter options {gender, nationality}
+ * @param {Object} filters - Filter options {gender, nationality, seed, page, inc, exc, normalize} plus transport options (signal, timeout, retries)
  * @returns {Promise<Array>} Array of user profiles
  */
 async function getRandomUsers(count = 5, filters = {}) {
     try {
-    const data = await getRandomUser(count, filters.gender, filters.nationality);
+    const data = await getRandomUser(count, filters.gender, filters.nationality, filters);
     return data.results;
     } catch (error) {
-    console.error("Error fetching random users:", error);
+    logger.error("Error fetching random users:", error);
     throw error;
     }
 }
@@ -65,14 +192,66 @@ async function getRandomUsers(count = 5, filters = {}) {
 /**
  * Gets a single user with full details
  * @param {string} gender - Optional gender filter
+ * @param {Object} options - { seed, inc, exc, normalize } plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Single user profile object
  */
-async function getSingleUser(gender = null) {
+async function getSingleUser(gender = null, options = {}) {
     try {
-    const data = await getRandomUser(1, gender);
+    const data = await getRandomUser(1, gender, null, { ...options, page: undefined });
     return data.results[0];
     } catch (error) {
-    console.error("Error fetching single user:", error);
+    logger.error("Error fetching single user:", error);
+    throw error;
+    }
+}
+
+/**
+ * Streams a seeded dataset of any size, one page at a time, past the 5000 users
+ * a single request can return. Pages are fetched as they are consumed, so only
+ * one is held in memory; the same seed and pageSize always yield the same users.
+ * @param {number} total - Number of users to stream
+ * @param {Object} options - {
+ *     seed: required,
+ *     pageSize: users per request (default 1000, max 5000),
+ *     startPage: first page to fetch, e.g. to resume (default 1),
+ *     gender, nationality, inc, exc, normalize
+ * } plus transport options (signal, timeout, retries)
+ * @returns {AsyncGenerator<Object>} { page, users } per page; the last page is trimmed to `total`
+ *
+ * Usage:
+ *   for await (const { page, users } of streamRandomUsers(20000, { seed: "fixtures" })) {
+ *       await db.insert(users);
+ *   }
+ */
+async function* streamRandomUsers(total, options = {}) {
+    try {
+    if (!Number.isInteger(total) || total < 1) {
+        throw new ValidationError("Total must be a positive integer");
+    }
+    const seed = _seed(options.seed);
+    if (!seed) {
+        throw new ValidationError("streamRandomUsers needs a seed, or its pages would not belong to one dataset");
+    }
+    const pageSize = options.pageSize === undefined ? DEFAULT_PAGE_SIZE : options.pageSize;
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_RESULTS) {
+        throw new ValidationError(`Page size must be between 1 and ${MAX_RESULTS}`);
+    }
+    let page = _page(options.startPage, seed);
+
+    // Always request full pages: a page's users depend on its size
+    for (let remaining = total; remaining > 0; remaining -= pageSize, page++) {
+        const data = await getRandomUser(pageSize, options.gender, options.nationality, {
+            ...pickRequestOptions(options),
+            inc: options.inc,
+            exc: options.exc,
+            normalize: options.normalize,
+            seed,
+            page
+        });
+        yield { page, users: data.results.slice(0, remaining) };
+    }
+    } catch (error) {
+    logger.error("Error streaming random users:", error);
     throw error;
     }
 }
@@ -83,6 +262,18 @@ if (typeof module !== "undefined" && module.exports) {
     getRandomUser,
     getRandomUsers,
     getSingleUser,
+    streamRandomUsers,
+    generateRandomUser,
+    generateRandomUsers,
+    generateSingleUser,
+    LOCAL_NATIONALITIES,
+    exportUsers,
+    streamExport,
+    flattenUser,
+    USER_COLUMNS,
+    NORMALIZED_USER_COLUMNS,
+    normalizeUser,
+    USER_FIELDS,
     };
 }
 
@@ -92,5 +283,17 @@ if (typeof window !== "undefined") {
     getRandomUser,
     getRandomUsers,
     getSingleUser,
+    streamRandomUsers,
+    generateRandomUser,
+    generateRandomUsers,
+    generateSingleUser,
+    LOCAL_NATIONALITIES,
+    exportUsers,
+    streamExport,
+    flattenUser,
+    USER_COLUMNS,
+    NORMALIZED_USER_COLUMNS,
+    normalizeUser,
+    USER_FIELDS,
     };
 }
@@ -6,7 +6,7 @@
  * - Batch processing and optional HuggingFace provider integration
  *
  * @author Useful-APIs Contributors
- * @version 1.0.0
+ * @version 2.0.0
  *
  * Usage:
  *   const res = await analyzeSentiment("I love this product!");
@@ -16,9 +16,48 @@
  * Notes:
  * - Default uses a small local lexicon (no deps).
  * - For higher accuracy you may provide options.hfApiKey and options.hfModel to call HuggingFace Inference API.
+ *   The key defaults to the configured one (HUGGINGFACE_API_KEY, see core/config.js).
  */
 
 const DEFAULT_MAX_KEYWORDS = 8;
+const HF_BASE = 'https://api-inference.huggingface.co/models';
+const HF_PROVIDER = 'huggingface';
+
+// Text-classification output of the HuggingFace Inference API (after unwrapping [[...]])
+const HF_CLASSIFICATION_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      label: { type: 'string', required: true },
+      score: { type: 'number', required: true }
+    }
+  }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+  ? require("../core/httpClient.js")
+  : window.UsefulAPIsHttp;
+
+const { getApiKey, getBaseUrl } = typeof require === "function"
+  ? require("../core/config.js")
+  : window.UsefulAPIsConfig;
+
+const { runBatch } = typeof require === "function"
+  ? require("../core/batch.js")
+  : window.UsefulAPIsBatch;
+
+const { ValidationError, AuthenticationError, errorFromResponse } = typeof require === "function"
+  ? require("../core/errors.js")
+  : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+  ? require("../core/logger.js")
+  : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+  ? require("../core/schema.js")
+  : window.UsefulAPIsSchema;
 
 /* --- Lightweight lexicons & stopwords --- */
 const AFINN_LITE = {
@@ -104,17 +143,19 @@ function _localKeywords(text, max = DEFAULT_MAX_KEYWORDS) {
 }
 
 /* --- Optional HuggingFace inference call --- */
-async function _hfInfer(text, hfApiKey, model) {
-  if (!hfApiKey) throw new Error('hfApiKey required for HuggingFace provider');
-  const url = `https://api-inference.huggingface.co/models/${encodeURIComponent(model)}`;
-  const res = await fetch(url, {
+async function _hfInfer(text, hfApiKey, model, requestOptions = {}) {
+  const key = getApiKey(HF_PROVIDER, hfApiKey);
+  if (!key) throw new AuthenticationError('hfApiKey required for HuggingFace provider. Pass it, set HUGGINGFACE_API_KEY or use setConfig()', { provider: HF_PROVIDER });
+  const url = `${getBaseUrl(HF_PROVIDER, HF_BASE)}/${encodeURIComponent(model)}`;
+  const res = await request(url, {
+    provider: HF_PROVIDER,
+    ...pickRequestOptions(requestOptions),
     method: 'POST',
-    headers: { Authorization: `Bearer ${hfApiKey}`, 'Content-Type': 'application/json' },
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
     body: JSON.stringify({ inputs: text, options: { wait_for_model: true } })
   });
   if (!res.ok) {
-    const t = await res.text().catch(()=>'');
-    throw new Error(`HuggingFace inference error ${res.status}: ${t}`);
+    throw await errorFromResponse(res, { provider: HF_PROVIDER, message: 'HuggingFace inference error' });
   }
   return res.json();
 }
@@ -124,32 +165,34 @@ async function _hfInfer(text, hfApiKey, model) {
 /**
  * Analyze sentiment for a single text.
  * options:
- *  - provider: 'local'|'hf' (default 'local' unless hfApiKey provided)
+ *  - provider: 'local'|'hf' (default 'local' unless hfApiKey is provided or configured)
  *  - hfApiKey, hfModel
+ *  - signal, timeout, retries: transport options for the HuggingFace call
  */
 async function analyzeSentiment(text, options = {}) {
   try {
-    if (typeof text !== 'string') throw new Error('text must be a string');
-    const provider = options.provider || (options.hfApiKey ? 'hf' : 'local');
+    if (typeof text !== 'string') throw new ValidationError('text must be a string');
+    const provider = options.provider || (getApiKey(HF_PROVIDER, options.hfApiKey) ? 'hf' : 'local');
 
     if (provider === 'hf') {
       const model = options.hfModel || 'cardiffnlp/twitter-roberta-base-sentiment';
-      const data = await _hfInfer(text, options.hfApiKey, model);
-      // Normalize common HF output shapes
+      const data = await _hfInfer(text, options.hfApiKey, model, options);
+      // Normalize common HF output shapes: [{label, score}] or [[{label, score}]]
       if (Array.isArray(data) && data.length) {
-        const best = data.sort((a,b)=> (b.score||0)-(a.score||0))[0];
-        const lab = String(best.label||'').toLowerCase();
+        const scores = parseResponse(Array.isArray(data[0]) ? data[0] : data, HF_CLASSIFICATION_SCHEMA, { provider: HF_PROVIDER });
+        const best = scores.slice().sort((a,b)=> b.score-a.score)[0];
+        const lab = best ? best.label.toLowerCase() : '';
         let label = 'neutral';
         if (lab.includes('pos')) label = 'positive';
         else if (lab.includes('neg')) label = 'negative';
-        return { provider: 'hf', raw: data, label, score: best.score || 0 };
+        return { provider: 'hf', raw: data, label, score: best ? best.score : 0 };
       }
       return { provider: 'hf', raw: data, label: 'neutral', score: 0 };
     }
 
     return _localSentiment(text);
   } catch (err) {
-    console.error('analyzeSentiment error:', err);
+    logger.error('analyzeSentiment error:', err);
     throw err;
   }
 }
@@ -161,7 +204,7 @@ async function analyzeSentiment(text, options = {}) {
  *  - includeCounts: boolean (default true)
  */
 function extractKeywords(text, options = {}) {
-  if (typeof text !== 'string') throw new Error('text must be a string');
+  if (typeof text !== 'string') throw new ValidationError('text must be a string');
   const kws = _localKeywords(text, options.max);
   return options.includeCounts === false ? kws.map(k=>k.keyword) : kws;
 }
@@ -171,21 +214,22 @@ function extractKeywords(text, options = {}) {
  * options:
  *  - provider: 'local'|'hf'
  *  - hfApiKey, hfModel (when provider='hf')
+ *  - signal, timeout, retries: transport options for the HuggingFace call
  */
 async function analyzeEmotions(text, options = {}) {
   try {
-    if (typeof text !== 'string') throw new Error('text must be a string');
-    const provider = options.provider || (options.hfApiKey ? 'hf' : 'local');
+    if (typeof text !== 'string') throw new ValidationError('text must be a string');
+    const provider = options.provider || (getApiKey(HF_PROVIDER, options.hfApiKey) ? 'hf' : 'local');
 
     if (provider === 'hf') {
       const model = options.hfModel || 'j-hartmann/emotion-english-distilroberta-base';
-      const data = await _hfInfer(text, options.hfApiKey, model);
+      const data = await _hfInfer(text, options.hfApiKey, model, options);
       return { provider: 'hf', raw: data };
     }
 
     return _localEmotions(text);
   } catch (err) {
-    console.error('analyzeEmotions error:', err);
+    logger.error('analyzeEmotions error:', err);
     throw err;
   }
 }
@@ -205,16 +249,14 @@ async function analyzeText(text, options = {}) {
 
 /**
  * Batch analyze array of texts.
- * Returns array of { input, sentiment, emotions, keywords }
+ * options: analyzeText() options plus
+ *  - concurrency: texts analyzed at once (default 4), onProgress: called as each text settles
+ * Returns one entry per text, in order: { input, result: { sentiment, emotions, keywords } } or { input, error }
  */
 async function analyzeBatch(texts = [], options = {}) {
-  if (!Array.isArray(texts)) throw new Error('texts must be an array');
-  const out = [];
-  for (const t of texts) {
-    const res = await analyzeText(t, options);
-    out.push({ input: t, ...res });
-  }
-  return out;
+  if (!Array.isArray(texts)) throw new ValidationError('texts must be an array');
+  const { concurrency, onProgress, ...analysisOptions } = options;
+  return runBatch(texts, t => analyzeText(t, analysisOptions), { concurrency, onProgress, signal: analysisOptions.signal });
 }
 
 /**
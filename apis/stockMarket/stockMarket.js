@@ -1,6 +1,8 @@
 /**
  * Stock Market API
  * Get real-time and historical stock data using Finnhub free tier
+ * The API key defaults to the configured one (FINNHUB_API_KEY, see core/config.js)
+ * and is sent in the X-Finnhub-Token header, never in the URL.
  * 
  * @author Useful-APIs Contributors
  * @version 1.0.0
@@ -10,34 +12,96 @@
 // This example uses public endpoints
 
 const FINNHUB_BASE = "https://finnhub.io/api/v1";
+const PROVIDER = "finnhub";
+
+const QUOTE_CACHE = { name: "finnhub/quote", ttl: 15 * 1000 };
+const PROFILE_CACHE = { name: "finnhub/profile2", ttl: 24 * 60 * 60 * 1000 };
+
+// Fields read from /quote. Unknown symbols come back as all zeros with t = 0.
+const QUOTE_SCHEMA = {
+    type: 'object',
+    required: true,
+    properties: {
+        c: { type: 'number', required: true },
+        h: { type: 'number', required: true },
+        l: { type: 'number', required: true },
+        o: { type: 'number', required: true },
+        pc: { type: 'number', required: true },
+        t: { type: 'integer', required: true }
+    }
+};
+
+// Fields read from /stock/profile2. Unknown symbols come back as {}.
+const PROFILE_SCHEMA = {
+    type: 'object',
+    required: true,
+    properties: {
+        ticker: { type: 'string' },
+        name: { type: 'string' },
+        finnhubIndustry: { type: 'string' },
+        country: { type: 'string' },
+        weburl: { type: 'string' },
+        description: { type: 'string' },
+        ipo: { type: 'string' },
+        marketCapitalization: { type: 'number', coerce: true },
+        employees: { type: 'number', coerce: true }
+    }
+};
+
+const { request } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getApiKey, getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { ValidationError, AuthenticationError, NotFoundError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
+
+// Resolves the key and builds the auth header
+function _authHeaders(apiKey) {
+    const key = getApiKey('finnhub', apiKey);
+    if (!key) {
+        throw new AuthenticationError('API key required. Pass one, set FINNHUB_API_KEY or use setConfig(). Get one at https://finnhub.io', { provider: PROVIDER });
+    }
+    return { 'X-Finnhub-Token': key };
+}
 
 /**
  * Gets stock quote (requires Finnhub API key)
  * @param {string} symbol - Stock symbol (e.g., 'AAPL')
- * @param {string} apiKey - Finnhub API key
+ * @param {string} apiKey - Finnhub API key (default: the configured key)
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Stock quote data
  */
-async function getStockQuote(symbol, apiKey) {
+async function getStockQuote(symbol, apiKey, requestOptions = {}) {
     try {
         if (!symbol || typeof symbol !== 'string') {
-            throw new Error('Symbol must be a valid stock ticker');
-        }
-
-        if (!apiKey) {
-            throw new Error('API key required. Get one at https://finnhub.io');
+            throw new ValidationError('Symbol must be a valid stock ticker');
         }
 
-        const url = `${FINNHUB_BASE}/quote?symbol=${encodeURIComponent(symbol.toUpperCase())}&token=${apiKey}`;
-        const response = await fetch(url);
+        const headers = _authHeaders(apiKey);
+        const url = `${getBaseUrl(PROVIDER, FINNHUB_BASE)}/quote?symbol=${encodeURIComponent(symbol.toUpperCase())}`;
+        const response = await request(url, { provider: PROVIDER, cache: QUOTE_CACHE, headers, ...requestOptions });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch stock data: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to fetch stock data' });
         }
 
-        const data = await response.json();
+        const data = parseResponse(await response.json(), QUOTE_SCHEMA, { provider: PROVIDER, name: 'Finnhub quote' });
 
-        if (!data.c) {
-            throw new Error(`Symbol '${symbol}' not found`);
+        if (data.t === 0) {
+            throw new NotFoundError(`Symbol '${symbol}' not found`, { provider: PROVIDER });
         }
 
         return {
@@ -48,11 +112,11 @@ async function getStockQuote(symbol, apiKey) {
             open: data.o,
             previousClose: data.pc,
             change: (data.c - data.pc).toFixed(2),
-            changePercent: ((data.c - data.pc) / data.pc * 100).toFixed(2),
+            changePercent: data.pc ? ((data.c - data.pc) / data.pc * 100).toFixed(2) : '0.00',
             timestamp: new Date(data.t * 1000).toISOString()
         };
     } catch (error) {
-        console.error('Error fetching stock quote:', error);
+        logger.error('Error fetching stock quote:', error);
         throw error;
     }
 }
@@ -60,27 +124,29 @@ async function getStockQuote(symbol, apiKey) {
 /**
  * Gets company profile (requires Finnhub API key)
  * @param {string} symbol - Stock symbol
- * @param {string} apiKey - Finnhub API key
+ * @param {string} apiKey - Finnhub API key (default: the configured key)
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Company information
  */
-async function getCompanyProfile(symbol, apiKey) {
+async function getCompanyProfile(symbol, apiKey, requestOptions = {}) {
     try {
         if (!symbol || typeof symbol !== 'string') {
-            throw new Error('Symbol must be a valid stock ticker');
+            throw new ValidationError('Symbol must be a valid stock ticker');
         }
 
-        if (!apiKey) {
-            throw new Error('API key required');
-        }
-
-        const url = `${FINNHUB_BASE}/stock/profile2?symbol=${encodeURIComponent(symbol.toUpperCase())}&token=${apiKey}`;
-        const response = await fetch(url);
+        const headers = _authHeaders(apiKey);
+        const url = `${getBaseUrl(PROVIDER, FINNHUB_BASE)}/stock/profile2?symbol=${encodeURIComponent(symbol.toUpperCase())}`;
+        const response = await request(url, { provider: PROVIDER, cache: PROFILE_CACHE, headers, ...requestOptions });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch company profile: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to fetch company profile' });
         }
 
-        const data = await response.json();
+        const data = parseResponse(await response.json(), PROFILE_SCHEMA, { provider: PROVIDER, name: 'Finnhub profile' });
+
+        if (!data.ticker) {
+            throw new NotFoundError(`Symbol '${symbol}' not found`, { provider: PROVIDER });
+        }
 
         return {
             symbol: data.ticker,
@@ -94,7 +160,7 @@ async function getCompanyProfile(symbol, apiKey) {
             employees: data.employees
         };
     } catch (error) {
-        console.error('Error fetching company profile:', error);
+        logger.error('Error fetching company profile:', error);
         throw error;
     }
 }
@@ -108,7 +174,7 @@ async function getCompanyProfile(symbol, apiKey) {
  */
 function calculateProfit(buyPrice, currentPrice, shares) {
     if (buyPrice <= 0 || currentPrice <= 0 || shares <= 0) {
-        throw new Error('All values must be positive numbers');
+        throw new ValidationError('All values must be positive numbers');
     }
 
     const totalCost = buyPrice * shares;
@@ -174,7 +240,7 @@ function isValidSymbol(symbol) {
  */
 function calculatePortfolioValue(holdings, currentPrices) {
     if (!Array.isArray(holdings) || holdings.length === 0) {
-        throw new Error('Holdings must be a non-empty array');
+        throw new ValidationError('Holdings must be a non-empty array');
     }
 
     let totalValue = 0;
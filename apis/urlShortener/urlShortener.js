@@ -1,47 +1,115 @@
 /**
  * URL Shortener API
- * Shorten long URLs using TinyURL service
+ * Shorten long URLs using TinyURL service, failing over to is.gd. Other
+ * services can be registered for the "url-shortener" capability (see core/providers.js).
  * 
  * @author Useful-APIs Contributors
- * @version 1.0.0
+ * @version 2.0.0
  */
 
-const TINYURL_API = "https://tinyurl.com/api-create.php";
+const BASE_URL = "https://tinyurl.com";
+const PROVIDER = "tinyurl";
+const ISGD_URL = "https://is.gd";
+const ISGD_PROVIDER = "is.gd";
+const CAPABILITY = "url-shortener";
+
+// Both services return the same alias for the same long URL
+const SHORTEN_CACHE = { name: "tinyurl/create", ttl: 24 * 60 * 60 * 1000 };
+const ISGD_CACHE = { name: "is.gd/create", ttl: 24 * 60 * 60 * 1000 };
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { runBatch } = typeof require === "function"
+    ? require("../core/batch.js")
+    : window.UsefulAPIsBatch;
+
+const { ValidationError, UpstreamError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { registerProvider, callWithFailover } = typeof require === "function"
+    ? require("../core/providers.js")
+    : window.UsefulAPIsProviders;
+
+/*
+ * "url-shortener" providers: shorten(url, requestOptions) resolves to the short URL
+ */
+registerProvider(CAPABILITY, {
+    name: PROVIDER,
+    async shorten(url, requestOptions = {}) {
+        const response = await request(`${getBaseUrl(PROVIDER, BASE_URL)}/api-create.php?url=${encodeURIComponent(url)}`, { provider: PROVIDER, cache: SHORTEN_CACHE, ...requestOptions });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to shorten URL' });
+        }
+
+        const shortUrl = (await response.text()).trim();
+
+        // TinyURL answers "Error" with a 200 when it cannot shorten the URL
+        if (!/^https?:\/\//.test(shortUrl)) {
+            throw new UpstreamError('Failed to create shortened URL', { provider: PROVIDER, details: { body: shortUrl || null } });
+        }
+
+        return shortUrl;
+    }
+});
+
+registerProvider(CAPABILITY, {
+    name: ISGD_PROVIDER,
+    async shorten(url, requestOptions = {}) {
+        const endpoint = `${getBaseUrl(ISGD_PROVIDER, ISGD_URL)}/create.php?format=simple&url=${encodeURIComponent(url)}`;
+        const response = await request(endpoint, { provider: ISGD_PROVIDER, cache: ISGD_CACHE, ...requestOptions });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: ISGD_PROVIDER, message: 'Failed to shorten URL' });
+        }
+
+        const shortUrl = (await response.text()).trim();
+
+        // Errors come back as "Error: ..." in the simple format
+        if (!/^https?:\/\//.test(shortUrl)) {
+            throw new UpstreamError('Failed to create shortened URL', { provider: ISGD_PROVIDER, details: { body: shortUrl || null } });
+        }
+
+        return shortUrl;
+    }
+});
 
 /**
  * Shortens a URL
  * @param {string} url - Long URL to shorten
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries), plus provider: shortening service name
  * @returns {Promise<Object>} Shortened URL data
  */
-async function shortenURL(url) {
+async function shortenURL(url, requestOptions = {}) {
     try {
         if (!url || typeof url !== 'string') {
-            throw new Error('URL must be a non-empty string');
+            throw new ValidationError('URL must be a non-empty string');
         }
 
         if (!isValidURL(url)) {
-            throw new Error('Invalid URL format');
-        }
-
-        const response = await fetch(`${TINYURL_API}?url=${encodeURIComponent(url)}`);
-
-        if (!response.ok) {
-            throw new Error(`Failed to shorten URL: ${response.status}`);
+            throw new ValidationError('Invalid URL format');
         }
 
-        const shortUrl = await response.text();
-
-        if (!shortUrl || shortUrl.includes('error')) {
-            throw new Error('Failed to create shortened URL');
-        }
+        const shortUrl = await callWithFailover(CAPABILITY, 'shorten', [url, pickRequestOptions(requestOptions)], { provider: requestOptions.provider });
 
         return {
             originalUrl: url,
-            shortUrl: shortUrl.trim(),
+            shortUrl,
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        console.error('Error shortening URL:', error);
+        logger.error('Error shortening URL:', error);
         throw error;
     }
 }
@@ -49,22 +117,19 @@ async function shortenURL(url) {
 /**
  * Shortens multiple URLs
  * @param {string[]} urls - Array of URLs to shorten
- * @returns {Promise<Array>} Array of shortened URLs
+ * @param {Object} options - Batch options (concurrency, default 4; onProgress) plus transport options (signal, timeout, retries)
+ * @returns {Promise<Array>} One entry per URL, in order: { input, result } or { input, error }
  */
-async function shortenMultipleURLs(urls) {
+async function shortenMultipleURLs(urls, options = {}) {
     try {
         if (!Array.isArray(urls) || urls.length === 0) {
-            throw new Error('URLs must be a non-empty array');
+            throw new ValidationError('URLs must be a non-empty array');
         }
 
-        const results = [];
-        for (const url of urls) {
-            const shortened = await shortenURL(url);
-            results.push(shortened);
-        }
-        return results;
+        const { concurrency, onProgress, ...requestOptions } = options;
+        return await runBatch(urls, url => shortenURL(url, requestOptions), { concurrency, onProgress, signal: requestOptions.signal });
     } catch (error) {
-        console.error('Error shortening multiple URLs:', error);
+        logger.error('Error shortening multiple URLs:', error);
         throw error;
     }
 }
@@ -90,7 +155,7 @@ function isValidURL(url) {
  */
 function getURLInfo(url) {
     if (!isValidURL(url)) {
-        throw new Error('Invalid URL format');
+        throw new ValidationError('Invalid URL format');
     }
 
     const urlObj = new URL(url);
@@ -114,7 +179,7 @@ function getURLInfo(url) {
  */
 function extractDomain(url) {
     if (!isValidURL(url)) {
-        throw new Error('Invalid URL format');
+        throw new ValidationError('Invalid URL format');
     }
 
     return new URL(url).hostname;
@@ -127,7 +192,7 @@ function extractDomain(url) {
  */
 function getURLStatistics(urls) {
     if (!Array.isArray(urls)) {
-        throw new Error('URLs must be an array');
+        throw new ValidationError('URLs must be an array');
     }
 
     const validUrls = urls.filter(url => isValidURL(url));
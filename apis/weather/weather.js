@@ -6,28 +6,85 @@
  * @version 1.0.0
  */
 
-const GEOCODING_URL = "https://geocoding-api.open-meteo.com/v1/search";
-const WEATHER_URL = "https://api.open-meteo.com/v1/forecast";
+const GEOCODING_URL = "https://geocoding-api.open-meteo.com/v1";
+const WEATHER_URL = "https://api.open-meteo.com/v1";
+const PROVIDER = "open-meteo";
+const GEOCODING_PROVIDER = "open-meteo-geocoding";
+
+const FORECAST_CACHE = { name: "open-meteo/forecast", ttl: 10 * 60 * 1000 };
+const GEOCODING_CACHE = { name: "open-meteo/geocoding", ttl: 24 * 60 * 60 * 1000 };
+
+// Fields read from /v1/forecast (each block only when requested)
+const FORECAST_SCHEMA = {
+    type: 'object',
+    properties: {
+        timezone: { type: 'string' },
+        current: { type: 'object', properties: { time: { type: 'string', required: true } } },
+        hourly: { type: 'object', properties: { time: { type: 'array', required: true, items: { type: 'string' } } } },
+        daily: { type: 'object', properties: { time: { type: 'array', required: true, items: { type: 'string' } } } }
+    }
+};
+
+// Fields read from /v1/search; "results" is omitted when nothing matches
+const GEOCODING_SCHEMA = {
+    type: 'object',
+    properties: {
+        results: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', required: true },
+                    country: { type: 'string' },
+                    admin1: { type: 'string' },
+                    latitude: { type: 'number', required: true },
+                    longitude: { type: 'number', required: true }
+                }
+            }
+        }
+    }
+};
+
+const { request, pickRequestOptions } = typeof require === "function"
+    ? require("../core/httpClient.js")
+    : window.UsefulAPIsHttp;
+
+const { getBaseUrl } = typeof require === "function"
+    ? require("../core/config.js")
+    : window.UsefulAPIsConfig;
+
+const { ValidationError, NotFoundError, errorFromResponse } = typeof require === "function"
+    ? require("../core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { logger } = typeof require === "function"
+    ? require("../core/logger.js")
+    : window.UsefulAPIsLogger;
+
+const { parseResponse } = typeof require === "function"
+    ? require("../core/schema.js")
+    : window.UsefulAPIsSchema;
 
 /**
  * Gets weather for a specific location by latitude and longitude
  * @param {number} latitude - Location latitude
  * @param {number} longitude - Location longitude
- * @param {Object} options - Additional options (units, timezone, etc)
+ * @param {Object} options - Additional options (units, timezone, etc) plus transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Weather data including current, hourly, and daily forecasts
  */
 async function getWeatherByCoordinates(latitude, longitude, options = {}) {
     try {
         if (typeof latitude !== 'number' || typeof longitude !== 'number') {
-            throw new Error('Latitude and longitude must be valid numbers');
+            throw new ValidationError('Latitude and longitude must be valid numbers');
         }
 
         if (latitude < -90 || latitude > 90) {
-            throw new Error('Latitude must be between -90 and 90');
+            throw new ValidationError('Latitude must be between -90 and 90');
         }
 
         if (longitude < -180 || longitude > 180) {
-            throw new Error('Longitude must be between -180 and 180');
+            throw new ValidationError('Longitude must be between -180 and 180');
         }
 
         const {
@@ -38,7 +95,7 @@ async function getWeatherByCoordinates(latitude, longitude, options = {}) {
             includeDaily = true
         } = options;
 
-        let url = `${WEATHER_URL}?latitude=${latitude}&longitude=${longitude}&temperature_unit=${units === 'imperial' ? 'fahrenheit' : 'celsius'}`;
+        let url = `${getBaseUrl(PROVIDER, WEATHER_URL)}/forecast?latitude=${latitude}&longitude=${longitude}&temperature_unit=${units === 'imperial' ? 'fahrenheit' : 'celsius'}`;
         
         url += `&timezone=${encodeURIComponent(timezone)}`;
 
@@ -54,13 +111,13 @@ async function getWeatherByCoordinates(latitude, longitude, options = {}) {
             url += '&daily=weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,wind_speed_10m_max';
         }
 
-        const response = await fetch(url);
+        const response = await request(url, { provider: PROVIDER, cache: FORECAST_CACHE, ...pickRequestOptions(options) });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch weather data: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Failed to fetch weather data' });
         }
 
-        const data = await response.json();
+        const data = parseResponse(await response.json(), FORECAST_SCHEMA, { provider: PROVIDER, name: 'Open-Meteo forecast' });
         return {
             location: { latitude, longitude },
             timezone: data.timezone,
@@ -71,7 +128,7 @@ async function getWeatherByCoordinates(latitude, longitude, options = {}) {
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        console.error('Error fetching weather by coordinates:', error);
+        logger.error('Error fetching weather by coordinates:', error);
         throw error;
     }
 }
@@ -85,14 +142,14 @@ async function getWeatherByCoordinates(latitude, longitude, options = {}) {
 async function getWeatherByCity(cityName, options = {}) {
     try {
         if (!cityName || typeof cityName !== 'string') {
-            throw new Error('City name must be a non-empty string');
+            throw new ValidationError('City name must be a non-empty string');
         }
 
         // First, geocode the city name to get coordinates
-        const location = await geocodeCity(cityName, options.country);
+        const location = await geocodeCity(cityName, options.country, pickRequestOptions(options));
 
         if (!location) {
-            throw new Error(`City "${cityName}" not found`);
+            throw new NotFoundError(`City "${cityName}" not found`, { provider: PROVIDER });
         }
 
         // Then get weather for those coordinates
@@ -108,7 +165,7 @@ async function getWeatherByCity(cityName, options = {}) {
 
         return weather;
     } catch (error) {
-        console.error('Error fetching weather by city:', error);
+        logger.error('Error fetching weather by city:', error);
         throw error;
     }
 }
@@ -122,7 +179,7 @@ async function getWeatherByCity(cityName, options = {}) {
 async function getCurrentWeather(cityName, options = {}) {
     try {
         if (!cityName || typeof cityName !== 'string') {
-            throw new Error('City name must be a non-empty string');
+            throw new ValidationError('City name must be a non-empty string');
         }
 
         // Check if it's coordinates format "lat,lng"
@@ -141,7 +198,7 @@ async function getCurrentWeather(cityName, options = {}) {
 
         return weather;
     } catch (error) {
-        console.error('Error fetching current weather:', error);
+        logger.error('Error fetching current weather:', error);
         throw error;
     }
 }
@@ -150,29 +207,30 @@ async function getCurrentWeather(cityName, options = {}) {
  * Geocodes a city name to get coordinates
  * @param {string} cityName - City name to geocode
  * @param {string} country - Optional country code filter
+ * @param {Object} requestOptions - Transport options (signal, timeout, retries)
  * @returns {Promise<Object>} Location data with coordinates
  */
-async function geocodeCity(cityName, country = null) {
+async function geocodeCity(cityName, country = null, requestOptions = {}) {
     try {
         if (!cityName || typeof cityName !== 'string') {
-            throw new Error('City name must be a non-empty string');
+            throw new ValidationError('City name must be a non-empty string');
         }
 
-        let url = `${GEOCODING_URL}?name=${encodeURIComponent(cityName)}&count=1&language=en`;
+        let url = `${getBaseUrl(GEOCODING_PROVIDER, GEOCODING_URL)}/search?name=${encodeURIComponent(cityName)}&count=1&language=en`;
 
         if (country) {
             url += `&country=${encodeURIComponent(country)}`;
         }
 
-        const response = await fetch(url);
+        const response = await request(url, { provider: PROVIDER, cache: GEOCODING_CACHE, ...requestOptions });
 
         if (!response.ok) {
-            throw new Error(`Geocoding failed: ${response.status}`);
+            throw await errorFromResponse(response, { provider: PROVIDER, message: 'Geocoding failed' });
         }
 
-        const data = await response.json();
+        const data = parseResponse(await response.json(), GEOCODING_SCHEMA, { provider: PROVIDER, name: 'Open-Meteo geocoding' });
 
-        if (!data.results || data.results.length === 0) {
+        if (data.results.length === 0) {
             return null;
         }
 
@@ -185,7 +243,7 @@ async function geocodeCity(cityName, country = null) {
             longitude: result.longitude
         };
     } catch (error) {
-        console.error('Error geocoding city:', error);
+        logger.error('Error geocoding city:', error);
         throw error;
     }
 }
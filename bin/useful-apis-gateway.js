@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * useful-apis HTTP gateway entry point. See server/gateway.js.
+ *
+ * Environment: PORT (default 3000), HOST, CORS_ORIGIN ('*' or a comma-separated
+ * list of origins), USEFUL_APIS_CONFIG, the API key variables used by the CLI and
+ * USEFUL_APIS_<PROVIDER>_URL base URL overrides. METRICS=1 serves Prometheus
+ * metrics on GET /metrics; REQUEST_LOG=1 writes one JSON line per upstream request
+ * to stdout.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const { createServer } = require("../server/gateway.js");
+const { setConfig } = require("../apis/core/config.js");
+const { onRequest } = require("../apis/core/events.js");
+const { createJsonLogExporter } = require("../apis/core/observability.js");
+const { loadConfig, resolveKeys } = require("../cli/config.js");
+
+const env = process.env;
+const config = loadConfig(undefined, env);
+setConfig({ baseUrls: config.baseUrls });
+
+let cors = false;
+if (env.CORS_ORIGIN) {
+    const origins = env.CORS_ORIGIN.split(",").map(origin => origin.trim()).filter(Boolean);
+    cors = { origin: origins.includes("*") ? "*" : origins };
+}
+
+if (env.REQUEST_LOG && env.REQUEST_LOG !== "0") {
+    onRequest(createJsonLogExporter({ write: line => process.stdout.write(line + "\n") }).handle);
+}
+
+const port = Number(env.PORT) || 3000;
+const host = env.HOST || undefined;
+
+const server = createServer({
+    client: { keys: resolveKeys(config, env), http: config.http || {} },
+    cors,
+    metrics: Boolean(env.METRICS && env.METRICS !== "0")
+});
+
+server.listen(port, host, () => {
+    console.log(`useful-apis gateway listening on http://${host || "localhost"}:${port}`);
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * useful-apis mock upstream server entry point. See server/mock.js.
+ *
+ * Environment: PORT (default 4000), HOST (default 127.0.0.1), MOCK_SEED, and
+ * faults applied to every provider: MOCK_LATENCY (ms or 'min-max'),
+ * MOCK_ERROR_RATE (0-1), MOCK_ERROR_STATUS (e.g. 429 or 'reset'), MOCK_RETRY_AFTER
+ * (seconds) and MOCK_RATE_LIMIT ('limit/windowMs'). MOCK_FAULTS holds per-provider
+ * faults as JSON, e.g. {"coingecko":{"status":429,"errorRate":1}}.
+ *
+ * Prints the USEFUL_APIS_<PROVIDER>_URL variables that point the modules, the
+ * CLI and the gateway at it.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const { startMockServer } = require("../server/mock.js");
+
+const env = process.env;
+
+function defaultFaults() {
+    const faults = {};
+    if (env.MOCK_LATENCY) {
+        const [min, max = min] = env.MOCK_LATENCY.split("-").map(Number);
+        faults.latency = [min, max];
+    }
+    if (env.MOCK_ERROR_RATE) faults.errorRate = Number(env.MOCK_ERROR_RATE);
+    if (env.MOCK_ERROR_STATUS) faults.status = env.MOCK_ERROR_STATUS === "reset" ? "reset" : Number(env.MOCK_ERROR_STATUS);
+    if (env.MOCK_RETRY_AFTER) faults.retryAfter = Number(env.MOCK_RETRY_AFTER);
+    if (env.MOCK_RATE_LIMIT) {
+        const [limit, window] = env.MOCK_RATE_LIMIT.split("/").map(Number);
+        faults.rateLimit = { limit, window };
+    }
+    return faults;
+}
+
+async function main() {
+    const faults = env.MOCK_FAULTS ? JSON.parse(env.MOCK_FAULTS) : {};
+    const shared = defaultFaults();
+    if (Object.keys(shared).length > 0) faults["*"] = { ...shared, ...(faults["*"] || {}) };
+
+    const mock = await startMockServer({
+        port: env.PORT ? Number(env.PORT) : 4000,
+        host: env.HOST || "127.0.0.1",
+        seed: env.MOCK_SEED !== undefined ? env.MOCK_SEED : undefined,
+        faults
+    });
+
+    console.log(`useful-apis mock server listening on ${mock.url} (control API: ${mock.url}/__mock)`);
+    for (const [name, value] of Object.entries(mock.env)) {
+        console.log(`${name}=${value}`);
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * useful-apis command-line entry point. See cli/index.js.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const { run } = require("../cli/index.js");
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,507 @@
+/**
+ * CLI commands
+ * Maps `useful-apis <group> <command>` onto the client returned by createClient().
+ * Each command declares its usage (`<required>`, `[optional]`, `<rest...>`) and
+ * a run(client, args, flags, io) function returning the result to print.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+
+const { batchResults } = require("../apis/core/batch.js");
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+function _number(value, name) {
+    const number = Number(value);
+    if (value === undefined || value === "" || Number.isNaN(number)) {
+        throw new UsageError(`${name} must be a number, got "${value}"`);
+    }
+    return number;
+}
+
+// "51.5,-0.12" => [51.5, -0.12]
+function _point(value, name) {
+    const parts = String(value).split(",");
+    if (parts.length !== 2) throw new UsageError(`${name} must be "lat,lng", got "${value}"`);
+    return [_number(parts[0].trim(), `${name} latitude`), _number(parts[1].trim(), `${name} longitude`)];
+}
+
+/**
+ * Reads a file argument; "-" reads standard input
+ * @param {string} file - Path or "-"
+ * @param {Object} io - { readStdin }
+ * @returns {Promise<string>} File contents
+ */
+async function readInput(file, io) {
+    if (file === "-") return io.readStdin();
+    try {
+        return fs.readFileSync(file, "utf8");
+    } catch (error) {
+        throw new UsageError(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+function _lines(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+async function _points(file, io) {
+    let points;
+    try {
+        points = JSON.parse(await readInput(file, io));
+    } catch (error) {
+        if (error instanceof UsageError) throw error;
+        throw new UsageError(`${file} must contain a JSON array of [lat, lng] or { lat, lng } points`);
+    }
+    if (!Array.isArray(points)) throw new UsageError(`${file} must contain a JSON array of points`);
+    return points;
+}
+
+// Route options shared by every `route` command
+function _routeOptions(flags) {
+    const options = {};
+    if (flags.provider) options.provider = flags.provider;
+    if (flags.profile) options.profile = flags.profile;
+    if (flags.roundtrip) options.roundtrip = true;
+    return options;
+}
+
+// Options shared by the `user` commands
+function _userOptions(flags) {
+    const options = {
+        seed: flags.seed,
+        page: flags.page !== undefined ? _number(flags.page, "page") : undefined,
+        inc: flags.inc,
+        exc: flags.exc
+    };
+    if (flags.normalize) options.normalize = true;
+    return options;
+}
+
+// --corpus answers `joke` commands from a snapshot written by `joke sync`; --safe applies the content filter
+function _jokeOptions(flags) {
+    const options = flags.corpus ? { corpus: flags.corpus } : {};
+    if (flags.safe) options.safe = true;
+    return options;
+}
+
+// Options shared by the `jokes` commands: --provider takes a comma-separated list of sources to try in order
+function _multiJokeOptions(flags) {
+    const options = {};
+    if (flags.provider) options.provider = String(flags.provider).split(",").map(name => name.trim()).filter(Boolean);
+    if (flags.safe) options.safe = true;
+    return options;
+}
+
+// --safe applies the content filter to the `quote` commands
+function _quoteOptions(flags) {
+    return flags.safe ? { safe: true } : {};
+}
+
+const COMMANDS = {
+    weather: {
+        description: "Weather and forecasts (Open-Meteo, no key)",
+        commands: {
+            current: {
+                usage: "<city>",
+                description: "Current conditions for a city or \"lat,lng\" [--units metric|imperial]",
+                run: (client, [city], flags) => client.weather.getCurrentWeather(city, { units: flags.units })
+            },
+            forecast: {
+                usage: "<city>",
+                description: "Current conditions and 7-day forecast [--units metric|imperial]",
+                run: (client, [city], flags) => client.weather.getWeatherByCity(city, { units: flags.units, includeHourly: false })
+            },
+            geocode: {
+                usage: "<city>",
+                description: "Coordinates of a city [--country CODE]",
+                run: (client, [city], flags) => client.weather.geocodeCity(city, flags.country || null)
+            }
+        }
+    },
+    currency: {
+        description: "Currency conversion (ExchangeRate-API, no key)",
+        commands: {
+            convert: {
+                usage: "<amount> <from> <to>",
+                description: "Convert an amount, e.g. 100 USD EUR",
+                run: (client, [amount, from, to]) => client.currency.convert(_number(amount, "amount"), from, to)
+            },
+            rate: {
+                usage: "<from> <to>",
+                description: "Exchange rate between two currencies",
+                run: (client, [from, to]) => client.currency.getRate(from, to)
+            },
+            rates: {
+                usage: "<base>",
+                description: "All exchange rates for a base currency",
+                run: (client, [base]) => client.currency.getExchangeRates(base)
+            }
+        }
+    },
+    crypto: {
+        description: "Cryptocurrency prices (CoinGecko, no key)",
+        commands: {
+            price: {
+                usage: "<ids...>",
+                description: "Current price of one or more coins [--vs usd]",
+                run: (client, ids, flags) => client.crypto.getCurrentPrices(ids, flags.vs)
+            },
+            markets: {
+                usage: "<ids...>",
+                description: "Market data for one or more coins [--vs usd]",
+                run: (client, ids, flags) => client.crypto.getMarketData(ids, flags.vs)
+            },
+            history: {
+                usage: "<id> <dd-mm-yyyy>",
+                description: "Price of a coin on a given date [--vs usd]",
+                run: (client, [id, date], flags) => client.crypto.getHistoricalPriceByDate(id, date, flags.vs)
+            }
+        }
+    },
+    route: {
+        description: "Distances, travel times and route optimisation (OSRM; Google/ORS with keys)",
+        commands: {
+            distance: {
+                usage: "<from> <to>",
+                description: "Distance between two \"lat,lng\" points [--provider --profile]",
+                run: (client, [from, to], flags) => client.distance.calculateDistance(_point(from, "from"), _point(to, "to"), _routeOptions(flags))
+            },
+            time: {
+                usage: "<from> <to>",
+                description: "Estimated travel time between two \"lat,lng\" points [--provider --profile]",
+                run: (client, [from, to], flags) => client.distance.getEstimatedTime(_point(from, "from"), _point(to, "to"), _routeOptions(flags))
+            },
+            matrix: {
+                usage: "<points.json>",
+                description: "Distance/duration matrix for a JSON array of points (\"-\" reads stdin)",
+                stdin: "file",
+                run: async (client, [file], flags, io) => client.distance.getDistanceMatrix(await _points(file, io), _routeOptions(flags))
+            },
+            optimize: {
+                usage: "<points.json>",
+                description: "Optimal visiting order for a JSON array of points [--roundtrip]",
+                stdin: "file",
+                run: async (client, [file], flags, io) => client.distance.optimizeRoute(await _points(file, io), _routeOptions(flags))
+            }
+        }
+    },
+    dictionary: {
+        description: "Word definitions (dictionaryapi.dev, no key)",
+        commands: {
+            define: {
+                usage: "<word>",
+                description: "Meanings, phonetics and examples of a word",
+                run: (client, [word]) => client.dictionary.getWordMeaning(word)
+            }
+        }
+    },
+    joke: {
+        description: "Chuck Norris jokes (chucknorris.io, no key)",
+        commands: {
+            random: {
+                usage: "[count]",
+                description: "One or more random jokes [--corpus --safe]",
+                run: (client, [count], flags) => (count === undefined
+                    ? client.chuckNorris.getRandomJoke(_jokeOptions(flags))
+                    : client.chuckNorris.getRandomJokes(_number(count, "count"), _jokeOptions(flags)).then(batchResults))
+            },
+            search: {
+                usage: "<query...>",
+                description: "Jokes containing a keyword, most relevant first [--limit --corpus --safe]",
+                run: (client, words, flags) => client.chuckNorris.searchJokes(words.join(" "), {
+                    ..._jokeOptions(flags),
+                    limit: flags.limit !== undefined ? _number(flags.limit, "limit") : undefined
+                })
+            },
+            categories: {
+                usage: "",
+                description: "Available joke categories [--corpus --safe]",
+                run: (client, args, flags) => client.chuckNorris.getCategories(_jokeOptions(flags))
+            },
+            category: {
+                usage: "<category>",
+                description: "A random joke from a category [--corpus --safe]",
+                run: (client, [category], flags) => client.chuckNorris.getJokeByCategory(category, _jokeOptions(flags))
+            },
+            sync: {
+                usage: "<file>",
+                description: "Snapshot the jokes into a file for offline use with --corpus [--queries a,b,c]",
+                run: async (client, [file], flags) => {
+                    const corpus = await client.chuckNorris.syncJokeCorpus({
+                        file,
+                        queries: flags.queries ? String(flags.queries).split(",").map(query => query.trim()) : undefined
+                    });
+                    return { file, jokes: corpus.size, categories: corpus.categories.length, syncedAt: corpus.syncedAt };
+                }
+            }
+        }
+    },
+    jokes: {
+        description: "Jokes from chucknorris.io, JokeAPI, the Official Joke API and icanhazdadjoke, with failover (no key)",
+        commands: {
+            random: {
+                usage: "",
+                description: "A random joke from the first source that answers [--category --provider --safe]",
+                run: (client, args, flags) => client.jokes.getRandom({ ..._multiJokeOptions(flags), category: flags.category })
+            },
+            search: {
+                usage: "<query...>",
+                description: "Jokes containing a keyword [--limit --provider --safe]",
+                run: (client, words, flags) => client.jokes.search(words.join(" "), {
+                    ..._multiJokeOptions(flags),
+                    limit: flags.limit !== undefined ? _number(flags.limit, "limit") : undefined
+                })
+            },
+            categories: {
+                usage: "",
+                description: "Joke categories of the first source that answers [--provider --safe]",
+                run: (client, args, flags) => client.jokes.categories(_multiJokeOptions(flags))
+            },
+            get: {
+                usage: "<id>",
+                description: "A joke by its id at the source [--provider --safe]",
+                run: (client, [id], flags) => client.jokes.getById(id, _multiJokeOptions(flags))
+            }
+        }
+    },
+    palette: {
+        description: "Colour palettes (local, needs randomcolor)",
+        commands: {
+            generate: {
+                usage: "[theme]",
+                description: "Five colours: pastel | vibrant | dark | neon | random",
+                run: (client, [theme]) => client.colorPalette.generatePalette(theme)
+            }
+        }
+    },
+    email: {
+        description: "Email validation (local)",
+        commands: {
+            validate: {
+                usage: "<file>",
+                description: "Validate every address in a file, one per line (\"-\" reads stdin)",
+                stdin: "file",
+                run: async (client, [file], flags, io) => client.email.validateMultipleEmails(_lines(await readInput(file, io)))
+            },
+            check: {
+                usage: "<email>",
+                description: "Detailed validation of one address, with typo suggestions",
+                run: (client, [email]) => client.email.validateEmail(email)
+            }
+        }
+    },
+    ip: {
+        description: "IP geolocation (ip-api.com, no key)",
+        commands: {
+            locate: {
+                usage: "[ip]",
+                description: "Location of an IP address (your own when omitted)",
+                run: (client, [ip]) => client.ipGeolocation.getLocation(ip || null)
+            }
+        }
+    },
+    translate: {
+        description: "Translation (LibreTranslate)",
+        commands: {
+            text: {
+                usage: "<to> <text...>",
+                description: "Translate text into a language [--from auto]",
+                run: (client, [to, ...words], flags) => client.translation.translateText(words.join(" "), flags.from || "auto", to)
+            },
+            detect: {
+                usage: "<text...>",
+                description: "Detect the language of a text",
+                run: (client, words) => client.translation.detectLanguage(words.join(" "))
+            },
+            languages: {
+                usage: "",
+                description: "Supported languages",
+                run: client => client.translation.getSupportedLanguages()
+            }
+        }
+    },
+    movie: {
+        description: "Movies and TV shows (OMDB, key: omdb)",
+        commands: {
+            search: {
+                usage: "<title...>",
+                description: "Search by title [--type movie|series|episode --year --page]",
+                run: (client, words, flags) => client.movies.search(words.join(" "), {
+                    type: flags.type,
+                    year: flags.year,
+                    page: flags.page
+                })
+            },
+            details: {
+                usage: "<imdbId>",
+                description: "Full details of a title, e.g. tt1375666",
+                run: (client, [id]) => client.movies.getDetails(id)
+            }
+        }
+    },
+    news: {
+        description: "News headlines and search (NewsAPI, key: newsapi)",
+        commands: {
+            headlines: {
+                usage: "[country]",
+                description: "Top headlines for a country (default us) [--category]",
+                run: (client, [country], flags) => client.news.getTopHeadlines(country || "us", { category: flags.category })
+            },
+            search: {
+                usage: "<query...>",
+                description: "Search articles [--sort-by --language]",
+                run: (client, words, flags) => client.news.searchNews(words.join(" "), {
+                    sortBy: flags["sort-by"],
+                    language: flags.language
+                })
+            }
+        }
+    },
+    pdf: {
+        description: "HTML to PDF (local, needs puppeteer)",
+        commands: {
+            html: {
+                usage: "<input.html> <output.pdf>",
+                description: "Render an HTML file to PDF (\"-\" reads stdin)",
+                stdin: "file",
+                run: async (client, [input, output], flags, io) => {
+                    const buffer = await client.pdf.convertHtmlToPdf(await readInput(input, io));
+                    fs.writeFileSync(output, buffer);
+                    return { output, bytes: buffer.length };
+                }
+            }
+        }
+    },
+    qr: {
+        description: "QR codes (goqr.me, no key)",
+        commands: {
+            generate: {
+                usage: "<text...>",
+                description: "QR code image URL [--size 200 --format png --ecc M]",
+                run: (client, words, flags) => client.qrCode.generateQRCode(words.join(" "), {
+                    size: flags.size !== undefined ? _number(flags.size, "size") : undefined,
+                    format: flags.format,
+                    errorCorrection: flags.ecc
+                })
+            }
+        }
+    },
+    quote: {
+        description: "Inspirational quotes (local)",
+        commands: {
+            random: {
+                usage: "",
+                description: "A random quote [--safe]",
+                run: (client, args, flags) => client.quotes.getRandomQuote(_quoteOptions(flags))
+            },
+            search: {
+                usage: "<keyword>",
+                description: "Quotes matching a keyword or author [--safe]",
+                run: (client, [keyword], flags) => client.quotes.searchQuotes(keyword, _quoteOptions(flags))
+            }
+        }
+    },
+    user: {
+        description: "Random user profiles (randomuser.me, no key)",
+        commands: {
+            random: {
+                usage: "[count]",
+                description: "Random users [--gender male|female --nat US --seed fixtures --page 2 --inc name,email --exc login --normalize]",
+                run: (client, [count], flags) => client.randomUser.getRandomUser(
+                    count === undefined ? 1 : _number(count, "count"),
+                    flags.gender || "all",
+                    flags.nat || null,
+                    _userOptions(flags)
+                )
+            },
+            generate: {
+                usage: "[count]",
+                description: "Fake users generated offline [--gender male|female --nat US,GB --seed fixtures --page 2 --inc name,email --exc login --normalize]",
+                run: (client, [count], flags) => client.randomUser.generateRandomUser(
+                    count === undefined ? 1 : _number(count, "count"),
+                    flags.gender || "all",
+                    flags.nat || null,
+                    _userOptions(flags)
+                )
+            }
+        }
+    },
+    sentiment: {
+        description: "Sentiment analysis (local; HuggingFace with key: huggingface)",
+        commands: {
+            analyze: {
+                usage: "<text...>",
+                description: "Positive/negative/neutral score",
+                run: (client, words) => client.sentiment.analyzeSentiment(words.join(" "))
+            },
+            emotions: {
+                usage: "<text...>",
+                description: "Emotion scores",
+                run: (client, words) => client.sentiment.analyzeEmotions(words.join(" "))
+            },
+            keywords: {
+                usage: "<text...>",
+                description: "Most relevant keywords",
+                run: (client, words) => client.sentiment.extractKeywords(words.join(" "))
+            }
+        }
+    },
+    stock: {
+        description: "Stock quotes (Finnhub, key: finnhub)",
+        commands: {
+            quote: {
+                usage: "<symbol>",
+                description: "Latest quote for a ticker",
+                run: (client, [symbol]) => client.stocks.getStockQuote(symbol)
+            },
+            profile: {
+                usage: "<symbol>",
+                description: "Company profile for a ticker",
+                run: (client, [symbol]) => client.stocks.getCompanyProfile(symbol)
+            }
+        }
+    },
+    url: {
+        description: "URL shortening and inspection (TinyURL, no key)",
+        commands: {
+            shorten: {
+                usage: "<url>",
+                description: "Shorten a URL",
+                run: (client, [url]) => client.urlShortener.shortenURL(url)
+            },
+            info: {
+                usage: "<url>",
+                description: "Protocol, host, path and query of a URL",
+                run: (client, [url]) => client.urlShortener.getURLInfo(url)
+            }
+        }
+    }
+};
+
+/**
+ * Parses a usage string into argument counts
+ * @param {string} usage - e.g. "<to> <text...>" or "[count]"
+ * @returns {Object} { required, max } - max is Infinity for variadic commands
+ */
+function parseUsage(usage) {
+    const tokens = usage.split(/\s+/).filter(Boolean);
+    const required = tokens.filter(token => token.startsWith("<")).length;
+    const variadic = tokens.some(token => token.includes("..."));
+    return { required, max: variadic ? Infinity : tokens.length };
+}
+
+module.exports = {
+    COMMANDS,
+    UsageError,
+    parseUsage,
+    readInput
+};
@@ -0,0 +1,53 @@
+/**
+ * CLI and gateway configuration
+ * Resolves API keys from the environment and an optional JSON config file
+ * ({ keys, baseUrls, http, cache }). Environment variables win over the file.
+ * Key names and variables are shared with apis/core/config.js.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ENV_KEYS, loadConfigFile } = require("../apis/core/config.js");
+
+const DEFAULT_CONFIG_FILE = path.join(os.homedir(), ".useful-apis.json");
+
+/**
+ * Loads the JSON config file
+ * @param {string|undefined} file - Explicit path; falls back to $USEFUL_APIS_CONFIG, then ~/.useful-apis.json
+ * @param {Object} env - Environment variables
+ * @returns {Object} Parsed config ({} when no file exists)
+ */
+function loadConfig(file, env = process.env) {
+    const explicit = file || env.USEFUL_APIS_CONFIG;
+    const target = explicit || DEFAULT_CONFIG_FILE;
+
+    if (!explicit && !fs.existsSync(target)) return {};
+    return loadConfigFile(target);
+}
+
+/**
+ * Merges config-file keys with keys found in the environment
+ * @param {Object} config - Parsed config
+ * @param {Object} env - Environment variables
+ * @returns {Object} { omdb, newsapi, finnhub, googleMaps, openRouteService, huggingface }
+ */
+function resolveKeys(config = {}, env = process.env) {
+    const keys = { ...(config.keys || {}) };
+    for (const [name, variables] of Object.entries(ENV_KEYS)) {
+        const variable = variables.find(candidate => env[candidate]);
+        if (variable) keys[name] = env[variable];
+    }
+    return keys;
+}
+
+module.exports = {
+    ENV_KEYS,
+    DEFAULT_CONFIG_FILE,
+    loadConfig,
+    resolveKeys
+};
@@ -0,0 +1,102 @@
+/**
+ * CLI output formatting
+ * Renders command results as pretty JSON or as a plain-text table.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+// Longest cell printed in table mode; longer values are cut with an ellipsis
+const MAX_CELL_WIDTH = 60;
+
+/**
+ * Formats a result as indented JSON
+ * @param {*} value - Any JSON-serialisable value
+ * @returns {string}
+ */
+function formatJson(value) {
+    return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Flattens nested objects into dotted keys ({ a: { b: 1 } } => { "a.b": 1 })
+ * Arrays of primitives are joined; arrays of objects are kept as JSON.
+ * @param {Object} value - Object to flatten
+ * @param {string} prefix - Key prefix
+ * @param {Object} target - Accumulator
+ * @returns {Object} Flat object
+ */
+function flatten(value, prefix = "", target = {}) {
+    for (const [key, item] of Object.entries(value)) {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(item)) {
+            target[name] = item.every(entry => entry === null || typeof entry !== "object")
+                ? item.join(", ")
+                : JSON.stringify(item);
+        } else if (item && typeof item === "object") {
+            flatten(item, name, target);
+        } else {
+            target[name] = item;
+        }
+    }
+    return target;
+}
+
+function _cell(value) {
+    const text = value === undefined || value === null ? "" : String(value).replace(/\s+/g, " ");
+    return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+function _render(columns, rows) {
+    const widths = columns.map((column, i) => Math.max(column.length, ...rows.map(row => row[i].length)));
+    const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+    return [
+        line(columns),
+        line(widths.map(width => "-".repeat(width))),
+        ...rows.map(line)
+    ].join("\n");
+}
+
+/**
+ * Formats a result as a table.
+ * Arrays of objects get one row per item; a single object gets key/value rows.
+ * @param {*} value - Command result
+ * @returns {string}
+ */
+function formatTable(value) {
+    if (value === null || value === undefined) return "";
+    if (typeof value !== "object") return String(value);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return "(no results)";
+        if (value.every(item => item === null || typeof item !== "object")) {
+            return value.map(_cell).join("\n");
+        }
+
+        const flat = value.map(item => (item && typeof item === "object" ? flatten(item) : { value: item }));
+        const columns = [];
+        for (const item of flat) {
+            for (const key of Object.keys(item)) {
+                if (!columns.includes(key)) columns.push(key);
+            }
+        }
+        return _render(columns, flat.map(item => columns.map(column => _cell(item[column]))));
+    }
+
+    // An object wrapping one list (e.g. { totalResults, results: [...] }) reads better as that list
+    const lists = Object.entries(value).filter(([, item]) => Array.isArray(item) && item.length > 0 && typeof item[0] === "object");
+    if (lists.length === 1) {
+        const summary = Object.entries(value).filter(([key]) => key !== lists[0][0]);
+        const header = summary.length > 0 ? `${formatTable(Object.fromEntries(summary))}\n\n` : "";
+        return header + formatTable(lists[0][1]);
+    }
+
+    const flat = flatten(value);
+    return _render(["field", "value"], Object.entries(flat).map(([key, item]) => [key, _cell(item)]));
+}
+
+module.exports = {
+    formatJson,
+    formatTable,
+    flatten
+};
@@ -0,0 +1,237 @@
+/**
+ * useful-apis CLI
+ * Command-line access to every API module:
+ *
+ *   useful-apis weather current London
+ *   useful-apis currency convert 100 USD EUR --json
+ *   cat cities.txt | useful-apis weather current - --table
+ *
+ * API keys come from the environment (OMDB_API_KEY, ...) or a JSON config file
+ * (--config, $USEFUL_APIS_CONFIG or ~/.useful-apis.json), which may also point
+ * providers at other base URLs ({ baseUrls: { omdb: "http://localhost:4000" } }).
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const { createClient, setConfig, core } = require("../index.js");
+const { COMMANDS, UsageError, parseUsage } = require("./commands.js");
+const { ENV_KEYS, loadConfig, resolveKeys } = require("./config.js");
+const { formatJson, formatTable } = require("./format.js");
+
+const BIN = "useful-apis";
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = ["json", "table", "help", "version", "cache", "roundtrip", "normalize", "safe"];
+
+/**
+ * Splits argv into positionals and --flags ("--name value" or "--name=value")
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} { positionals, flags }
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === "--") {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (arg === "-h") {
+            flags.help = true;
+        } else if (arg.startsWith("--")) {
+            const separator = arg.indexOf("=");
+            const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+
+            if (separator !== -1) {
+                flags[name] = arg.slice(separator + 1);
+            } else if (BOOLEAN_FLAGS.includes(name)) {
+                flags[name] = true;
+            } else if (i + 1 < argv.length) {
+                flags[name] = argv[++i];
+            } else {
+                throw new UsageError(`--${name} needs a value`);
+            }
+        } else {
+            // "-" (stdin) and negative numbers are positionals
+            positionals.push(arg);
+        }
+    }
+
+    return { positionals, flags };
+}
+
+function _clientOptions(flags, config, env) {
+    const http = { ...(config.http || {}) };
+    if (flags.timeout !== undefined) http.timeout = Number(flags.timeout);
+    if (flags.retries !== undefined) http.retries = Number(flags.retries);
+
+    const options = { keys: resolveKeys(config, env), http };
+
+    // A file cache lets repeated invocations reuse responses
+    const cacheOption = flags.cache ? true : config.cache;
+    if (cacheOption) {
+        options.cache = core.cache.createFileCache(typeof cacheOption === "object" ? cacheOption : {});
+    }
+    return options;
+}
+
+function _mainHelp() {
+    const groups = Object.entries(COMMANDS)
+        .map(([name, group]) => `  ${name.padEnd(12)}${group.description}`)
+        .join("\n");
+    return `Usage: ${BIN} <group> <command> [args] [options]
+
+Groups:
+${groups}
+
+Options:
+  --json              Print JSON (default when output is piped)
+  --table             Print a table (default in a terminal)
+  --config <file>     JSON config with { keys, baseUrls, http, cache } (default ~/.useful-apis.json)
+  --timeout <ms>      Request timeout
+  --retries <n>       Retries on 429/5xx and network failures
+  --cache             Cache responses on disk between runs
+  -h, --help          Show help
+  --version           Show version
+
+An argument of "-" reads standard input: one run per line, or the whole input for file arguments.
+API keys: ${Object.values(ENV_KEYS).map(variables => variables[0]).join(", ")}
+
+Run "${BIN} <group> --help" for the commands of a group.`;
+}
+
+function _groupHelp(name) {
+    const group = COMMANDS[name];
+    const rows = Object.entries(group.commands).map(([command, spec]) => {
+        const signature = `${command} ${spec.usage}`.trim();
+        return `  ${signature.padEnd(30)}${spec.description}`;
+    });
+    return `Usage: ${BIN} ${name} <command> [args] [options]
+
+${group.description}
+
+Commands:
+${rows.join("\n")}`;
+}
+
+function _version() {
+    return require("../package.json").version;
+}
+
+function _readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        process.stdin.setEncoding("utf8");
+        process.stdin.on("data", chunk => {
+            data += chunk;
+        });
+        process.stdin.on("end", () => resolve(data));
+        process.stdin.on("error", reject);
+    });
+}
+
+function _describeError(error) {
+    if (error && error.code && error.name !== "UsageError") return `${error.name} (${error.code}): ${error.message}`;
+    return error && error.message ? error.message : String(error);
+}
+
+// Runs a command once per stdin line, substituting each line for "-"
+async function _runBatch(spec, client, args, flags, io) {
+    const lines = (await io.readStdin()).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const results = [];
+    let failed = false;
+
+    for (const line of lines) {
+        const lineArgs = args.map(arg => (arg === "-" ? line : arg));
+        try {
+            results.push({ input: line, result: await spec.run(client, lineArgs, flags, io) });
+        } catch (error) {
+            if (error instanceof UsageError) throw error;
+            failed = true;
+            results.push({ input: line, error: _describeError(error) });
+        }
+    }
+    return { results, failed };
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments without node and script path
+ * @param {Object} io - { stdout, stderr, env, readStdin } (defaults to the current process)
+ * @returns {Promise<number>} Exit code: 0 success, 1 API failure, 2 usage error
+ */
+async function run(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const env = io.env || process.env;
+    const streams = { ...io, readStdin: io.readStdin || _readStdin };
+
+    try {
+        const { positionals, flags } = parseArgs(argv);
+        const [groupName, commandName, ...args] = positionals;
+
+        if (flags.version) {
+            stdout.write(`${_version()}\n`);
+            return 0;
+        }
+
+        if (!groupName) {
+            (flags.help ? stdout : stderr).write(`${_mainHelp()}\n`);
+            return flags.help ? 0 : 2;
+        }
+
+        const group = COMMANDS[groupName];
+        if (!group) throw new UsageError(`Unknown group "${groupName}". Run "${BIN} --help" for the list.`);
+
+        if (!commandName || flags.help) {
+            (flags.help ? stdout : stderr).write(`${_groupHelp(groupName)}\n`);
+            return flags.help ? 0 : 2;
+        }
+
+        const spec = group.commands[commandName];
+        if (!spec) throw new UsageError(`Unknown command "${groupName} ${commandName}". Run "${BIN} ${groupName} --help" for the list.`);
+
+        const { required, max } = parseUsage(spec.usage);
+        if (args.length < required || args.length > max) {
+            throw new UsageError(`Usage: ${BIN} ${groupName} ${commandName} ${spec.usage}`.trim());
+        }
+
+        let config;
+        try {
+            config = loadConfig(flags.config, env);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        setConfig({ env, baseUrls: config.baseUrls });
+
+        const client = createClient(_clientOptions(flags, config, env));
+        const asJson = flags.json || (!flags.table && !stdout.isTTY);
+
+        let output;
+        let exitCode = 0;
+        if (spec.stdin !== "file" && args.includes("-")) {
+            const batch = await _runBatch(spec, client, args, flags, streams);
+            output = batch.results;
+            exitCode = batch.failed ? 1 : 0;
+        } else {
+            output = await spec.run(client, args, flags, streams);
+        }
+
+        const text = asJson ? formatJson(output) : formatTable(output);
+        if (text) stdout.write(`${text}\n`);
+        return exitCode;
+    } catch (error) {
+        stderr.write(`${BIN}: ${_describeError(error)}\n`);
+        return error instanceof UsageError ? 2 : 1;
+    }
+}
+
+module.exports = {
+    run,
+    parseArgs
+};
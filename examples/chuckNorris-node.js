@@ -24,11 +24,11 @@ async function example1_randomJoke() {
 async function example2_multipleJokes() {
     console.log('\n--- Example 2: Get 5 Random Jokes ---');
     try {
-        const jokes = await chuckNorrisAPI.getRandomJokes(5);
-        jokes.forEach((joke, index) => {
-            console.log(`\n${index + 1}. ${joke.value}`);
+        const entries = await chuckNorrisAPI.getRandomJokes(5, { concurrency: 2 });
+        entries.forEach(({ result: joke, error }, index) => {
+            console.log(`\n${index + 1}. ${joke ? joke.value : `(failed: ${error.message})`}`);
         });
-        console.log(`\nTotal fetched: ${jokes.length}`);
+        console.log(`\nTotal fetched: ${entries.filter(entry => entry.result).length}`);
     } catch (error) {
         console.error('Error:', error.message);
     }
@@ -0,0 +1,321 @@
+/**
+ * Useful-APIs
+ * Single entry point for every module under apis/. Use the modules directly, or
+ * create a client that wires API keys, caching and the HTTP transport once and
+ * exposes every API as a namespaced sub-client. Keys the client does not set
+ * are looked up in the shared configuration (setConfig(), environment, file).
+ *
+ * Usage:
+ *   const { createClient } = require("useful-apis");
+ *   const client = createClient({ keys: { omdb: process.env.OMDB_API_KEY } });
+ *   await client.weather.getCurrentWeather("London");
+ *   await client.movies.search("Inception", { type: "movie" }); // OMDB key filled in
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const http = require("./apis/core/httpClient.js");
+const cache = require("./apis/core/cache.js");
+const rateLimiter = require("./apis/core/rateLimiter.js");
+const errors = require("./apis/core/errors.js");
+const logger = require("./apis/core/logger.js");
+const fixtures = require("./apis/core/fixtures.js");
+const config = require("./apis/core/config.js");
+const batch = require("./apis/core/batch.js");
+const events = require("./apis/core/events.js");
+const observability = require("./apis/core/observability.js");
+const providers = require("./apis/core/providers.js");
+const contentFilter = require("./apis/core/contentFilter.js");
+
+/*
+ * Namespace => module, plus where each network function takes its transport
+ * options (`options`: argument index in the module's signature) and API keys
+ * (`keys`: an argument index, removed from the client signature, or an option name).
+ * Functions not listed here are exposed unchanged.
+ */
+const API_DEFINITIONS = {
+    weather: {
+        module: require("./apis/weather/weather.js"),
+        functions: {
+            getWeatherByCoordinates: { options: 2 },
+            getWeatherByCity: { options: 1 },
+            getCurrentWeather: { options: 1 },
+            geocodeCity: { options: 2 }
+        }
+    },
+    currency: {
+        module: require("./apis/currencyConverter/currencyConverter.js"),
+        functions: {
+            convert: { options: 3 },
+            getExchangeRates: { options: 1 },
+            getRate: { options: 2 },
+            convertMultiple: { options: 3 }
+        }
+    },
+    crypto: {
+        module: require("./apis/cryptoPrice/cryptoPrice.js"),
+        functions: {
+            getCurrentPrices: { options: 2, defaults: { include_24hr_change: true } },
+            getMarketData: { options: 2 },
+            getHistoricalPriceByDate: { options: 3 },
+            getMarketChart: { options: 3 },
+            getOHLC: { options: 3 },
+            calculatePortfolioValue: { options: 2 }
+        }
+    },
+    distance: {
+        module: require("./apis/distance_and_route/distance_and_route.js"),
+        functions: {
+            calculateDistance: { options: 2, keys: ["googleMaps", "openRouteService"] },
+            getDistanceMatrix: { options: 1, keys: ["googleMaps", "openRouteService"] },
+            optimizeRoute: { options: 1, keys: ["googleMaps", "openRouteService"] },
+            getEstimatedTime: { options: 2, keys: ["googleMaps", "openRouteService"] }
+        }
+    },
+    dictionary: {
+        module: require("./apis/Dictionary/dictionary.js"),
+        functions: {
+            getWordMeaning: { options: 1 }
+        }
+    },
+    chuckNorris: {
+        module: require("./apis/chuckNorris/chuckNorris.js"),
+        functions: {
+            getRandomJoke: { options: 0 },
+            getJokeById: { options: 1 },
+            searchJokes: { options: 1 },
+            getRandomJokes: { options: 1 },
+            getCategories: { options: 0 },
+            getJokeByCategory: { options: 1 },
+            createJokeSession: { options: 0 },
+            syncJokeCorpus: { options: 0 }
+        }
+    },
+    jokes: {
+        module: require("./apis/jokes/jokes.js"),
+        functions: {
+            getRandom: { options: 0 },
+            getById: { options: 1 },
+            search: { options: 1 },
+            categories: { options: 0 },
+            createJokeClient: { options: 0 }
+        }
+    },
+    colorPalette: {
+        module: require("./apis/colourPallete/color-palette-generator.js"),
+        functions: {}
+    },
+    email: {
+        module: require("./apis/emailValidator/emailValidator.js"),
+        functions: {}
+    },
+    ipGeolocation: {
+        module: require("./apis/ipGeolocation/ipGeolocation.js"),
+        functions: {
+            getLocation: { options: 1 },
+            getMultipleLocations: { options: 1 },
+            getMyLocation: { options: 0 }
+        }
+    },
+    translation: {
+        module: require("./apis/languageTranslation/languageTranslation.js"),
+        functions: {
+            getSupportedLanguages: { options: 0 },
+            translateText: { options: 3 },
+            batchTranslate: { options: 3 },
+            detectLanguage: { options: 1 }
+        }
+    },
+    movies: {
+        module: require("./apis/movieDatabase/movieDatabase.js"),
+        functions: {
+            search: { options: 2, keys: [{ key: "omdb", arg: 1 }] },
+            getDetails: { options: 2, keys: [{ key: "omdb", arg: 1 }] },
+            searchMovies: { options: 2, keys: [{ key: "omdb", arg: 1 }] },
+            searchSeries: { options: 2, keys: [{ key: "omdb", arg: 1 }] }
+        }
+    },
+    news: {
+        module: require("./apis/newsAPI/newsAPI.js"),
+        functions: {
+            getTopHeadlines: { options: 2, keys: [{ key: "newsapi", arg: 1 }] },
+            searchNews: { options: 2, keys: [{ key: "newsapi", arg: 1 }] },
+            getNewsByCategory: { options: 2, keys: [{ key: "newsapi", arg: 1 }] }
+        }
+    },
+    pdf: {
+        module: require("./apis/pdfGenerator/pdfGenerator.js"),
+        functions: {}
+    },
+    qrCode: {
+        module: require("./apis/qrCodeGenerator/qrCodeGenerator.js"),
+        functions: {
+            generateQRCodeBase64: { options: 1 }
+        }
+    },
+    quotes: {
+        module: require("./apis/quoteGenerator/quoteGenerator.js"),
+        functions: {}
+    },
+    randomUser: {
+        module: require("./apis/randomUser/randomUser.js"),
+        functions: {
+            getRandomUser: { options: 3 },
+            getRandomUsers: { options: 1 },
+            getSingleUser: { options: 1 },
+            streamRandomUsers: { options: 1 }
+        }
+    },
+    sentiment: {
+        module: require("./apis/sentimentAnalysis/sentimentAnalysis.js"),
+        functions: {
+            analyzeSentiment: { options: 1, keys: ["huggingface"] },
+            analyzeEmotions: { options: 1, keys: ["huggingface"] },
+            analyzeText: { options: 1, keys: ["huggingface"] },
+            analyzeBatch: { options: 1, keys: ["huggingface"] }
+        }
+    },
+    stocks: {
+        module: require("./apis/stockMarket/stockMarket.js"),
+        functions: {
+            getStockQuote: { options: 2, keys: [{ key: "finnhub", arg: 1 }] },
+            getCompanyProfile: { options: 2, keys: [{ key: "finnhub", arg: 1 }] }
+        }
+    },
+    urlShortener: {
+        module: require("./apis/urlShortener/urlShortener.js"),
+        functions: {
+            shortenURL: { options: 1 },
+            shortenMultipleURLs: { options: 1 }
+        }
+    }
+};
+
+// Client key name => option the module reads it from
+const KEY_OPTIONS = {
+    googleMaps: "googleApiKey",
+    openRouteService: "openRouteServiceApiKey",
+    huggingface: "hfApiKey"
+};
+
+// Every key a client understands
+const KEY_NAMES = Object.keys(config.ENV_KEYS);
+
+// Points the shared cache at the requested backend; `false` is handled per call
+function _applyCache(option) {
+    if (option === undefined || option === false) return;
+
+    if (option === true) {
+        if (!cache.getCacheConfig().store) cache.configureCache({ store: cache.createMemoryCache() });
+    } else if (option && typeof option.get === "function" && typeof option.set === "function") {
+        cache.configureCache({ store: option });
+    } else if (option && typeof option === "object") {
+        cache.configureCache(option);
+    } else {
+        throw new errors.ValidationError("cache must be true, false, a cache store or cache options");
+    }
+}
+
+// Wraps a module function so it receives the client's keys and transport settings
+function _bind(fn, definition, settings) {
+    const positionalKeys = (definition.keys || []).filter(entry => typeof entry === "object");
+    const optionKeys = (definition.keys || []).filter(entry => typeof entry === "string");
+
+    return function (...args) {
+        // The client signature has no API key arguments: put them back in place
+        for (const { key, arg } of positionalKeys) {
+            while (args.length < arg) args.push(undefined);
+            args.splice(arg, 0, settings.keys[key]);
+        }
+
+        const given = args[definition.options];
+        const options = given === undefined || given === null
+            ? { ...(definition.defaults || {}) }
+            : given;
+
+        const merged = { ...settings.transport, ...options };
+        for (const key of optionKeys) {
+            const option = KEY_OPTIONS[key];
+            if (merged[option] === undefined && settings.keys[key]) merged[option] = settings.keys[key];
+        }
+
+        while (args.length < definition.options) args.push(undefined);
+        args[definition.options] = merged;
+        return fn(...args);
+    };
+}
+
+/**
+ * Creates a client exposing every API as a namespaced sub-client (client.weather,
+ * client.movies, ...). API keys are taken from the client, so keyed functions drop
+ * their key argument: client.movies.search(title, options).
+ *
+ * Keys, transport and HTTP settings belong to the client; keys it leaves out
+ * come from the shared configuration (see apis/core/config.js). The cache and
+ * rate limits are shared by every module in the process (see apis/core).
+ *
+ * @param {Object} options - {
+ *     keys: { omdb, newsapi, finnhub, googleMaps, openRouteService, huggingface },
+ *     cache: true (in-memory) | false (bypass) | cache store | { store, ttl, enabled },
+ *     transport: fetch-compatible function used instead of the global fetch,
+ *     http: { timeout, retries, retryOn, backoff, maxRetryAfter, trace } defaults for every call
+ * }
+ * @returns {Object} Client with one sub-client per API
+ */
+function createClient(options = {}) {
+    if (!options || typeof options !== "object") {
+        throw new errors.ValidationError("options must be an object");
+    }
+
+    const keys = options.keys || {};
+    if (typeof keys !== "object") {
+        throw new errors.ValidationError("keys must be an object");
+    }
+    const unknown = Object.keys(keys).filter(name => !KEY_NAMES.includes(name));
+    if (unknown.length > 0) {
+        throw new errors.ValidationError(`Unknown API key name(s): ${unknown.join(", ")}. Expected one of: ${KEY_NAMES.join(", ")}`);
+    }
+
+    if (options.transport !== undefined && typeof options.transport !== "function") {
+        throw new errors.ValidationError("transport must be a fetch-compatible function");
+    }
+
+    _applyCache(options.cache);
+
+    const transport = { ...http.pickRequestOptions(options.http || {}) };
+    if (options.transport) transport.fetch = options.transport;
+    if (options.cache === false) transport.cache = false;
+
+    const settings = { keys: { ...keys }, transport };
+    const client = {};
+
+    for (const [namespace, api] of Object.entries(API_DEFINITIONS)) {
+        const subClient = {};
+        for (const [name, value] of Object.entries(api.module)) {
+            const definition = api.functions[name];
+            subClient[name] = definition && typeof value === "function"
+                ? _bind(value, definition, settings)
+                : value;
+        }
+        client[namespace] = Object.freeze(subClient);
+    }
+
+    return Object.freeze(client);
+}
+
+const modules = {};
+for (const [namespace, api] of Object.entries(API_DEFINITIONS)) {
+    modules[namespace] = api.module;
+}
+
+module.exports = {
+    createClient,
+    ...modules,
+    core: { http, cache, rateLimiter, errors, logger, fixtures, config, batch, events, observability, providers, contentFilter },
+    ...errors,
+    setLogger: logger.setLogger,
+    setConfig: config.setConfig,
+    onRequest: events.onRequest,
+    registerProvider: providers.registerProvider
+};
@@ -0,0 +1,56 @@
+/**
+ * Useful-APIs (ES module entry point)
+ * Re-exports the CommonJS entry point so both `import` and `require` share one
+ * set of modules, and therefore one HTTP client, cache and rate limiter.
+ *
+ * Usage:
+ *   import { createClient } from "useful-apis";
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+import usefulApis from "./index.js";
+
+export const {
+    createClient,
+    weather,
+    currency,
+    crypto,
+    distance,
+    dictionary,
+    chuckNorris,
+    jokes,
+    colorPalette,
+    email,
+    ipGeolocation,
+    translation,
+    movies,
+    news,
+    pdf,
+    qrCode,
+    quotes,
+    randomUser,
+    sentiment,
+    stocks,
+    urlShortener,
+    core,
+    UsefulAPIError,
+    ValidationError,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError,
+    TimeoutError,
+    UpstreamError,
+    ResponseValidationError,
+    isAbortError,
+    errorFromStatus,
+    errorFromResponse,
+    setLogger,
+    setConfig,
+    onRequest,
+    registerProvider
+} = usefulApis;
+
+export default usefulApis;
@@ -0,0 +1,290 @@
+/**
+ * HTTP Gateway
+ * Small Node.js server exposing every module as a JSON REST API, so browsers can
+ * use keyed providers (OMDB, NewsAPI, Finnhub, Google Maps...) without ever
+ * seeing the keys. Parameters are validated against the route table, errors are
+ * returned as JSON, CORS is opt-in and GET /openapi.json describes every route.
+ * Upstream calls are traced with the caller's X-Request-Id (or a generated one),
+ * and GET /metrics serves Prometheus metrics when `metrics` is enabled.
+ *
+ * Usage:
+ *   const { createServer } = require("./server/gateway.js");
+ *   createServer({
+ *       client: { keys: { omdb: process.env.OMDB_API_KEY } },
+ *       cors: { origin: ["https://app.example.com"] }
+ *   }).listen(3000);
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const http = require("http");
+const { randomUUID } = require("crypto");
+
+const { createClient } = require("../index.js");
+const { UsefulAPIError, ValidationError } = require("../apis/core/errors.js");
+const { logger } = require("../apis/core/logger.js");
+const { onRequest } = require("../apis/core/events.js");
+const { createPrometheusExporter } = require("../apis/core/observability.js");
+const { validateParams } = require("./validate.js");
+const { ROUTES } = require("./routes.js");
+const { buildOpenAPI, STATUS_BY_CODE } = require("./openapi.js");
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+class HttpError extends UsefulAPIError {
+    constructor(status, code, message) {
+        super(message, { code, status });
+    }
+}
+
+function _statusFor(error) {
+    if (error instanceof HttpError) return error.status;
+    return STATUS_BY_CODE[error.code] || 500;
+}
+
+function _send(res, status, body, headers = {}) {
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+
+    if (Buffer.isBuffer(body) || body instanceof Uint8Array) {
+        res.writeHead(status, { "Content-Length": body.length, ...headers });
+        res.end(body);
+        return;
+    }
+
+    const payload = JSON.stringify(body === undefined ? null : body);
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(payload),
+        ...headers
+    });
+    res.end(payload);
+}
+
+function _sendError(res, error, headers = {}) {
+    const status = _statusFor(error);
+
+    if (!(error instanceof UsefulAPIError)) {
+        // Unknown failures may carry internals; log them and answer generically
+        logger.error("Gateway error:", error);
+        _send(res, 500, { error: { name: "InternalError", code: "INTERNAL_ERROR", message: "Internal server error" } }, headers);
+        return;
+    }
+
+    const extra = { ...headers };
+    if (error.retryAfter > 0) extra["Retry-After"] = String(Math.ceil(error.retryAfter / 1000));
+
+    const body = { error: error.toJSON() };
+    if (error.details && error.details.field) body.error.field = error.details.field;
+    _send(res, status, body, extra);
+}
+
+/**
+ * Resolves the CORS headers for a request
+ * @param {Object} req - Incoming request
+ * @param {Object|false} cors - { origin: '*' | string | string[] | (origin) => boolean, credentials, maxAge, headers }
+ * @returns {Object} Headers to add (empty when the origin is not allowed)
+ */
+function corsHeaders(req, cors) {
+    if (!cors || !cors.origin) return {};
+
+    const origin = req.headers.origin;
+    let allowed = null;
+
+    if (cors.origin === "*") {
+        allowed = cors.credentials ? origin : "*";
+    } else if (typeof cors.origin === "function") {
+        allowed = origin && cors.origin(origin) ? origin : null;
+    } else {
+        const origins = Array.isArray(cors.origin) ? cors.origin : [cors.origin];
+        allowed = origin && origins.includes(origin) ? origin : null;
+    }
+
+    if (!allowed) return {};
+
+    const headers = { "Access-Control-Allow-Origin": allowed };
+    if (allowed !== "*") headers.Vary = "Origin";
+    if (cors.credentials) headers["Access-Control-Allow-Credentials"] = "true";
+    return headers;
+}
+
+function _readBody(req, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                reject(new HttpError(413, "PAYLOAD_TOO_LARGE", `Request body exceeds ${maxBodySize} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        req.on("error", reject);
+    });
+}
+
+async function _parseBody(req, maxBodySize) {
+    const raw = await _readBody(req, maxBodySize);
+    if (raw.trim() === "") return {};
+
+    const type = req.headers["content-type"] || "";
+    if (!/application\/json/i.test(type)) {
+        throw new HttpError(415, "UNSUPPORTED_MEDIA_TYPE", "Request body must be application/json");
+    }
+
+    let body;
+    try {
+        body = JSON.parse(raw);
+    } catch (error) {
+        throw new ValidationError(`Request body is not valid JSON: ${error.message}`);
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        throw new ValidationError("Request body must be a JSON object");
+    }
+    return body;
+}
+
+/**
+ * Creates the gateway request handler
+ * @param {Object} options - {
+ *     client: createClient() options ({ keys, cache, transport, http }),
+ *     cors: false (default) | { origin, credentials, maxAge, headers },
+ *     basePath: mount prefix, e.g. '/api' (default ''),
+ *     maxBodySize: bytes (default 1 MB),
+ *     routes: route table (default: every module),
+ *     metrics: false (default) | true | a createPrometheusExporter() instance - serves GET /metrics
+ * }
+ * @returns {Function} (req, res) handler for http.createServer
+ */
+function createGateway(options = {}) {
+    const clientOptions = options.client || {};
+    const cors = options.cors || false;
+    const basePath = (options.basePath || "").replace(/\/+$/, "");
+    const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    const routes = options.routes || ROUTES;
+    const metrics = options.metrics === true ? createPrometheusExporter() : (options.metrics || null);
+    if (options.metrics === true) onRequest(metrics.handle);
+
+    // Validates the keys and sets up the shared cache once
+    createClient(clientOptions);
+    const requestClientOptions = { ...clientOptions, cache: clientOptions.cache === false ? false : undefined };
+
+    const table = new Map();
+    for (const route of routes) {
+        table.set(`${route.method} ${basePath}${route.path}`, route);
+    }
+    const paths = new Set(routes.map(route => `${basePath}${route.path}`));
+
+    const index = {
+        openapi: `${basePath}/openapi.json`,
+        routes: routes.map(route => ({ method: route.method, path: `${basePath}${route.path}`, summary: route.summary }))
+    };
+    let openapi = null;
+
+    return async function handle(req, res) {
+        const cross = corsHeaders(req, cors);
+
+        try {
+            const url = new URL(req.url, "http://localhost");
+            const pathname = url.pathname.replace(/\/+$/, "") || "/";
+
+            if (req.method === "OPTIONS") {
+                res.writeHead(204, {
+                    ...cross,
+                    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+                    "Access-Control-Allow-Headers": (cors && cors.headers) || req.headers["access-control-request-headers"] || "Content-Type",
+                    "Access-Control-Max-Age": String((cors && cors.maxAge) || 600)
+                });
+                res.end();
+                return;
+            }
+
+            if (req.method === "GET" && (pathname === (basePath || "/") || pathname === `${basePath}/health`)) {
+                _send(res, 200, pathname.endsWith("/health") ? { status: "ok" } : index, cross);
+                return;
+            }
+
+            if (metrics && req.method === "GET" && pathname === `${basePath}/metrics`) {
+                const text = Buffer.from(metrics.render());
+                _send(res, 200, text, { ...cross, "Content-Type": metrics.contentType });
+                return;
+            }
+
+            if (req.method === "GET" && pathname === `${basePath}/openapi.json`) {
+                openapi = openapi || buildOpenAPI({ routes, basePath });
+                _send(res, 200, openapi, cross);
+                return;
+            }
+
+            const route = table.get(`${req.method} ${pathname}`);
+            if (!route) {
+                if (paths.has(pathname)) {
+                    throw new HttpError(405, "METHOD_NOT_ALLOWED", `${req.method} is not allowed on ${pathname}`);
+                }
+                throw new HttpError(404, "ROUTE_NOT_FOUND", `No route for ${req.method} ${pathname}`);
+            }
+
+            const input = route.method === "GET"
+                ? validateParams(Object.fromEntries(url.searchParams), route.params, true)
+                : validateParams(await _parseBody(req, maxBodySize), route.params, false);
+
+            // Abort upstream calls when the caller goes away
+            const controller = new AbortController();
+            const onClose = () => {
+                if (!res.writableEnded) controller.abort();
+            };
+            res.on("close", onClose);
+
+            // Every upstream event of this call carries the caller's request id
+            const requestId = String(req.headers["x-request-id"] || randomUUID()).slice(0, 200);
+            cross["X-Request-Id"] = requestId;
+
+            const client = createClient({
+                ...requestClientOptions,
+                http: { ...(clientOptions.http || {}), signal: controller.signal, trace: { requestId, route: `${route.method} ${route.path}` } }
+            });
+
+            let result;
+            try {
+                result = await route.handler(client, input);
+            } finally {
+                res.removeListener("close", onClose);
+            }
+
+            if (controller.signal.aborted) return;
+
+            if (route.produces && route.produces !== "application/json") {
+                _send(res, 200, Buffer.from(result), { ...cross, "Content-Type": route.produces });
+            } else {
+                _send(res, 200, result, cross);
+            }
+        } catch (error) {
+            if (error && error.name === "AbortError") return;
+            _sendError(res, error, cross);
+        }
+    };
+}
+
+/**
+ * Creates an http.Server running the gateway
+ * @param {Object} options - See createGateway()
+ * @returns {http.Server} Server (call .listen(port))
+ */
+function createServer(options = {}) {
+    return http.createServer(createGateway(options));
+}
+
+module.exports = {
+    createGateway,
+    createServer,
+    corsHeaders,
+    buildOpenAPI,
+    ROUTES
+};
@@ -0,0 +1,466 @@
+/**
+ * Mock Upstream Server
+ * Local stand-in for the upstream services the modules call (Open-Meteo,
+ * CoinGecko, Finnhub, OMDB, NewsAPI, ExchangeRate-API, Frankfurter,
+ * LibreTranslate, MyMemory, OSRM, Google Maps, OpenRouteService, ip-api,
+ * ipwho.is, TinyURL, is.gd, goqr.me, QuickChart, chucknorris.io, JokeAPI, the
+ * Official Joke API, icanhazdadjoke, randomuser.me and dictionaryapi.dev), with
+ * generated, realistic payloads (see mockProviders.js). Each provider is served
+ * under /<provider>, so pointing a module at it is a base URL override:
+ * setConfig({ baseUrls: mock.baseUrls }) or USEFUL_APIS_<PROVIDER>_URL.
+ *
+ * Latency, error responses, connection resets and rate limiting can be injected
+ * per provider, at start-up or at runtime through setFaults() or the /__mock
+ * control API, so failure paths such as 429 storms can be tested offline.
+ *
+ * Usage:
+ *   const { startMockServer } = require("./server/mock.js");
+ *   const mock = await startMockServer({ seed: 42 });
+ *   setConfig({ baseUrls: mock.baseUrls });
+ *   mock.setFaults("coingecko", { status: 429, errorRate: 1, retryAfter: 2 });
+ *   ...
+ *   await mock.close();
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const http = require("http");
+
+const { MOCK_PROVIDERS, createRandom, requestSeed } = require("./mockProviders.js");
+const { baseUrlVariable } = require("../apis/core/config.js");
+const { logger } = require("../apis/core/logger.js");
+
+const CONTROL_PATH = "/__mock";
+const DEFAULT_SEED = 1;
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Applies to every provider without faults of its own
+const ALL_PROVIDERS = "*";
+
+const STATUS_TEXT = http.STATUS_CODES;
+
+function _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Checks and normalises a fault description
+ * @param {Object} faults - {
+ *     latency: ms or [min, max] added before answering,
+ *     errorRate: share of requests (0-1) answered with `status`,
+ *     failNext: number of upcoming requests answered with `status`,
+ *     status: HTTP status of injected errors (default 500), or 'reset' to drop the connection,
+ *     retryAfter: Retry-After seconds sent with injected 429 and 503 answers (default 1),
+ *     rateLimit: { limit, window: ms } - answer 429 once `limit` requests arrived within the window
+ * }
+ * @returns {Object} Normalised faults
+ * @throws {Error} When a value is out of range
+ */
+function normalizeFaults(faults) {
+    if (!faults || typeof faults !== "object" || Array.isArray(faults)) {
+        throw new Error("faults must be an object");
+    }
+
+    const known = ["latency", "errorRate", "failNext", "status", "retryAfter", "rateLimit"];
+    const unknown = Object.keys(faults).filter(key => !known.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown fault option(s): ${unknown.join(", ")}. Expected one of: ${known.join(", ")}`);
+    }
+
+    const result = {};
+    if (faults.latency !== undefined && faults.latency !== null) {
+        const range = Array.isArray(faults.latency) ? faults.latency : [faults.latency, faults.latency];
+        if (range.length !== 2 || range.some(value => typeof value !== "number" || !(value >= 0)) || range[0] > range[1]) {
+            throw new Error("latency must be a non-negative number of ms or a [min, max] range");
+        }
+        result.latency = range;
+    }
+    if (faults.errorRate !== undefined) {
+        if (typeof faults.errorRate !== "number" || faults.errorRate < 0 || faults.errorRate > 1) {
+            throw new Error("errorRate must be a number between 0 and 1");
+        }
+        result.errorRate = faults.errorRate;
+    }
+    if (faults.failNext !== undefined) {
+        if (!Number.isInteger(faults.failNext) || faults.failNext < 0) {
+            throw new Error("failNext must be a non-negative integer");
+        }
+        result.failNext = faults.failNext;
+    }
+    if (faults.status !== undefined) {
+        if (faults.status !== "reset" && !(Number.isInteger(faults.status) && faults.status >= 400 && faults.status <= 599)) {
+            throw new Error("status must be an HTTP error status (400-599) or 'reset'");
+        }
+        result.status = faults.status;
+    }
+    if (faults.retryAfter !== undefined) {
+        if (typeof faults.retryAfter !== "number" || faults.retryAfter < 0) {
+            throw new Error("retryAfter must be a non-negative number of seconds");
+        }
+        result.retryAfter = faults.retryAfter;
+    }
+    if (faults.rateLimit !== undefined && faults.rateLimit !== null) {
+        const { limit, window } = faults.rateLimit;
+        if (!Number.isInteger(limit) || limit < 0 || typeof window !== "number" || !(window > 0)) {
+            throw new Error("rateLimit must be { limit: non-negative integer, window: ms }");
+        }
+        result.rateLimit = { limit, window };
+    }
+    return result;
+}
+
+/**
+ * Builds the base URL overrides for a running mock server
+ * @param {string} origin - Server origin, e.g. 'http://127.0.0.1:4000'
+ * @param {Array<Object>} providers - Mock providers (default: all of them)
+ * @returns {Object} { <provider>: url } for setConfig({ baseUrls })
+ */
+function mockBaseUrls(origin, providers = MOCK_PROVIDERS) {
+    const base = origin.replace(/\/+$/, "");
+    return Object.fromEntries(providers.map(provider => [provider.name, `${base}/${provider.name}`]));
+}
+
+/**
+ * Builds the USEFUL_APIS_<PROVIDER>_URL variables for a running mock server
+ * @param {string} origin - Server origin
+ * @param {Array<Object>} providers - Mock providers (default: all of them)
+ * @returns {Object} { USEFUL_APIS_<PROVIDER>_URL: url }
+ */
+function mockEnv(origin, providers = MOCK_PROVIDERS) {
+    return Object.fromEntries(Object.entries(mockBaseUrls(origin, providers)).map(([name, url]) => [baseUrlVariable(name), url]));
+}
+
+function _readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error(`Request body exceeds ${MAX_BODY_SIZE} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        req.on("error", reject);
+    });
+}
+
+// JSON and form bodies become objects; anything else is passed on as text
+function _parseBody(raw, type) {
+    if (raw === "") return null;
+    if (/application\/json/i.test(type || "")) {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+    if (/application\/x-www-form-urlencoded/i.test(type || "")) {
+        return Object.fromEntries(new URLSearchParams(raw));
+    }
+    return raw;
+}
+
+// Strings go out as text, Buffers (images) as they are and anything else as JSON
+function _send(res, status, body, headers = {}) {
+    const isText = typeof body === "string";
+    const isBinary = Buffer.isBuffer(body);
+    const payload = isText || isBinary ? body : JSON.stringify(body);
+    res.writeHead(status, {
+        "Content-Type": isText ? "text/plain; charset=utf-8" : isBinary ? "application/octet-stream" : "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(payload),
+        ...headers
+    });
+    res.end(payload);
+}
+
+/**
+ * Creates a mock server controller
+ * @param {Object} options - {
+ *     seed: seed for the generated data (default 1),
+ *     faults: { <provider> | '*': faults } injected from the start (see normalizeFaults()),
+ *     providers: extra or replacement providers, each { name, description, handle(context) => { status, body, headers } }
+ * }
+ * @returns {Object} { handle(req, res), setFaults, clearFaults, getFaults, getStats, reset, providers }
+ */
+function createMock(options = {}) {
+    const seed = options.seed === undefined ? DEFAULT_SEED : options.seed;
+    const providers = new Map(MOCK_PROVIDERS.map(provider => [provider.name, provider]));
+    for (const provider of options.providers || []) {
+        if (!provider || !provider.name || typeof provider.handle !== "function") {
+            throw new Error("providers must be objects with a name and a handle() function");
+        }
+        providers.set(provider.name, provider);
+    }
+
+    const stream = createRandom(`${seed}|stream`);
+    const faultRandom = createRandom(`${seed}|faults`);
+    let faults = {};
+    let stats = {};
+    let windows = {};
+
+    function setFaults(provider, value) {
+        if (provider !== ALL_PROVIDERS && !providers.has(provider)) {
+            throw new Error(`Unknown mock provider: ${provider}. Expected one of: ${[...providers.keys()].join(", ")} or '*'`);
+        }
+        faults[provider] = normalizeFaults(value);
+        if (provider === ALL_PROVIDERS) windows = {};
+        else delete windows[provider];
+        return getFaults();
+    }
+
+    function clearFaults(provider) {
+        if (provider === undefined) {
+            faults = {};
+            windows = {};
+        } else {
+            delete faults[provider];
+            delete windows[provider];
+        }
+        return getFaults();
+    }
+
+    function getFaults() {
+        return JSON.parse(JSON.stringify(faults));
+    }
+
+    function getStats() {
+        return JSON.parse(JSON.stringify(stats));
+    }
+
+    function reset() {
+        clearFaults();
+        stats = {};
+    }
+
+    for (const [provider, value] of Object.entries(options.faults || {})) {
+        setFaults(provider, value);
+    }
+
+    function _count(provider, key) {
+        if (!stats[provider]) stats[provider] = { requests: 0, errors: 0, rateLimited: 0, resets: 0 };
+        stats[provider][key]++;
+    }
+
+    // Decides whether the fault settings make this request fail; returns the failure or null
+    function _injected(name) {
+        const own = faults[name];
+        const shared = faults[ALL_PROVIDERS];
+        const active = { ...(shared || {}), ...(own || {}) };
+
+        if (active.rateLimit) {
+            const now = Date.now();
+            const window = windows[name] || { start: now, count: 0 };
+            if (now - window.start >= active.rateLimit.window) {
+                window.start = now;
+                window.count = 0;
+            }
+            window.count++;
+            windows[name] = window;
+            if (window.count > active.rateLimit.limit) {
+                const retryAfter = Math.max(1, Math.ceil((window.start + active.rateLimit.window - now) / 1000));
+                return {
+                    status: 429,
+                    rateLimited: true,
+                    headers: { "Retry-After": String(retryAfter), "X-RateLimit-Limit": String(active.rateLimit.limit), "X-RateLimit-Remaining": "0" }
+                };
+            }
+        }
+
+        const owner = own && own.failNext > 0 ? own : (shared && shared.failNext > 0 ? shared : null);
+        let fail = false;
+        if (owner) {
+            owner.failNext--;
+            fail = true;
+        } else if (active.errorRate > 0) {
+            fail = faultRandom() < active.errorRate;
+        }
+        if (!fail) return null;
+
+        const status = active.status || 500;
+        const headers = {};
+        if (status === 429 || status === 503) headers["Retry-After"] = String(active.retryAfter === undefined ? 1 : active.retryAfter);
+        return { status, headers };
+    }
+
+    async function _control(req, res, pathname) {
+        const rest = pathname.slice(CONTROL_PATH.length).replace(/\/+$/, "");
+
+        if (req.method === "GET" && rest === "") {
+            _send(res, 200, {
+                providers: [...providers.values()].map(({ name, description }) => ({ name, path: `/${name}`, description: description || null })),
+                faults: getFaults(),
+                stats: getStats()
+            });
+            return;
+        }
+        if (req.method === "POST" && rest === "/reset") {
+            reset();
+            _send(res, 200, { faults: getFaults(), stats: getStats() });
+            return;
+        }
+
+        const match = rest.match(/^\/faults(?:\/([^/]+))?$/);
+        if (match && req.method === "GET") {
+            _send(res, 200, getFaults());
+            return;
+        }
+        if (match && req.method === "DELETE") {
+            _send(res, 200, clearFaults(match[1] && decodeURIComponent(match[1])));
+            return;
+        }
+        if (match && match[1] && (req.method === "PUT" || req.method === "POST")) {
+            const body = _parseBody(await _readBody(req), "application/json");
+            try {
+                _send(res, 200, setFaults(decodeURIComponent(match[1]), body));
+            } catch (error) {
+                _send(res, 400, { error: error.message });
+            }
+            return;
+        }
+
+        _send(res, 404, { error: `No mock control route for ${req.method} ${pathname}` });
+    }
+
+    async function handle(req, res) {
+        res.setHeader("Access-Control-Allow-Origin", "*");
+        res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Mock-Provider");
+
+        try {
+            const url = new URL(req.url, "http://localhost");
+
+            if (req.method === "OPTIONS") {
+                res.writeHead(204, {
+                    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+                    "Access-Control-Allow-Headers": req.headers["access-control-request-headers"] || "Content-Type",
+                    "Access-Control-Max-Age": "600"
+                });
+                res.end();
+                return;
+            }
+
+            if (url.pathname === CONTROL_PATH || url.pathname.startsWith(`${CONTROL_PATH}/`)) {
+                await _control(req, res, url.pathname);
+                return;
+            }
+
+            const [, name = "", ...segments] = url.pathname.split("/");
+            const provider = providers.get(name);
+            if (!provider) {
+                _send(res, 404, { error: `No mock provider at /${name}. Expected one of: ${[...providers.keys()].join(", ")}` });
+                return;
+            }
+
+            const path = segments.length > 0 ? `/${segments.join("/")}` : "";
+            _count(name, "requests");
+
+            const active = { ...(faults[ALL_PROVIDERS] || {}), ...(faults[name] || {}) };
+            if (active.latency) {
+                const [min, max] = active.latency;
+                await _sleep(min + Math.round(faultRandom() * (max - min)));
+                if (res.destroyed) return;
+            }
+
+            const failure = _injected(name);
+            if (failure && failure.status === "reset") {
+                _count(name, "resets");
+                req.socket.destroy();
+                return;
+            }
+            if (failure) {
+                _count(name, failure.rateLimited ? "rateLimited" : "errors");
+                const status = failure.status;
+                _send(res, status, { error: STATUS_TEXT[status] || "Error", status, message: `Mock ${status} from ${name}` }, { ...failure.headers, "X-Mock-Provider": name });
+                return;
+            }
+
+            const body = req.method === "GET" || req.method === "HEAD"
+                ? null
+                : _parseBody(await _readBody(req), req.headers["content-type"]);
+
+            const answer = await provider.handle({
+                method: req.method,
+                path,
+                query: url.searchParams,
+                headers: req.headers,
+                body,
+                random: createRandom(requestSeed(seed, `/${name}${path}`, url.searchParams)),
+                stream,
+                seed,
+                remoteAddress: req.socket.remoteAddress
+            });
+            _send(res, answer.status || 200, answer.body, { ...(answer.headers || {}), "X-Mock-Provider": name });
+        } catch (error) {
+            logger.error("Mock server error:", error);
+            if (!res.headersSent) _send(res, 500, { error: "Internal Server Error", message: error.message });
+            else res.end();
+        }
+    }
+
+    return {
+        handle,
+        setFaults,
+        clearFaults,
+        getFaults,
+        getStats,
+        reset,
+        providers: [...providers.keys()]
+    };
+}
+
+/**
+ * Creates an http.Server running the mock providers
+ * @param {Object} options - See createMock()
+ * @returns {http.Server} Server (call .listen(port)); server.mock is the controller
+ */
+function createMockServer(options = {}) {
+    const mock = createMock(options);
+    const server = http.createServer(mock.handle);
+    server.mock = mock;
+    return server;
+}
+
+/**
+ * Starts a mock server and resolves once it is listening
+ * @param {Object} options - createMock() options plus { port (default: any free port), host (default '127.0.0.1') }
+ * @returns {Promise<Object>} { url, baseUrls, env, server, close(), setFaults, clearFaults, getFaults, getStats, reset }
+ */
+function startMockServer(options = {}) {
+    const server = createMockServer(options);
+    const host = options.host || "127.0.0.1";
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port || 0, host, () => {
+            server.removeListener("error", reject);
+            const { port } = server.address();
+            const url = `http://${host.includes(":") ? `[${host}]` : host}:${port}`;
+            const mounted = server.mock.providers.map(name => ({ name }));
+            resolve({
+                ...server.mock,
+                url,
+                baseUrls: mockBaseUrls(url, mounted),
+                env: mockEnv(url, mounted),
+                server,
+                close: () => new Promise(done => {
+                    if (typeof server.closeAllConnections === "function") server.closeAllConnections();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    createMock,
+    createMockServer,
+    startMockServer,
+    mockBaseUrls,
+    mockEnv,
+    normalizeFaults,
+    MOCK_PROVIDERS
+};
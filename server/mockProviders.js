@@ -0,0 +1,1552 @@
+/**
+ * Mock upstream providers
+ * Response generators for every upstream service the modules call, used by
+ * server/mock.js. Each provider is mounted under its name (the same name used
+ * for base URL overrides and on errors) and answers the paths the modules
+ * request with payloads shaped like the real service's, including its
+ * "not found", "bad key" and "bad input" answers.
+ *
+ * Answers are deterministic: each request gets a random generator seeded from
+ * the server seed and the request path and query (credentials excluded), so
+ * the same call returns the same data. Endpoints that are random upstream
+ * (random jokes, random users without a seed) draw from the server's stream.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+// Query parameters left out of the per-request seed
+const CREDENTIAL_PARAMS = ["apikey", "apiKey", "token", "key"];
+
+// FNV-1a: a small, stable string hash
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded random generator (mulberry32)
+ * @param {number|string} seed - Seed; strings are hashed
+ * @returns {Function} () => number in [0, 1), with int(min, max), float(min, max, digits), pick(list) and hex(length) helpers
+ */
+function createRandom(seed) {
+    let state = typeof seed === "number" ? seed >>> 0 : hashString(String(seed));
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    next.float = (min, max, digits = 2) => Number((min + next() * (max - min)).toFixed(digits));
+    next.pick = list => list[Math.floor(next() * list.length)];
+    next.hex = length => Array.from({ length }, () => Math.floor(next() * 16).toString(16)).join("");
+    return next;
+}
+
+/**
+ * Derives the seed of a request from the server seed, path and query
+ * @param {number|string} seed - Server seed
+ * @param {string} path - Request path
+ * @param {URLSearchParams} query - Query string
+ * @returns {number} Seed
+ */
+function requestSeed(seed, path, query) {
+    const params = [...query].filter(([name]) => !CREDENTIAL_PARAMS.includes(name)).sort(([a], [b]) => a.localeCompare(b));
+    return hashString(`${seed}|${path}|${JSON.stringify(params)}`);
+}
+
+const json = (body, status = 200, headers = {}) => ({ status, body, headers });
+const text = (body, status = 200) => ({ status, body: String(body), headers: { "Content-Type": "text/plain; charset=utf-8" } });
+
+function _titleCase(value) {
+    return value.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function _haversine(a, b) {
+    const rad = value => value * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function _isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// ---------------------------------------------------------------- Open-Meteo
+
+const CITIES = [
+    { name: "London", country: "United Kingdom", country_code: "GB", admin1: "England", latitude: 51.50853, longitude: -0.12574, timezone: "Europe/London" },
+    { name: "Paris", country: "France", country_code: "FR", admin1: "Île-de-France", latitude: 48.85341, longitude: 2.3488, timezone: "Europe/Paris" },
+    { name: "Berlin", country: "Germany", country_code: "DE", admin1: "Land Berlin", latitude: 52.52437, longitude: 13.41053, timezone: "Europe/Berlin" },
+    { name: "Madrid", country: "Spain", country_code: "ES", admin1: "Madrid", latitude: 40.4165, longitude: -3.70256, timezone: "Europe/Madrid" },
+    { name: "New York", country: "United States", country_code: "US", admin1: "New York", latitude: 40.71427, longitude: -74.00597, timezone: "America/New_York" },
+    { name: "San Francisco", country: "United States", country_code: "US", admin1: "California", latitude: 37.77493, longitude: -122.41942, timezone: "America/Los_Angeles" },
+    { name: "Toronto", country: "Canada", country_code: "CA", admin1: "Ontario", latitude: 43.70011, longitude: -79.4163, timezone: "America/Toronto" },
+    { name: "São Paulo", country: "Brazil", country_code: "BR", admin1: "São Paulo", latitude: -23.5475, longitude: -46.63611, timezone: "America/Sao_Paulo" },
+    { name: "Tokyo", country: "Japan", country_code: "JP", admin1: "Tokyo", latitude: 35.6895, longitude: 139.69171, timezone: "Asia/Tokyo" },
+    { name: "Chennai", country: "India", country_code: "IN", admin1: "Tamil Nadu", latitude: 13.08784, longitude: 80.27847, timezone: "Asia/Kolkata" },
+    { name: "Mumbai", country: "India", country_code: "IN", admin1: "Maharashtra", latitude: 19.07283, longitude: 72.88261, timezone: "Asia/Kolkata" },
+    { name: "Sydney", country: "Australia", country_code: "AU", admin1: "New South Wales", latitude: -33.86785, longitude: 151.20732, timezone: "Australia/Sydney" },
+    { name: "Cairo", country: "Egypt", country_code: "EG", admin1: "Cairo", latitude: 30.06263, longitude: 31.24967, timezone: "Africa/Cairo" },
+    { name: "Mexico City", country: "Mexico", country_code: "MX", admin1: "Mexico City", latitude: 19.42847, longitude: -99.12766, timezone: "America/Mexico_City" }
+];
+
+const WEATHER_CODES = [0, 0, 1, 1, 2, 3, 3, 45, 51, 53, 61, 63, 80, 95];
+
+const WEATHER_UNITS = {
+    temperature_2m: "°C", apparent_temperature: "°C", temperature_2m_max: "°C", temperature_2m_min: "°C",
+    relative_humidity_2m: "%", weather_code: "wmo code", wind_speed_10m: "km/h", wind_speed_10m_max: "km/h",
+    precipitation_sum: "mm", is_day: ""
+};
+
+function _weatherValue(variable, random, baseTemperature, hour, fahrenheit) {
+    const toUnit = celsius => Number((fahrenheit ? celsius * 9 / 5 + 32 : celsius).toFixed(1));
+    const daily = Math.sin(((hour === undefined ? 14 : hour) - 8) / 24 * 2 * Math.PI) * 5;
+    switch (variable) {
+        case "temperature_2m": return toUnit(baseTemperature + daily + random.float(-1.5, 1.5, 1));
+        case "apparent_temperature": return toUnit(baseTemperature + daily + random.float(-3.5, 0.5, 1));
+        case "temperature_2m_max": return toUnit(baseTemperature + 5 + random.float(0, 3, 1));
+        case "temperature_2m_min": return toUnit(baseTemperature - 5 - random.float(0, 3, 1));
+        case "relative_humidity_2m": return random.int(35, 95);
+        case "weather_code": return random.pick(WEATHER_CODES);
+        case "wind_speed_10m": return random.float(0, 28, 1);
+        case "wind_speed_10m_max": return random.float(8, 45, 1);
+        case "precipitation_sum": return random() < 0.6 ? 0 : random.float(0.1, 14, 1);
+        case "is_day": return hour >= 6 && hour < 20 ? 1 : 0;
+        default: return random.float(0, 100, 1);
+    }
+}
+
+const openMeteo = {
+    name: "open-meteo",
+    description: "Open-Meteo forecast (/forecast)",
+    handle({ path, query, random }) {
+        if (path !== "/forecast") return json({ error: true, reason: "Not Found" }, 404);
+        if (query.get("latitude") === null || query.get("longitude") === null) {
+            return json({ error: true, reason: "Parameter 'latitude' and 'longitude' must have the same number of elements" }, 400);
+        }
+
+        const latitude = Number(query.get("latitude"));
+        const longitude = Number(query.get("longitude"));
+        if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+            return json({ error: true, reason: "Latitude must be in range of -90 to 90°. Longitude must be in range of -180 to 180°." }, 400);
+        }
+
+        const fahrenheit = query.get("temperature_unit") === "fahrenheit";
+        const baseTemperature = 27 - Math.abs(latitude) * 0.4;
+        const now = new Date();
+        now.setUTCMinutes(0, 0, 0);
+        const list = name => (query.get(name) || "").split(",").map(variable => variable.trim()).filter(Boolean);
+        const units = variables => Object.fromEntries([["time", "iso8601"], ...[...new Set(variables)].map(variable => [variable, WEATHER_UNITS[variable] || ""])]);
+
+        const body = {
+            latitude: Number(latitude.toFixed(4)),
+            longitude: Number(longitude.toFixed(4)),
+            generationtime_ms: random.float(0.02, 0.4, 3),
+            utc_offset_seconds: 0,
+            timezone: query.get("timezone") === "auto" ? "GMT" : (query.get("timezone") || "GMT"),
+            timezone_abbreviation: "GMT",
+            elevation: random.int(0, 400)
+        };
+
+        if (list("current").length > 0) {
+            body.current_units = { ...units(list("current")), interval: "seconds" };
+            body.current = { time: now.toISOString().slice(0, 16), interval: 900 };
+            for (const variable of list("current")) body.current[variable] = _weatherValue(variable, random, baseTemperature, now.getUTCHours(), fahrenheit);
+        }
+
+        if (list("hourly").length > 0) {
+            const start = new Date(now);
+            start.setUTCHours(0);
+            const times = Array.from({ length: 7 * 24 }, (_, i) => new Date(start.getTime() + i * 3600 * 1000));
+            body.hourly_units = units(list("hourly"));
+            body.hourly = { time: times.map(time => time.toISOString().slice(0, 16)) };
+            for (const variable of list("hourly")) body.hourly[variable] = times.map(time => _weatherValue(variable, random, baseTemperature, time.getUTCHours(), fahrenheit));
+        }
+
+        if (list("daily").length > 0) {
+            const days = Array.from({ length: 7 }, (_, i) => new Date(now.getTime() + i * 24 * 3600 * 1000));
+            body.daily_units = units(list("daily"));
+            body.daily = { time: days.map(_isoDate) };
+            for (const variable of list("daily")) body.daily[variable] = days.map(() => _weatherValue(variable, random, baseTemperature, undefined, fahrenheit));
+        }
+
+        return json(body);
+    }
+};
+
+const openMeteoGeocoding = {
+    name: "open-meteo-geocoding",
+    description: "Open-Meteo geocoding (/search)",
+    handle({ path, query, random }) {
+        if (path !== "/search") return json({ error: true, reason: "Not Found" }, 404);
+
+        const name = (query.get("name") || "").trim().toLowerCase();
+        const country = (query.get("country") || "").trim().toLowerCase();
+        const count = Math.max(1, Math.min(100, Number(query.get("count")) || 10));
+        const matches = CITIES
+            .filter(city => name.length >= 2 && city.name.toLowerCase().startsWith(name))
+            .filter(city => !country || city.country_code.toLowerCase() === country || city.country.toLowerCase() === country)
+            .slice(0, count);
+
+        const body = { generationtime_ms: random.float(0.1, 1.5, 3) };
+        if (matches.length > 0) {
+            body.results = matches.map(city => ({
+                id: hashString(city.name) % 10000000,
+                name: city.name,
+                latitude: city.latitude,
+                longitude: city.longitude,
+                elevation: random.int(0, 300),
+                feature_code: "PPLC",
+                country_code: city.country_code,
+                timezone: city.timezone,
+                population: random.int(500000, 14000000),
+                country: city.country,
+                admin1: city.admin1
+            }));
+        }
+        return json(body);
+    }
+};
+
+// ----------------------------------------------------------------- CoinGecko
+
+const COINS = [
+    { id: "bitcoin", symbol: "btc", name: "Bitcoin", price: 64250, supply: 19700000 },
+    { id: "ethereum", symbol: "eth", name: "Ethereum", price: 3120, supply: 120100000 },
+    { id: "binancecoin", symbol: "bnb", name: "BNB", price: 575, supply: 147600000 },
+    { id: "solana", symbol: "sol", name: "Solana", price: 148, supply: 462000000 },
+    { id: "ripple", symbol: "xrp", name: "XRP", price: 0.52, supply: 55600000000 },
+    { id: "cardano", symbol: "ada", name: "Cardano", price: 0.45, supply: 35700000000 },
+    { id: "dogecoin", symbol: "doge", name: "Dogecoin", price: 0.14, supply: 144900000000 },
+    { id: "polkadot", symbol: "dot", name: "Polkadot", price: 6.8, supply: 1440000000 },
+    { id: "chainlink", symbol: "link", name: "Chainlink", price: 14.2, supply: 587000000 },
+    { id: "litecoin", symbol: "ltc", name: "Litecoin", price: 82, supply: 74800000 }
+];
+
+// Units of each currency per US dollar
+const USD_RATES = {
+    USD: 1, EUR: 0.92, GBP: 0.79, JPY: 151.4, INR: 83.3, CNY: 7.24, AUD: 1.52, CAD: 1.36, CHF: 0.9, SEK: 10.6,
+    NZD: 1.66, MXN: 17.1, SGD: 1.35, HKD: 7.82, NOK: 10.8, KRW: 1350, TRY: 32.2, RUB: 92.5, BRL: 5.05, ZAR: 18.7,
+    DKK: 6.87, PLN: 3.98, THB: 36.4, IDR: 15800, HUF: 362, CZK: 23.3, ILS: 3.7, AED: 3.6725, SAR: 3.75, EGP: 47.6
+};
+
+function _coinPrice(coin, vs, random) {
+    const rate = USD_RATES[vs.toUpperCase()];
+    if (rate === undefined) return undefined;
+    const price = coin.price * rate * (1 + random.float(-0.02, 0.02, 4));
+    return Number(price.toPrecision(price < 1 ? 4 : 8));
+}
+
+function _priceSeries(coin, vs, days, random) {
+    const now = Date.now();
+    const span = days === "max" ? 3650 : Math.max(1, Number(days) || 1);
+    const step = span <= 1 ? 5 * 60 * 1000 : span <= 90 ? 3600 * 1000 : 24 * 3600 * 1000;
+    const count = Math.min(2000, Math.round(span * 24 * 3600 * 1000 / step));
+    let price = _coinPrice(coin, vs, random) || coin.price;
+    const points = [];
+    for (let i = count; i >= 0; i--) {
+        price = Math.max(price * (1 + random.float(-0.01, 0.01, 5)), 0.0001);
+        points.push([now - i * step, Number(price.toPrecision(8))]);
+    }
+    return points;
+}
+
+const coingecko = {
+    name: "coingecko",
+    description: "CoinGecko (/simple/price, /coins/markets, /coins/:id/history, /coins/:id/market_chart, /coins/:id/ohlc)",
+    handle({ path, query, random }) {
+        const ids = (query.get("ids") || "").split(",").map(id => id.trim().toLowerCase()).filter(Boolean);
+
+        if (path === "/simple/price") {
+            const currencies = (query.get("vs_currencies") || "").split(",").map(vs => vs.trim().toLowerCase()).filter(Boolean);
+            if (ids.length === 0 || currencies.length === 0) {
+                return json({ error: "Missing parameter ids or vs_currencies" }, 400);
+            }
+            const body = {};
+            for (const coin of COINS.filter(entry => ids.includes(entry.id))) {
+                const prices = {};
+                for (const vs of currencies) {
+                    const price = _coinPrice(coin, vs, random);
+                    if (price === undefined) continue;
+                    prices[vs] = price;
+                    if (query.get("include_24hr_change") === "true") prices[`${vs}_24h_change`] = random.float(-8, 8, 6);
+                }
+                if (query.get("include_last_updated_at") === "true") prices.last_updated_at = Math.floor(Date.now() / 1000) - random.int(5, 60);
+                body[coin.id] = prices;
+            }
+            return json(body);
+        }
+
+        if (path === "/coins/markets") {
+            const vs = (query.get("vs_currency") || "").toLowerCase();
+            if (USD_RATES[vs.toUpperCase()] === undefined) return json({ error: "invalid vs_currency" }, 400);
+            const coins = ids.length > 0 ? COINS.filter(coin => ids.includes(coin.id)) : COINS;
+            return json(coins.map((coin, index) => {
+                const price = _coinPrice(coin, vs, random);
+                return {
+                    id: coin.id,
+                    symbol: coin.symbol,
+                    name: coin.name,
+                    image: `https://assets.coingecko.com/coins/images/${index + 1}/large/${coin.id}.png`,
+                    current_price: price,
+                    market_cap: Math.round(price * coin.supply),
+                    market_cap_rank: COINS.indexOf(coin) + 1,
+                    total_volume: Math.round(price * coin.supply * random.float(0.01, 0.08, 4)),
+                    high_24h: Number((price * 1.03).toPrecision(8)),
+                    low_24h: Number((price * 0.97).toPrecision(8)),
+                    price_change_percentage_24h: random.float(-8, 8, 5),
+                    circulating_supply: coin.supply,
+                    last_updated: new Date().toISOString(),
+                    price_change_percentage_1h_in_currency: random.float(-1.5, 1.5, 5),
+                    price_change_percentage_24h_in_currency: random.float(-8, 8, 5),
+                    price_change_percentage_7d_in_currency: random.float(-20, 20, 5)
+                };
+            }));
+        }
+
+        const match = path.match(/^\/coins\/([^/]+)\/(history|market_chart|ohlc)$/);
+        if (!match) return json({ error: "Incorrect path. Please check https://www.coingecko.com/api/" }, 404);
+
+        const coin = COINS.find(entry => entry.id === decodeURIComponent(match[1]).toLowerCase());
+        if (!coin) return json({ error: "coin not found" }, 404);
+
+        if (match[2] === "history") {
+            if (!/^\d{2}-\d{2}-\d{4}$/.test(query.get("date") || "")) return json({ error: "invalid date" }, 400);
+            const byCurrency = convert => Object.fromEntries(Object.keys(USD_RATES).map(code => [code.toLowerCase(), convert(code.toLowerCase())]));
+            return json({
+                id: coin.id,
+                symbol: coin.symbol,
+                name: coin.name,
+                market_data: {
+                    current_price: byCurrency(vs => _coinPrice(coin, vs, random)),
+                    market_cap: byCurrency(vs => Math.round(_coinPrice(coin, vs, random) * coin.supply)),
+                    total_volume: byCurrency(vs => Math.round(_coinPrice(coin, vs, random) * coin.supply * 0.04))
+                }
+            });
+        }
+
+        const vs = (query.get("vs_currency") || "").toLowerCase();
+        if (USD_RATES[vs.toUpperCase()] === undefined) return json({ error: "invalid vs_currency" }, 400);
+        const series = _priceSeries(coin, vs, query.get("days"), random);
+
+        if (match[2] === "market_chart") {
+            return json({
+                prices: series,
+                market_caps: series.map(([time, price]) => [time, Math.round(price * coin.supply)]),
+                total_volumes: series.map(([time, price]) => [time, Math.round(price * coin.supply * random.float(0.02, 0.06, 4))])
+            });
+        }
+
+        const candles = [];
+        for (let i = 0; i + 3 < series.length; i += 4) {
+            const window = series.slice(i, i + 4).map(([, price]) => price);
+            candles.push([series[i + 3][0], window[0], Math.max(...window), Math.min(...window), window[3]]);
+        }
+        return json(candles);
+    }
+};
+
+// ------------------------------------------------------------------- Finnhub
+
+const STOCKS = [
+    { ticker: "AAPL", name: "Apple Inc", price: 189.5, industry: "Technology", weburl: "https://www.apple.com/", ipo: "1980-12-12", cap: 2930000, employees: 161000 },
+    { ticker: "MSFT", name: "Microsoft Corp", price: 415.2, industry: "Technology", weburl: "https://www.microsoft.com/", ipo: "1986-03-13", cap: 3090000, employees: 221000 },
+    { ticker: "GOOGL", name: "Alphabet Inc", price: 171.3, industry: "Media", weburl: "https://abc.xyz/", ipo: "2004-08-19", cap: 2120000, employees: 182502 },
+    { ticker: "AMZN", name: "Amazon.com Inc", price: 183.1, industry: "Retail", weburl: "https://www.amazon.com/", ipo: "1997-05-15", cap: 1910000, employees: 1525000 },
+    { ticker: "TSLA", name: "Tesla Inc", price: 177.9, industry: "Automobiles", weburl: "https://www.tesla.com/", ipo: "2010-06-29", cap: 567000, employees: 140473 },
+    { ticker: "NVDA", name: "NVIDIA Corp", price: 903.6, industry: "Semiconductors", weburl: "https://www.nvidia.com/", ipo: "1999-01-22", cap: 2260000, employees: 29600 },
+    { ticker: "META", name: "Meta Platforms Inc", price: 476.2, industry: "Media", weburl: "https://www.meta.com/", ipo: "2012-05-18", cap: 1210000, employees: 67317 },
+    { ticker: "JPM", name: "JPMorgan Chase & Co", price: 198.4, industry: "Banking", weburl: "https://www.jpmorganchase.com/", ipo: "1969-03-05", cap: 570000, employees: 309926 }
+];
+
+const finnhub = {
+    name: "finnhub",
+    description: "Finnhub (/quote, /stock/profile2)",
+    handle({ path, query, headers, random }) {
+        if (!headers["x-finnhub-token"] && !query.get("token")) {
+            return json({ error: "Please use an API key." }, 401);
+        }
+
+        const stock = STOCKS.find(entry => entry.ticker === (query.get("symbol") || "").toUpperCase());
+
+        if (path === "/quote") {
+            if (!stock) return json({ c: 0, d: null, dp: null, h: 0, l: 0, o: 0, pc: 0, t: 0 });
+            const previous = Number((stock.price * (1 + random.float(-0.02, 0.02, 4))).toFixed(2));
+            const current = Number((previous * (1 + random.float(-0.03, 0.03, 4))).toFixed(2));
+            const open = Number((previous * (1 + random.float(-0.01, 0.01, 4))).toFixed(2));
+            return json({
+                c: current,
+                d: Number((current - previous).toFixed(2)),
+                dp: Number(((current - previous) / previous * 100).toFixed(4)),
+                h: Number((Math.max(current, open) * 1.01).toFixed(2)),
+                l: Number((Math.min(current, open) * 0.99).toFixed(2)),
+                o: open,
+                pc: previous,
+                t: Math.floor(Date.now() / 1000)
+            });
+        }
+
+        if (path === "/stock/profile2") {
+            if (!stock) return json({});
+            return json({
+                country: "US",
+                currency: "USD",
+                exchange: "NASDAQ NMS - GLOBAL MARKET",
+                finnhubIndustry: stock.industry,
+                ipo: stock.ipo,
+                logo: `https://static2.finnhub.io/file/publicdatany/finnhubimage/stock_logo/${stock.ticker}.png`,
+                marketCapitalization: stock.cap,
+                name: stock.name,
+                phone: "14089961010",
+                shareOutstanding: Number((stock.cap / stock.price).toFixed(2)),
+                ticker: stock.ticker,
+                weburl: stock.weburl,
+                employees: stock.employees,
+                description: `${stock.name} is a mock company profile served by the Useful-APIs mock server.`
+            });
+        }
+
+        return json({ error: "Not found" }, 404);
+    }
+};
+
+// ---------------------------------------------------------------------- OMDB
+
+const MOVIES = [
+    { imdbID: "tt0111161", Title: "The Shawshank Redemption", Year: "1994", Genre: "Drama", Director: "Frank Darabont", Runtime: "142 min", imdbRating: "9.3" },
+    { imdbID: "tt0468569", Title: "The Dark Knight", Year: "2008", Genre: "Action, Crime, Drama", Director: "Christopher Nolan", Runtime: "152 min", imdbRating: "9.0" },
+    { imdbID: "tt1375666", Title: "Inception", Year: "2010", Genre: "Action, Adventure, Sci-Fi", Director: "Christopher Nolan", Runtime: "148 min", imdbRating: "8.8" },
+    { imdbID: "tt0133093", Title: "The Matrix", Year: "1999", Genre: "Action, Sci-Fi", Director: "Lana Wachowski, Lilly Wachowski", Runtime: "136 min", imdbRating: "8.7" },
+    { imdbID: "tt0816692", Title: "Interstellar", Year: "2014", Genre: "Adventure, Drama, Sci-Fi", Director: "Christopher Nolan", Runtime: "169 min", imdbRating: "8.7" },
+    { imdbID: "tt0109830", Title: "Forrest Gump", Year: "1994", Genre: "Drama, Romance", Director: "Robert Zemeckis", Runtime: "142 min", imdbRating: "8.8" },
+    { imdbID: "tt0120737", Title: "The Lord of the Rings: The Fellowship of the Ring", Year: "2001", Genre: "Action, Adventure, Drama", Director: "Peter Jackson", Runtime: "178 min", imdbRating: "8.9" },
+    { imdbID: "tt0903747", Title: "Breaking Bad", Year: "2008–2013", Type: "series", Genre: "Crime, Drama, Thriller", Director: "N/A", Runtime: "49 min", imdbRating: "9.5", totalSeasons: "5" }
+];
+
+// Titles made up for searches, remembered so their details match
+const madeUpMovies = new Map();
+const MAX_MADE_UP_MOVIES = 1000;
+
+// Extra titles made up for queries the catalog does not cover
+const TITLE_PATTERNS = ["{q}", "The {q}", "{q} Returns", "{q}: The Beginning", "Return of the {q}", "{q} II", "The Last {q}", "{q} Rising", "Beyond the {q}", "{q} Forever", "Night of the {q}", "{q} Chronicles"];
+
+function _omdbDetails(movie, random) {
+    const rating = movie.imdbRating || String(random.float(5, 8.5, 1));
+    return {
+        Title: movie.Title,
+        Year: movie.Year,
+        Rated: "PG-13",
+        Released: `${random.int(10, 28)} ${random.pick(["Jan", "Mar", "May", "Jul", "Sep", "Nov"])} ${String(movie.Year).slice(0, 4)}`,
+        Runtime: movie.Runtime || `${random.int(85, 160)} min`,
+        Genre: movie.Genre || random.pick(["Drama", "Comedy", "Action, Thriller", "Sci-Fi", "Horror"]),
+        Director: movie.Director || random.pick(["Alex Morgan", "Sam Rivera", "Jordan Lee"]),
+        Writer: "N/A",
+        Actors: "Taylor Reed, Casey Kim, Morgan Blake",
+        Plot: `${movie.Title} is a mock listing served by the Useful-APIs mock server.`,
+        Language: "English",
+        Country: "United States",
+        Awards: "N/A",
+        Poster: `https://m.media-amazon.com/images/M/${movie.imdbID}.jpg`,
+        Ratings: [
+            { Source: "Internet Movie Database", Value: `${rating}/10` },
+            { Source: "Rotten Tomatoes", Value: `${random.int(40, 99)}%` }
+        ],
+        Metascore: String(random.int(40, 95)),
+        imdbRating: rating,
+        imdbVotes: random.int(1000, 2900000).toLocaleString("en-US"),
+        imdbID: movie.imdbID,
+        Type: movie.Type || "movie",
+        totalSeasons: movie.totalSeasons,
+        Response: "True"
+    };
+}
+
+const omdb = {
+    name: "omdb",
+    description: "OMDb (/?s= search, /?i= details)",
+    handle({ path, query, random }) {
+        if (path !== "/" && path !== "") return json({ Response: "False", Error: "Not found" }, 404);
+        if (!query.get("apikey")) return json({ Response: "False", Error: "No API key provided." }, 401);
+
+        const id = query.get("i");
+        if (id) {
+            if (!/^tt\d{7,8}$/.test(id)) return json({ Response: "False", Error: "Incorrect IMDb ID." });
+            const movie = MOVIES.find(entry => entry.imdbID === id)
+                || madeUpMovies.get(id)
+                || { imdbID: id, Title: _titleCase(`${random.pick(["silent", "golden", "broken", "hidden"])} ${random.pick(["river", "city", "signal", "harbor"])}`), Year: String(random.int(1970, 2024)) };
+            return json(_omdbDetails(movie, random));
+        }
+
+        const search = (query.get("s") || "").trim();
+        if (!search) return json({ Response: "False", Error: "Incorrect IMDb ID." });
+        if (search.length < 2) return json({ Response: "False", Error: "Too many results." });
+
+        const type = query.get("type");
+        const year = query.get("y");
+        const subject = _titleCase(search.toLowerCase());
+        const made = TITLE_PATTERNS.map((pattern, index) => ({
+            imdbID: `tt${String(hashString(`${search}|${index}`) % 10000000).padStart(7, "0")}`,
+            Title: pattern.replace("{q}", subject),
+            Year: String(1975 + hashString(`${search}|year|${index}`) % 50),
+            Type: index % 5 === 4 ? "series" : "movie"
+        }));
+        for (const movie of made) {
+            if (madeUpMovies.size >= MAX_MADE_UP_MOVIES) madeUpMovies.delete(madeUpMovies.keys().next().value);
+            madeUpMovies.set(movie.imdbID, movie);
+        }
+        const found = [...MOVIES.filter(movie => movie.Title.toLowerCase().includes(search.toLowerCase())), ...made]
+            .map(movie => ({ ...movie, Type: movie.Type || "movie" }))
+            .filter(movie => !type || movie.Type === type)
+            .filter(movie => !year || movie.Year.startsWith(year));
+
+        const page = Math.max(1, Number(query.get("page")) || 1);
+        const results = found.slice((page - 1) * 10, page * 10);
+        if (results.length === 0) return json({ Response: "False", Error: "Movie not found!" });
+
+        return json({
+            Search: results.map(movie => ({
+                Title: movie.Title,
+                Year: movie.Year,
+                imdbID: movie.imdbID,
+                Type: movie.Type,
+                Poster: `https://m.media-amazon.com/images/M/${movie.imdbID}.jpg`
+            })),
+            totalResults: String(found.length),
+            Response: "True"
+        });
+    }
+};
+
+// ------------------------------------------------------------------- NewsAPI
+
+const NEWS_SOURCES = [
+    { id: "reuters", name: "Reuters" },
+    { id: "associated-press", name: "Associated Press" },
+    { id: "bbc-news", name: "BBC News" },
+    { id: "the-verge", name: "The Verge" },
+    { id: null, name: "Example Daily" },
+    { id: "techcrunch", name: "TechCrunch" }
+];
+
+const HEADLINE_PATTERNS = [
+    "{topic} stocks rally as investors weigh new data",
+    "What the latest {topic} report means for consumers",
+    "Experts debate the future of {topic}",
+    "{topic}: five things to know this week",
+    "New study sheds light on {topic}",
+    "Inside the race to reshape {topic}",
+    "Why {topic} is back in the spotlight",
+    "{topic} leaders meet amid growing uncertainty"
+];
+
+function _articles(topic, total, page, pageSize, random) {
+    const count = Math.max(0, Math.min(pageSize, total - (page - 1) * pageSize));
+    const now = Date.now();
+    return Array.from({ length: count }, (_, i) => {
+        const source = random.pick(NEWS_SOURCES);
+        const title = random.pick(HEADLINE_PATTERNS).replace("{topic}", topic);
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+        return {
+            source,
+            author: random() < 0.2 ? null : random.pick(["Alex Morgan", "Priya Raman", "Chen Wei", "Maria Lopez", "Sam Okafor"]),
+            title: `${title[0].toUpperCase()}${title.slice(1)} - ${source.name}`,
+            description: `Mock coverage of ${topic} from ${source.name}.`,
+            url: `https://news.example.com/${slug}-${(page - 1) * pageSize + i + 1}`,
+            urlToImage: `https://news.example.com/images/${slug}.jpg`,
+            publishedAt: new Date(now - random.int(5, 72 * 60) * 60 * 1000).toISOString().replace(/\.\d{3}Z$/, "Z"),
+            content: `Mock article about ${topic}. This text was generated by the Useful-APIs mock server… [+${random.int(800, 4000)} chars]`
+        };
+    });
+}
+
+const newsapi = {
+    name: "newsapi",
+    description: "NewsAPI (/top-headlines, /everything)",
+    handle({ path, query, headers, random }) {
+        if (!headers["x-api-key"] && !query.get("apiKey") && !headers.authorization) {
+            return json({ status: "error", code: "apiKeyMissing", message: "Your API key is missing. Append this to the URL with the apiKey param, or use the x-api-key HTTP header." }, 401);
+        }
+
+        const page = Math.max(1, Number(query.get("page")) || 1);
+        const pageSize = Math.max(1, Math.min(100, Number(query.get("pageSize")) || 20));
+
+        if (path === "/top-headlines") {
+            const topic = query.get("category") || query.get("q") || "world";
+            const total = 20 + hashString(`${query.get("country")}|${topic}`) % 50;
+            return json({ status: "ok", totalResults: total, articles: _articles(topic, total, page, pageSize, random) });
+        }
+
+        if (path === "/everything") {
+            const topic = query.get("q");
+            if (!topic) {
+                return json({ status: "error", code: "parametersMissing", message: "Required parameters are missing. Please set any of the following parameters and try again: q, qInTitle, sources, domains." }, 400);
+            }
+            const total = 40 + hashString(topic) % 400;
+            if (page * pageSize > 100 && (page - 1) * pageSize >= 100) {
+                return json({ status: "error", code: "maximumResultsReached", message: "You have requested too many results. Developer accounts are limited to a max of 100 results." }, 426);
+            }
+            return json({ status: "ok", totalResults: total, articles: _articles(topic, total, page, pageSize, random) });
+        }
+
+        return json({ status: "error", code: "routeNotFound", message: "Route not found." }, 404);
+    }
+};
+
+// ---------------------------------------------------------- ExchangeRate-API
+
+const exchangerateApi = {
+    name: "exchangerate-api",
+    description: "ExchangeRate-API v4 (/:base)",
+    handle({ path, random }) {
+        const base = path.replace(/^\//, "").toUpperCase();
+        if (!USD_RATES[base]) return json({ result: "error", "error-type": "unsupported-code" }, 404);
+
+        const rates = {};
+        for (const [code, perUsd] of Object.entries(USD_RATES)) {
+            const rate = code === base ? 1 : perUsd / USD_RATES[base] * (1 + random.float(-0.002, 0.002, 5));
+            rates[code] = Number(rate.toPrecision(6));
+        }
+        const now = new Date();
+        return json({
+            provider: "https://www.exchangerate-api.com",
+            WARNING_UPGRADE_TO_V6: "https://www.exchangerate-api.com/docs/free",
+            terms: "https://www.exchangerate-api.com/terms",
+            base,
+            date: _isoDate(now),
+            time_last_updated: Math.floor(new Date(_isoDate(now)).getTime() / 1000),
+            rates
+        });
+    }
+};
+
+// --------------------------------------------------------------- Frankfurter
+
+const frankfurter = {
+    name: "frankfurter",
+    description: "Frankfurter (/latest?from=)",
+    handle({ path, query, random }) {
+        if (path !== "/latest") return json({ message: "not found" }, 404);
+
+        const base = (query.get("from") || "EUR").toUpperCase();
+        if (!USD_RATES[base]) return json({ message: "not found" }, 404);
+
+        // Frankfurter leaves the base currency out of its rates
+        const rates = {};
+        for (const [code, perUsd] of Object.entries(USD_RATES)) {
+            if (code === base) continue;
+            rates[code] = Number((perUsd / USD_RATES[base] * (1 + random.float(-0.002, 0.002, 5))).toPrecision(6));
+        }
+        return json({ amount: 1, base, date: _isoDate(new Date()), rates });
+    }
+};
+
+// ------------------------------------------------------------ LibreTranslate
+
+const LANGUAGES = { en: "English", es: "Spanish", fr: "French", de: "German", it: "Italian", pt: "Portuguese", ru: "Russian", ja: "Japanese", ko: "Korean", zh: "Chinese", ar: "Arabic", hi: "Hindi" };
+
+// A few marker words per language, for detection
+const LANGUAGE_HINTS = {
+    es: ["hola", "gracias", "el", "la", "que", "es", "por", "una"],
+    fr: ["bonjour", "merci", "le", "la", "est", "une", "pas", "je"],
+    de: ["hallo", "danke", "der", "die", "und", "ist", "nicht", "ich"],
+    it: ["ciao", "grazie", "il", "che", "non", "sono", "una"],
+    pt: ["olá", "obrigado", "não", "uma", "você", "está"],
+    en: ["hello", "thanks", "the", "and", "is", "you", "not", "this"]
+};
+
+// Canned phrases; anything else is returned tagged with the target language
+const PHRASES = {
+    hello: { es: "hola", fr: "bonjour", de: "hallo", it: "ciao", pt: "olá", ja: "こんにちは", zh: "你好", hi: "नमस्ते", ru: "привет", ko: "안녕하세요", ar: "مرحبا" },
+    "thank you": { es: "gracias", fr: "merci", de: "danke", it: "grazie", pt: "obrigado", ja: "ありがとう", zh: "谢谢", hi: "धन्यवाद", ru: "спасибо", ko: "감사합니다", ar: "شكرا" },
+    goodbye: { es: "adiós", fr: "au revoir", de: "auf Wiedersehen", it: "arrivederci", pt: "adeus", ja: "さようなら", zh: "再见", hi: "अलविदा", ru: "до свидания", ko: "안녕히 가세요", ar: "وداعا" }
+};
+
+function _detect(value) {
+    if (/[぀-ヿ]/.test(value)) return { language: "ja", confidence: 95 };
+    if (/[一-鿿]/.test(value)) return { language: "zh", confidence: 95 };
+    if (/[가-힯]/.test(value)) return { language: "ko", confidence: 95 };
+    if (/[Ѐ-ӿ]/.test(value)) return { language: "ru", confidence: 95 };
+    if (/[؀-ۿ]/.test(value)) return { language: "ar", confidence: 95 };
+    if (/[ऀ-ॿ]/.test(value)) return { language: "hi", confidence: 95 };
+
+    const words = value.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+    const scores = Object.entries(LANGUAGE_HINTS)
+        .map(([language, hints]) => [language, words.filter(word => hints.includes(word)).length])
+        .sort((a, b) => b[1] - a[1]);
+    const [language, hits] = scores[0];
+    return hits > 0 ? { language, confidence: Math.min(99, 50 + hits * 15) } : { language: "en", confidence: 30 };
+}
+
+const libretranslate = {
+    name: "libretranslate",
+    description: "LibreTranslate (POST /translate, POST /detect, GET /languages)",
+    handle({ method, path, body }) {
+        if (path === "/languages") {
+            const codes = Object.keys(LANGUAGES);
+            return json(codes.map(code => ({ code, name: LANGUAGES[code], targets: codes })));
+        }
+
+        if (method !== "POST") return json({ error: "Method Not Allowed" }, 405);
+        const input = body && typeof body === "object" ? body : {};
+        if (typeof input.q !== "string" || input.q === "") {
+            return json({ error: "Invalid request: missing q parameter" }, 400);
+        }
+
+        if (path === "/detect") {
+            return json([_detect(input.q)]);
+        }
+
+        if (path === "/translate") {
+            if (!input.target) return json({ error: "Invalid request: missing target parameter" }, 400);
+            if (!LANGUAGES[input.target]) return json({ error: `${input.target} is not supported` }, 400);
+            if (input.source && input.source !== "auto" && !LANGUAGES[input.source]) return json({ error: `${input.source} is not supported` }, 400);
+
+            const detected = input.source && input.source !== "auto" ? null : _detect(input.q);
+            const phrase = PHRASES[input.q.trim().toLowerCase()];
+            const result = { translatedText: phrase && phrase[input.target] ? phrase[input.target] : `[${input.target}] ${input.q}` };
+            if (detected) result.detectedLanguage = detected;
+            return json(result);
+        }
+
+        return json({ error: "Not Found" }, 404);
+    }
+};
+
+// ------------------------------------------------------------------ MyMemory
+
+const mymemory = {
+    name: "mymemory",
+    description: "MyMemory (/get?q=&langpair=source|target)",
+    handle({ path, query }) {
+        if (path !== "/get") return json({ responseData: null, responseStatus: 404, responseDetails: "NOT FOUND" }, 404);
+
+        // MyMemory answers 200 and reports bad input in responseStatus
+        const fail = details => json({ responseData: { translatedText: details, match: 0 }, responseStatus: 403, responseDetails: details, matches: [] });
+        const q = query.get("q") || "";
+        if (q === "") return fail("NO QUERY SPECIFIED. EXAMPLE REQUEST: GET?Q=HELLO&LANGPAIR=EN|IT");
+        const [source = "", target = ""] = (query.get("langpair") || "").split("|");
+        if (!target || !LANGUAGES[target] || (source !== "autodetect" && !LANGUAGES[source])) {
+            return fail(`'${query.get("langpair") || ""}' IS AN INVALID LANGUAGE PAIR`);
+        }
+
+        const phrase = PHRASES[q.trim().toLowerCase()];
+        const translatedText = phrase && phrase[target] ? phrase[target] : `[${target}] ${q}`;
+        const responseData = { translatedText, match: 1 };
+        if (source === "autodetect") responseData.detectedLanguage = _detect(q).language;
+        return json({
+            responseData,
+            quotaFinished: false,
+            mtLangSupported: null,
+            responseDetails: "",
+            responseStatus: 200,
+            responderId: null,
+            exception_code: null,
+            matches: [{ id: 0, segment: q, translation: translatedText, source, target, quality: 74, match: 1 }]
+        });
+    }
+};
+
+// ---------------------------------------------------------------------- OSRM
+
+// Average speeds in m/s per profile
+const OSRM_SPEEDS = { driving: 13.9, car: 13.9, cycling: 4.5, bike: 4.5, walking: 1.4, foot: 1.4 };
+
+function _osrmCoordinates(value) {
+    const points = decodeURIComponent(value || "").split(";").map(pair => {
+        const [lng, lat] = pair.split(",").map(Number);
+        return { lat, lng };
+    });
+    const valid = points.length >= 2 && points.every(point => Number.isFinite(point.lat) && Number.isFinite(point.lng) && Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180);
+    return valid ? points : null;
+}
+
+// Road distance is modelled as 1.3x the straight line
+function _leg(a, b, speed) {
+    const distance = Number((_haversine(a, b) * 1.3).toFixed(1));
+    return { distance, duration: Number((distance / speed).toFixed(1)) };
+}
+
+const osrm = {
+    name: "osrm",
+    description: "OSRM (/route/v1, /table/v1, /trip/v1)",
+    handle({ path, query }) {
+        const match = path.match(/^\/(route|table|trip)\/v1\/([^/]+)\/(.+)$/);
+        if (!match) return json({ code: "InvalidUrl", message: "URL string malformed close to position 1" }, 400);
+
+        const [, service, profile, coordinates] = match;
+        const speed = OSRM_SPEEDS[profile];
+        if (!speed) return json({ code: "InvalidService", message: "Profile not found" }, 400);
+        const points = _osrmCoordinates(coordinates);
+        if (!points) return json({ code: "InvalidQuery", message: "Query string malformed close to position 0" }, 400);
+
+        const waypoint = (point, extra = {}) => ({ hint: "", distance: 0.5, name: "", location: [point.lng, point.lat], ...extra });
+
+        if (service === "route") {
+            const legs = points.slice(1).map((point, i) => ({ ..._leg(points[i], point, speed), steps: [], summary: "", weight: 0 }));
+            legs.forEach(leg => { leg.weight = leg.duration; });
+            const distance = Number(legs.reduce((sum, leg) => sum + leg.distance, 0).toFixed(1));
+            const duration = Number(legs.reduce((sum, leg) => sum + leg.duration, 0).toFixed(1));
+            return json({ code: "Ok", routes: [{ legs, weight_name: "routability", weight: duration, duration, distance }], waypoints: points.map(point => waypoint(point)) });
+        }
+
+        if (service === "table") {
+            const legs = points.map(from => points.map(to => _leg(from, to, speed)));
+            const body = { code: "Ok", sources: points.map(point => waypoint(point)), destinations: points.map(point => waypoint(point)) };
+            const annotations = (query.get("annotations") || "duration").split(",");
+            if (annotations.includes("duration")) body.durations = legs.map(row => row.map(leg => leg.duration));
+            if (annotations.includes("distance")) body.distances = legs.map(row => row.map(leg => leg.distance));
+            return json(body);
+        }
+
+        // trip: nearest neighbour from the first point, keeping the last one last when not a roundtrip
+        const roundtrip = query.get("roundtrip") !== "false";
+        const last = roundtrip ? null : points.length - 1;
+        const order = [0];
+        const remaining = new Set(points.map((_, i) => i).filter(i => i !== 0 && i !== last));
+        while (remaining.size > 0) {
+            const from = points[order[order.length - 1]];
+            const nearest = [...remaining].sort((a, b) => _haversine(from, points[a]) - _haversine(from, points[b]))[0];
+            order.push(nearest);
+            remaining.delete(nearest);
+        }
+        if (last !== null) order.push(last);
+
+        const stops = roundtrip ? [...order, 0] : order;
+        const legs = stops.slice(1).map((index, i) => ({ ..._leg(points[stops[i]], points[index], speed), steps: [], summary: "" }));
+        const distance = Number(legs.reduce((sum, leg) => sum + leg.distance, 0).toFixed(1));
+        const duration = Number(legs.reduce((sum, leg) => sum + leg.duration, 0).toFixed(1));
+        return json({
+            code: "Ok",
+            trips: [{ legs, weight_name: "routability", weight: duration, duration, distance }],
+            waypoints: points.map((point, i) => waypoint(point, { waypoint_index: order.indexOf(i), trips_index: 0 }))
+        });
+    }
+};
+
+// --------------------------------------------------------------- Google Maps
+
+function _latLng(value) {
+    const [lat, lng] = decodeURIComponent(value).split(",").map(Number);
+    return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+}
+
+function _googleValue(value, unit) {
+    return unit === "m"
+        ? { text: value >= 1000 ? `${(value / 1000).toFixed(1)} km` : `${Math.round(value)} m`, value: Math.round(value) }
+        : { text: `${Math.max(1, Math.round(value / 60))} mins`, value: Math.round(value) };
+}
+
+function _googleLeg(a, b) {
+    const leg = _leg(a, b, OSRM_SPEEDS.driving);
+    return { distance: _googleValue(leg.distance, "m"), duration: _googleValue(leg.duration, "s") };
+}
+
+// Answers with HTTP 200 and the outcome in `status`, as Google does
+const googleMaps = {
+    name: "google-maps",
+    description: "Google Maps web services (/distancematrix/json, /directions/json)",
+    handle({ path, query }) {
+        if (!query.get("key")) {
+            return json({ error_message: "You must use an API key to authenticate each request to Google Maps Platform APIs.", status: "REQUEST_DENIED" });
+        }
+
+        if (path === "/distancematrix/json") {
+            const origins = (query.get("origins") || "").split("|").filter(Boolean).map(_latLng);
+            const destinations = (query.get("destinations") || "").split("|").filter(Boolean).map(_latLng);
+            if (origins.length === 0 || destinations.length === 0) return json({ status: "INVALID_REQUEST" });
+            if (origins.length * destinations.length > 100) return json({ status: "MAX_ELEMENTS_EXCEEDED" });
+
+            return json({
+                destination_addresses: destinations.map(point => (point ? `${point.lat},${point.lng}` : "")),
+                origin_addresses: origins.map(point => (point ? `${point.lat},${point.lng}` : "")),
+                rows: origins.map(from => ({
+                    elements: destinations.map(to => (from && to ? { ..._googleLeg(from, to), status: "OK" } : { status: "NOT_FOUND" }))
+                })),
+                status: "OK"
+            });
+        }
+
+        if (path === "/directions/json") {
+            const origin = _latLng(query.get("origin") || "");
+            const destination = _latLng(query.get("destination") || "");
+            if (!origin || !destination) return json({ geocoded_waypoints: [], routes: [], status: "NOT_FOUND" });
+
+            const waypointParam = (query.get("waypoints") || "").split("|").filter(Boolean);
+            const optimize = waypointParam[0] === "optimize:true";
+            const waypoints = (optimize ? waypointParam.slice(1) : waypointParam).map(_latLng);
+            if (waypoints.some(point => !point)) return json({ geocoded_waypoints: [], routes: [], status: "NOT_FOUND" });
+            if (waypoints.length > 25) return json({ status: "MAX_WAYPOINTS_EXCEEDED" });
+
+            // optimize:true visits the waypoints nearest first
+            let order = waypoints.map((_, i) => i);
+            if (optimize) {
+                order = [];
+                const remaining = new Set(waypoints.map((_, i) => i));
+                let from = origin;
+                while (remaining.size > 0) {
+                    const nearest = [...remaining].sort((a, b) => _haversine(from, waypoints[a]) - _haversine(from, waypoints[b]))[0];
+                    order.push(nearest);
+                    remaining.delete(nearest);
+                    from = waypoints[nearest];
+                }
+            }
+
+            const stops = [origin, ...order.map(i => waypoints[i]), destination];
+            return json({
+                geocoded_waypoints: stops.map(() => ({ geocoder_status: "OK", types: ["street_address"] })),
+                routes: [{
+                    legs: stops.slice(1).map((point, i) => _googleLeg(stops[i], point)),
+                    summary: "Mock route",
+                    waypoint_order: order
+                }],
+                status: "OK"
+            });
+        }
+
+        return json({ error_message: "Not Found", status: "INVALID_REQUEST" }, 404);
+    }
+};
+
+// ---------------------------------------------------------- OpenRouteService
+
+// ORS profiles and their average speeds in m/s
+const ORS_SPEEDS = { "driving-car": 13.9, "driving-hgv": 11.1, "cycling-regular": 4.5, "cycling-road": 6.9, "cycling-mountain": 4.2, "cycling-electric": 6.1, "foot-walking": 1.4, "foot-hiking": 1.2, "wheelchair": 1.1 };
+
+const openrouteservice = {
+    name: "openrouteservice",
+    description: "OpenRouteService v2 (POST /matrix/:profile)",
+    handle({ method, path, headers, body }) {
+        if (!headers.authorization) {
+            return json({ error: "Authorization field missing" }, 401);
+        }
+
+        const match = path.match(/^\/matrix\/([^/]+)$/);
+        if (!match) return json({ error: { code: 2000, message: "Not Found" } }, 404);
+        if (method !== "POST") return json({ error: { code: 2000, message: "Method Not Allowed" } }, 405);
+
+        const speed = ORS_SPEEDS[match[1]];
+        if (!speed) return json({ error: { code: 2003, message: "Parameter 'profile' has incorrect value or format." } }, 400);
+        const input = body && typeof body === "object" ? body : {};
+        const points = Array.isArray(input.locations)
+            ? input.locations.map(pair => (Array.isArray(pair) ? { lng: Number(pair[0]), lat: Number(pair[1]) } : null))
+            : [];
+        if (points.length < 2 || points.some(point => !point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng))) {
+            return json({ error: { code: 6002, message: "Parameter 'locations' has incorrect value or format." } }, 400);
+        }
+
+        const legs = points.map(from => points.map(to => _leg(from, to, speed)));
+        const metrics = Array.isArray(input.metrics) ? input.metrics : ["duration"];
+        const result = {
+            sources: points.map(point => ({ location: [point.lng, point.lat], snapped_distance: 0.5 })),
+            destinations: points.map(point => ({ location: [point.lng, point.lat], snapped_distance: 0.5 })),
+            metadata: { service: "matrix", query: { profile: match[1], metrics } }
+        };
+        if (metrics.includes("distance")) result.distances = legs.map(row => row.map(leg => leg.distance));
+        if (metrics.includes("duration")) result.durations = legs.map(row => row.map(leg => leg.duration));
+        return json(result);
+    }
+};
+
+// -------------------------------------------------------------------- ip-api
+
+const IP_LOCATIONS = [
+    { country: "United States", countryCode: "US", region: "CA", regionName: "California", city: "Mountain View", zip: "94043", lat: 37.4223, lon: -122.085, timezone: "America/Los_Angeles", isp: "Google LLC", continent: "North America" },
+    { country: "United States", countryCode: "US", region: "VA", regionName: "Virginia", city: "Ashburn", zip: "20149", lat: 39.03, lon: -77.5, timezone: "America/New_York", isp: "Amazon.com, Inc.", continent: "North America" },
+    { country: "Germany", countryCode: "DE", region: "HE", regionName: "Hesse", city: "Frankfurt am Main", zip: "60313", lat: 50.1109, lon: 8.6821, timezone: "Europe/Berlin", isp: "Hetzner Online GmbH", continent: "Europe" },
+    { country: "United Kingdom", countryCode: "GB", region: "ENG", regionName: "England", city: "London", zip: "EC1A", lat: 51.5074, lon: -0.1278, timezone: "Europe/London", isp: "BT Group", continent: "Europe" },
+    { country: "India", countryCode: "IN", region: "TN", regionName: "Tamil Nadu", city: "Chennai", zip: "600001", lat: 13.0878, lon: 80.2785, timezone: "Asia/Kolkata", isp: "Bharti Airtel Ltd.", continent: "Asia" },
+    { country: "Japan", countryCode: "JP", region: "13", regionName: "Tokyo", city: "Tokyo", zip: "100-0001", lat: 35.6895, lon: 139.6917, timezone: "Asia/Tokyo", isp: "NTT Communications", continent: "Asia" },
+    { country: "Australia", countryCode: "AU", region: "NSW", regionName: "New South Wales", city: "Sydney", zip: "2000", lat: -33.8688, lon: 151.2093, timezone: "Australia/Sydney", isp: "Cloudflare, Inc.", continent: "Oceania" },
+    { country: "Brazil", countryCode: "BR", region: "SP", regionName: "São Paulo", city: "São Paulo", zip: "01000-000", lat: -23.5505, lon: -46.6333, timezone: "America/Sao_Paulo", isp: "Claro S.A.", continent: "South America" }
+];
+
+function _isPrivateAddress(ip) {
+    return /^(10\.|127\.|192\.168\.|169\.254\.|0\.)/.test(ip)
+        || /^172\.(1[6-9]|2\d|3[01])\./.test(ip)
+        || ip === "::1" || /^f[cd]/i.test(ip) || /^fe80:/i.test(ip);
+}
+
+const ipApi = {
+    name: "ip-api",
+    description: "ip-api.com (/?query=ip)",
+    handle({ query, remoteAddress }) {
+        let ip = query.get("query") || (remoteAddress || "").replace(/^::ffff:/, "");
+        // A lookup of the caller's own address from localhost has nothing to locate
+        if (!query.get("query") && _isPrivateAddress(ip)) ip = "203.0.113.10";
+
+        const isV4 = /^(\d{1,3})(\.\d{1,3}){3}$/.test(ip) && ip.split(".").every(part => Number(part) <= 255);
+        const isV6 = !isV4 && /^[0-9a-f:]+$/i.test(ip) && ip.includes(":");
+        if (!isV4 && !isV6) return json({ status: "fail", message: "invalid query", query: ip });
+        if (_isPrivateAddress(ip)) return json({ status: "fail", message: "private range", query: ip });
+
+        const location = IP_LOCATIONS[hashString(ip) % IP_LOCATIONS.length];
+        return json({
+            status: "success",
+            ...location,
+            org: location.isp,
+            as: `AS${hashString(location.isp) % 60000} ${location.isp}`,
+            query: ip
+        });
+    }
+};
+
+// ------------------------------------------------------------------ ipwho.is
+
+const ipwhois = {
+    name: "ipwho.is",
+    description: "ipwho.is (/:ip)",
+    handle({ path, remoteAddress }) {
+        const asked = decodeURIComponent(path.replace(/^\//, ""));
+        let ip = asked || (remoteAddress || "").replace(/^::ffff:/, "");
+        // A lookup of the caller's own address from localhost has nothing to locate
+        if (!asked && _isPrivateAddress(ip)) ip = "203.0.113.10";
+
+        // ipwho.is answers 200 with success: false for bad or reserved addresses
+        const isV4 = /^(\d{1,3})(\.\d{1,3}){3}$/.test(ip) && ip.split(".").every(part => Number(part) <= 255);
+        const isV6 = !isV4 && /^[0-9a-f:]+$/i.test(ip) && ip.includes(":");
+        if (!isV4 && !isV6) return json({ ip, success: false, message: "Invalid IP address" });
+        if (_isPrivateAddress(ip)) return json({ ip, success: false, message: "Reserved range" });
+
+        const location = IP_LOCATIONS[hashString(ip) % IP_LOCATIONS.length];
+        return json({
+            ip,
+            success: true,
+            type: isV4 ? "IPv4" : "IPv6",
+            continent: location.continent,
+            country: location.country,
+            country_code: location.countryCode,
+            region: location.regionName,
+            region_code: location.region,
+            city: location.city,
+            latitude: location.lat,
+            longitude: location.lon,
+            postal: location.zip,
+            connection: { asn: hashString(location.isp) % 60000, org: location.isp, isp: location.isp, domain: "" },
+            timezone: { id: location.timezone }
+        });
+    }
+};
+
+// ------------------------------------------------------------------- TinyURL
+
+const tinyurl = {
+    name: "tinyurl",
+    description: "TinyURL (/api-create.php?url=)",
+    handle({ path, query }) {
+        if (path !== "/api-create.php") return text("Not Found", 404);
+
+        const target = query.get("url") || "";
+        let valid = false;
+        try {
+            valid = /^https?:$/.test(new URL(target).protocol);
+        } catch (error) {
+            // invalid URL - TinyURL still answers 200
+        }
+        if (!valid) return text("Error");
+
+        return text(`https://tinyurl.com/${hashString(target).toString(36).padStart(7, "0").slice(0, 8)}`);
+    }
+};
+
+// --------------------------------------------------------------------- is.gd
+
+const isgd = {
+    name: "is.gd",
+    description: "is.gd (/create.php?format=simple&url=)",
+    handle({ path, query }) {
+        if (path !== "/create.php") return text("Not Found", 404);
+
+        const target = query.get("url") || "";
+        let valid = false;
+        try {
+            valid = /^https?:$/.test(new URL(target).protocol);
+        } catch (error) {
+            // invalid URL - reported in the body below
+        }
+        if (!valid) return text("Error: Please enter a valid URL to shorten");
+
+        return text(`https://is.gd/${hashString(`is.gd|${target}`).toString(36).slice(0, 6)}`);
+    }
+};
+
+// ------------------------------------------------------------------ QR codes
+
+// A 1x1 PNG: the modules only hand the image bytes on
+const PNG_PIXEL = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/x8AAwMCAO+ip1sAAAAASUVORK5CYII=", "base64");
+
+// A 21x21 pattern derived from the data, as SVG
+function _qrSvg(data, size) {
+    const random = createRandom(`qr|${data}`);
+    const cells = [];
+    for (let y = 0; y < 21; y++) {
+        for (let x = 0; x < 21; x++) {
+            if (random() < 0.5) cells.push(`<rect x="${x}" y="${y}" width="1" height="1"/>`);
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 21 21"><rect width="21" height="21" fill="#fff"/><g fill="#000">${cells.join("")}</g></svg>`;
+}
+
+function _qrImage(data, size, format) {
+    if (format === "svg") return { status: 200, body: _qrSvg(data, size), headers: { "Content-Type": "image/svg+xml" } };
+    return { status: 200, body: PNG_PIXEL, headers: { "Content-Type": format === "jpg" || format === "jpeg" ? "image/jpeg" : `image/${format || "png"}` } };
+}
+
+const qrserver = {
+    name: "qrserver",
+    description: "goqr.me QR Server (/?data=&size=WxH&format=)",
+    handle({ path, query }) {
+        if (path !== "" && path !== "/") return text("Not Found", 404);
+
+        const data = query.get("data");
+        if (!data) return text("Missing data parameter", 400);
+        const size = Number((query.get("size") || "200x200").split("x")[0]);
+        if (!(size >= 10 && size <= 1000)) return text("Invalid size parameter", 400);
+        const format = (query.get("format") || "png").toLowerCase();
+        if (!["png", "gif", "jpg", "jpeg", "svg", "eps"].includes(format)) return text("Invalid format parameter", 400);
+        return _qrImage(data, size, format);
+    }
+};
+
+const quickchart = {
+    name: "quickchart",
+    description: "QuickChart QR (?text=&size=&format=png|svg)",
+    handle({ path, query }) {
+        if (path !== "" && path !== "/") return text("Not Found", 404);
+
+        const data = query.get("text");
+        if (!data) return text("You are missing variable `text`", 400);
+        const format = (query.get("format") || "png").toLowerCase();
+        if (!["png", "svg"].includes(format)) return text(`Unsupported format: ${format}`, 400);
+        return _qrImage(data, Number(query.get("size")) || 150, format);
+    }
+};
+
+// ------------------------------------------------------------- chucknorris.io
+
+const JOKE_CATEGORIES = ["animal", "career", "celebrity", "dev", "explicit", "fashion", "food", "history", "money", "movie", "music", "political", "religion", "science", "sport", "travel"];
+
+const JOKES = [
+    { value: "Chuck Norris counted to infinity. Twice.", categories: [] },
+    { value: "Chuck Norris can divide by zero.", categories: ["science"] },
+    { value: "Chuck Norris's keyboard doesn't have a Ctrl key because nothing controls Chuck Norris.", categories: ["dev"] },
+    { value: "Chuck Norris writes code that optimizes itself.", categories: ["dev"] },
+    { value: "Chuck Norris doesn't need garbage collection because he never leaves anything behind.", categories: ["dev"] },
+    { value: "When Chuck Norris throws exceptions, it's across the room.", categories: ["dev"] },
+    { value: "Chuck Norris can unit test an entire application with a single assert.", categories: ["dev"] },
+    { value: "Chuck Norris once ordered a steak in a vegetarian restaurant. He got it.", categories: ["food"] },
+    { value: "Chuck Norris can slam a revolving door.", categories: [] },
+    { value: "Time waits for no man. Unless that man is Chuck Norris.", categories: ["history"] },
+    { value: "Chuck Norris doesn't wear a watch. He decides what time it is.", categories: ["fashion"] },
+    { value: "Chuck Norris ran a marathon and finished before the starting gun.", categories: ["sport"] },
+    { value: "Chuck Norris's passport never needs a stamp; borders just move.", categories: ["travel"] },
+    { value: "Chuck Norris played a movie so well the script rewrote itself.", categories: ["movie"] },
+    { value: "Chuck Norris can whistle in two keys at once.", categories: ["music"] },
+    { value: "Chuck Norris doesn't pay interest. Banks pay attention.", categories: ["money"] },
+    { value: "The dinosaurs looked at Chuck Norris the wrong way once.", categories: ["animal", "history"] },
+    { value: "Chuck Norris's résumé just says \"Yes\".", categories: ["career"] }
+];
+
+function _joke(index) {
+    const joke = JOKES[index];
+    const id = hashString(joke.value).toString(36).padStart(7, "a").slice(0, 22);
+    const now = "2020-01-05 13:42:19.324003";
+    return {
+        categories: joke.categories,
+        created_at: now,
+        icon_url: "https://api.chucknorris.io/img/avatar/chuck-norris.png",
+        id,
+        updated_at: now,
+        url: `https://api.chucknorris.io/jokes/${id}`,
+        value: joke.value
+    };
+}
+
+function _chuckError(status, error, message, path) {
+    return json({ timestamp: new Date().toISOString(), status, error, message, path: `/jokes${path}` }, status);
+}
+
+const chucknorris = {
+    name: "chucknorris",
+    description: "chucknorris.io (/random, /categories, /search, /:id)",
+    handle({ path, query, stream }) {
+        if (path === "/random") {
+            const category = query.get("category");
+            if (category && !JOKE_CATEGORIES.includes(category)) {
+                return _chuckError(404, "Not Found", `No jokes for category "${category}" found.`, path);
+            }
+            const pool = JOKES.map((joke, index) => index).filter(index => !category || JOKES[index].categories.includes(category));
+            // Categories the small corpus does not cover fall back to any joke
+            const candidates = pool.length > 0 ? pool : JOKES.map((joke, index) => index);
+            return json(_joke(stream.pick(candidates)));
+        }
+
+        if (path === "/categories") return json(JOKE_CATEGORIES);
+
+        if (path === "/search") {
+            const term = (query.get("query") || "").trim();
+            if (term.length < 3 || term.length > 120) {
+                return _chuckError(400, "Bad Request", "search.query: size must be between 3 and 120", path);
+            }
+            const result = JOKES.map((joke, index) => index)
+                .filter(index => JOKES[index].value.toLowerCase().includes(term.toLowerCase()))
+                .map(_joke);
+            return json({ total: result.length, result });
+        }
+
+        const id = path.replace(/^\//, "");
+        const index = JOKES.findIndex((joke, i) => _joke(i).id === id);
+        if (index === -1) return _chuckError(404, "Not Found", `Joke with id "${id}" not found.`, path);
+        return json(_joke(index));
+    }
+};
+
+// ------------------------------------------------------------------- JokeAPI
+
+const JOKEAPI_CATEGORIES = ["Any", "Misc", "Programming", "Dark", "Pun", "Spooky", "Christmas"];
+
+const JOKEAPI_JOKES = [
+    { category: "Programming", joke: "A SQL query walks into a bar, goes up to two tables and asks: \"Can I join you?\"" },
+    { category: "Programming", setup: "Why do programmers prefer dark mode?", delivery: "Because light attracts bugs." },
+    { category: "Programming", setup: "How many programmers does it take to change a light bulb?", delivery: "None, that's a hardware problem." },
+    { category: "Misc", setup: "What do you call a fake noodle?", delivery: "An impasta." },
+    { category: "Misc", joke: "I told my wife she was drawing her eyebrows too high. She looked surprised." },
+    { category: "Pun", setup: "Why don't eggs tell jokes?", delivery: "They'd crack each other up." },
+    { category: "Pun", joke: "I used to be a banker, but I lost interest." },
+    { category: "Spooky", setup: "Why didn't the skeleton go to the party?", delivery: "He had no body to go with." },
+    { category: "Christmas", setup: "What do you call an elf who sings?", delivery: "A wrapper." },
+    { category: "Dark", joke: "I have a fish that can breakdance. Only for twenty seconds though, and only once." }
+];
+
+function _jokeApiJoke(index) {
+    const joke = JOKEAPI_JOKES[index];
+    const twoPart = joke.setup !== undefined;
+    return {
+        error: false,
+        category: joke.category,
+        type: twoPart ? "twopart" : "single",
+        ...(twoPart ? { setup: joke.setup, delivery: joke.delivery } : { joke: joke.joke }),
+        flags: { nsfw: false, religious: false, political: false, racist: false, sexist: false, explicit: false },
+        id: index,
+        safe: joke.category !== "Dark",
+        lang: "en"
+    };
+}
+
+function _jokeApiError(code, message, causedBy, status = 400) {
+    return json({
+        error: true,
+        internalError: false,
+        code,
+        message,
+        causedBy,
+        additionalInfo: causedBy[0] || "",
+        timestamp: Date.now()
+    }, status);
+}
+
+const jokeapi = {
+    name: "jokeapi",
+    description: "JokeAPI v2 (/joke/<categories>, /categories)",
+    handle({ path, query, stream }) {
+        if (path === "/categories") {
+            return json({ error: false, categories: JOKEAPI_CATEGORIES, categoryAliases: [], timestamp: Date.now() });
+        }
+
+        const match = path.match(/^\/joke\/([^/]+)$/);
+        if (!match) return _jokeApiError(108, "No matching joke found", ["The endpoint does not exist"], 404);
+
+        const wanted = decodeURIComponent(match[1]).split(/[,+]/).map(name => name.trim().toLowerCase());
+        const unknown = wanted.filter(name => !JOKEAPI_CATEGORIES.some(category => category.toLowerCase() === name));
+        if (unknown.length > 0) {
+            return _jokeApiError(106, "No matching joke found", [`Invalid category: ${unknown.join(", ")}`]);
+        }
+
+        let pool = JOKEAPI_JOKES.map((joke, index) => index)
+            .filter(index => wanted.includes("any") || wanted.includes(JOKEAPI_JOKES[index].category.toLowerCase()));
+        const range = query.get("idRange");
+        if (range) {
+            const [from, to = from] = range.split("-").map(Number);
+            pool = pool.filter(index => index >= from && index <= to);
+        }
+        const contains = query.get("contains");
+        if (contains) {
+            const term = contains.toLowerCase();
+            pool = pool.filter(index => Object.values(JOKEAPI_JOKES[index]).some(value => value.toLowerCase().includes(term)));
+        }
+        if (pool.length === 0) {
+            return _jokeApiError(106, "No matching joke found", ["No jokes were found that match your provided filter(s)."]);
+        }
+
+        const amount = Math.min(Math.max(Number(query.get("amount")) || 1, 1), 10);
+        if (amount === 1) return json(_jokeApiJoke(stream.pick(pool)));
+        const jokes = pool.slice(0, amount).map(_jokeApiJoke).map(({ error, ...joke }) => joke);
+        return json({ error: false, amount: jokes.length, jokes });
+    }
+};
+
+// --------------------------------------------------------- Official Joke API
+
+const OFFICIAL_JOKES = [
+    { type: "general", setup: "What did the ocean say to the shore?", punchline: "Nothing, it just waved." },
+    { type: "general", setup: "Why did the scarecrow win an award?", punchline: "Because he was outstanding in his field." },
+    { type: "general", setup: "What do you call a bear with no teeth?", punchline: "A gummy bear." },
+    { type: "programming", setup: "Why do Java developers wear glasses?", punchline: "Because they don't C#." },
+    { type: "programming", setup: "What's the object-oriented way to become wealthy?", punchline: "Inheritance." },
+    { type: "knock-knock", setup: "Knock knock. Who's there? Lettuce. Lettuce who?", punchline: "Lettuce in, it's cold out here!" },
+    { type: "dad", setup: "I'm reading a book about anti-gravity.", punchline: "It's impossible to put down." }
+];
+
+function _officialJoke(index) {
+    return { type: OFFICIAL_JOKES[index].type, setup: OFFICIAL_JOKES[index].setup, punchline: OFFICIAL_JOKES[index].punchline, id: index + 1 };
+}
+
+const officialJokeApi = {
+    name: "official-joke-api",
+    description: "Official Joke API (/random_joke, /jokes/<type>/random, /jokes/<id>, /types)",
+    handle({ path, stream }) {
+        if (path === "/random_joke") return json(_officialJoke(stream.int(0, OFFICIAL_JOKES.length - 1)));
+        if (path === "/types") return json([...new Set(OFFICIAL_JOKES.map(joke => joke.type))]);
+
+        const byType = path.match(/^\/jokes\/([^/]+)\/random$/);
+        if (byType) {
+            const type = decodeURIComponent(byType[1]);
+            const pool = OFFICIAL_JOKES.map((joke, index) => index).filter(index => OFFICIAL_JOKES[index].type === type);
+            // An unknown type answers an empty list
+            return json(pool.length > 0 ? [_officialJoke(stream.pick(pool))] : []);
+        }
+
+        const byId = path.match(/^\/jokes\/(\d+)$/);
+        if (byId && OFFICIAL_JOKES[Number(byId[1]) - 1]) return json(_officialJoke(Number(byId[1]) - 1));
+        return json({ type: "error", message: "joke not found" }, 404);
+    }
+};
+
+// ------------------------------------------------------------ icanhazdadjoke
+
+const DAD_JOKES = [
+    "I'm afraid for the calendar. Its days are numbered.",
+    "Why do fathers take an extra pair of socks when they go golfing? In case they get a hole in one!",
+    "Singing in the shower is fun until you get soap in your mouth. Then it's a soap opera.",
+    "What do a tick and the Eiffel Tower have in common? They're both Paris sites.",
+    "I only know 25 letters of the alphabet. I don't know y.",
+    "What did the janitor say when he jumped out of the closet? Supplies!",
+    "I thought the dryer was shrinking my clothes. Turns out it was the refrigerator all along."
+];
+
+function _dadJoke(index) {
+    return { id: hashString(DAD_JOKES[index]).toString(36), joke: DAD_JOKES[index], status: 200 };
+}
+
+const icanhazdadjoke = {
+    name: "icanhazdadjoke",
+    description: "icanhazdadjoke (/, /j/<id>, /search)",
+    handle({ path, query, stream }) {
+        if (path === "/" || path === "") return json(_dadJoke(stream.int(0, DAD_JOKES.length - 1)));
+
+        if (path === "/search") {
+            const term = (query.get("term") || "").toLowerCase();
+            const limit = Math.min(Math.max(Number(query.get("limit")) || 20, 1), 30);
+            const matches = DAD_JOKES.map((joke, index) => index).filter(index => DAD_JOKES[index].toLowerCase().includes(term));
+            return json({
+                current_page: 1,
+                limit,
+                next_page: 1,
+                previous_page: 1,
+                results: matches.slice(0, limit).map(index => {
+                    const { id, joke } = _dadJoke(index);
+                    return { id, joke };
+                }),
+                search_term: term,
+                status: 200,
+                total_jokes: matches.length,
+                total_pages: 1
+            });
+        }
+
+        const byId = path.match(/^\/j\/([^/]+)$/);
+        const index = byId ? DAD_JOKES.findIndex((joke, i) => _dadJoke(i).id === byId[1]) : -1;
+        if (index === -1) return json({ message: "Joke with id \"" + (byId ? byId[1] : path) + "\" not found", status: 404 }, 404);
+        return json(_dadJoke(index));
+    }
+};
+
+// ---------------------------------------------------------------- randomuser
+
+const USER_NAMES = {
+    US: { male: ["James", "Michael", "Ethan", "Noah", "Liam"], female: ["Olivia", "Emma", "Ava", "Sophia", "Mia"], last: ["Smith", "Johnson", "Brown", "Miller", "Davis"], cities: ["Austin", "Denver", "Seattle", "Boston"], states: ["Texas", "Colorado", "Washington", "Massachusetts"], country: "United States" },
+    GB: { male: ["Oliver", "Harry", "George", "Jack"], female: ["Amelia", "Isla", "Lily", "Grace"], last: ["Taylor", "Wilson", "Evans", "Thomas"], cities: ["Leeds", "Bristol", "York", "Oxford"], states: ["West Yorkshire", "Bristol", "North Yorkshire", "Oxfordshire"], country: "United Kingdom" },
+    FR: { male: ["Lucas", "Hugo", "Louis", "Jules"], female: ["Léa", "Chloé", "Manon", "Camille"], last: ["Martin", "Bernard", "Dubois", "Moreau"], cities: ["Lyon", "Nantes", "Lille", "Nice"], states: ["Rhône", "Loire-Atlantique", "Nord", "Alpes-Maritimes"], country: "France" },
+    DE: { male: ["Lukas", "Leon", "Finn", "Jonas"], female: ["Hannah", "Lena", "Marie", "Anna"], last: ["Müller", "Schmidt", "Schneider", "Fischer"], cities: ["Hamburg", "Köln", "Leipzig", "Bremen"], states: ["Hamburg", "Nordrhein-Westfalen", "Sachsen", "Bremen"], country: "Germany" },
+    ES: { male: ["Hugo", "Mateo", "Pablo", "Álvaro"], female: ["Lucía", "Sofía", "Martina", "Paula"], last: ["García", "Fernández", "López", "Martínez"], cities: ["Sevilla", "Valencia", "Bilbao", "Málaga"], states: ["Andalucía", "Comunidad Valenciana", "País Vasco", "Andalucía"], country: "Spain" },
+    IN: { male: ["Aarav", "Vihaan", "Arjun", "Karthik"], female: ["Ananya", "Diya", "Priya", "Kavya"], last: ["Sharma", "Iyer", "Patel", "Reddy"], cities: ["Chennai", "Pune", "Jaipur", "Kochi"], states: ["Tamil Nadu", "Maharashtra", "Rajasthan", "Kerala"], country: "India" },
+    BR: { male: ["Miguel", "Arthur", "Davi", "Gabriel"], female: ["Helena", "Alice", "Laura", "Valentina"], last: ["Silva", "Santos", "Oliveira", "Souza"], cities: ["Recife", "Curitiba", "Salvador", "Manaus"], states: ["Pernambuco", "Paraná", "Bahia", "Amazonas"], country: "Brazil" },
+    AU: { male: ["William", "Jack", "Thomas", "Charlie"], female: ["Charlotte", "Ruby", "Zoe", "Chloe"], last: ["Jones", "Williams", "Nguyen", "Kelly"], cities: ["Perth", "Adelaide", "Hobart", "Cairns"], states: ["Western Australia", "South Australia", "Tasmania", "Queensland"], country: "Australia" }
+};
+
+const STREETS = ["Main Street", "Oak Avenue", "Park Lane", "Station Road", "Church Street", "Hillcrest Drive", "Mill Road", "Lake View"];
+
+function _randomUser(random, gender, nat) {
+    const people = USER_NAMES[nat];
+    const first = random.pick(people[gender]);
+    const last = random.pick(people.last);
+    const cityIndex = random.int(0, people.cities.length - 1);
+    const ascii = value => value.normalize("NFD").replace(/[̀-ͯ]/g, "").replace(/[^a-zA-Z]/g, "").toLowerCase();
+    const dob = new Date(Date.UTC(random.int(1950, 2004), random.int(0, 11), random.int(1, 28), random.int(0, 23), random.int(0, 59)));
+    const registered = new Date(Date.UTC(random.int(2003, 2022), random.int(0, 11), random.int(1, 28), random.int(0, 23), random.int(0, 59)));
+    const age = date => Math.floor((Date.now() - date.getTime()) / (365.25 * 24 * 3600 * 1000));
+    const portrait = `${gender === "male" ? "men" : "women"}/${random.int(0, 99)}.jpg`;
+    const phone = () => `(${random.int(200, 999)}) ${random.int(200, 999)}-${String(random.int(0, 9999)).padStart(4, "0")}`;
+
+    return {
+        gender,
+        name: { title: gender === "male" ? "Mr" : random.pick(["Ms", "Mrs", "Miss"]), first, last },
+        location: {
+            street: { number: random.int(1, 9999), name: random.pick(STREETS) },
+            city: people.cities[cityIndex],
+            state: people.states[cityIndex],
+            country: people.country,
+            postcode: random.int(10000, 99999),
+            coordinates: { latitude: String(random.float(-80, 80, 4)), longitude: String(random.float(-170, 170, 4)) },
+            timezone: { offset: random.pick(["-5:00", "0:00", "+1:00", "+5:30", "+10:00"]), description: "Mock time zone" }
+        },
+        email: `${ascii(first)}.${ascii(last)}@example.com`,
+        login: {
+            uuid: `${random.hex(8)}-${random.hex(4)}-4${random.hex(3)}-${random.pick(["8", "9", "a", "b"])}${random.hex(3)}-${random.hex(12)}`,
+            username: `${random.pick(["happy", "silver", "brave", "quiet", "lucky"])}${random.pick(["fox", "owl", "tiger", "panda", "lion"])}${random.int(100, 999)}`,
+            password: random.pick(["sunshine", "trustno1", "dragon", "letmein", "qwerty"]),
+            salt: random.hex(8),
+            md5: random.hex(32),
+            sha1: random.hex(40),
+            sha256: random.hex(64)
+        },
+        dob: { date: dob.toISOString(), age: age(dob) },
+        registered: { date: registered.toISOString(), age: age(registered) },
+        phone: phone(),
+        cell: phone(),
+        id: { name: nat === "US" ? "SSN" : "", value: nat === "US" ? `${random.int(100, 899)}-${random.int(10, 99)}-${random.int(1000, 9999)}` : null },
+        picture: {
+            large: `https://randomuser.me/api/portraits/${portrait}`,
+            medium: `https://randomuser.me/api/portraits/med/${portrait}`,
+            thumbnail: `https://randomuser.me/api/portraits/thumb/${portrait}`
+        },
+        nat
+    };
+}
+
+const randomuser = {
+    name: "randomuser",
+    description: "randomuser.me (/?results=&gender=&nat=&seed=&page=&inc=&exc=)",
+    handle({ path, query, stream, seed }) {
+        if (path !== "/" && path !== "") return json({ error: "Uh oh, something has gone wrong. Please tweet us @randomapi about the issue. Thank you." }, 404);
+
+        const results = Math.max(1, Math.min(5000, Number(query.get("results")) || 1));
+        const gender = ["male", "female"].includes(query.get("gender")) ? query.get("gender") : null;
+        const nats = (query.get("nat") || "").toUpperCase().split(",").filter(nat => USER_NAMES[nat]);
+        const page = Math.max(1, Number(query.get("page")) || 1);
+        // With a seed the same page always holds the same people, as upstream
+        const userSeed = query.get("seed");
+        const random = userSeed ? createRandom(`${seed}|${userSeed}|${page}`) : stream;
+
+        // inc wins over exc; unknown fields are ignored, as upstream
+        const inc = (query.get("inc") || "").split(",").filter(Boolean);
+        const exc = (query.get("exc") || "").split(",").filter(Boolean);
+        const keep = field => (inc.length > 0 ? inc.includes(field) : !exc.includes(field));
+
+        const users = Array.from({ length: results }, () => {
+            const nat = random.pick(nats.length > 0 ? nats : Object.keys(USER_NAMES));
+            const user = _randomUser(random, gender || random.pick(["male", "female"]), nat);
+            return Object.fromEntries(Object.entries(user).filter(([field]) => keep(field)));
+        });
+        return json({ results: users, info: { seed: userSeed || random.hex(16), results, page, version: "1.4" } });
+    }
+};
+
+// ------------------------------------------------------------ dictionaryapi
+
+const WORDS = {
+    hello: { phonetic: "/həˈləʊ/", meanings: [["noun", "\"Hello!\" or an equivalent greeting.", "she was getting polite nods and hellos from people"], ["interjection", "A greeting used when answering the telephone.", "Hello? How may I help you?"]] },
+    world: { phonetic: "/wɜːld/", meanings: [["noun", "The Earth, together with all of its countries, peoples, and natural features.", "he was doing his bit to save the world"]] },
+    code: { phonetic: "/kəʊd/", meanings: [["noun", "Instructions for a computer, written in a programming language.", "the code was reviewed before release"], ["verb", "To write software programs.", "she coded the feature in a day"]] },
+    api: { phonetic: "/ˌeɪ.piːˈaɪ/", meanings: [["noun", "An application programming interface: a set of routines that programs use to talk to each other.", "the service exposes a REST API"]] },
+    happy: { phonetic: "/ˈhæpi/", meanings: [["adjective", "Feeling or showing pleasure or contentment.", "a happy smile"]] },
+    run: { phonetic: "/rʌn/", meanings: [["verb", "To move swiftly on foot so that both feet leave the ground during each stride.", "she ran to the station"], ["noun", "An act or spell of running.", "a morning run"]] },
+    light: { phonetic: "/laɪt/", meanings: [["noun", "The natural agent that stimulates sight and makes things visible.", "the light of the sun"], ["adjective", "Of little weight; not heavy.", "a light bag"]] },
+    computer: { phonetic: "/kəmˈpjuːtə/", meanings: [["noun", "An electronic device for storing and processing data.", "the data is processed by computer"]] },
+    example: { phonetic: "/ɪɡˈzɑːmpəl/", meanings: [["noun", "A thing characteristic of its kind or illustrating a general rule.", "it's a good example of how retries work"]] },
+    test: { phonetic: "/tɛst/", meanings: [["noun", "A procedure intended to establish the quality, performance, or reliability of something.", "the mock server makes the test repeatable"], ["verb", "To take measures to check the quality or reliability of something.", "we test every failure path"]] }
+};
+
+const dictionaryapi = {
+    name: "dictionaryapi",
+    description: "Free Dictionary API (/:word)",
+    handle({ path }) {
+        const word = decodeURIComponent(path.replace(/^\//, "")).trim().toLowerCase();
+        const entry = WORDS[word];
+        if (!entry) {
+            return json({
+                title: "No Definitions Found",
+                message: "Sorry pal, we couldn't find definitions for the word you were looking for.",
+                resolution: "You can try the search again at later time or head to the web instead."
+            }, 404);
+        }
+
+        return json([{
+            word,
+            phonetic: entry.phonetic,
+            phonetics: [{ text: entry.phonetic, audio: "" }],
+            meanings: entry.meanings.map(([partOfSpeech, definition, example]) => ({
+                partOfSpeech,
+                definitions: [{ definition, synonyms: [], antonyms: [], example }],
+                synonyms: [],
+                antonyms: []
+            })),
+            license: { name: "CC BY-SA 3.0", url: "https://creativecommons.org/licenses/by-sa/3.0" },
+            sourceUrls: [`https://en.wiktionary.org/wiki/${encodeURIComponent(word)}`]
+        }]);
+    }
+};
+
+// Mounted at /<name>; base URL overrides use the same names
+const MOCK_PROVIDERS = [
+    openMeteo,
+    openMeteoGeocoding,
+    coingecko,
+    finnhub,
+    omdb,
+    newsapi,
+    exchangerateApi,
+    frankfurter,
+    libretranslate,
+    mymemory,
+    osrm,
+    googleMaps,
+    openrouteservice,
+    ipApi,
+    ipwhois,
+    tinyurl,
+    isgd,
+    qrserver,
+    quickchart,
+    chucknorris,
+    jokeapi,
+    officialJokeApi,
+    icanhazdadjoke,
+    randomuser,
+    dictionaryapi
+];
+
+module.exports = {
+    MOCK_PROVIDERS,
+    createRandom,
+    requestSeed,
+    hashString
+};
@@ -0,0 +1,200 @@
+/**
+ * OpenAPI document
+ * Builds an OpenAPI 3.0 description of the gateway from the route table, so
+ * parameters, request bodies, responses and error shapes come from the same
+ * schemas the gateway validates requests with.
+ *
+ * Usage:
+ *   const { buildOpenAPI } = require("./server/openapi.js");
+ *   fs.writeFileSync("openapi.json", JSON.stringify(buildOpenAPI({ basePath: "/api" }), null, 2));
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const { ROUTES } = require("./routes.js");
+const { SCHEMAS, ref } = require("./schemas.js");
+
+// HTTP status returned to the caller for each error code
+const STATUS_BY_CODE = {
+    INVALID_INPUT: 400,
+    NOT_FOUND: 404,
+    RATE_LIMITED: 429,
+    AUTHENTICATION_FAILED: 502,
+    NETWORK_ERROR: 502,
+    UPSTREAM_ERROR: 502,
+    INVALID_RESPONSE: 502,
+    TIMEOUT: 504,
+    DEPENDENCY_MISSING: 501
+};
+
+// Errors a route can return when it does not list its own (any upstream call)
+const UPSTREAM_ERRORS = ["INVALID_INPUT", "NOT_FOUND", "RATE_LIMITED", "AUTHENTICATION_FAILED", "NETWORK_ERROR", "UPSTREAM_ERROR", "INVALID_RESPONSE", "TIMEOUT"];
+
+// Shared error responses, keyed by status
+const ERROR_RESPONSES = {
+    400: { name: "BadRequest", description: "Invalid parameters (INVALID_INPUT); error.field names the parameter" },
+    404: { name: "NotFound", description: "Nothing found upstream (NOT_FOUND)" },
+    413: { name: "PayloadTooLarge", description: "Request body too large (PAYLOAD_TOO_LARGE)" },
+    415: { name: "UnsupportedMediaType", description: "Request body is not application/json (UNSUPPORTED_MEDIA_TYPE)" },
+    429: { name: "TooManyRequests", description: "Upstream quota exhausted (RATE_LIMITED)" },
+    500: { name: "InternalError", description: "Unexpected gateway failure (INTERNAL_ERROR)" },
+    501: { name: "NotImplemented", description: "Optional dependency not installed on the server (DEPENDENCY_MISSING)" },
+    502: { name: "BadGateway", description: "Upstream failure (UPSTREAM_ERROR, INVALID_RESPONSE, NETWORK_ERROR, AUTHENTICATION_FAILED)" },
+    504: { name: "GatewayTimeout", description: "Upstream timed out (TIMEOUT)" }
+};
+
+/**
+ * Converts a route parameter schema to plain JSON Schema: the per-property
+ * `required: true` flags become `required` arrays on the enclosing object
+ * @param {Object} schema - Parameter schema
+ * @returns {Object} JSON Schema
+ */
+function toJsonSchema(schema) {
+    const { required, properties, items, ...rest } = schema;
+    const output = { ...rest };
+
+    if (items) output.items = toJsonSchema(items);
+    if (properties) Object.assign(output, _objectSchema(properties));
+    return output;
+}
+
+function _objectSchema(params) {
+    const properties = {};
+    const required = [];
+    for (const [name, schema] of Object.entries(params)) {
+        properties[name] = toJsonSchema(schema);
+        if (schema.required) required.push(name);
+    }
+
+    const output = { type: "object", properties };
+    if (required.length > 0) output.required = required;
+    return output;
+}
+
+function _operationId(route) {
+    return route.path
+        .split(/[/-]/)
+        .filter(Boolean)
+        .map((part, index) => (index === 0 ? part : part[0].toUpperCase() + part.slice(1)))
+        .join("");
+}
+
+function _errorResponses(route) {
+    const statuses = new Set((route.errors || UPSTREAM_ERRORS).map(code => STATUS_BY_CODE[code] || 500));
+    if (route.method !== "GET") {
+        statuses.add(413);
+        statuses.add(415);
+    }
+    statuses.add(500);
+
+    const responses = {};
+    for (const status of [...statuses].sort((a, b) => a - b)) {
+        responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` };
+    }
+    return responses;
+}
+
+function _operation(route) {
+    const operation = {
+        operationId: _operationId(route),
+        summary: route.summary,
+        tags: [route.path.split("/")[1]]
+    };
+
+    const params = route.params || {};
+    if (route.method === "GET") {
+        const parameters = Object.entries(params).map(([name, schema]) => {
+            const parameter = { name, in: "query", required: Boolean(schema.required), schema: toJsonSchema(schema) };
+            if (schema.description) parameter.description = schema.description;
+            // Arrays travel as comma-separated values (?ids=bitcoin,ethereum)
+            if (schema.type === "array") {
+                parameter.style = "form";
+                parameter.explode = false;
+            }
+            return parameter;
+        });
+        if (parameters.length > 0) operation.parameters = parameters;
+    } else {
+        operation.requestBody = {
+            required: Object.values(params).some(schema => schema.required),
+            content: { "application/json": { schema: _objectSchema(params) } }
+        };
+    }
+
+    const type = route.produces || "application/json";
+    operation.responses = {
+        200: {
+            description: route.summary,
+            content: { [type]: { schema: route.response || {} } }
+        },
+        ..._errorResponses(route)
+    };
+    return operation;
+}
+
+/**
+ * Builds the OpenAPI document for a route table
+ * @param {Object} options - {
+ *     routes: route table (default: every module),
+ *     basePath: mount prefix used by the gateway (default ''),
+ *     title, version, description: info fields
+ * }
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenAPI(options = {}) {
+    const routes = options.routes || ROUTES;
+    const basePath = (options.basePath || "").replace(/\/+$/, "");
+
+    const paths = {
+        "/health": {
+            get: {
+                operationId: "health",
+                summary: "Liveness check",
+                tags: ["gateway"],
+                responses: {
+                    200: {
+                        description: "Gateway is up",
+                        content: { "application/json": { schema: { type: "object", properties: { status: { type: "string", enum: ["ok"] } } } } }
+                    }
+                }
+            }
+        }
+    };
+
+    for (const route of routes) {
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method.toLowerCase()] = _operation(route);
+    }
+
+    const responses = {};
+    for (const { name, description } of Object.values(ERROR_RESPONSES)) {
+        responses[name] = { description, content: { "application/json": { schema: ref("Error") } } };
+    }
+    responses.TooManyRequests.headers = {
+        "Retry-After": { description: "Seconds to wait before retrying", schema: { type: "integer" } }
+    };
+
+    return {
+        openapi: "3.0.3",
+        info: {
+            title: options.title || "Useful-APIs Gateway",
+            version: options.version || require("../package.json").version,
+            description: options.description || "Every Useful-APIs module as a JSON REST API. API keys stay on the server."
+        },
+        servers: [{ url: basePath || "/" }],
+        tags: [...new Set(Object.values(paths).flatMap(methods => Object.values(methods).flatMap(operation => operation.tags)))]
+            .map(name => ({ name })),
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            responses
+        }
+    };
+}
+
+module.exports = {
+    buildOpenAPI,
+    toJsonSchema,
+    STATUS_BY_CODE
+};
@@ -0,0 +1,733 @@
+/**
+ * Gateway routes
+ * One entry per REST endpoint: method, path, parameter schemas (query string for
+ * GET, JSON body for POST), response schema, the error codes it can return
+ * (default: every upstream failure) and a handler calling the client from
+ * createClient(). Handlers only receive validated parameters.
+ *
+ * This table is the single definition of the REST surface: the gateway
+ * validates requests with it and server/openapi.js derives the OpenAPI document
+ * from it. In the browser (as UsefulAPIsRoutes) it drives the playground in
+ * examples/playground.html, with the module globals standing in for the client.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const { NotFoundError } = typeof require === "function"
+    ? require("../apis/core/errors.js")
+    : window.UsefulAPIsErrors;
+
+const { batchResults } = typeof require === "function"
+    ? require("../apis/core/batch.js")
+    : window.UsefulAPIsBatch;
+
+const { ref } = typeof require === "function"
+    ? require("./schemas.js")
+    : window.UsefulAPIsGatewaySchemas;
+
+const POINT_PATTERN = "^\\s*-?\\d+(\\.\\d+)?\\s*,\\s*-?\\d+(\\.\\d+)?\\s*$";
+
+// Reusable parameter schemas
+const point = description => ({ type: "string", required: true, pattern: POINT_PATTERN, format: "lat,lng", description });
+const points = { type: "array", required: true, minItems: 2, items: { type: "array", minItems: 2, maxItems: 2, items: { type: "number" } }, description: "Points as [lat, lng] pairs" };
+const routeProvider = { type: "string", enum: ["auto", "osrm", "google", "ors"], description: "Routing provider (google/ors need their key on the server)" };
+const routeProfile = { type: "string", enum: ["driving", "walking", "cycling"], description: "Travel profile" };
+const vsCurrency = { type: "string", default: "usd", description: "Fiat currency, e.g. usd" };
+const jokeSources = { type: "array", items: { type: "string", minLength: 1 }, description: "Joke sources to try, in order (comma separated), e.g. jokeapi,icanhazdadjoke" };
+const text = { type: "string", required: true, minLength: 1, maxLength: 5000, description: "Text to analyse" };
+
+function _point(value) {
+    return value.split(",").map(part => Number(part.trim()));
+}
+
+function _routeOptions(input) {
+    const options = {};
+    if (input.provider) options.provider = input.provider;
+    if (input.profile) options.profile = input.profile;
+    if (input.roundtrip !== undefined) options.roundtrip = input.roundtrip;
+    return options;
+}
+
+// PDF data is rendered by headless Chromium, so strings are escaped before they reach the template
+function _escape(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function _escapeFields(input) {
+    const output = {};
+    for (const [key, value] of Object.entries(input)) {
+        output[key] = typeof value === "string" ? _escape(value) : value;
+    }
+    return output;
+}
+
+const ROUTES = [
+    // Weather
+    {
+        method: "GET",
+        path: "/weather/current",
+        summary: "Current weather for a city or \"lat,lng\"",
+        response: ref("Weather"),
+        params: {
+            city: { type: "string", required: true, minLength: 1, description: "City name or \"lat,lng\"" },
+            units: { type: "string", enum: ["metric", "imperial"], description: "Temperature units" }
+        },
+        handler: (client, input) => client.weather.getCurrentWeather(input.city, { units: input.units })
+    },
+    {
+        method: "GET",
+        path: "/weather/forecast",
+        summary: "Current weather plus hourly and 7-day forecast for a city",
+        response: ref("Weather"),
+        params: {
+            city: { type: "string", required: true, minLength: 1, description: "City name" },
+            country: { type: "string", description: "ISO country code to disambiguate the city" },
+            units: { type: "string", enum: ["metric", "imperial"], description: "Temperature units" },
+            hourly: { type: "boolean", default: true, description: "Include the hourly forecast" },
+            daily: { type: "boolean", default: true, description: "Include the daily forecast" }
+        },
+        handler: (client, input) => client.weather.getWeatherByCity(input.city, {
+            country: input.country,
+            units: input.units,
+            includeHourly: input.hourly,
+            includeDaily: input.daily
+        })
+    },
+    {
+        method: "GET",
+        path: "/weather/geocode",
+        summary: "Coordinates of a city",
+        response: ref("Location"),
+        params: {
+            city: { type: "string", required: true, minLength: 1, description: "City name" },
+            country: { type: "string", description: "ISO country code" }
+        },
+        handler: async (client, input) => {
+            const location = await client.weather.geocodeCity(input.city, input.country || null);
+            if (!location) throw new NotFoundError(`City "${input.city}" not found`, { provider: "open-meteo" });
+            return location;
+        }
+    },
+
+    // Currency
+    {
+        method: "GET",
+        path: "/currency/convert",
+        summary: "Convert an amount between currencies",
+        response: ref("Conversion"),
+        params: {
+            amount: { type: "number", required: true, minimum: 0, exclusiveMinimum: true, description: "Amount to convert" },
+            from: { type: "string", required: true, pattern: "^[A-Za-z]{3}$", format: "3-letter currency code", description: "Source currency" },
+            to: { type: "string", required: true, pattern: "^[A-Za-z]{3}$", format: "3-letter currency code", description: "Target currency" }
+        },
+        handler: (client, input) => client.currency.convert(input.amount, input.from, input.to)
+    },
+    {
+        method: "GET",
+        path: "/currency/rate",
+        summary: "Exchange rate between two currencies",
+        response: { type: "number", description: "Units of the target currency per source unit" },
+        params: {
+            from: { type: "string", required: true, pattern: "^[A-Za-z]{3}$", format: "3-letter currency code", description: "Source currency" },
+            to: { type: "string", required: true, pattern: "^[A-Za-z]{3}$", format: "3-letter currency code", description: "Target currency" }
+        },
+        handler: (client, input) => client.currency.getRate(input.from, input.to)
+    },
+    {
+        method: "GET",
+        path: "/currency/rates",
+        summary: "All exchange rates for a base currency",
+        response: ref("ExchangeRates"),
+        params: {
+            base: { type: "string", required: true, pattern: "^[A-Za-z]{3}$", format: "3-letter currency code", description: "Base currency" }
+        },
+        handler: (client, input) => client.currency.getExchangeRates(input.base)
+    },
+
+    // Crypto
+    {
+        method: "GET",
+        path: "/crypto/prices",
+        summary: "Current prices of one or more coins",
+        response: ref("CoinPrices"),
+        params: {
+            ids: { type: "array", required: true, minItems: 1, maxItems: 50, items: { type: "string", minLength: 1 }, description: "CoinGecko coin ids (comma separated)" },
+            vs: vsCurrency,
+            change: { type: "boolean", default: true, description: "Include the 24h change" }
+        },
+        handler: (client, input) => client.crypto.getCurrentPrices(input.ids, input.vs, { include_24hr_change: input.change })
+    },
+    {
+        method: "GET",
+        path: "/crypto/markets",
+        summary: "Market data for one or more coins",
+        response: { type: "array", items: ref("CoinMarket") },
+        params: {
+            ids: { type: "array", required: true, minItems: 1, maxItems: 50, items: { type: "string", minLength: 1 }, description: "CoinGecko coin ids (comma separated)" },
+            vs: vsCurrency
+        },
+        handler: (client, input) => client.crypto.getMarketData(input.ids, input.vs)
+    },
+    {
+        method: "GET",
+        path: "/crypto/history",
+        summary: "Coin data on a given date",
+        response: ref("CoinHistory"),
+        params: {
+            id: { type: "string", required: true, minLength: 1, description: "CoinGecko coin id" },
+            date: { type: "string", required: true, pattern: "^\\d{2}-\\d{2}-\\d{4}$", format: "dd-mm-yyyy", description: "Date" },
+            vs: vsCurrency
+        },
+        handler: (client, input) => client.crypto.getHistoricalPriceByDate(input.id, input.date, input.vs)
+    },
+    {
+        method: "POST",
+        path: "/crypto/portfolio",
+        summary: "Value of a crypto portfolio",
+        response: ref("Portfolio"),
+        params: {
+            portfolio: {
+                type: "array",
+                required: true,
+                minItems: 1,
+                items: {
+                    type: "object",
+                    properties: {
+                        id: { type: "string", required: true, minLength: 1, description: "CoinGecko coin id" },
+                        amount: { type: "number", required: true, minimum: 0, description: "Units held" }
+                    }
+                },
+                description: "Holdings"
+            },
+            vs: vsCurrency
+        },
+        handler: (client, input) => client.crypto.calculatePortfolioValue(input.portfolio, input.vs)
+    },
+
+    // Routing
+    {
+        method: "GET",
+        path: "/route/distance",
+        summary: "Distance between two points",
+        response: ref("Distance"),
+        params: { from: point("Start point"), to: point("End point"), provider: routeProvider, profile: routeProfile },
+        handler: (client, input) => client.distance.calculateDistance(_point(input.from), _point(input.to), _routeOptions(input))
+    },
+    {
+        method: "GET",
+        path: "/route/time",
+        summary: "Estimated travel time between two points",
+        response: { type: "number", nullable: true, description: "Seconds, or null when the provider has no duration" },
+        params: { from: point("Start point"), to: point("End point"), provider: routeProvider, profile: routeProfile },
+        handler: (client, input) => client.distance.getEstimatedTime(_point(input.from), _point(input.to), _routeOptions(input))
+    },
+    {
+        method: "POST",
+        path: "/route/matrix",
+        summary: "Distance and duration matrix",
+        response: ref("DistanceMatrix"),
+        params: { points: { ...points, maxItems: 25 }, provider: routeProvider, profile: routeProfile },
+        handler: (client, input) => client.distance.getDistanceMatrix(input.points, _routeOptions(input))
+    },
+    {
+        method: "POST",
+        path: "/route/optimize",
+        summary: "Optimal visiting order for a set of points",
+        response: ref("OptimizedRoute"),
+        params: {
+            points: { ...points, maxItems: 25 },
+            provider: routeProvider,
+            profile: routeProfile,
+            roundtrip: { type: "boolean", description: "Return to the first point" }
+        },
+        handler: (client, input) => client.distance.optimizeRoute(input.points, _routeOptions(input))
+    },
+
+    // Dictionary
+    {
+        method: "GET",
+        path: "/dictionary/define",
+        summary: "Meanings of an English word",
+        response: ref("WordMeaning"),
+        params: { word: { type: "string", required: true, minLength: 1, maxLength: 100, description: "Word to look up" } },
+        handler: (client, input) => client.dictionary.getWordMeaning(input.word)
+    },
+
+    // Jokes
+    {
+        method: "GET",
+        path: "/jokes/random",
+        summary: "Random Chuck Norris jokes",
+        response: { type: "array", items: ref("Joke") },
+        params: {
+            count: { type: "integer", minimum: 1, maximum: 10, default: 1, description: "Number of jokes" },
+            safe: { type: "boolean", default: false, description: "Run the jokes through the content filter" }
+        },
+        handler: async (client, input) => batchResults(await client.chuckNorris.getRandomJokes(input.count, { safe: input.safe }))
+    },
+    {
+        method: "GET",
+        path: "/jokes/search",
+        summary: "Jokes containing a keyword, most relevant first",
+        response: { type: "array", items: ref("Joke") },
+        params: {
+            query: { type: "string", required: true, minLength: 3, maxLength: 120, description: "Search text" },
+            limit: { type: "integer", minimum: 1, description: "Most results to return" },
+            safe: { type: "boolean", default: false, description: "Run the jokes through the content filter" }
+        },
+        handler: (client, input) => client.chuckNorris.searchJokes(input.query, { limit: input.limit, safe: input.safe })
+    },
+    {
+        method: "GET",
+        path: "/jokes/categories",
+        summary: "Joke categories",
+        response: { type: "array", items: { type: "string" } },
+        params: { safe: { type: "boolean", default: false, description: "Leave out the categories the content filter denies" } },
+        handler: (client, input) => client.chuckNorris.getCategories({ safe: input.safe })
+    },
+    {
+        method: "GET",
+        path: "/jokes/category",
+        summary: "Random joke from a category",
+        response: ref("Joke"),
+        params: {
+            category: { type: "string", required: true, minLength: 1, description: "Category name" },
+            safe: { type: "boolean", default: false, description: "Run the jokes through the content filter" }
+        },
+        handler: (client, input) => client.chuckNorris.getJokeByCategory(input.category, { safe: input.safe })
+    },
+    {
+        method: "GET",
+        path: "/jokes/by-id",
+        summary: "Joke by id",
+        response: ref("Joke"),
+        params: {
+            id: { type: "string", required: true, minLength: 1, description: "Joke id" },
+            safe: { type: "boolean", default: false, description: "Run the jokes through the content filter" }
+        },
+        handler: (client, input) => client.chuckNorris.getJokeById(input.id, { safe: input.safe })
+    },
+
+    // Jokes from every source
+    {
+        method: "GET",
+        path: "/multi-jokes/random",
+        summary: "Random joke from the first source that answers",
+        response: ref("MultiSourceJoke"),
+        params: {
+            category: { type: "string", minLength: 1, description: "Category name" },
+            provider: jokeSources,
+            safe: { type: "boolean", default: false, description: "Run the jokes through the content filter" }
+        },
+        handler: (client, input) => client.jokes.getRandom({ category: input.category, provider: input.provider, safe: input.safe })
+    },
+    {
+        method: "GET",
+        path: "/multi-jokes/search",
+        summary: "Jokes containing a keyword",
+        response: { type: "array", items: ref("MultiSourceJoke") },
+        params: {
+            query: { type: "string", required: true, minLength: 1, maxLength: 120, description: "Search text" },
+            limit: { type: "integer", minimum: 1, description: "Most results to return" },
+            provider: jokeSources,
+            safe: { type: "boolean", default: false, description: "Run the jokes through the content filter" }
+        },
+        handler: (client, input) => client.jokes.search(input.query, { limit: input.limit, provider: input.provider, safe: input.safe })
+    },
+    {
+        method: "GET",
+        path: "/multi-jokes/categories",
+        summary: "Joke categories of the first source that answers",
+        response: { type: "array", items: { type: "string" } },
+        params: {
+            provider: jokeSources,
+            safe: { type: "boolean", default: false, description: "Leave out the categories the content filter denies" }
+        },
+        handler: (client, input) => client.jokes.categories({ provider: input.provider, safe: input.safe })
+    },
+    {
+        method: "GET",
+        path: "/multi-jokes/by-id",
+        summary: "Joke by id",
+        response: ref("MultiSourceJoke"),
+        params: {
+            id: { type: "string", required: true, minLength: 1, description: "Joke id at its source" },
+            provider: jokeSources,
+            safe: { type: "boolean", default: false, description: "Run the jokes through the content filter" }
+        },
+        handler: (client, input) => client.jokes.getById(input.id, { provider: input.provider, safe: input.safe })
+    },
+
+    // Colour palette
+    {
+        method: "GET",
+        path: "/palette/generate",
+        summary: "Five-colour palette",
+        response: { type: "array", items: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" }, description: "Hex colours" },
+        errors: ["INVALID_INPUT"],
+        params: { theme: { type: "string", enum: ["pastel", "vibrant", "dark", "neon", "random"], default: "random", description: "Palette theme" } },
+        handler: (client, input) => client.colorPalette.generatePalette(input.theme)
+    },
+
+    // Email
+    {
+        method: "GET",
+        path: "/email/check",
+        summary: "Detailed validation of one email address",
+        response: ref("EmailValidation"),
+        errors: ["INVALID_INPUT"],
+        params: { email: { type: "string", required: true, maxLength: 320, description: "Email address" } },
+        handler: (client, input) => client.email.validateEmail(input.email)
+    },
+    {
+        method: "POST",
+        path: "/email/validate",
+        summary: "Validate a list of email addresses",
+        response: ref("EmailBatch"),
+        errors: ["INVALID_INPUT"],
+        params: { emails: { type: "array", required: true, maxItems: 1000, items: { type: "string", maxLength: 320 }, description: "Email addresses" } },
+        handler: (client, input) => client.email.validateMultipleEmails(input.emails)
+    },
+
+    // IP geolocation
+    {
+        method: "GET",
+        path: "/ip/locate",
+        summary: "Location of an IP address",
+        response: ref("IpLocation"),
+        params: { ip: { type: "string", required: true, minLength: 2, maxLength: 45, description: "IPv4 or IPv6 address" } },
+        handler: (client, input) => client.ipGeolocation.getLocation(input.ip)
+    },
+
+    // Translation
+    {
+        method: "POST",
+        path: "/translate/text",
+        summary: "Translate text",
+        response: ref("Translation"),
+        params: {
+            text: { ...text, description: "Text to translate" },
+            source: { type: "string", default: "auto", description: "Source language code" },
+            target: { type: "string", required: true, minLength: 2, description: "Target language code" }
+        },
+        handler: (client, input) => client.translation.translateText(input.text, input.source, input.target)
+    },
+    {
+        method: "POST",
+        path: "/translate/detect",
+        summary: "Detect the language of a text",
+        response: { type: "array", items: ref("DetectedLanguage") },
+        params: { text },
+        handler: (client, input) => client.translation.detectLanguage(input.text)
+    },
+    {
+        method: "GET",
+        path: "/translate/languages",
+        summary: "Supported languages",
+        response: { type: "array", items: ref("Language") },
+        params: {},
+        handler: client => client.translation.getSupportedLanguages()
+    },
+
+    // Movies
+    {
+        method: "GET",
+        path: "/movies/search",
+        summary: "Search movies and shows by title (OMDB key held by the server)",
+        response: ref("MovieSearch"),
+        params: {
+            title: { type: "string", required: true, minLength: 1, maxLength: 200, description: "Title to search" },
+            type: { type: "string", enum: ["movie", "series", "episode"], description: "Result type" },
+            year: { type: "integer", minimum: 1870, maximum: 2100, description: "Release year" },
+            page: { type: "integer", minimum: 1, maximum: 100, default: 1, description: "Result page" }
+        },
+        handler: (client, input) => client.movies.search(input.title, { type: input.type, year: input.year, page: input.page })
+    },
+    {
+        method: "GET",
+        path: "/movies/details",
+        summary: "Full details of a title",
+        response: ref("MovieDetails"),
+        params: { id: { type: "string", required: true, pattern: "^tt\\d+$", format: "IMDb id (tt...)", description: "IMDb id" } },
+        handler: (client, input) => client.movies.getDetails(input.id)
+    },
+
+    // News
+    {
+        method: "GET",
+        path: "/news/headlines",
+        summary: "Top headlines (NewsAPI key held by the server)",
+        response: ref("NewsResults"),
+        params: {
+            country: { type: "string", default: "us", pattern: "^[A-Za-z]{2}$", format: "2-letter country code", description: "Country" },
+            category: { type: "string", enum: ["business", "entertainment", "general", "health", "science", "sports", "technology"], description: "Category" },
+            page: { type: "integer", minimum: 1, default: 1, description: "Result page" },
+            pageSize: { type: "integer", minimum: 1, maximum: 100, default: 20, description: "Results per page" }
+        },
+        handler: (client, input) => client.news.getTopHeadlines(input.country, { category: input.category, page: input.page, pageSize: input.pageSize })
+    },
+    {
+        method: "GET",
+        path: "/news/search",
+        summary: "Search news articles",
+        response: ref("NewsResults"),
+        params: {
+            query: { type: "string", required: true, minLength: 1, maxLength: 500, description: "Search query" },
+            sortBy: { type: "string", enum: ["relevancy", "popularity", "publishedAt"], default: "publishedAt", description: "Sort order" },
+            language: { type: "string", default: "en", description: "Language code" },
+            page: { type: "integer", minimum: 1, default: 1, description: "Result page" },
+            pageSize: { type: "integer", minimum: 1, maximum: 100, default: 20, description: "Results per page" }
+        },
+        handler: (client, input) => client.news.searchNews(input.query, {
+            sortBy: input.sortBy,
+            language: input.language,
+            page: input.page,
+            pageSize: input.pageSize
+        })
+    },
+
+    // PDF (built-in templates only; caller data is escaped)
+    {
+        method: "POST",
+        path: "/pdf/invoice",
+        summary: "Invoice PDF",
+        response: { type: "string", format: "binary" },
+        errors: ["INVALID_INPUT", "DEPENDENCY_MISSING"],
+        produces: "application/pdf",
+        params: {
+            invoiceNumber: { type: "string", required: true, maxLength: 100, description: "Invoice number" },
+            date: { type: "string", required: true, maxLength: 50, description: "Invoice date" },
+            currency: { type: "string", default: "USD", pattern: "^[A-Za-z]{3}$", format: "3-letter currency code", description: "Currency" },
+            billTo: {
+                type: "object",
+                required: true,
+                properties: {
+                    name: { type: "string", required: true, maxLength: 200, description: "Customer name" },
+                    address: { type: "string", maxLength: 500, description: "Customer address" }
+                },
+                description: "Customer"
+            },
+            items: {
+                type: "array",
+                required: true,
+                minItems: 1,
+                maxItems: 200,
+                items: {
+                    type: "object",
+                    properties: {
+                        desc: { type: "string", required: true, maxLength: 500, description: "Description" },
+                        qty: { type: "number", minimum: 0, default: 1, description: "Quantity" },
+                        unitPrice: { type: "number", minimum: 0, required: true, description: "Unit price" }
+                    }
+                },
+                description: "Line items"
+            },
+            notes: { type: "string", maxLength: 2000, description: "Notes" }
+        },
+        // items[].desc is escaped by the invoice template itself
+        handler: (client, input) => client.pdf.generateInvoice({
+            ..._escapeFields(input),
+            billTo: _escapeFields(input.billTo),
+            items: input.items
+        })
+    },
+    {
+        method: "POST",
+        path: "/pdf/report",
+        summary: "Report PDF",
+        response: { type: "string", format: "binary" },
+        errors: ["INVALID_INPUT", "DEPENDENCY_MISSING"],
+        produces: "application/pdf",
+        params: {
+            title: { type: "string", required: true, maxLength: 200, description: "Report title" },
+            summary: { type: "string", maxLength: 2000, description: "Summary" },
+            content: { type: "string", maxLength: 50000, description: "Body text" }
+        },
+        handler: (client, input) => client.pdf.generateReport(_escapeFields(input))
+    },
+    {
+        method: "POST",
+        path: "/pdf/certificate",
+        summary: "Certificate PDF",
+        response: { type: "string", format: "binary" },
+        errors: ["INVALID_INPUT", "DEPENDENCY_MISSING"],
+        produces: "application/pdf",
+        params: {
+            recipientName: { type: "string", required: true, maxLength: 200, description: "Recipient" },
+            courseName: { type: "string", required: true, maxLength: 200, description: "Course" },
+            date: { type: "string", required: true, maxLength: 50, description: "Date" }
+        },
+        handler: (client, input) => client.pdf.generateCertificate(_escapeFields(input))
+    },
+
+    // QR codes
+    {
+        method: "GET",
+        path: "/qr/generate",
+        summary: "QR code image URL",
+        response: ref("QRCode"),
+        params: {
+            data: { type: "string", required: true, minLength: 1, maxLength: 2000, description: "Text or URL to encode" },
+            size: { type: "integer", minimum: 50, maximum: 1000, default: 200, description: "Size in pixels" },
+            format: { type: "string", enum: ["png", "svg", "jpg", "gif", "eps"], default: "png", description: "Image format" },
+            ecc: { type: "string", enum: ["L", "M", "Q", "H"], default: "M", description: "Error correction level" }
+        },
+        handler: async (client, input) => ({
+            url: await client.qrCode.generateQRCode(input.data, { size: input.size, format: input.format, errorCorrection: input.ecc })
+        })
+    },
+
+    // Quotes
+    {
+        method: "GET",
+        path: "/quotes/random",
+        summary: "Random quote",
+        response: ref("Quote"),
+        errors: ["NOT_FOUND"],
+        params: { safe: { type: "boolean", default: false, description: "Pick only from the quotes the content filter passes" } },
+        handler: (client, input) => client.quotes.getRandomQuote({ safe: input.safe })
+    },
+    {
+        method: "GET",
+        path: "/quotes/search",
+        summary: "Quotes matching a keyword or author",
+        response: { type: "array", items: ref("Quote") },
+        errors: ["INVALID_INPUT"],
+        params: {
+            keyword: { type: "string", required: true, minLength: 1, description: "Keyword" },
+            safe: { type: "boolean", default: false, description: "Run the quotes through the content filter" }
+        },
+        handler: (client, input) => client.quotes.searchQuotes(input.keyword, { safe: input.safe })
+    },
+
+    // Random users
+    {
+        method: "GET",
+        path: "/users/random",
+        summary: "Random user profiles",
+        response: ref("RandomUsers"),
+        params: {
+            count: { type: "integer", minimum: 1, maximum: 5000, default: 1, description: "Number of users" },
+            gender: { type: "string", enum: ["all", "male", "female"], default: "all", description: "Gender filter" },
+            nat: { type: "string", description: "Nationality codes, e.g. US,GB" },
+            seed: { type: "string", description: "Same seed, same users" },
+            page: { type: "integer", minimum: 1, description: "Page of a seeded dataset" },
+            inc: { type: "string", description: "Fields to include, e.g. name,email" },
+            exc: { type: "string", description: "Fields to exclude, e.g. login,id" },
+            normalize: { type: "boolean", default: false, description: "Flat, typed profiles instead of raw users" }
+        },
+        handler: (client, input) => client.randomUser.getRandomUser(input.count, input.gender, input.nat || null, {
+            seed: input.seed,
+            page: input.page,
+            inc: input.inc,
+            exc: input.exc,
+            normalize: input.normalize
+        })
+    },
+    {
+        method: "GET",
+        path: "/users/generate",
+        summary: "Fake user profiles generated locally, in the randomuser.me format",
+        response: ref("RandomUsers"),
+        params: {
+            count: { type: "integer", minimum: 1, maximum: 5000, default: 1, description: "Number of users" },
+            gender: { type: "string", enum: ["all", "male", "female"], default: "all", description: "Gender filter" },
+            nat: { type: "string", description: "Nationality codes, e.g. US,GB" },
+            seed: { type: "string", description: "Same seed, same users" },
+            page: { type: "integer", minimum: 1, description: "Page of a seeded dataset" },
+            inc: { type: "string", description: "Fields to include, e.g. name,email" },
+            exc: { type: "string", description: "Fields to exclude, e.g. login,id" },
+            normalize: { type: "boolean", default: false, description: "Flat, typed profiles instead of raw users" }
+        },
+        handler: (client, input) => client.randomUser.generateRandomUser(input.count, input.gender, input.nat || null, {
+            seed: input.seed,
+            page: input.page,
+            inc: input.inc,
+            exc: input.exc,
+            normalize: input.normalize
+        })
+    },
+
+    // Sentiment
+    {
+        method: "POST",
+        path: "/sentiment/analyze",
+        summary: "Sentiment score of a text",
+        response: ref("Sentiment"),
+        params: { text },
+        handler: (client, input) => client.sentiment.analyzeSentiment(input.text)
+    },
+    {
+        method: "POST",
+        path: "/sentiment/emotions",
+        summary: "Emotion scores of a text",
+        response: ref("Emotions"),
+        params: { text },
+        handler: (client, input) => client.sentiment.analyzeEmotions(input.text)
+    },
+    {
+        method: "POST",
+        path: "/sentiment/keywords",
+        summary: "Keywords of a text",
+        response: { type: "array", items: ref("Keyword") },
+        errors: ["INVALID_INPUT"],
+        params: { text },
+        handler: (client, input) => client.sentiment.extractKeywords(input.text)
+    },
+
+    // Stocks
+    {
+        method: "GET",
+        path: "/stocks/quote",
+        summary: "Latest stock quote (Finnhub key held by the server)",
+        response: ref("StockQuote"),
+        params: { symbol: { type: "string", required: true, pattern: "^[A-Za-z0-9.\\-]{1,10}$", format: "ticker", description: "Ticker symbol" } },
+        handler: (client, input) => client.stocks.getStockQuote(input.symbol)
+    },
+    {
+        method: "GET",
+        path: "/stocks/profile",
+        summary: "Company profile",
+        response: ref("CompanyProfile"),
+        params: { symbol: { type: "string", required: true, pattern: "^[A-Za-z0-9.\\-]{1,10}$", format: "ticker", description: "Ticker symbol" } },
+        handler: (client, input) => client.stocks.getCompanyProfile(input.symbol)
+    },
+
+    // URLs
+    {
+        method: "POST",
+        path: "/url/shorten",
+        summary: "Shorten a URL",
+        response: ref("ShortUrl"),
+        params: { url: { type: "string", required: true, maxLength: 2000, description: "URL to shorten" } },
+        handler: (client, input) => client.urlShortener.shortenURL(input.url)
+    },
+    {
+        method: "GET",
+        path: "/url/info",
+        summary: "Parts of a URL",
+        response: ref("UrlInfo"),
+        errors: ["INVALID_INPUT"],
+        params: { url: { type: "string", required: true, maxLength: 2000, description: "URL to inspect" } },
+        handler: async (client, input) => client.urlShortener.getURLInfo(input.url)
+    }
+];
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        ROUTES
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsRoutes = {
+        ROUTES
+    };
+}
@@ -0,0 +1,528 @@
+/**
+ * Gateway response schemas
+ * Shapes returned by the module functions behind each route, shared by the
+ * route table and the generated OpenAPI document (components.schemas).
+ * Loads in the browser too, as UsefulAPIsGatewaySchemas.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+/**
+ * Reference to a schema in this file
+ * @param {string} name - Key of SCHEMAS
+ * @returns {Object} { $ref }
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+const string = description => ({ type: "string", description });
+const number = description => ({ type: "number", description });
+const nullable = schema => ({ ...schema, nullable: true });
+const timestamp = { type: "string", format: "date-time", description: "When the response was built" };
+
+const SCHEMAS = {
+    Error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+            error: {
+                type: "object",
+                required: ["name", "code", "message"],
+                properties: {
+                    name: string("Error class, e.g. ValidationError"),
+                    code: { type: "string", description: "Stable error code", example: "INVALID_INPUT" },
+                    message: string("Human-readable message"),
+                    status: nullable({ type: "integer", description: "Upstream or gateway HTTP status" }),
+                    provider: nullable(string("Upstream provider, e.g. omdb")),
+                    retryable: { type: "boolean", description: "Whether retrying may succeed" },
+                    field: string("Offending parameter (INVALID_INPUT) or upstream field (INVALID_RESPONSE)")
+                }
+            }
+        }
+    },
+
+    // Weather
+    Location: {
+        type: "object",
+        properties: {
+            name: string("City name"),
+            country: string("Country"),
+            admin1: nullable(string("Region")),
+            latitude: number("Latitude"),
+            longitude: number("Longitude")
+        }
+    },
+    Weather: {
+        type: "object",
+        properties: {
+            location: ref("Location"),
+            timezone: string("IANA timezone"),
+            units: { type: "string", enum: ["metric", "imperial"] },
+            current: nullable({ type: "object", additionalProperties: true, description: "Open-Meteo current block (temperature_2m, weather_code, ...)" }),
+            hourly: nullable({ type: "object", additionalProperties: true, description: "Open-Meteo hourly arrays" }),
+            daily: nullable({ type: "object", additionalProperties: true, description: "Open-Meteo daily arrays" }),
+            timestamp
+        }
+    },
+
+    // Currency
+    Conversion: {
+        type: "object",
+        properties: {
+            amount: number("Amount converted"),
+            fromCurrency: string("Source currency"),
+            toCurrency: string("Target currency"),
+            rate: number("Exchange rate"),
+            convertedAmount: number("Converted amount, rounded to 2 decimals"),
+            timestamp
+        }
+    },
+    ExchangeRates: {
+        type: "object",
+        properties: {
+            base: string("Base currency"),
+            date: string("Rate date (YYYY-MM-DD)"),
+            rates: { type: "object", additionalProperties: { type: "number" }, description: "Currency code => rate" },
+            supportedCurrencies: { type: "array", items: { type: "string" } }
+        }
+    },
+
+    // Crypto
+    CoinPrices: {
+        type: "object",
+        description: "Coin id => { <vs>: price, <vs>_24h_change }",
+        additionalProperties: { type: "object", additionalProperties: { type: "number" } }
+    },
+    CoinMarket: {
+        type: "object",
+        additionalProperties: true,
+        properties: {
+            id: string("Coin id"),
+            symbol: string("Ticker"),
+            name: string("Name"),
+            current_price: number("Price"),
+            market_cap: number("Market capitalisation"),
+            total_volume: number("24h volume"),
+            price_change_percentage_24h: nullable(number("24h change in percent")),
+            last_updated: string("Last update (ISO 8601)")
+        }
+    },
+    CoinHistory: {
+        type: "object",
+        additionalProperties: true,
+        properties: {
+            id: string("Coin id"),
+            symbol: string("Ticker"),
+            name: string("Name"),
+            market_data: { type: "object", additionalProperties: true, description: "current_price, market_cap and total_volume per currency" }
+        }
+    },
+    Portfolio: {
+        type: "object",
+        properties: {
+            totalValue: number("Total value"),
+            breakdown: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        id: string("Coin id"),
+                        amount: number("Units held"),
+                        price: number("Unit price"),
+                        value: number("Holding value")
+                    }
+                }
+            }
+        }
+    },
+
+    // Routing
+    Distance: {
+        type: "object",
+        properties: {
+            distance: number("Distance in meters"),
+            duration: number("Duration in seconds (when the provider returns it)"),
+            unit: { type: "string", enum: ["meters"] }
+        }
+    },
+    DistanceMatrix: {
+        type: "object",
+        properties: {
+            distances: nullable({ type: "array", items: { type: "array", items: nullable({ type: "number" }) }, description: "Meters, [from][to]" }),
+            durations: nullable({ type: "array", items: { type: "array", items: nullable({ type: "number" }) }, description: "Seconds, [from][to]" }),
+            unit: { type: "string", enum: ["meters"] }
+        }
+    },
+    OptimizedRoute: {
+        type: "object",
+        properties: {
+            waypoints: {
+                type: "array",
+                items: { type: "object", properties: { lat: number("Latitude"), lng: number("Longitude") } }
+            },
+            waypointsOrder: nullable({ type: "array", items: { type: "integer" }, description: "Visiting order as input indexes" }),
+            distance: nullable(number("Total meters")),
+            duration: nullable(number("Total seconds")),
+            provider: { type: "string", enum: ["google", "osrm", "naive-haversine"] }
+        }
+    },
+
+    // Dictionary
+    WordMeaning: {
+        type: "object",
+        properties: {
+            word: string("Word"),
+            phonetic: string("Phonetic spelling or N/A"),
+            meanings: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        partOfSpeech: string("Part of speech"),
+                        definition: string("First definition"),
+                        example: string("Example sentence")
+                    }
+                }
+            }
+        }
+    },
+
+    // Jokes
+    Joke: {
+        type: "object",
+        properties: {
+            id: string("Joke id"),
+            value: string("Joke text"),
+            categories: { type: "array", items: { type: "string" } },
+            url: string("Permalink"),
+            icon_url: string("Icon"),
+            created_at: string("Creation date"),
+            updated_at: string("Update date")
+        }
+    },
+    MultiSourceJoke: {
+        type: "object",
+        properties: {
+            id: string("Joke id at its source"),
+            text: string("Joke text; setup and punchline on two lines"),
+            categories: { type: "array", items: { type: "string" } },
+            source: string("Source that answered, e.g. jokeapi")
+        }
+    },
+
+    // Email
+    EmailValidation: {
+        type: "object",
+        properties: {
+            email: string("Trimmed address"),
+            isValid: { type: "boolean" },
+            issues: { type: "array", items: { type: "string" }, description: "Reasons the address is invalid" },
+            warnings: { type: "array", items: { type: "string" } },
+            localPart: string("Part before @ (valid addresses only)"),
+            domain: string("Part after @ (valid addresses only)")
+        }
+    },
+    EmailBatch: {
+        type: "object",
+        properties: {
+            total: { type: "integer" },
+            valid: { type: "integer" },
+            invalid: { type: "integer" },
+            results: {
+                type: "array",
+                items: { type: "object", properties: { email: string("Address"), isValid: { type: "boolean" } } }
+            }
+        }
+    },
+
+    // IP geolocation
+    IpLocation: {
+        type: "object",
+        properties: {
+            ip: string("IP address"),
+            country: string("Country"),
+            countryCode: string("ISO country code"),
+            city: string("City"),
+            state: string("Region"),
+            postal: string("Postal code"),
+            latitude: number("Latitude"),
+            longitude: number("Longitude"),
+            timezone: string("IANA timezone"),
+            isp: string("ISP"),
+            org: string("Organisation"),
+            continent: string("Continent"),
+            timestamp
+        }
+    },
+
+    // Translation
+    DetectedLanguage: {
+        type: "object",
+        properties: {
+            language: string("Language code"),
+            confidence: number("Confidence (0-100)")
+        }
+    },
+    Translation: {
+        type: "object",
+        properties: {
+            translatedText: string("Translated text"),
+            detectedLanguage: ref("DetectedLanguage")
+        }
+    },
+    Language: {
+        type: "object",
+        properties: {
+            code: string("Language code"),
+            name: string("Language name"),
+            targets: { type: "array", items: { type: "string" } }
+        }
+    },
+
+    // Movies
+    MovieSearch: {
+        type: "object",
+        properties: {
+            totalResults: { type: "integer" },
+            results: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        title: string("Title"),
+                        year: string("Year or range"),
+                        imdbId: string("IMDb id"),
+                        type: string("movie, series or episode"),
+                        poster: string("Poster URL or N/A")
+                    }
+                }
+            }
+        }
+    },
+    MovieDetails: {
+        type: "object",
+        properties: {
+            title: string("Title"),
+            year: string("Year"),
+            rated: string("Rating"),
+            released: string("Release date"),
+            runtime: string("Runtime"),
+            genre: string("Genres"),
+            director: string("Director"),
+            writer: string("Writers"),
+            actors: string("Actors"),
+            plot: string("Plot"),
+            language: string("Languages"),
+            country: string("Countries"),
+            awards: string("Awards"),
+            poster: string("Poster URL"),
+            ratings: {
+                type: "array",
+                items: { type: "object", properties: { Source: string("Rating source"), Value: string("Rating") } }
+            },
+            imdbRating: string("IMDb rating"),
+            imdbVotes: string("IMDb votes"),
+            type: string("movie, series or episode"),
+            totalSeasons: string("Seasons (series only)")
+        }
+    },
+
+    // News
+    NewsResults: {
+        type: "object",
+        properties: {
+            status: string("ok"),
+            totalResults: { type: "integer" },
+            articles: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        source: string("Source name"),
+                        author: nullable(string("Author")),
+                        title: string("Title"),
+                        description: nullable(string("Description")),
+                        url: string("Article URL"),
+                        image: nullable(string("Image URL")),
+                        published: string("Publication date (ISO 8601)"),
+                        content: nullable(string("Truncated content"))
+                    }
+                }
+            }
+        }
+    },
+
+    // QR codes
+    QRCode: {
+        type: "object",
+        properties: { url: string("QR code image URL") }
+    },
+
+    // Quotes
+    Quote: {
+        type: "object",
+        properties: { text: string("Quote"), author: string("Author") }
+    },
+
+    // Random users
+    RandomUsers: {
+        type: "object",
+        properties: {
+            results: {
+                type: "array",
+                description: "Raw users, or UserProfile objects with normalize=true",
+                items: {
+                    type: "object",
+                    additionalProperties: true,
+                    properties: {
+                        gender: string("male or female"),
+                        name: { type: "object", properties: { title: string("Title"), first: string("First name"), last: string("Last name") } },
+                        location: { type: "object", additionalProperties: true },
+                        email: string("Email"),
+                        login: { type: "object", additionalProperties: true },
+                        dob: { type: "object", properties: { date: string("Birth date"), age: { type: "integer" } } },
+                        phone: string("Phone"),
+                        cell: string("Mobile"),
+                        picture: { type: "object", properties: { large: string("URL"), medium: string("URL"), thumbnail: string("URL") } },
+                        nat: string("Nationality")
+                    }
+                }
+            },
+            info: {
+                type: "object",
+                properties: { seed: string("Seed"), results: { type: "integer" }, page: { type: "integer" }, version: string("API version") }
+            }
+        }
+    },
+    UserProfile: {
+        type: "object",
+        description: "Normalized user; fields left out with inc/exc are null",
+        properties: {
+            id: nullable(string("UUID")),
+            gender: nullable(string("male or female")),
+            title: nullable(string("Title")),
+            firstName: nullable(string("First name")),
+            lastName: nullable(string("Last name")),
+            fullName: nullable(string("First and last name")),
+            email: nullable(string("Email")),
+            username: nullable(string("Username")),
+            birthDate: nullable({ type: "string", format: "date" }),
+            age: nullable({ type: "integer" }),
+            registeredAt: nullable({ type: "string", format: "date-time" }),
+            phone: nullable(string("E.164 phone number")),
+            cell: nullable(string("E.164 mobile number")),
+            address: nullable({
+                type: "object",
+                properties: {
+                    street: nullable(string("Number and street")),
+                    streetNumber: nullable({ type: "integer" }),
+                    streetName: nullable(string("Street")),
+                    city: nullable(string("City")),
+                    state: nullable(string("State or region")),
+                    postcode: nullable(string("Postcode")),
+                    country: nullable(string("Country")),
+                    countryCode: nullable(string("ISO 3166-1 alpha-2 code")),
+                    latitude: nullable(number("Latitude")),
+                    longitude: nullable(number("Longitude")),
+                    timezoneOffset: nullable(string("UTC offset, e.g. +1:00"))
+                }
+            }),
+            avatar: nullable({ type: "object", properties: { large: string("URL"), medium: string("URL"), thumbnail: string("URL") } }),
+            nationalId: nullable({ type: "object", properties: { type: string("ID type, e.g. SSN"), value: string("ID") } }),
+            nationality: nullable(string("Nationality"))
+        }
+    },
+
+    // Sentiment
+    Sentiment: {
+        type: "object",
+        properties: {
+            provider: { type: "string", enum: ["local", "hf"] },
+            label: string("positive, negative or neutral (or the model label)"),
+            score: number("AFINN score (local) or model confidence (hf)"),
+            comparative: number("Score per token (local only)"),
+            positive: { type: "array", items: { type: "string" }, description: "Positive words (local only)" },
+            negative: { type: "array", items: { type: "string" }, description: "Negative words (local only)" },
+            raw: { description: "Model output (hf only)" }
+        }
+    },
+    Emotions: {
+        type: "object",
+        properties: {
+            provider: { type: "string", enum: ["local", "hf"] },
+            counts: { type: "object", additionalProperties: { type: "integer" }, description: "Emotion => matching words (local only)" },
+            dominantEmotion: nullable(string("Most frequent emotion (local only)")),
+            raw: { description: "Model output (hf only)" }
+        }
+    },
+    Keyword: {
+        type: "object",
+        properties: { keyword: string("Keyword"), count: { type: "integer" } }
+    },
+
+    // Stocks
+    StockQuote: {
+        type: "object",
+        properties: {
+            symbol: string("Ticker"),
+            current: number("Current price"),
+            high: number("Day high"),
+            low: number("Day low"),
+            open: number("Open"),
+            previousClose: number("Previous close"),
+            change: string("Change, 2 decimals"),
+            changePercent: string("Change in percent, 2 decimals"),
+            timestamp
+        }
+    },
+    CompanyProfile: {
+        type: "object",
+        properties: {
+            symbol: string("Ticker"),
+            name: string("Company name"),
+            industry: string("Industry"),
+            country: string("Country"),
+            website: string("Website"),
+            description: string("Description"),
+            ipo: string("IPO date"),
+            marketCap: number("Market capitalisation (millions)"),
+            employees: number("Employees")
+        }
+    },
+
+    // URLs
+    ShortUrl: {
+        type: "object",
+        properties: { originalUrl: string("Original URL"), shortUrl: string("Short URL"), timestamp }
+    },
+    UrlInfo: {
+        type: "object",
+        properties: {
+            original: string("URL"),
+            length: { type: "integer" },
+            protocol: string("Protocol without :"),
+            hostname: string("Host name"),
+            pathname: string("Path"),
+            search: string("Query string"),
+            hash: string("Fragment"),
+            needsShortening: { type: "boolean", description: "Longer than 50 characters" }
+        }
+    }
+};
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        SCHEMAS,
+        ref
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsGatewaySchemas = {
+        SCHEMAS,
+        ref
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * Gateway input validation
+ * Checks request parameters against the JSON-Schema subset used by the route
+ * table (type, enum, minimum, maximum, exclusiveMinimum, minLength, maxLength,
+ * pattern, minItems, maxItems, items, properties, required) and coerces query
+ * strings to their types. Loads in the browser too, as UsefulAPIsValidate, so
+ * forms built from the route table are checked the same way.
+ *
+ * @author Useful-APIs Contributors
+ * @version 1.0.0
+ */
+
+const { ValidationError } = typeof require === "function"
+    ? require("../apis/core/errors.js")
+    : window.UsefulAPIsErrors;
+
+function _fail(field, message) {
+    return new ValidationError(`${field} ${message}`, { details: { field } });
+}
+
+// Query values always arrive as strings; convert them before validating
+function _coerce(value, schema) {
+    if (typeof value !== "string") return value;
+
+    switch (schema.type) {
+        case "number":
+        case "integer":
+            return value.trim() === "" ? value : Number(value);
+        case "boolean":
+            if (value === "true" || value === "1" || value === "") return true;
+            if (value === "false" || value === "0") return false;
+            return value;
+        case "array":
+            return value.split(",").map(item => _coerce(item.trim(), schema.items || {}));
+        default:
+            return value;
+    }
+}
+
+/**
+ * Validates (and, for query strings, coerces) one value
+ * @param {*} value - Raw value
+ * @param {Object} schema - Parameter schema
+ * @param {string} field - Field name used in error messages (e.g. "points[2]")
+ * @param {boolean} fromQuery - Whether the value came from the query string
+ * @returns {*} The validated value
+ */
+function validateValue(value, schema, field, fromQuery = false) {
+    const input = fromQuery ? _coerce(value, schema) : value;
+
+    switch (schema.type) {
+        case "string":
+            if (typeof input !== "string") throw _fail(field, "must be a string");
+            if (schema.minLength !== undefined && input.length < schema.minLength) {
+                throw _fail(field, schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && input.length > schema.maxLength) {
+                throw _fail(field, `must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(input)) {
+                throw _fail(field, `must match ${schema.format || schema.pattern}`);
+            }
+            break;
+        case "number":
+        case "integer":
+            if (typeof input !== "number" || Number.isNaN(input)) throw _fail(field, "must be a number");
+            if (schema.type === "integer" && !Number.isInteger(input)) throw _fail(field, "must be an integer");
+            if (schema.minimum !== undefined && schema.exclusiveMinimum && input <= schema.minimum) throw _fail(field, `must be > ${schema.minimum}`);
+            if (schema.minimum !== undefined && input < schema.minimum) throw _fail(field, `must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && input > schema.maximum) throw _fail(field, `must be <= ${schema.maximum}`);
+            break;
+        case "boolean":
+            if (typeof input !== "boolean") throw _fail(field, "must be true or false");
+            break;
+        case "array":
+            if (!Array.isArray(input)) throw _fail(field, "must be an array");
+            if (schema.minItems !== undefined && input.length < schema.minItems) throw _fail(field, `must have at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && input.length > schema.maxItems) throw _fail(field, `must have at most ${schema.maxItems} items`);
+            if (schema.items) {
+                return input.map((item, index) => validateValue(item, schema.items, `${field}[${index}]`, false));
+            }
+            break;
+        case "object":
+            if (!input || typeof input !== "object" || Array.isArray(input)) throw _fail(field, "must be an object");
+            if (schema.properties) return validateParams(input, schema.properties, false, `${field}.`);
+            break;
+        default:
+            break;
+    }
+
+    if (schema.enum && !schema.enum.includes(input)) {
+        throw _fail(field, `must be one of: ${schema.enum.join(", ")}`);
+    }
+    return input;
+}
+
+/**
+ * Validates a set of parameters. Unknown parameters are dropped.
+ * @param {Object} source - Query or body object
+ * @param {Object} params - { [name]: schema } where schema.required marks mandatory parameters
+ * @param {boolean} fromQuery - Whether values came from the query string
+ * @param {string} prefix - Field name prefix for nested objects
+ * @returns {Object} Validated parameters (defaults applied)
+ */
+function validateParams(source, params = {}, fromQuery = false, prefix = "") {
+    const values = {};
+    for (const [name, schema] of Object.entries(params)) {
+        const raw = source ? source[name] : undefined;
+        if (raw === undefined || raw === null || (fromQuery && raw === "" && schema.type !== "boolean")) {
+            if (schema.required) throw _fail(`${prefix}${name}`, "is required");
+            if (schema.default !== undefined) values[name] = schema.default;
+            continue;
+        }
+        values[name] = validateValue(raw, schema, `${prefix}${name}`, fromQuery);
+    }
+    return values;
+}
+
+// Export for Node.js and Browser
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        validateParams,
+        validateValue
+    };
+}
+
+if (typeof window !== "undefined") {
+    window.UsefulAPIsValidate = {
+        validateParams,
+        validateValue
+    };
+}